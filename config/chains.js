@@ -1,83 +1,300 @@
-require("dotenv").config();
+/**
+ * Chain registry: the single source of chain configuration for the scripts
+ * and hardhat.config.js
+ *
+ * Every chain is a static definition, validated when this module loads:
+ *   - name:      display name
+ *   - chainId:   EVM chain ID
+ *   - envPrefix: prefix of the chain's environment variables
+ *   - local:     (optional) Hardhat node using the MockPolymerProver
+ *   - rpc:       (optional) default RPC URL
+ *   - explorer:  (optional) { apiURL, browserURL, apiKeyEnv } for contract verification
+ *
+ * Per-deployment values come from the environment, named after envPrefix:
+ *   - <PREFIX>_RPC                           RPC URL (required, unless a default is set)
+ *   - POLYMER_PROVER_<PREFIX>_CONTRACT_ADDRESS  Polymer prover (required, except on local chains)
+ *   - <PREFIX>_INVOICEBATCHER_ADDRESS        deployed InvoiceIDBatcher
+ * Sepolia chains also accept the older POLYMER_PROVER_<NAME>_TESTNET_CONTRACT_ADDRESS.
+ * Without an address in the environment, the live InvoiceIDBatcher (and on local
+ * chains the MockPolymerProver) of the chain's deployment manifest is used,
+ * see scripts/lib/deployments.js.
+ *
+ * More chains can be added without editing code in config/chains.json (or
+ * the file in CHAINS_FILE), keyed like CHAINS below, see config/chains.example.json.
+ */
 
-// Chain configurations
-const activatedChains = process.env.ACTIVATED_CHAINS
-  ? process.env.ACTIVATED_CHAINS.split(",")
-  : [];
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { getDeploymentsDir, getCurrentDeployment } = require("../scripts/lib/deployments");
 
-if (activatedChains.length === 0) {
-  console.error(
-    "No chains are activated. Please set the ACTIVATED_CHAINS environment variable."
-  );
-  process.exit(1);
-}
+const DEFAULT_CHAINS_FILE = path.join(__dirname, "chains.json");
 
-const CHAINS = {
+const BUILTIN_CHAINS = {
   "optimism-sepolia": {
     name: "Optimism Sepolia",
     chainId: 11155420,
     envPrefix: "OPTIMISM_SEPOLIA",
-    invoiceBatcherAddress: process.env.OPTIMISM_SEPOLIA_INVOICE_BATCHER_ADDRESS,
-    rpc: process.env.OPTIMISM_SEPOLIA_RPC,
-    proverAddress: process.env.POLYMER_PROVER_OPTIMISM_TESTNET_CONTRACT_ADDRESS
+    explorer: {
+      apiURL: "https://api-sepolia-optimistic.etherscan.io/api",
+      browserURL: "https://sepolia-optimism.etherscan.io/",
+      apiKeyEnv: "OPTIMISM_API_KEY"
+    }
   },
   "arbitrum-sepolia": {
     name: "Arbitrum Sepolia",
     chainId: 421614,
     envPrefix: "ARBITRUM_SEPOLIA",
-    invoiceBatcherAddress: process.env.ARBITRUM_SEPOLIA_INVOICE_BATCHER_ADDRESS,
-    rpc: process.env.ARBITRUM_SEPOLIA_RPC,
-    proverAddress: process.env.POLYMER_PROVER_ARBITRUM_TESTNET_CONTRACT_ADDRESS
+    explorer: {
+      apiURL: "https://api-sepolia.arbiscan.io/api",
+      browserURL: "https://sepolia.arbiscan.io/",
+      apiKeyEnv: "ARBITRUM_API_KEY"
+    }
   },
   "base-sepolia": {
     name: "Base Sepolia",
     chainId: 84532,
     envPrefix: "BASE_SEPOLIA",
-    invoiceBatcherAddress: process.env.BASE_SEPOLIA_INVOICE_BATCHER_ADDRESS,
-    rpc: process.env.BASE_SEPOLIA_RPC,
-    proverAddress: process.env.POLYMER_PROVER_BASE_TESTNET_CONTRACT_ADDRESS
+    explorer: {
+      apiURL: "https://api-sepolia.basescan.org/api",
+      browserURL: "https://sepolia.basescan.org/",
+      apiKeyEnv: "BASE_API_KEY"
+    }
   },
   "mode-sepolia": {
     name: "Mode Sepolia",
-    rpcUrl: process.env.MODE_SEPOLIA_RPC,
-    invoiceBatcherAddress: process.env.MODE_SEPOLIA_INVOICE_BATCHER_ADDRESS,
     chainId: 919,
+    envPrefix: "MODE_SEPOLIA"
   },
   "bob-sepolia": {
     name: "Bob Sepolia",
-    rpcUrl: process.env.BOB_SEPOLIA_RPC,
-    invoiceBatcherAddress: process.env.BOB_SEPOLIA_INVOICE_BATCHER_ADDRESS,
     chainId: 808813,
+    envPrefix: "BOB_SEPOLIA"
   },
   "ink-sepolia": {
     name: "Ink Sepolia",
-    rpcUrl: process.env.INK_SEPOLIA_RPC,
-    invoiceBatcherAddress: process.env.INK_SEPOLIA_INVOICE_BATCHER_ADDRESS,
     chainId: 763373,
+    envPrefix: "INK_SEPOLIA"
   },
   "unichain-sepolia": {
     name: "UniChain Sepolia",
-    rpcUrl: process.env.UNICHAIN_SEPOLIA_RPC,
-    invoiceBatcherAddress: process.env.UNICHAIN_SEPOLIA_INVOICE_BATCHER_ADDRESS,
     chainId: 1301,
+    envPrefix: "UNICHAIN_SEPOLIA"
   },
   "mantle-sepolia": {
     name: "Mantle Sepolia",
-    rpcUrl: process.env.MANTLE_SEPOLIA_RPC,
-    invoiceBatcherAddress: process.env.MANTLE_SEPOLIA_INVOICE_BATCHER_ADDRESS,
     chainId: 5003,
+    envPrefix: "MANTLE_SEPOLIA"
+  },
+  // Local Hardhat nodes for offline testing with the MockPolymerProver
+  // (npm run node:local-a / node:local-b)
+  "local-a": {
+    name: "Local A",
+    chainId: 31337,
+    envPrefix: "LOCAL_A",
+    local: true,
+    rpc: "http://127.0.0.1:8545"
   },
+  "local-b": {
+    name: "Local B",
+    chainId: 31338,
+    envPrefix: "LOCAL_B",
+    local: true,
+    rpc: "http://127.0.0.1:8546"
+  },
+};
+
+const FIELDS = {
+  name: value => typeof value === "string" && value.length > 0 || "must be a non-empty string",
+  chainId: value => Number.isSafeInteger(value) && value > 0 || "must be a positive integer",
+  envPrefix: value => typeof value === "string" && /^[A-Z][A-Z0-9_]*$/.test(value) || "must be UPPER_SNAKE_CASE",
+  local: value => value === undefined || typeof value === "boolean" || "must be true or false",
+  rpc: value => value === undefined || isUrl(value) || "must be an http(s) or ws(s) URL",
+  explorer: value => value === undefined || validateExplorer(value)
 };
+const REQUIRED_FIELDS = ["name", "chainId", "envPrefix"];
+
+function isUrl(value) {
+  return typeof value === "string" && /^(http|ws)s?:\/\//.test(value);
+}
+
+function validateExplorer(explorer) {
+  if (typeof explorer !== "object" || explorer === null) return "must be an object";
+  if (!isUrl(explorer.apiURL) || !isUrl(explorer.browserURL)) return "needs apiURL and browserURL";
+  if (explorer.apiKeyEnv !== undefined && typeof explorer.apiKeyEnv !== "string") return "apiKeyEnv must be a string";
+  return true;
+}
+
+function formatErrors(title, errors) {
+  return `${title}:\n  - ${errors.join("\n  - ")}`;
+}
+
+/**
+ * Validates chain definitions and checks they don't clash with each other
+ * @param definitions Chain key => definition
+ * @returns The definitions, each with its key added
+ */
+function validateChainDefinitions(definitions) {
+  const errors = [];
+  const chains = {};
+  const byChainId = {};
+  const byPrefix = {};
+
+  for (const [key, definition] of Object.entries(definitions)) {
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(key)) {
+      errors.push(`${key}: chain keys must be lowercase-kebab-case`);
+    }
+    if (typeof definition !== "object" || definition === null) {
+      errors.push(`${key}: must be an object`);
+      continue;
+    }
+
+    const problems = [];
+    for (const field of REQUIRED_FIELDS) {
+      if (definition[field] === undefined) problems.push(`missing ${field}`);
+    }
+    for (const [field, value] of Object.entries(definition)) {
+      if (!FIELDS[field]) {
+        problems.push(`unknown field ${field}, expected one of ${Object.keys(FIELDS).join(", ")}`);
+        continue;
+      }
+      const result = value === undefined || FIELDS[field](value);
+      if (result !== true) problems.push(`${field} ${result}`);
+    }
+    errors.push(...problems.map(problem => `${key}: ${problem}`));
+    if (problems.length > 0) continue;
+
+    if (byChainId[definition.chainId]) {
+      errors.push(`${key}: chain ID ${definition.chainId} is already used by ${byChainId[definition.chainId]}`);
+    }
+    if (byPrefix[definition.envPrefix]) {
+      errors.push(`${key}: envPrefix ${definition.envPrefix} is already used by ${byPrefix[definition.envPrefix]}`);
+    }
+    byChainId[definition.chainId] = key;
+    byPrefix[definition.envPrefix] = key;
+    chains[key] = { key, ...definition };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(formatErrors("Invalid chain configuration", errors));
+  }
+  return chains;
+}
+
+/**
+ * Built-in chains plus the ones declared in the chains file, if there is one
+ */
+function loadChainRegistry(filePath = process.env.CHAINS_FILE || DEFAULT_CHAINS_FILE) {
+  let extra = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      extra = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Cannot read chains file ${filePath}: ${error.message}`);
+    }
+    const builtin = Object.keys(extra).filter(key => BUILTIN_CHAINS[key]);
+    if (builtin.length > 0) {
+      throw new Error(formatErrors(`Invalid chains file ${filePath}`, builtin.map(key => `${key}: already a built-in chain`)));
+    }
+  }
+  return validateChainDefinitions({ ...BUILTIN_CHAINS, ...extra });
+}
+
+const CHAINS = loadChainRegistry();
+
+function getProverEnvKeys(chain) {
+  const keys = [`POLYMER_PROVER_${chain.envPrefix}_CONTRACT_ADDRESS`];
+  if (chain.envPrefix.endsWith("_SEPOLIA")) {
+    keys.push(`POLYMER_PROVER_${chain.envPrefix.slice(0, -"_SEPOLIA".length)}_TESTNET_CONTRACT_ADDRESS`);
+  }
+  return keys;
+}
+
+/**
+ * A chain's definition combined with its settings from the environment and
+ * its deployment manifest
+ * @returns { key, name, chainId, envPrefix, local, rpc, proverAddress, invoiceBatcherAddress, explorer }
+ */
+function getChain(key, env = process.env, chains = CHAINS) {
+  const chain = chains[key];
+  if (!chain) {
+    throw new Error(`Unknown chain "${key}", expected one of ${Object.keys(chains).join(", ")}`);
+  }
+  const deployed = contractName => {
+    const deployment = getCurrentDeployment(key, contractName, getDeploymentsDir(env));
+    return deployment ? deployment.address : undefined;
+  };
+  const proverKey = getProverEnvKeys(chain).find(envKey => env[envKey]);
+  return {
+    ...chain,
+    local: Boolean(chain.local),
+    rpc: env[`${chain.envPrefix}_RPC`] || chain.rpc,
+    proverAddress: proverKey ? env[proverKey] : (chain.local ? deployed("MockPolymerProver") : undefined),
+    invoiceBatcherAddress: env[`${chain.envPrefix}_INVOICEBATCHER_ADDRESS`] || deployed("InvoiceIDBatcher")
+  };
+}
+
+/**
+ * Settings a chain lacks to be used, e.g. ["OPTIMISM_SEPOLIA_RPC"]
+ * @dev Local chains don't need a prover, deploy:v2 deploys a mock one
+ */
+function getMissingSettings(chain) {
+  const missing = [];
+  if (!chain.rpc) missing.push(`${chain.envPrefix}_RPC`);
+  if (!chain.proverAddress && !chain.local) missing.push(getProverEnvKeys(chain)[0]);
+  return missing;
+}
+
+/**
+ * The chains in ACTIVATED_CHAINS, in order
+ * @dev Throws listing every unknown chain and every missing setting at once
+ */
+function getEnabledChains(env = process.env, chains = CHAINS) {
+  const keys = (env.ACTIVATED_CHAINS || "").split(",").map(key => key.trim()).filter(Boolean);
+  if (keys.length === 0) {
+    throw new Error("No chains are activated. Please set the ACTIVATED_CHAINS environment variable.");
+  }
+
+  const errors = [];
+  const enabled = [];
+  for (const key of keys) {
+    if (!chains[key]) {
+      errors.push(`${key}: unknown chain, expected one of ${Object.keys(chains).join(", ")}`);
+      continue;
+    }
+    const chain = getChain(key, env, chains);
+    const missing = getMissingSettings(chain);
+    if (missing.length > 0) {
+      errors.push(`${key}: missing ${missing.join(", ")}`);
+    }
+    enabled.push(chain);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(formatErrors("Invalid ACTIVATED_CHAINS configuration", errors));
+  }
+  return enabled;
+}
 
-// Helper function to get enabled chains from .env
-function getEnabledChains() {
-  const activatedChains = process.env.ACTIVATED_CHAINS?.split(',') || [];
-  return activatedChains
-    .map(chainKey => CHAINS[chainKey])
-    .filter(chain => chain && chain.rpc && chain.proverAddress);
+/**
+ * The chains a `hardhat run` script targets: the chain of --network, or every
+ * activated chain without it (Hardhat networks are named after the chain keys)
+ */
+function getNetworkChains(networkName, env = process.env, chains = CHAINS) {
+  if (networkName === "hardhat") {
+    return getEnabledChains(env, chains);
+  }
+  if (!chains[networkName]) {
+    throw new Error(`Network ${networkName} not found in chain configurations, expected one of ${Object.keys(chains).join(", ")}`);
+  }
+  return [getChain(networkName, env, chains)];
 }
 
 module.exports = {
   CHAINS,
-  getEnabledChains
+  validateChainDefinitions,
+  loadChainRegistry,
+  getChain,
+  getEnabledChains,
+  getNetworkChains
 };
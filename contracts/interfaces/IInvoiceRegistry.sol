@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IInvoiceRegistry
+ * @notice Read interface for invoices synced from other chains
+ * @dev Lets contracts on a destination chain (e.g. settlement) gate logic on cross-chain invoice existence
+ *      and read the terms of invoices that were submitted with metadata
+ */
+interface IInvoiceRegistry {
+    // Where a received invoice came from (chain ID, sender and timestamp share one slot)
+    struct InvoiceOrigin {
+        uint32 sourceChainId;
+        address originalSender;
+        uint64 receivedAt;
+        bytes32 sourceBatchId;
+    }
+
+    // Lifecycle of an invoice, None marks invoices without metadata. Issued invoices can become
+    // Paid, Cancelled or Disputed, disputed ones Issued, Paid or Cancelled; Paid and Cancelled are final
+    enum InvoiceStatus {
+        None,
+        Issued,
+        Paid,
+        Cancelled,
+        Disputed
+    }
+
+    // Terms of an invoice, relayed with its hash in InvoiceMetadataBatch events
+    struct InvoiceMetadata {
+        address issuer;
+        uint256 amount;      // In the smallest unit of the currency
+        address currency;    // Token contract, zero for the chain's native currency
+        uint64 dueDate;      // Unix timestamp, zero when there is none
+        InvoiceStatus status;
+    }
+
+    /**
+     * @notice Checks whether an invoice has been received from another chain
+     * @param invoiceHash The hash of the invoice ID
+     * @return True if the invoice is recorded in the registry
+     */
+    function isInvoiceKnown(bytes32 invoiceHash) external view returns (bool);
+
+    /**
+     * @notice Returns where a received invoice came from
+     * @param invoiceHash The hash of the invoice ID
+     * @return The source chain, original sender, source batch ID and receive timestamp
+     */
+    function getInvoiceOrigin(bytes32 invoiceHash) external view returns (InvoiceOrigin memory);
+
+    /**
+     * @notice Checks whether the terms of an invoice are known on this chain
+     * @param invoiceHash The hash of the invoice ID
+     * @return True if the invoice was added here or received from another chain with metadata
+     */
+    function hasInvoiceMetadata(bytes32 invoiceHash) external view returns (bool);
+
+    /**
+     * @notice Returns the terms of an invoice
+     * @param invoiceHash The hash of the invoice ID
+     * @return The issuer, amount, currency, due date and status of the invoice
+     */
+    function getInvoiceMetadata(bytes32 invoiceHash) external view returns (InvoiceMetadata memory);
+
+    /**
+     * @notice Returns the current status of an invoice
+     * @param invoiceHash The hash of the invoice ID
+     * @return status The latest status, None for invoices without metadata
+     * @return sequence The number of status changes since the invoice was created, which
+     *         orders changes that arrive from other chains
+     */
+    function getInvoiceStatus(bytes32 invoiceHash) external view returns (InvoiceStatus status, uint64 sequence);
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IPolymerProver
+ * @notice Interface of the Polymer Prover contract used to verify cross-chain events
+ */
+interface IPolymerProver {
+    /**
+     * @notice Validates an event proof from another chain
+     * @param proof The proof data from Polymer Protocol
+     * @return chainId The source chain ID
+     * @return emittingContract The address that emitted the event
+     * @return topics The event topics (including event signature)
+     * @return data The event data
+     */
+    function validateEvent(
+        bytes calldata proof
+    )
+        external
+        view
+        returns (
+            uint32 chainId,
+            address emittingContract,
+            bytes memory topics,
+            bytes memory data
+        );
+
+    /**
+     * @notice Returns the identifier of the event a proof refers to
+     * @param proof The proof data from Polymer Protocol
+     * @return srcChain The source chain ID
+     * @return blockNumber The block number that contains the event
+     * @return receiptIndex The position of the transaction in the block
+     * @return logIndex The position of the event within the transaction logs
+     */
+    function inspectLogIdentifier(
+        bytes calldata proof
+    )
+        external
+        pure
+        returns (
+            uint32 srcChain,
+            uint64 blockNumber,
+            uint16 receiptIndex,
+            uint8 logIndex
+        );
+}
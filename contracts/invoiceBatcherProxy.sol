@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title InvoiceBatcherProxy
+ * @notice ERC-1967 proxy in front of InvoiceIDBatcherUpgradeable
+ * @dev Every call is delegated to the implementation. Upgrades are done by the implementation
+ *      (upgradeToAndCall), so this contract has no functions of its own that could clash
+ *      with the implementation's.
+ */
+contract InvoiceBatcherProxy {
+    // ERC-1967 implementation slot, bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @notice Emitted when the proxy switches to a new implementation
+     * @param implementation The new implementation
+     */
+    event Upgraded(address indexed implementation);
+
+    /**
+     * @notice Points the proxy to its first implementation and initializes it
+     * @param implementation The InvoiceIDBatcherUpgradeable implementation
+     * @param data The initialize call, run in the proxy's context
+     * @dev Initializing in the constructor leaves no window for anyone else to initialize the proxy
+     */
+    constructor(address implementation, bytes memory data) {
+        require(implementation.code.length > 0, "Implementation is not a contract");
+        require(data.length > 0, "Missing initialization call");
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, implementation)
+        }
+        emit Upgraded(implementation);
+
+        (bool success, bytes memory result) = implementation.delegatecall(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @dev Delegates every call to the implementation and returns or reverts with its result
+     */
+    fallback() external {
+        assembly {
+            let impl := sload(IMPLEMENTATION_SLOT)
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), impl, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
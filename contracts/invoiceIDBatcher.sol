@@ -1,49 +1,115 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./interfaces/IPolymerProver.sol";
+import "./interfaces/IInvoiceRegistry.sol";
+
 /**
- * @title InvoiceIDBatcher
- * @notice A contract for batching and cross-chain relaying of invoice IDs using Polymer Protocol
- * @dev This contract allows for efficient batching of invoice IDs and secure cross-chain message passing
+ * @title InvoiceIDBatcherBase
+ * @notice Batching and cross-chain relaying of invoice IDs using Polymer Protocol
+ * @dev Shared by the directly deployed InvoiceIDBatcher and the proxied InvoiceIDBatcherUpgradeable.
+ * @dev Upgrades keep this storage in place: only append new state variables at the end,
+ *      never remove, reorder or retype existing ones (upgrade:v2 checks this)
  */
+abstract contract InvoiceIDBatcherBase is IInvoiceRegistry {
+    // Polymer prover contract for cross-chain message verification
+    IPolymerProver public polymerProver;
 
-interface IPolymerProver {
-    /**
-     * @notice Validates an event proof from another chain
-     * @param proof The proof data from Polymer Protocol
-     * @return chainId The source chain ID
-     * @return emittingContract The address that emitted the event
-     * @return topics The event topics (including event signature)
-     * @return data The event data
-     */
-    function validateEvent(
-        bytes calldata proof
-    )
-        external
-        view
-        returns (
-            uint32 chainId,
-            address emittingContract,
-            bytes memory topics,
-            bytes memory data
-        );
-}
+    // Role allowed to add invoices with newInvoice
+    bytes32 public constant SUBMITTER_ROLE = keccak256("SUBMITTER_ROLE");
 
-contract InvoiceIDBatcher {
-    // Polymer prover contract for cross-chain message verification
-    IPolymerProver public immutable polymerProver;
-    
-    // Admin role for configuring trusted sources
+    // Role allowed to seal pending invoices into a batch
+    bytes32 public constant BATCHER_ROLE = keccak256("BATCHER_ROLE");
+
+    // Admin for configuring trusted sources and granting roles
     address public admin;
 
+    // Proposed new admin, who must accept before the transfer takes effect
+    address public pendingAdmin;
+
+    // Role memberships (role => account => granted)
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
     // Array to store pending invoice hashes before batching
     bytes32[] private pendingInvoices;
 
-    // Mapping to prevent replay attacks by tracking used proof hashes
-    mapping(bytes32 => bool) private usedProofHashes;
+    // Invoice hashes added on this chain, whether still pending or already batched
+    mapping(bytes32 => bool) public localInvoices;
+
+    // Timestamp of the oldest pending invoice, zero while nothing is pending
+    uint64 public pendingSince;
+
+    // newInvoice seals the batch once this many invoices are pending (0 = disabled)
+    uint256 public autoSealThreshold;
+
+    // Mapping to prevent replay attacks by tracking already processed source events
+    mapping(bytes32 => bool) private processedBatches;
+
+    // Trusted contracts on other chains (chainId => contract addresses)
+    mapping(uint32 => address[]) private trustedSources;
+
+    // Position of each trusted contract in trustedSources, plus one (0 = not trusted)
+    mapping(uint32 => mapping(address => uint256)) private trustedSourceIndex;
+
+    // Chains with at least one trusted contract
+    uint32[] private trustedChains;
+
+    // Position of each chain in trustedChains, plus one (0 = not trusted)
+    mapping(uint32 => uint256) private trustedChainIndex;
+
+    // Emergency switches for sealing batches and for accepting batches from other chains
+    bool public sendingPaused;
+    bool public receivingPaused;
+
+    // Merkle root batch received from another chain
+    struct ReceivedRoot {
+        uint32 sourceChainId;
+        address originalSender;
+        bytes32 sourceBatchId;
+        uint256 count;
+        uint64 receivedAt;
+    }
+
+    // Merkle roots accepted from trusted sources (root => batch details)
+    mapping(bytes32 => ReceivedRoot) public receivedRoots;
+
+    // Invoices received from other chains (invoice hash => origin), first delivery wins
+    mapping(bytes32 => InvoiceOrigin) private receivedInvoices;
 
-    // Mapping of trusted contracts on other chains (chainId => contract address)
-    mapping(uint32 => address) public trustedSourceContracts;
+    // Terms of invoices added or received with metadata (invoice hash => metadata)
+    mapping(bytes32 => InvoiceMetadata) private invoiceMetadata;
+
+    // Number of pending invoices with metadata, which turns the next batch into an InvoiceMetadataBatch
+    uint256 private pendingMetadataCount;
+
+    // Status change of an invoice, relayed in InvoiceStatusBatch events
+    struct StatusUpdate {
+        bytes32 invoiceHash;
+        InvoiceStatus status;
+        uint64 sequence;
+    }
+
+    // Number of status changes of each invoice since its creation (invoice hash => sequence)
+    mapping(bytes32 => uint64) private statusSequences;
+
+    // Status changes of local invoices waiting to be sealed into an InvoiceStatusBatch
+    StatusUpdate[] private pendingStatusUpdates;
+
+    // Timestamp of the oldest pending status change, zero while none is pending
+    uint64 public statusUpdatesPendingSince;
+
+    // Status change received before its invoice, applied only if its chain turns out to be the origin
+    struct EarlyStatusUpdate {
+        InvoiceStatus status;
+        uint64 sequence;
+        address originalSender;
+    }
+
+    // Status changes received before their invoice (invoice hash => source chain ID => latest change)
+    mapping(bytes32 => mapping(uint32 => EarlyStatusUpdate)) private earlyStatusUpdates;
+
+    // Chains with an early status change for each invoice (invoice hash => source chain IDs)
+    mapping(bytes32 => uint32[]) private earlyStatusChains;
 
     /**
      * @notice Emitted when a new invoice is added to the pending batch
@@ -65,6 +131,70 @@ contract InvoiceIDBatcher {
         bytes32[] invoices
     );
 
+    /**
+     * @notice Emitted instead of InvoiceBatch when any pending invoice has metadata
+     * @dev Invoices added without metadata have an empty record (status None) at their position
+     * @param sender The address that triggered the batch
+     * @param invoices Array of invoice hashes in the batch
+     * @param metadata The metadata of each invoice, in the same order as invoices
+     */
+    event InvoiceMetadataBatch(
+        address indexed sender,
+        bytes32[] invoices,
+        InvoiceMetadata[] metadata
+    );
+
+    /**
+     * @notice Emitted when the status of an invoice created on this chain changes
+     * @param sender The address that changed the status
+     * @param invoiceHash The hash of the invoice ID
+     * @param status The new status
+     * @param sequence The number of status changes of the invoice so far
+     */
+    event InvoiceStatusChanged(
+        address indexed sender,
+        bytes32 indexed invoiceHash,
+        InvoiceStatus status,
+        uint64 sequence
+    );
+
+    /**
+     * @notice Emitted when pending status changes are batched
+     * @param sender The address that triggered the batch
+     * @param updates The status changes in the order they were made
+     */
+    event InvoiceStatusBatch(
+        address indexed sender,
+        StatusUpdate[] updates
+    );
+
+    /**
+     * @notice Emitted when pending invoices are batched as a Merkle root
+     * @dev Leaves are keccak256(invoiceHash), pairs are hashed in sorted order
+     * @param sender The address that triggered the batch
+     * @param root The Merkle root of the invoice hashes in the batch
+     * @param count The number of invoices in the batch
+     */
+    event InvoiceRootBatch(
+        address indexed sender,
+        bytes32 root,
+        uint256 count
+    );
+
+    /**
+     * @notice Emitted when a Merkle root batch is received from another chain
+     * @param originalSender The address that sent the batch on the source chain
+     * @param root The Merkle root of the invoice hashes in the batch
+     * @param sourceChainId The ID of the source chain
+     * @param count The number of invoices in the batch
+     */
+    event InvoiceRootReceived(
+        address indexed originalSender,
+        bytes32 indexed root,
+        uint32 sourceChainId,
+        uint256 count
+    );
+
     /**
      * @notice Emitted when an invoice is received from another chain
      * @param originalSender The address that sent the invoice on the source chain
@@ -76,34 +206,415 @@ contract InvoiceIDBatcher {
     );
 
     /**
-     * @notice Contract constructor
+     * @notice Emitted for every status change received from another chain
+     * @param originalSender The address that sent the status batch on the source chain
+     * @param invoiceHash The hash of the invoice ID
+     * @param status The relayed status
+     * @param sequence The sequence of the relayed status change
+     * @param applied False when the invoice already has this or a later change, which is kept.
+     *        Changes for invoices that have not arrived yet are applied when they do
+     */
+    event InvoiceStatusReceived(
+        address indexed originalSender,
+        bytes32 indexed invoiceHash,
+        InvoiceStatus status,
+        uint64 sequence,
+        bool applied
+    );
+
+    /**
+     * @notice Emitted when a relayed invoice already exists here with a different origin
+     * @dev The existing origin is kept; the relayed copy is not recorded. Also emitted, with
+     *      the root as invoiceHash, for Merkle roots already received from another origin
+     * @param invoiceHash The hash of the conflicting invoice ID
+     * @param originalSender The address that sent the relayed invoice on its source chain
+     * @param sourceChainId The ID of the chain the relayed invoice came from
+     * @param existingChainId The chain the invoice is already known from (this chain for local invoices)
+     */
+    event InvoiceConflict(
+        bytes32 indexed invoiceHash,
+        address indexed originalSender,
+        uint32 sourceChainId,
+        uint32 existingChainId
+    );
+
+    /**
+     * @notice Emitted when a contract on another chain becomes a trusted source
+     * @param chainId The ID of the source chain
+     * @param sourceContract The trusted contract on the source chain
+     */
+    event TrustedSourceAdded(uint32 indexed chainId, address indexed sourceContract);
+
+    /**
+     * @notice Emitted when a contract on another chain is no longer a trusted source
+     * @param chainId The ID of the source chain
+     * @param sourceContract The contract that is no longer trusted
+     */
+    event TrustedSourceRemoved(uint32 indexed chainId, address indexed sourceContract);
+
+    /**
+     * @notice Emitted when sealing batches is paused or unpaused
+     * @param paused True when sealing is paused
+     */
+    event SendingPauseUpdated(bool paused);
+
+    /**
+     * @notice Emitted when accepting batches from other chains is paused or unpaused
+     * @param paused True when receiving is paused
+     */
+    event ReceivingPauseUpdated(bool paused);
+
+    /**
+     * @notice Emitted when the auto-seal threshold is changed
+     * @param threshold The new threshold, zero when auto-sealing is disabled
+     */
+    event AutoSealThresholdUpdated(uint256 threshold);
+
+    /**
+     * @notice Emitted when a role is granted to an account
+     * @param role The role that was granted
+     * @param account The account that received the role
+     * @param sender The admin that granted the role
+     */
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /**
+     * @notice Emitted when a role is revoked from an account
+     * @param role The role that was revoked
+     * @param account The account that lost the role
+     * @param sender The admin that revoked the role
+     */
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /**
+     * @notice Emitted when the admin proposes a new admin
+     * @param currentAdmin The current admin
+     * @param pendingAdmin The proposed admin, zero when a proposal is cancelled
+     */
+    event AdminTransferProposed(address indexed currentAdmin, address indexed pendingAdmin);
+
+    /**
+     * @notice Emitted when the proposed admin accepts the admin role
+     * @param previousAdmin The previous admin
+     * @param newAdmin The new admin
+     */
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+
+    /**
+     * @notice Emitted when the admin replaces the Polymer Prover
+     * @param previousProver The previous prover
+     * @param newProver The new prover
+     */
+    event PolymerProverUpdated(address indexed previousProver, address indexed newProver);
+
+    /**
+     * @notice Sets up the prover and the initial admin
      * @param _polymerProver Address of the Polymer Prover contract
+     * @param _admin Initial admin, who starts with the submitter and batcher roles
+     * @dev The admin is explicit rather than msg.sender so that deployments through
+     *      a CREATE2 factory get the same address and admin on every chain
      */
-    constructor(address _polymerProver) {
+    function initializeBatcher(address _polymerProver, address _admin) internal {
+        require(_admin != address(0), "Invalid admin address");
         polymerProver = IPolymerProver(_polymerProver);
+        admin = _admin;
+        emit AdminTransferred(address(0), _admin);
+        setRole(SUBMITTER_ROLE, _admin, true);
+        setRole(BATCHER_ROLE, _admin, true);
+    }
+
+    /**
+     * @notice Checks whether an account has a role
+     * @param role The role to check (SUBMITTER_ROLE or BATCHER_ROLE)
+     * @param account The account to check
+     * @return True if the account has the role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return roles[role][account];
+    }
+
+    /**
+     * @notice Grants a role to an account
+     * @param role The role to grant (SUBMITTER_ROLE or BATCHER_ROLE)
+     * @param account The account that receives the role
+     * @dev Only admin can call this function
+     */
+    function grantRole(bytes32 role, address account) external {
+        require(msg.sender == admin, "Only admin can grant roles");
+        require(role == SUBMITTER_ROLE || role == BATCHER_ROLE, "Unknown role");
+        require(account != address(0), "Invalid account address");
+        setRole(role, account, true);
+    }
+
+    /**
+     * @notice Revokes a role from an account
+     * @param role The role to revoke (SUBMITTER_ROLE or BATCHER_ROLE)
+     * @param account The account that loses the role
+     * @dev Only admin can call this function
+     */
+    function revokeRole(bytes32 role, address account) external {
+        require(msg.sender == admin, "Only admin can revoke roles");
+        setRole(role, account, false);
+    }
+
+    /**
+     * @notice Proposes a new admin, who must call acceptAdmin to take over
+     * @param newAdmin The proposed admin, or the zero address to cancel a proposal
+     * @dev Only admin can call this function
+     */
+    function proposeAdmin(address newAdmin) external {
+        require(msg.sender == admin, "Only admin can propose a new admin");
+        pendingAdmin = newAdmin;
+        emit AdminTransferProposed(msg.sender, newAdmin);
+    }
+
+    /**
+     * @notice Completes an admin transfer started with proposeAdmin
+     * @dev Only the proposed admin can call this function
+     */
+    function acceptAdmin() external {
+        require(msg.sender == pendingAdmin, "Only pending admin can accept");
+        address previousAdmin = admin;
         admin = msg.sender;
+        delete pendingAdmin;
+        emit AdminTransferred(previousAdmin, msg.sender);
+    }
+
+    /**
+     * @notice Replaces the Polymer Prover that validates proofs from other chains
+     * @param newProver The address of the new Polymer Prover contract
+     * @dev Only admin can call this function
+     */
+    function setPolymerProver(address newProver) external {
+        require(msg.sender == admin, "Only admin can set the prover");
+        require(newProver != address(0), "Invalid prover address");
+        emit PolymerProverUpdated(address(polymerProver), newProver);
+        polymerProver = IPolymerProver(newProver);
     }
 
     /**
-     * @notice Configures a trusted contract on another chain
+     * @notice Makes a contract the only trusted source of a chain
      * @param chainId The ID of the source chain
      * @param sourceContract The address of the trusted contract on the source chain
+     * @dev Replaces every contract currently trusted for the chain
      * @dev Only admin can call this function
      */
     function setTrustedSourceContract(uint32 chainId, address sourceContract) external {
         require(msg.sender == admin, "Only admin can set trusted sources");
-        require(chainId != block.chainid, "Cannot set source for current chain");
-        require(sourceContract != address(0), "Invalid source contract address");
-        trustedSourceContracts[chainId] = sourceContract;
+        address[] storage sources = trustedSources[chainId];
+        while (sources.length > 0) {
+            removeSource(chainId, sources[sources.length - 1]);
+        }
+        addSource(chainId, sourceContract);
+    }
+
+    /**
+     * @notice Trusts an additional contract on another chain, e.g. a new deployment during a migration
+     * @param chainId The ID of the source chain
+     * @param sourceContract The address of the trusted contract on the source chain
+     * @dev Only admin can call this function
+     */
+    function addTrustedSource(uint32 chainId, address sourceContract) external {
+        require(msg.sender == admin, "Only admin can set trusted sources");
+        require(!isTrustedSource(chainId, sourceContract), "Source already trusted");
+        addSource(chainId, sourceContract);
+    }
+
+    /**
+     * @notice Stops trusting a contract on another chain
+     * @param chainId The ID of the source chain
+     * @param sourceContract The contract that should no longer be trusted
+     * @dev The chain is no longer trusted once its last contract is removed
+     * @dev Only admin can call this function
+     */
+    function removeTrustedSource(uint32 chainId, address sourceContract) external {
+        require(msg.sender == admin, "Only admin can set trusted sources");
+        require(isTrustedSource(chainId, sourceContract), "Source not trusted");
+        removeSource(chainId, sourceContract);
+    }
+
+    /**
+     * @notice Checks whether a contract on another chain is a trusted source
+     * @param chainId The ID of the source chain
+     * @param sourceContract The contract on the source chain
+     * @return True if batches from the contract are accepted
+     */
+    function isTrustedSource(uint32 chainId, address sourceContract) public view returns (bool) {
+        return trustedSourceIndex[chainId][sourceContract] != 0;
+    }
+
+    /**
+     * @notice Returns the trusted contracts of a source chain
+     * @param chainId The ID of the source chain
+     * @return The trusted contract addresses, in no particular order
+     */
+    function getTrustedSources(uint32 chainId) external view returns (address[] memory) {
+        return trustedSources[chainId];
+    }
+
+    /**
+     * @notice Returns the chains with at least one trusted contract
+     * @return The source chain IDs, in no particular order
+     */
+    function getTrustedChains() external view returns (uint32[] memory) {
+        return trustedChains;
+    }
+
+    /**
+     * @notice Pauses or unpauses sealing batches (batchInvoices, batchInvoiceRoot, batchStatusUpdates and auto-seal)
+     * @param paused True to pause, false to unpause
+     * @dev New invoices are still accepted and stay pending while sending is paused
+     * @dev Only admin can call this function
+     */
+    function setSendingPaused(bool paused) external {
+        require(msg.sender == admin, "Only admin can pause");
+        sendingPaused = paused;
+        emit SendingPauseUpdated(paused);
+    }
+
+    /**
+     * @notice Pauses or unpauses accepting batches from other chains
+     * @param paused True to pause, false to unpause
+     * @dev Relayers retry deliveries that fail while receiving is paused
+     * @dev Only admin can call this function
+     */
+    function setReceivingPaused(bool paused) external {
+        require(msg.sender == admin, "Only admin can pause");
+        receivingPaused = paused;
+        emit ReceivingPauseUpdated(paused);
+    }
+
+    /**
+     * @notice Configures automatic batch sealing in newInvoice
+     * @param threshold Number of pending invoices that triggers a batch, zero to disable
+     * @dev Only admin can call this function
+     */
+    function setAutoSealThreshold(uint256 threshold) external {
+        require(msg.sender == admin, "Only admin can set the auto-seal threshold");
+        autoSealThreshold = threshold;
+        emit AutoSealThresholdUpdated(threshold);
     }
 
     /**
      * @notice Adds a new invoice to the pending batch
      * @param invoiceHash The hash of the invoice ID to add
      * @dev Emits a NewInvoice event
+     * @dev An invoice ID exists once across all chains, so hashes already added here
+     *      or already received from another chain are rejected
+     * @dev Seals the pending invoices as an InvoiceBatch once autoSealThreshold is reached,
+     *      which does not require the batcher role
+     * @dev Only submitters can call this function
      */
     function newInvoice(bytes32 invoiceHash) external {
+        require(hasRole(SUBMITTER_ROLE, msg.sender), "Caller is not a submitter");
+        addPendingInvoice(invoiceHash);
+        autoSeal();
+    }
+
+    /**
+     * @notice Adds a new invoice with its terms to the pending batch
+     * @param invoiceHash The hash of the invoice ID to add
+     * @param metadata The issuer, amount, currency, due date and status of the invoice
+     * @dev Same rules as newInvoice. The batch that includes the invoice is emitted as an
+     *      InvoiceMetadataBatch, so destination chains receive the metadata with the hash
+     * @dev Only submitters can call this function
+     */
+    function newInvoiceWithMetadata(bytes32 invoiceHash, InvoiceMetadata calldata metadata) external {
+        require(hasRole(SUBMITTER_ROLE, msg.sender), "Caller is not a submitter");
+        addPendingInvoice(invoiceHash);
+        setPendingMetadata(invoiceHash, metadata);
+        autoSeal();
+    }
+
+    /**
+     * @notice Adds several invoices to the pending batch in one transaction
+     * @param invoiceHashes The hashes of the invoice IDs to add, in order
+     * @param seal Whether to seal the pending invoices as an InvoiceBatch afterwards
+     * @dev Emits a NewInvoice event per invoice. Reverts as a whole if any hash would be
+     *      rejected by newInvoice, including a hash repeated within invoiceHashes
+     * @dev Sealing requires the batcher role. Without it, autoSealThreshold is checked once
+     *      after all invoices are added, so a call yields at most one batch
+     * @dev Only submitters can call this function
+     */
+    function newInvoices(bytes32[] calldata invoiceHashes, bool seal) external {
+        require(hasRole(SUBMITTER_ROLE, msg.sender), "Caller is not a submitter");
+        require(invoiceHashes.length > 0, "No invoices");
+        for (uint i = 0; i < invoiceHashes.length; i++) {
+            addPendingInvoice(invoiceHashes[i]);
+        }
+        sealAddedInvoices(seal);
+    }
+
+    /**
+     * @notice Adds several invoices with their terms to the pending batch in one transaction
+     * @param invoiceHashes The hashes of the invoice IDs to add, in order
+     * @param metadata The metadata of each invoice, an entry with status None adds the
+     *        invoice without metadata so one call can mix both
+     * @param seal Whether to seal the pending invoices afterwards
+     * @dev Same rules as newInvoices
+     * @dev Only submitters can call this function
+     */
+    function newInvoicesWithMetadata(
+        bytes32[] calldata invoiceHashes,
+        InvoiceMetadata[] calldata metadata,
+        bool seal
+    ) external {
+        require(hasRole(SUBMITTER_ROLE, msg.sender), "Caller is not a submitter");
+        require(invoiceHashes.length > 0, "No invoices");
+        require(metadata.length == invoiceHashes.length, "Metadata length mismatch");
+        for (uint i = 0; i < invoiceHashes.length; i++) {
+            addPendingInvoice(invoiceHashes[i]);
+            if (metadata[i].status != InvoiceStatus.None) {
+                setPendingMetadata(invoiceHashes[i], metadata[i]);
+            }
+        }
+        sealAddedInvoices(seal);
+    }
+
+    /**
+     * @dev Seals the pending invoices at the end of a bulk add, on request (batcher role
+     *      required) or when autoSealThreshold is reached
+     */
+    function sealAddedInvoices(bool seal) private {
+        if (seal) {
+            require(hasRole(BATCHER_ROLE, msg.sender), "Caller is not a batcher");
+            require(!sendingPaused, "Sending is paused");
+            sealInvoiceBatch();
+        } else {
+            autoSeal();
+        }
+    }
+
+    /**
+     * @dev Seals the pending invoices once autoSealThreshold is reached, unless sending is paused
+     */
+    function autoSeal() private {
+        if (autoSealThreshold != 0 && pendingInvoices.length >= autoSealThreshold && !sendingPaused) {
+            sealInvoiceBatch();
+        }
+    }
+
+    /**
+     * @dev Validates and stores the metadata of an invoice that was just added
+     */
+    function setPendingMetadata(bytes32 invoiceHash, InvoiceMetadata calldata metadata) private {
+        require(metadata.issuer != address(0), "Invalid issuer address");
+        require(metadata.status != InvoiceStatus.None, "Invalid invoice status");
+        invoiceMetadata[invoiceHash] = metadata;
+        pendingMetadataCount++;
+    }
+
+    /**
+     * @dev Validates an invoice hash, records it and emits NewInvoice
+     */
+    function addPendingInvoice(bytes32 invoiceHash) private {
         require(invoiceHash != bytes32(0), "Invalid invoice hash");
+        require(!localInvoices[invoiceHash], "Invoice already exists");
+        require(!isInvoiceKnown(invoiceHash), "Invoice already received");
+        localInvoices[invoiceHash] = true;
+        if (pendingInvoices.length == 0) {
+            pendingSince = uint64(block.timestamp);
+        }
         pendingInvoices.push(invoiceHash);
         emit NewInvoice(msg.sender, invoiceHash);
     }
@@ -112,10 +623,20 @@ contract InvoiceIDBatcher {
      * @notice Batches all pending invoices and emits them as a single event
      * @dev This function clears the pending invoices array and emits an InvoiceBatch event
      * @dev The batch event is what gets picked up by relayers for cross-chain transmission
+     * @dev Only batchers can call this function
      */
     function batchInvoices() external {
+        require(hasRole(BATCHER_ROLE, msg.sender), "Caller is not a batcher");
+        require(!sendingPaused, "Sending is paused");
         require(pendingInvoices.length > 0, "No pending invoices");
-        
+        sealInvoiceBatch();
+    }
+
+    /**
+     * @dev Emits the pending invoices as an InvoiceBatch, or as an InvoiceMetadataBatch
+     *      when any of them has metadata, and clears them
+     */
+    function sealInvoiceBatch() private {
         // Create a copy of current pending invoices
         bytes32[] memory currentBatch = new bytes32[](pendingInvoices.length);
         for(uint i = 0; i < pendingInvoices.length; i++) {
@@ -124,18 +645,115 @@ contract InvoiceIDBatcher {
         
         // Clear the pending invoices array
         delete pendingInvoices;
+        delete pendingSince;
         
-        // Emit the batch event for relayers to pick up
-        emit InvoiceBatch(msg.sender, currentBatch);
+        // Emit the batch event for relayers to pick up, hash-only batches keep the InvoiceBatch format
+        if (pendingMetadataCount == 0) {
+            emit InvoiceBatch(msg.sender, currentBatch);
+            return;
+        }
+
+        InvoiceMetadata[] memory metadata = new InvoiceMetadata[](currentBatch.length);
+        for(uint i = 0; i < currentBatch.length; i++) {
+            metadata[i] = invoiceMetadata[currentBatch[i]];
+        }
+        delete pendingMetadataCount;
+        emit InvoiceMetadataBatch(msg.sender, currentBatch, metadata);
+    }
+
+    /**
+     * @notice Batches all pending invoices into a single Merkle root
+     * @dev Unlike batchInvoices, the emitted event has a constant size regardless of the batch size
+     * @dev Membership of individual invoices is proven on destination chains with verifyInvoice
+     * @dev Roots cannot carry metadata, pending invoices with metadata are sealed with batchInvoices
+     * @dev Only batchers can call this function
+     */
+    function batchInvoiceRoot() external {
+        require(hasRole(BATCHER_ROLE, msg.sender), "Caller is not a batcher");
+        require(!sendingPaused, "Sending is paused");
+        require(pendingInvoices.length > 0, "No pending invoices");
+        require(pendingMetadataCount == 0, "Pending invoices have metadata");
+
+        // Hash every invoice into a leaf
+        uint256 count = pendingInvoices.length;
+        bytes32[] memory leaves = new bytes32[](count);
+        for(uint i = 0; i < count; i++) {
+            leaves[i] = keccak256(abi.encodePacked(pendingInvoices[i]));
+        }
+
+        // Clear the pending invoices array
+        delete pendingInvoices;
+        delete pendingSince;
+
+        // Emit the root event for relayers to pick up
+        emit InvoiceRootBatch(msg.sender, computeMerkleRoot(leaves), count);
+    }
+
+    /**
+     * @notice Changes the status of an invoice created on this chain
+     * @param invoiceHash The hash of the invoice ID
+     * @param status The new status
+     * @dev Only invoices with metadata have a status. Issued invoices can become Paid, Cancelled
+     *      or Disputed, disputed ones Issued, Paid or Cancelled; Paid and Cancelled are final
+     * @dev The change is queued for the next InvoiceStatusBatch with a sequence number, so that
+     *      other chains apply the changes of an invoice in order whatever order they arrive in
+     * @dev Only submitters can call this function
+     */
+    function updateInvoiceStatus(bytes32 invoiceHash, InvoiceStatus status) external {
+        require(hasRole(SUBMITTER_ROLE, msg.sender), "Caller is not a submitter");
+        require(localInvoices[invoiceHash], "Invoice not created here");
+        InvoiceMetadata storage metadata = invoiceMetadata[invoiceHash];
+        require(metadata.issuer != address(0), "Invoice has no metadata");
+        require(isStatusTransition(metadata.status, status), "Invalid status transition");
+
+        metadata.status = status;
+        uint64 sequence = ++statusSequences[invoiceHash];
+        if (pendingStatusUpdates.length == 0) {
+            statusUpdatesPendingSince = uint64(block.timestamp);
+        }
+        pendingStatusUpdates.push(StatusUpdate(invoiceHash, status, sequence));
+        emit InvoiceStatusChanged(msg.sender, invoiceHash, status, sequence);
+    }
+
+    /**
+     * @notice Batches all pending status changes and emits them as a single event
+     * @dev The InvoiceStatusBatch event is relayed like invoice batches
+     * @dev Only batchers can call this function
+     */
+    function batchStatusUpdates() external {
+        require(hasRole(BATCHER_ROLE, msg.sender), "Caller is not a batcher");
+        require(!sendingPaused, "Sending is paused");
+        require(pendingStatusUpdates.length > 0, "No pending status updates");
+
+        StatusUpdate[] memory updates = pendingStatusUpdates;
+        delete pendingStatusUpdates;
+        delete statusUpdatesPendingSince;
+        emit InvoiceStatusBatch(msg.sender, updates);
+    }
+
+    /**
+     * @notice Returns the number of pending status changes
+     * @return The current length of the pendingStatusUpdates array
+     */
+    function getPendingStatusUpdatesCount() external view returns (uint256) {
+        return pendingStatusUpdates.length;
     }
 
     /**
      * @notice Processes a batch of invoices received from another chain
      * @param proof The Polymer proof data containing the cross-chain event
      * @dev Validates the proof using Polymer Prover and emits individual InvoiceReceived events
-     * @dev Includes replay protection to prevent double-processing of proofs
+     * @dev For InvoiceRootBatch events only the Merkle root is stored (see verifyInvoice). The first
+     *      origin of a root is kept, a copy from another origin emits InvoiceConflict for the root
+     * @dev For InvoiceMetadataBatch events the metadata is stored with each recorded invoice
+     * @dev For InvoiceStatusBatch events each status change is applied unless it is older than
+     *      the invoice's current status (see InvoiceStatusReceived)
+     * @dev Reverts if the source event (chain, contract, block, log position) was already processed
      */
     function invoicesFromSource(bytes calldata proof) external {
+        require(!receivingPaused, "Receiving is paused");
+        require(address(polymerProver) != address(0), "Polymer Prover not set");
+
         // Validate the proof using Polymer Prover
         (
             uint32 sourceChainId,
@@ -146,24 +764,200 @@ contract InvoiceIDBatcher {
 
         // Verify the source chain and contract are trusted
         require(sourceChainId != block.chainid, "Cannot process events from same chain");
-        require(trustedSourceContracts[sourceChainId] != address(0), "Chain not trusted");
-        require(sourceContract == trustedSourceContracts[sourceChainId], "Invalid source contract");
+        require(trustedSources[sourceChainId].length > 0, "Chain not trusted");
+        require(isTrustedSource(sourceChainId, sourceContract), "Invalid source contract");
 
-        // Decode the batch of invoice hashes from the event data
-        bytes32[] memory invoices = abi.decode(data, (bytes32[]));
-        
-        // Extract the original sender from the event topics
+        // Reject source events that have already been processed
+        (, uint64 blockNumber, uint16 receiptIndex, uint8 logIndex) = polymerProver.inspectLogIdentifier(proof);
+        bytes32 batchId = getBatchId(sourceChainId, sourceContract, blockNumber, receiptIndex, logIndex);
+        require(!processedBatches[batchId], "Batch already processed");
+        processedBatches[batchId] = true;
+
+        // Extract the event signature and the original sender from the event topics
+        bytes32 eventSignature;
         bytes32[] memory topicsArray = new bytes32[](2);
         assembly {
             let topicsPtr := add(topics, 32)
+            eventSignature := mload(topicsPtr)
             mstore(add(topicsArray, 32), mload(add(topicsPtr, 32))) // Skip event signature, get sender
         }
         address sender = address(uint160(uint256(topicsArray[0])));
 
-        // Emit individual events for each invoice in the batch
+        // Merkle root batches only store the root, invoices are proven individually
+        if (eventSignature == InvoiceRootBatch.selector) {
+            (bytes32 root, uint256 count) = abi.decode(data, (bytes32, uint256));
+            receiveRoot(root, count, sourceChainId, sender, batchId);
+            return;
+        }
+        if (eventSignature == InvoiceMetadataBatch.selector) {
+            (bytes32[] memory hashes, InvoiceMetadata[] memory metadata) = abi.decode(data, (bytes32[], InvoiceMetadata[]));
+            require(metadata.length == hashes.length, "Invalid metadata batch");
+            for(uint i = 0; i < hashes.length; i++) {
+                // Conflicting copies are not recorded, redeliveries keep the first metadata
+                if (
+                    receiveInvoice(hashes[i], sourceChainId, sender, batchId) &&
+                    metadata[i].status != InvoiceStatus.None &&
+                    invoiceMetadata[hashes[i]].issuer == address(0)
+                ) {
+                    receiveMetadata(hashes[i], metadata[i]);
+                }
+            }
+            return;
+        }
+        if (eventSignature == InvoiceStatusBatch.selector) {
+            StatusUpdate[] memory updates = abi.decode(data, (StatusUpdate[]));
+            for(uint i = 0; i < updates.length; i++) {
+                receiveStatusUpdate(updates[i], sourceChainId, sender);
+            }
+            return;
+        }
+        require(eventSignature == InvoiceBatch.selector, "Unsupported event");
+
+        // Decode the batch of invoice hashes from the event data
+        bytes32[] memory invoices = abi.decode(data, (bytes32[]));
+
+        // Record and emit individual events for each invoice in the batch
         for(uint i = 0; i < invoices.length; i++) {
-            emit InvoiceReceived(sender, invoices[i]);
+            receiveInvoice(invoices[i], sourceChainId, sender, batchId);
+        }
+    }
+
+    /**
+     * @notice Records an invoice from a received Merkle root batch in the registry
+     * @param root The Merkle root of the batch
+     * @param invoiceHash The hash of the invoice ID
+     * @param proof The sibling hashes from the leaf up to the root
+     * @dev Anyone can call this; the invoice inherits the origin of the root batch
+     * @dev Emits InvoiceConflict instead of recording when the invoice exists with another origin
+     */
+    function registerInvoiceFromRoot(
+        bytes32 root,
+        bytes32 invoiceHash,
+        bytes32[] calldata proof
+    ) external {
+        require(!receivingPaused, "Receiving is paused");
+        require(verifyInvoice(root, invoiceHash, proof), "Invalid invoice proof");
+
+        ReceivedRoot storage batch = receivedRoots[root];
+        InvoiceOrigin storage existing = receivedInvoices[invoiceHash];
+        require(
+            existing.receivedAt == 0 ||
+            existing.sourceChainId != batch.sourceChainId ||
+            existing.originalSender != batch.originalSender,
+            "Invoice already registered"
+        );
+        receiveInvoice(invoiceHash, batch.sourceChainId, batch.originalSender, batch.sourceBatchId);
+    }
+
+    /**
+     * @notice Checks whether an invoice has been received from another chain
+     * @param invoiceHash The hash of the invoice ID
+     * @return True if the invoice is recorded in the registry
+     */
+    function isInvoiceKnown(bytes32 invoiceHash) public view override returns (bool) {
+        return receivedInvoices[invoiceHash].receivedAt != 0;
+    }
+
+    /**
+     * @notice Returns where a received invoice came from
+     * @param invoiceHash The hash of the invoice ID
+     * @return The source chain, original sender, source batch ID and receive timestamp
+     * @dev Reverts for invoices that are not in the registry
+     */
+    function getInvoiceOrigin(bytes32 invoiceHash) external view override returns (InvoiceOrigin memory) {
+        require(isInvoiceKnown(invoiceHash), "Invoice not known");
+        return receivedInvoices[invoiceHash];
+    }
+
+    /**
+     * @notice Checks whether the terms of an invoice are known on this chain
+     * @param invoiceHash The hash of the invoice ID
+     * @return True if the invoice was added here or received from another chain with metadata
+     */
+    function hasInvoiceMetadata(bytes32 invoiceHash) public view override returns (bool) {
+        return invoiceMetadata[invoiceHash].issuer != address(0);
+    }
+
+    /**
+     * @notice Returns the terms of an invoice
+     * @param invoiceHash The hash of the invoice ID
+     * @return The issuer, amount, currency, due date and status of the invoice
+     * @dev Reverts for invoices without metadata
+     */
+    function getInvoiceMetadata(bytes32 invoiceHash) external view override returns (InvoiceMetadata memory) {
+        require(hasInvoiceMetadata(invoiceHash), "Invoice metadata not known");
+        return invoiceMetadata[invoiceHash];
+    }
+
+    /**
+     * @notice Returns the current status of an invoice
+     * @param invoiceHash The hash of the invoice ID
+     * @return status The latest status, None for invoices without metadata
+     * @return sequence The number of status changes since the invoice was created
+     * @dev A status change received before the invoice itself is returned once the invoice arrives
+     */
+    function getInvoiceStatus(bytes32 invoiceHash) external view override returns (InvoiceStatus status, uint64 sequence) {
+        return (invoiceMetadata[invoiceHash].status, statusSequences[invoiceHash]);
+    }
+
+    /**
+     * @notice Checks that an invoice is part of a Merkle root batch received from another chain
+     * @param root The Merkle root of the batch
+     * @param invoiceHash The hash of the invoice ID
+     * @param proof The sibling hashes from the leaf up to the root
+     * @return True if the root was received from a trusted source and the proof is valid
+     */
+    function verifyInvoice(
+        bytes32 root,
+        bytes32 invoiceHash,
+        bytes32[] calldata proof
+    ) public view returns (bool) {
+        if (receivedRoots[root].receivedAt == 0) return false;
+
+        bytes32 computed = keccak256(abi.encodePacked(invoiceHash));
+        for(uint i = 0; i < proof.length; i++) {
+            computed = hashPair(computed, proof[i]);
         }
+        return computed == root;
+    }
+
+    /**
+     * @notice Computes the unique identifier of a source InvoiceBatch event
+     * @param sourceChainId The ID of the source chain
+     * @param sourceContract The contract that emitted the event
+     * @param blockNumber The block number that contains the event
+     * @param receiptIndex The position of the transaction in the block
+     * @param logIndex The position of the event within the transaction logs
+     * @return The identifier used for replay protection
+     */
+    function getBatchId(
+        uint32 sourceChainId,
+        address sourceContract,
+        uint64 blockNumber,
+        uint16 receiptIndex,
+        uint8 logIndex
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(sourceChainId, sourceContract, blockNumber, receiptIndex, logIndex));
+    }
+
+    /**
+     * @notice Checks whether a source InvoiceBatch event has already been processed
+     * @dev Lets relayers skip deliveries that would revert before spending gas
+     * @param sourceChainId The ID of the source chain
+     * @param sourceContract The contract that emitted the event
+     * @param blockNumber The block number that contains the event
+     * @param receiptIndex The position of the transaction in the block
+     * @param logIndex The position of the event within the transaction logs
+     * @return True if the event has already been processed on this chain
+     */
+    function isBatchProcessed(
+        uint32 sourceChainId,
+        address sourceContract,
+        uint64 blockNumber,
+        uint16 receiptIndex,
+        uint8 logIndex
+    ) external view returns (bool) {
+        return processedBatches[getBatchId(sourceChainId, sourceContract, blockNumber, receiptIndex, logIndex)];
     }
 
     /**
@@ -173,4 +967,236 @@ contract InvoiceIDBatcher {
     function getPendingInvoicesCount() external view returns (uint256) {
         return pendingInvoices.length;
     }
+
+    /**
+     * @dev Adds a trusted contract, registering its chain if it is the first one
+     */
+    function addSource(uint32 chainId, address sourceContract) private {
+        require(chainId != block.chainid, "Cannot set source for current chain");
+        require(sourceContract != address(0), "Invalid source contract address");
+
+        if (trustedSources[chainId].length == 0) {
+            trustedChains.push(chainId);
+            trustedChainIndex[chainId] = trustedChains.length;
+        }
+        trustedSources[chainId].push(sourceContract);
+        trustedSourceIndex[chainId][sourceContract] = trustedSources[chainId].length;
+        emit TrustedSourceAdded(chainId, sourceContract);
+    }
+
+    /**
+     * @dev Removes a trusted contract (swap and pop), dropping its chain if it was the last one
+     */
+    function removeSource(uint32 chainId, address sourceContract) private {
+        address[] storage sources = trustedSources[chainId];
+        uint256 index = trustedSourceIndex[chainId][sourceContract] - 1;
+        address last = sources[sources.length - 1];
+        sources[index] = last;
+        trustedSourceIndex[chainId][last] = index + 1;
+        sources.pop();
+        delete trustedSourceIndex[chainId][sourceContract];
+
+        if (sources.length == 0) {
+            uint256 chainIndex = trustedChainIndex[chainId] - 1;
+            uint32 lastChain = trustedChains[trustedChains.length - 1];
+            trustedChains[chainIndex] = lastChain;
+            trustedChainIndex[lastChain] = chainIndex + 1;
+            trustedChains.pop();
+            delete trustedChainIndex[chainId];
+        }
+        emit TrustedSourceRemoved(chainId, sourceContract);
+    }
+
+    /**
+     * @dev Updates a role membership and emits RoleGranted or RoleRevoked when it changes
+     */
+    function setRole(bytes32 role, address account, bool granted) private {
+        if (roles[role][account] == granted) return;
+        roles[role][account] = granted;
+        if (granted) {
+            emit RoleGranted(role, account, msg.sender);
+        } else {
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Records a received invoice and emits InvoiceReceived, or InvoiceConflict when the
+     *      invoice was added locally or already received from a different chain or sender.
+     *      Redeliveries from the same origin keep the first record.
+     * @return False when the invoice conflicts
+     */
+    function receiveInvoice(
+        bytes32 invoiceHash,
+        uint32 sourceChainId,
+        address originalSender,
+        bytes32 sourceBatchId
+    ) private returns (bool) {
+        if (localInvoices[invoiceHash]) {
+            emit InvoiceConflict(invoiceHash, originalSender, sourceChainId, uint32(block.chainid));
+            return false;
+        }
+
+        InvoiceOrigin storage existing = receivedInvoices[invoiceHash];
+        if (existing.receivedAt == 0) {
+            receivedInvoices[invoiceHash] = InvoiceOrigin(
+                sourceChainId,
+                originalSender,
+                uint64(block.timestamp),
+                sourceBatchId
+            );
+            applyEarlyStatusUpdates(invoiceHash, sourceChainId);
+        } else if (existing.sourceChainId != sourceChainId || existing.originalSender != originalSender) {
+            emit InvoiceConflict(invoiceHash, originalSender, sourceChainId, existing.sourceChainId);
+            return false;
+        }
+        emit InvoiceReceived(originalSender, invoiceHash);
+        return true;
+    }
+
+    /**
+     * @dev Stores a received Merkle root. Invoices registered from a root inherit its origin,
+     *      so a root already received from another origin keeps it and emits InvoiceConflict.
+     */
+    function receiveRoot(
+        bytes32 root,
+        uint256 count,
+        uint32 sourceChainId,
+        address originalSender,
+        bytes32 sourceBatchId
+    ) private {
+        ReceivedRoot storage existing = receivedRoots[root];
+        if (existing.receivedAt == 0) {
+            receivedRoots[root] = ReceivedRoot(sourceChainId, originalSender, sourceBatchId, count, uint64(block.timestamp));
+        } else if (existing.sourceChainId != sourceChainId || existing.originalSender != originalSender) {
+            emit InvoiceConflict(root, originalSender, sourceChainId, existing.sourceChainId);
+            return;
+        }
+        emit InvoiceRootReceived(originalSender, root, sourceChainId, count);
+    }
+
+    /**
+     * @dev Stores the metadata of a received invoice. A status change from the origin that
+     *      arrived before the invoice is newer than its status at creation, so it is kept.
+     */
+    function receiveMetadata(bytes32 invoiceHash, InvoiceMetadata memory metadata) private {
+        InvoiceStatus status = invoiceMetadata[invoiceHash].status;
+        invoiceMetadata[invoiceHash] = metadata;
+        if (statusSequences[invoiceHash] != 0) {
+            invoiceMetadata[invoiceHash].status = status;
+        }
+    }
+
+    /**
+     * @dev Applies a status change from another chain and emits InvoiceStatusReceived. Changes
+     *      from a chain other than the invoice's origin emit InvoiceConflict instead. Changes for
+     *      invoices that have not arrived yet are kept per source chain until they do.
+     */
+    function receiveStatusUpdate(StatusUpdate memory update, uint32 sourceChainId, address originalSender) private {
+        bytes32 invoiceHash = update.invoiceHash;
+        uint32 originChainId = localInvoices[invoiceHash]
+            ? uint32(block.chainid)
+            : receivedInvoices[invoiceHash].sourceChainId;
+        if (originChainId == 0) {
+            keepEarlyStatusUpdate(update, sourceChainId, originalSender);
+            return;
+        }
+        if (originChainId != sourceChainId) {
+            emit InvoiceConflict(invoiceHash, originalSender, sourceChainId, originChainId);
+            return;
+        }
+
+        // A late or repeated change never overwrites a newer one
+        bool applied = update.sequence > statusSequences[invoiceHash];
+        if (applied) {
+            statusSequences[invoiceHash] = update.sequence;
+            invoiceMetadata[invoiceHash].status = update.status;
+        }
+        emit InvoiceStatusReceived(originalSender, invoiceHash, update.status, update.sequence, applied);
+    }
+
+    /**
+     * @dev Keeps the latest status change of a source chain for an invoice that has not arrived
+     *      yet, since the origin is not known until it does
+     */
+    function keepEarlyStatusUpdate(StatusUpdate memory update, uint32 sourceChainId, address originalSender) private {
+        bytes32 invoiceHash = update.invoiceHash;
+        EarlyStatusUpdate storage early = earlyStatusUpdates[invoiceHash][sourceChainId];
+        bool applied = update.sequence > early.sequence;
+        if (applied) {
+            if (early.sequence == 0) {
+                earlyStatusChains[invoiceHash].push(sourceChainId);
+            }
+            earlyStatusUpdates[invoiceHash][sourceChainId] = EarlyStatusUpdate(update.status, update.sequence, originalSender);
+        }
+        emit InvoiceStatusReceived(originalSender, invoiceHash, update.status, update.sequence, applied);
+    }
+
+    /**
+     * @dev Applies the early status change of a newly received invoice's origin and emits
+     *      InvoiceConflict for those from other chains, which are dropped
+     */
+    function applyEarlyStatusUpdates(bytes32 invoiceHash, uint32 originChainId) private {
+        uint32[] memory chainIds = earlyStatusChains[invoiceHash];
+        for (uint i = 0; i < chainIds.length; i++) {
+            EarlyStatusUpdate memory early = earlyStatusUpdates[invoiceHash][chainIds[i]];
+            if (chainIds[i] == originChainId) {
+                statusSequences[invoiceHash] = early.sequence;
+                invoiceMetadata[invoiceHash].status = early.status;
+            } else {
+                emit InvoiceConflict(invoiceHash, early.originalSender, chainIds[i], originChainId);
+            }
+            delete earlyStatusUpdates[invoiceHash][chainIds[i]];
+        }
+        delete earlyStatusChains[invoiceHash];
+    }
+
+    function isStatusTransition(InvoiceStatus from, InvoiceStatus to) private pure returns (bool) {
+        if (from == InvoiceStatus.Issued) {
+            return to == InvoiceStatus.Paid || to == InvoiceStatus.Cancelled || to == InvoiceStatus.Disputed;
+        }
+        if (from == InvoiceStatus.Disputed) {
+            return to == InvoiceStatus.Issued || to == InvoiceStatus.Paid || to == InvoiceStatus.Cancelled;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Builds a Merkle root bottom-up, an odd node at the end of a layer is promoted as-is
+     * @dev Matches merkletreejs with { hashLeaves: true, sortPairs: true } (see scripts/lib/merkle.js)
+     */
+    function computeMerkleRoot(bytes32[] memory nodes) private pure returns (bytes32) {
+        uint256 length = nodes.length;
+        while (length > 1) {
+            uint256 next = 0;
+            for(uint i = 0; i < length; i += 2) {
+                nodes[next++] = i + 1 < length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i];
+            }
+            length = next;
+        }
+        return nodes[0];
+    }
+
+    function hashPair(bytes32 a, bytes32 b) private pure returns (bytes32) {
+        return a < b
+            ? keccak256(abi.encodePacked(a, b))
+            : keccak256(abi.encodePacked(b, a));
+    }
+}
+
+/**
+ * @title InvoiceIDBatcher
+ * @notice A contract for batching and cross-chain relaying of invoice IDs using Polymer Protocol
+ * @dev This contract allows for efficient batching of invoice IDs and secure cross-chain message passing
+ * @dev Deployed directly, it cannot be upgraded; see InvoiceIDBatcherUpgradeable for the proxied variant
+ */
+contract InvoiceIDBatcher is InvoiceIDBatcherBase {
+    /**
+     * @notice Contract constructor
+     * @param _polymerProver Address of the Polymer Prover contract
+     * @param _admin Initial admin, who starts with the submitter and batcher roles
+     */
+    constructor(address _polymerProver, address _admin) {
+        initializeBatcher(_polymerProver, _admin);
+    }
 }
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./invoiceIDBatcher.sol";
+
+/**
+ * @title InvoiceIDBatcherUpgradeable
+ * @notice InvoiceIDBatcher behind an InvoiceBatcherProxy, so the admin can upgrade it in place
+ * @dev Follows ERC-1822 (UUPS): the upgrade logic lives in the implementation and the proxy
+ *      only stores the implementation address in the ERC-1967 slot. The proxy keeps all state
+ *      (pending invoices, trusted sources, roles, received batches) across upgrades.
+ * @dev This contract and the implementations derived from it must not declare state variables:
+ *      add them at the end of InvoiceIDBatcherBase, or keep them in an ERC-7201 namespaced slot
+ *      (see mocks/InvoiceIDBatcherUpgradeableV2Mock.sol). upgrade:v2 rejects any other state.
+ */
+contract InvoiceIDBatcherUpgradeable is InvoiceIDBatcherBase {
+    // ERC-1967 implementation slot, bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    // Address of this implementation, to tell direct calls from calls through a proxy
+    address private immutable self = address(this);
+
+    /**
+     * @notice Emitted when the proxy switches to a new implementation
+     * @param implementation The new implementation
+     */
+    event Upgraded(address indexed implementation);
+
+    /**
+     * @notice Locks the implementation itself, only proxies get initialized
+     * @dev Without this, anyone could initialize the implementation, become its admin and
+     *      upgrade it to a contract that self-destructs
+     */
+    constructor() {
+        admin = address(this);
+    }
+
+    /**
+     * @notice Sets up a new proxy, called by the InvoiceBatcherProxy constructor
+     * @param _polymerProver Address of the Polymer Prover contract, or zero to set it later
+     *        with setPolymerProver. deploy:v2 passes zero, since provers differ between chains
+     *        and the proxy address would depend on them
+     * @param _admin Initial admin, who starts with the submitter and batcher roles
+     * @dev Can only be called once, the admin is never the zero address afterwards
+     */
+    function initialize(address _polymerProver, address _admin) external {
+        require(admin == address(0), "Already initialized");
+        initializeBatcher(_polymerProver, _admin);
+    }
+
+    /**
+     * @notice Returns the implementation the proxy currently delegates to
+     */
+    function implementation() external view returns (address impl) {
+        assembly {
+            impl := sload(IMPLEMENTATION_SLOT)
+        }
+    }
+
+    /**
+     * @notice Switches the proxy to a new implementation, optionally running a migration
+     * @param newImplementation The new implementation, which must be UUPS-upgradeable itself
+     * @param data Call to run on the new implementation in the proxy's context (e.g. a
+     *        migration function), or empty for none
+     * @dev State is kept as it is, so the new implementation must keep the storage layout
+     *      of InvoiceIDBatcherBase and only append to it
+     * @dev Only admin can call this function, and only through the proxy
+     */
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external {
+        require(address(this) != self, "Only callable through the proxy");
+        require(msg.sender == admin, "Only admin can upgrade");
+
+        // Refuse implementations that could not be upgraded again
+        try InvoiceIDBatcherUpgradeable(newImplementation).proxiableUUID() returns (bytes32 slot) {
+            require(slot == IMPLEMENTATION_SLOT, "Unsupported proxiable UUID");
+        } catch {
+            revert("New implementation is not upgradeable");
+        }
+
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, newImplementation)
+        }
+        emit Upgraded(newImplementation);
+
+        if (data.length > 0) {
+            (bool success, bytes memory result) = newImplementation.delegatecall(data);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+
+    /**
+     * @notice ERC-1822: the storage slot of the implementation address
+     * @dev Reverts through a proxy, so that a proxy is never set as an implementation
+     */
+    function proxiableUUID() external view returns (bytes32) {
+        require(address(this) == self, "Only callable on the implementation");
+        return IMPLEMENTATION_SLOT;
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../invoiceIDBatcherUpgradeable.sol";
+
+/**
+ * @title InvoiceIDBatcherUpgradeableV2Mock
+ * @notice Stand-in for a future implementation, used to test upgrades
+ * @dev Keeps its own state in an ERC-7201 namespace, never in regular state variables, which
+ *      would overlap the ones later appended to InvoiceIDBatcherBase. Sets it in a migration.
+ */
+contract InvoiceIDBatcherUpgradeableV2Mock is InvoiceIDBatcherUpgradeable {
+    /// @custom:storage-location erc7201:polymer-invoice-batcher.storage.V2Mock
+    struct V2MockStorage {
+        // Set by migrate, zero before
+        uint256 migratedAt;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("polymer-invoice-batcher.storage.V2Mock")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant V2_MOCK_STORAGE = 0x38bedd468dda7a4e481ef3921b4c7c7c49e116b6a78720fed37d284a843a3600;
+
+    function v2MockStorage() private pure returns (V2MockStorage storage s) {
+        assembly {
+            s.slot := V2_MOCK_STORAGE
+        }
+    }
+
+    /**
+     * @notice Returns when the migration ran, zero before
+     */
+    function migratedAt() external view returns (uint256) {
+        return v2MockStorage().migratedAt;
+    }
+
+    /**
+     * @notice Example migration, run with upgradeToAndCall
+     * @dev Only admin can call this function
+     */
+    function migrate() external {
+        require(msg.sender == admin, "Only admin can migrate");
+        v2MockStorage().migratedAt = block.timestamp;
+    }
+}
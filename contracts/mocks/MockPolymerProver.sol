@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/IPolymerProver.sol";
+
+/**
+ * @title MockPolymerProver
+ * @notice Local stand-in for the Polymer Prover, used for offline end-to-end tests
+ * @dev A "proof" is the plain ABI encoding of the event and its position:
+ * @dev abi.encode(uint32 chainId, address emittingContract, bytes topics, bytes data,
+ * @dev uint64 blockNumber, uint16 receiptIndex, uint8 logIndex)
+ * @dev It is produced by scripts/lib/proofProviders.js (LocalProofProvider and the mock
+ * @dev Polymer server). Nothing is verified, so this contract must never be used on a public network.
+ */
+contract MockPolymerProver is IPolymerProver {
+    /**
+     * @notice Decodes the event carried by a locally encoded proof
+     * @param proof The locally encoded proof
+     * @return chainId The source chain ID
+     * @return emittingContract The address that emitted the event
+     * @return topics The concatenated event topics (including event signature)
+     * @return data The event data
+     */
+    function validateEvent(
+        bytes calldata proof
+    )
+        external
+        pure
+        override
+        returns (
+            uint32 chainId,
+            address emittingContract,
+            bytes memory topics,
+            bytes memory data
+        )
+    {
+        (chainId, emittingContract, topics, data, , , ) = decodeProof(proof);
+    }
+
+    /**
+     * @notice Returns the identifier of the event a locally encoded proof refers to
+     * @param proof The locally encoded proof
+     * @return srcChain The source chain ID
+     * @return blockNumber The block number that contains the event
+     * @return receiptIndex The position of the transaction in the block
+     * @return logIndex The position of the event within the transaction logs
+     */
+    function inspectLogIdentifier(
+        bytes calldata proof
+    )
+        external
+        pure
+        override
+        returns (
+            uint32 srcChain,
+            uint64 blockNumber,
+            uint16 receiptIndex,
+            uint8 logIndex
+        )
+    {
+        (srcChain, , , , blockNumber, receiptIndex, logIndex) = decodeProof(proof);
+    }
+
+    function decodeProof(
+        bytes calldata proof
+    )
+        private
+        pure
+        returns (uint32, address, bytes memory, bytes memory, uint64, uint16, uint8)
+    {
+        return abi.decode(proof, (uint32, address, bytes, bytes, uint64, uint16, uint8));
+    }
+}
@@ -1,84 +1,71 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { CHAINS, getChain } = require("./config/chains");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 
+// Every chain of the registry with an RPC URL becomes a network of the same
+// name, so remote networks without an RPC in .env are left out and local and
+// offline usage does not require every testnet to be configured
+const chains = Object.keys(CHAINS)
+  .map(key => getChain(key))
+  .filter(chain => chain.rpc);
+
+const networks = {
+  // Chain ID of the built-in network and of `hardhat node`; run a second
+  // node with HARDHAT_CHAIN_ID=31338 to get two distinct local chains
+  hardhat: {
+    chainId: parseInt(process.env.HARDHAT_CHAIN_ID || "31337", 10),
+  },
+  ...Object.fromEntries(chains.map(chain => [chain.key, {
+    url: chain.rpc,
+    accounts: PRIVATE_KEY ? [PRIVATE_KEY] : "remote",
+    chainId: chain.chainId,
+  }])),
+};
+
+const verifiableChains = Object.values(CHAINS).filter(chain => chain.explorer);
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.19",
+  solidity: {
+    version: "0.8.19",
+    settings: {
+      // Keeps InvoiceIDBatcherUpgradeable below the 24KB contract size limit
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      // Storage layouts are compared by upgrade:v2 before upgrading a proxy
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
+      }
+    }
+  },
   paths: {
     sources: "./contracts",
     artifacts: "./artifacts",
   },
-  // Include the InvoiceIDBatcher contract
+  // Include the InvoiceIDBatcher contracts
   includeFiles: [
-    "contracts/invoiceIDBatcher.sol"
+    "contracts/invoiceIDBatcher.sol",
+    "contracts/invoiceIDBatcherUpgradeable.sol",
+    "contracts/invoiceBatcherProxy.sol"
   ],
-  networks: {
-    "optimism-sepolia": {
-      url: process.env.OPTIMISM_SEPOLIA_RPC,
-      accounts: [process.env.PRIVATE_KEY],
-    },
-    "base-sepolia": {
-      url: process.env.BASE_SEPOLIA_RPC,
-      accounts: [process.env.PRIVATE_KEY],
-    },
-    "arbitrum-sepolia": {
-      url: process.env.ARBITRUM_SEPOLIA_RPC,
-      accounts: [process.env.PRIVATE_KEY],
-    },
-    modeSepolia: {
-      url: process.env.MODE_SEPOLIA_RPC,
-      accounts: [process.env.PRIVATE_KEY],
-      chainId: 919
-    },
-    bobSepolia: {
-      url: process.env.BOB_SEPOLIA_RPC,
-      accounts: [PRIVATE_KEY],
-      chainId: 808813,
-    },
-    inkSepolia: {
-      url: process.env.INK_SEPOLIA_RPC,
-      accounts: [PRIVATE_KEY],
-      chainId: 763373,
-    },
-    unichainSepolia: {
-      url: process.env.UNICHAIN_SEPOLIA_RPC,
-      accounts: [PRIVATE_KEY],
-      chainId: 1301,
-    },
-  },
+  networks,
   etherscan: {
-    apiKey: {
-      "optimism-sepolia": process.env.OPTIMISM_API_KEY,
-      "base-sepolia": process.env.BASE_API_KEY,
-      "arbitrum-sepolia": process.env.ARBITRUM_API_KEY
-    },
-    customChains: [
-      {
-        network: "optimism-sepolia",
-        chainId: 11155420,
-        urls: {
-          apiURL: "https://api-sepolia-optimistic.etherscan.io/api",
-          browserURL: "https://sepolia-optimism.etherscan.io/"
-        }
-      },
-      {
-        network: "base-sepolia",
-        chainId: 84532,
-        urls: {
-          apiURL: "https://api-sepolia.basescan.org/api",
-          browserURL: "https://sepolia.basescan.org/"
-        }
-      },
-      {
-        network: "arbitrum-sepolia",
-        chainId: 421614,
-        urls: {
-          apiURL: "https://api-sepolia.arbiscan.io/api",
-          browserURL: "https://sepolia.arbiscan.io/"
-        }
+    apiKey: Object.fromEntries(
+      verifiableChains.map(chain => [chain.key, process.env[chain.explorer.apiKeyEnv]])
+    ),
+    customChains: verifiableChains.map(chain => ({
+      network: chain.key,
+      chainId: chain.chainId,
+      urls: {
+        apiURL: chain.explorer.apiURL,
+        browserURL: chain.explorer.browserURL
       }
-    ]
+    }))
   },
 };
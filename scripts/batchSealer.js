@@ -0,0 +1,282 @@
+/**
+ * Batch sealing daemon that seals pending invoices without manual batchInvoices calls
+ *
+ * Usage:
+ * ```bash
+ * # Start the sealer (run it next to the relayer)
+ * npm run batch:sealer
+ *
+ * # Or using node directly:
+ * node scripts/batchSealer.js
+ * ```
+ *
+ * This script will:
+ * 1. Poll getPendingInvoicesCount() and pendingSince() on every enabled chain
+ * 2. Seal the batch once BATCH_SEALER_MAX_PENDING invoices are pending,
+ *    or once the oldest one is BATCH_SEALER_MAX_AGE_SECONDS old
+ * 3. Seal with batchInvoices, or batchInvoiceRoot when BATCH_SEALER_MODE=root
+ *    (batches with invoice metadata are always sealed with batchInvoices)
+ * 4. Batch pending invoice status changes with batchStatusUpdates, at the same
+ *    thresholds (getPendingStatusUpdatesCount() and statusUpdatesPendingSince())
+ *
+ * Only one sealer may run per chain. Each chain is guarded by a lock file in
+ * RELAYER_STATE_DIR. A second instance skips the chains that are already
+ * locked, and exits if no chains are left. Just before sealing, the sealer
+ * simulates the transaction, so a batch sealed by someone else in the
+ * meantime is skipped instead of reverting on-chain. Other reverts, e.g. a
+ * wallet without BATCHER_ROLE, are logged as errors on every poll.
+ *
+ * Requirements:
+ * - Contracts must be deployed (run deploy:v2)
+ * - Wallet must have gas tokens on all chains
+ *
+ * To stop the sealer:
+ * Press Ctrl+C
+ */
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getEnabledChains } = require("../config/chains");
+const { ProcessLock } = require("./lib/processLock");
+
+const CONTRACT_ABI = [
+    "function getPendingInvoicesCount() external view returns (uint256)",
+    "function pendingSince() external view returns (uint64)",
+    "function sendingPaused() external view returns (bool)",
+    "function batchInvoices() external",
+    "function batchInvoiceRoot() external",
+    "function getPendingStatusUpdatesCount() external view returns (uint256)",
+    "function statusUpdatesPendingSince() external view returns (uint64)",
+    "function batchStatusUpdates() external"
+];
+
+const BATCH_MODES = ["list", "root"];
+
+// Defaults, overridable through the environment
+const MAX_PENDING = parseInt(process.env.BATCH_SEALER_MAX_PENDING || "50", 10);
+const MAX_AGE_SECONDS = parseInt(process.env.BATCH_SEALER_MAX_AGE_SECONDS || "300", 10);
+const POLL_INTERVAL_MS = parseInt(process.env.BATCH_SEALER_POLL_INTERVAL_MS || "15000", 10);
+const BATCH_MODE = process.env.BATCH_SEALER_MODE || "list";
+
+class BatchSealer {
+    constructor({
+        maxPending = MAX_PENDING,
+        maxAgeSeconds = MAX_AGE_SECONDS,
+        pollIntervalMs = POLL_INTERVAL_MS,
+        batchMode = BATCH_MODE
+    } = {}) {
+        if (!BATCH_MODES.includes(batchMode)) {
+            throw new Error(`Invalid batch mode "${batchMode}", expected one of: ${BATCH_MODES.join(", ")}`);
+        }
+        this.maxPending = maxPending;
+        this.maxAgeSeconds = maxAgeSeconds;
+        this.pollIntervalMs = pollIntervalMs;
+        this.batchMode = batchMode;
+        this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+        this.targets = [];
+        this.pollTimer = null;
+        this.polling = null;
+    }
+
+    async init() {
+        console.log(chalk.cyan(`👛 Using wallet address: ${this.wallet.address}`));
+        console.log(chalk.cyan(`📦 Sealing at ${this.maxPending} invoices or after ${this.maxAgeSeconds}s (${this.batchMode} mode)`));
+
+        for (const chain of getEnabledChains()) {
+            const address = chain.invoiceBatcherAddress;
+            if (!address) {
+                console.log(chalk.yellow(`⚠️  Skipping ${chain.name} - No invoice batcher deployed (deployments/${chain.key}.json or ${chain.envPrefix}_INVOICEBATCHER_ADDRESS)`));
+                continue;
+            }
+
+            const lock = new ProcessLock(`batch-sealer-${chain.chainId}`);
+            try {
+                lock.acquire();
+            } catch (error) {
+                console.log(chalk.yellow(`⚠️  Skipping ${chain.name} - Another sealer is running (${error.message})`));
+                continue;
+            }
+
+            // Every poll must see the latest block, not one cached from the previous round
+            const provider = new ethers.JsonRpcProvider(chain.rpc, undefined, {
+                cacheTimeout: -1
+            });
+            const contract = new ethers.Contract(address, CONTRACT_ABI, this.wallet.connect(provider));
+            this.targets.push({ chain, provider, contract, lock });
+            console.log(chalk.cyan(`>  ${chain.name} contract: ${address}`));
+        }
+
+        if (this.targets.length === 0) {
+            throw new Error("No chains available to seal");
+        }
+    }
+
+    async start() {
+        console.log(chalk.blue("\n🚀 Starting batch sealer..."));
+        await this.poll();
+        this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+        console.log(chalk.green(`\n✅ Batch sealer active on ${this.targets.length} chains`));
+    }
+
+    async stop() {
+        console.log(chalk.yellow("\n⏹️  Stopping batch sealer..."));
+        clearInterval(this.pollTimer);
+        await this.polling;
+        this.targets.forEach(target => target.lock.release());
+    }
+
+    /**
+     * Checks every chain once, never overlapping with a previous round
+     */
+    async poll() {
+        if (this.polling) return this.polling;
+        this.polling = (async () => {
+            for (const target of this.targets) {
+                try {
+                    await this.checkChain(target);
+                    await this.checkStatusUpdates(target);
+                } catch (error) {
+                    console.error(chalk.red(`❌ ${target.chain.name}: ${error.message}`));
+                }
+            }
+        })();
+        try {
+            await this.polling;
+        } finally {
+            this.polling = null;
+        }
+    }
+
+    /**
+     * Seals the pending batch of one chain if a threshold is reached
+     * @returns The sealing receipt, or null if nothing was sealed
+     */
+    async checkChain(target) {
+        const count = Number(await target.contract.getPendingInvoicesCount());
+        const reason = await this.getSealReason(target, count, target.contract.pendingSince, "invoice", "invoices");
+        return reason ? this.seal(target, reason) : null;
+    }
+
+    /**
+     * Batches the pending status changes of one chain, with the same thresholds as invoices
+     * @returns The batching receipt, or null if nothing was batched
+     */
+    async checkStatusUpdates(target) {
+        const { chain, contract } = target;
+        const count = Number(await contract.getPendingStatusUpdatesCount());
+        const reason = await this.getSealReason(target, count, contract.statusUpdatesPendingSince, "status change", "status changes");
+        if (!reason) return null;
+
+        console.log(chalk.yellow(`\n🔄 Batching ${chain.name} status changes: ${reason}`));
+        let estimatedGas;
+        try {
+            estimatedGas = await contract.batchStatusUpdates.estimateGas();
+        } catch (error) {
+            if (error.reason !== "No pending status updates") throw revertError("Cannot batch status changes", error);
+            console.log(chalk.yellow(`⏭️  ${chain.name}: No status changes left to batch`));
+            return null;
+        }
+
+        // Changes added between the estimate and mining make the batch more expensive
+        const tx = await contract.batchStatusUpdates({ gasLimit: estimatedGas * 12n / 10n });
+        console.log(chalk.cyan(`>  Transaction hash: ${tx.hash}`));
+        const receipt = await tx.wait();
+        console.log(chalk.green(`✅ ${chain.name}: Status changes batched in block ${receipt.blockNumber}`));
+        return receipt;
+    }
+
+    /**
+     * Checks the thresholds for a chain's pending items
+     * @param pendingSince The contract getter for the time the oldest item was added
+     * @returns Why the items should be sealed now, or null if they can wait
+     */
+    async getSealReason(target, count, pendingSince, singular, plural) {
+        if (count === 0) return null;
+
+        if (await target.contract.sendingPaused()) {
+            console.log(chalk.yellow(`⏸️  ${target.chain.name}: Sending is paused, ${count} ${plural} stay pending`));
+            return null;
+        }
+
+        // Age is measured in chain time, the clock pendingSince was written with
+        const since = Number(await pendingSince());
+        const { timestamp } = await target.provider.getBlock("latest");
+        const age = timestamp - since;
+
+        if (count >= this.maxPending) {
+            return `${count} pending ${plural}`;
+        }
+        if (age >= this.maxAgeSeconds) {
+            return `oldest ${singular} pending for ${age}s`;
+        }
+        return null;
+    }
+
+    async seal(target, reason) {
+        const { chain, contract } = target;
+        let batchFunction = this.batchMode === "root" ? contract.batchInvoiceRoot : contract.batchInvoices;
+        console.log(chalk.yellow(`\n📦 Sealing ${chain.name} batch: ${reason}`));
+
+        let estimatedGas;
+        try {
+            estimatedGas = await batchFunction.estimateGas();
+        } catch (error) {
+            if (error.reason === "No pending invoices") {
+                // Someone else sealed the batch after we read the pending count
+                console.log(chalk.yellow(`⏭️  ${chain.name}: Nothing left to seal`));
+                return null;
+            }
+            if (error.reason !== "Pending invoices have metadata") throw revertError("Cannot seal", error);
+            // Roots cannot carry invoice metadata, such batches are sealed as a list instead
+            console.log(chalk.yellow(`⚠️  ${chain.name}: Pending invoices have metadata, sealing them as a list`));
+            batchFunction = contract.batchInvoices;
+            estimatedGas = await batchFunction.estimateGas();
+        }
+
+        // Invoices added between the estimate and mining make the batch more expensive
+        const tx = await batchFunction({ gasLimit: estimatedGas * 12n / 10n });
+        console.log(chalk.cyan(`>  Transaction hash: ${tx.hash}`));
+        const receipt = await tx.wait();
+        console.log(chalk.green(`✅ ${chain.name}: Batch sealed in block ${receipt.blockNumber}`));
+        return receipt;
+    }
+}
+
+// Names the failed action in errors that poll() logs
+function revertError(action, error) {
+    if (error.code !== "CALL_EXCEPTION") return error;
+    return new Error(`${action}: ${error.reason || error.shortMessage || error.message}`);
+}
+
+async function main() {
+    const sealer = new BatchSealer();
+
+    process.on('SIGINT', async () => {
+        console.log(chalk.yellow("\n\n⏹️  Shutting down batch sealer..."));
+        await sealer.stop();
+        process.exit();
+    });
+
+    try {
+        await sealer.init();
+        await sealer.start();
+
+        console.log(chalk.blue("\n👀 Watching pending invoices... (Press Ctrl+C to stop)"));
+    } catch (error) {
+        console.error(chalk.red("\n❌ Error:"), error.message);
+        await sealer.stop();
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(chalk.red("\n❌ Fatal Error:"), error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    BatchSealer
+};
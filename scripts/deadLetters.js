@@ -0,0 +1,90 @@
+/**
+ * Inspect and requeue failed relayer deliveries
+ *
+ * Usage:
+ * ```bash
+ * # List dead-lettered deliveries
+ * npm run relayer:dlq -- list
+ *
+ * # List deliveries still waiting for a retry
+ * npm run relayer:dlq -- pending
+ *
+ * # Requeue specific entries, or all of them
+ * npm run relayer:dlq -- requeue <id> [<id> ...]
+ * npm run relayer:dlq -- requeue --all
+ * ```
+ *
+ * Requeued entries get a fresh attempt budget and are picked up by the
+ * running relayer's retry worker (or by the next relayer start).
+ * Changes are made under the queue's write lock, so this is safe to run
+ * next to a relayer.
+ *
+ * Requirements:
+ * - Same RELAYER_STATE_DIR as the relayer (defaults to ./.relayer)
+ */
+
+require("dotenv").config();
+const chalk = require("chalk");
+const { CHAINS } = require("../config/chains");
+const { DeliveryQueue } = require("./lib/deliveryQueue");
+
+function chainName(chainId) {
+    const chain = Object.values(CHAINS).find(c => c.chainId === Number(chainId));
+    return chain ? chain.name : `Chain ${chainId}`;
+}
+
+function printEntries(entries) {
+    entries.forEach(entry => {
+        console.log(chalk.yellow(`\n${entry.id}`));
+        console.log(chalk.cyan(`>  Route: ${chainName(entry.sourceChainId)} → ${chainName(entry.targetChainId)}`));
+        console.log(chalk.cyan(`>  Source Tx: ${entry.transactionHash} (block ${entry.blockNumber})`));
+        console.log(chalk.cyan(`>  Attempts: ${entry.attempts}`));
+        if (entry.deadAt) {
+            console.log(chalk.cyan(`>  Dead since: ${entry.deadAt}`));
+        } else if (entry.nextAttemptAt) {
+            console.log(chalk.cyan(`>  Next attempt: ${new Date(entry.nextAttemptAt).toISOString()}`));
+        }
+        console.log(chalk.red(`>  Last error: ${entry.lastError}`));
+    });
+}
+
+async function main() {
+    const [command = "list", ...args] = process.argv.slice(2);
+    const queue = new DeliveryQueue();
+    console.log(chalk.cyan(`📬 Delivery queue: ${queue.filePath}`));
+
+    switch (command) {
+        case "list": {
+            const deadLetters = queue.getDeadLetters();
+            console.log(chalk.blue(`\n💀 Dead letters: ${deadLetters.length}`));
+            printEntries(deadLetters);
+            break;
+        }
+        case "pending": {
+            const pending = queue.getPending();
+            console.log(chalk.blue(`\n🔁 Pending retries: ${pending.length}`));
+            printEntries(pending);
+            break;
+        }
+        case "requeue": {
+            const all = args.includes("--all");
+            const ids = args.filter(arg => arg !== "--all");
+            if (!all && ids.length === 0) {
+                throw new Error("Pass one or more entry ids, or --all");
+            }
+
+            const requeued = queue.requeue(all ? [] : ids);
+            const missing = ids.filter(id => !requeued.some(entry => entry.id === id));
+            missing.forEach(id => console.log(chalk.yellow(`⚠️  Not in dead letters: ${id}`)));
+            console.log(chalk.green(`\n✅ Requeued ${requeued.length} deliveries`));
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use list, pending or requeue`);
+    }
+}
+
+main().catch((error) => {
+    console.error(chalk.red("\n❌ Error:"), error.message);
+    process.exit(1);
+});
@@ -1,247 +1,300 @@
 /**
- * Deploy InvoiceIDBatcher contracts to all configured chains
- * 
+ * Deploy upgradeable InvoiceIDBatcher contracts to the same address on all configured chains
+ *
  * Usage:
  * ```bash
- * # Deploy to all configured chains
+ * # Deploy to all chains in ACTIVATED_CHAINS
  * npm run deploy:v2
- * 
- * # Or using node directly:
- * node scripts/deployV2.js
+ *
+ * # Deploy to a single chain
+ * npm run deploy:v2 -- --network base-sepolia
  * ```
- * 
+ *
  * This script will:
- * 1. Deploy InvoiceIDBatcher contract to each configured chain
- * 2. Update .env with contract addresses
- * 3. Display deployment progress and results
- * 
+ * 1. Work out the contract address from the CREATE2 salt, the implementation and
+ *    the admin, which is the same on every chain, and stop if it is not
+ * 2. Deploy the InvoiceIDBatcherUpgradeable implementation and an InvoiceBatcherProxy
+ *    in front of it through the CREATE2 deployment proxy to each chain that doesn't
+ *    have them yet (local chains get a MockPolymerProver first)
+ * 3. Set the chain's Polymer Prover with setPolymerProver. It is left out of the
+ *    proxy's initialization, since it differs between chains and would change the address
+ * 4. Record each deployment in deployments/<chain>.json, keeping earlier ones
+ * 5. Grant the initial submitter and batcher roles (INITIAL_SUBMITTERS / INITIAL_BATCHERS)
+ * 6. Wire up trusted sources along the topology (see setupTrustedSources.js)
+ *
+ * Chains that already have the contract are skipped, so running it again
+ * resumes a partially completed deployment. Proxies deployed with the same salt
+ * are kept even when their implementation has changed since, upgrade them with
+ * upgrade:v2 instead.
+ *
  * Requirements:
  * - .env file configured with:
  *   - PRIVATE_KEY
  *   - RPC endpoints for each chain
- *   - Polymer Prover addresses
+ *   - Polymer Prover addresses (local chains deploy a MockPolymerProver instead)
+ *   - Optional DEPLOY_SALT (label or 32-byte hex), change it to deploy a fresh set of contracts
+ *   - Optional DEPLOY_ADMIN, the contract admin (defaults to the deployer, which
+ *     then also sets the prover, grants roles and wires trusted sources)
+ *   - Optional INITIAL_SUBMITTERS / INITIAL_BATCHERS address lists (the admin always gets both roles)
  */
 
 require("dotenv").config();
 const hre = require("hardhat");
+const ethers = require("ethers");
 const chalk = require("chalk");
-const fs = require("fs");
-const path = require("path");
-const { CHAINS, getEnabledChains } = require("../config/chains");
+const { getNetworkChains } = require("../config/chains");
+const { ROLES_ABI, grantInitialRoles } = require("./lib/roles");
+const { getSalt, getDeterministicAddress, deployDeterministic } = require("./lib/create2");
+const { DeploymentManifest, recordDeployment, getCurrentDeployment } = require("./lib/deployments");
+const { getInitCode, getCompilerVersion, getStorageLayout } = require("./lib/artifacts");
+const { loadTopology } = require("./lib/topology");
+const { applyTopology } = require("./topology");
 
-async function deployToChain(chainConfig, networkName) {
-    console.log(chalk.blue(`\n🌐 Deploying to ${chalk.bold(chainConfig.name)}...`));
-    
-    // Get the Polymer Prover address
-    const polymerProverAddress = chainConfig.proverAddress;
-    if (!polymerProverAddress) {
-        throw new Error(`No Polymer Prover address found for ${chainConfig.name}`);
-    }
+const DEFAULT_SALT = "polymer-invoice-batcher";
+const IMPLEMENTATION = "InvoiceIDBatcherUpgradeable";
+const PROXY = "InvoiceBatcherProxy";
 
-    console.log(chalk.cyan(`🔗 Using Polymer Prover: ${polymerProverAddress}`));
+const PROVER_ABI = [
+    "function polymerProver() external view returns (address)",
+    "function setPolymerProver(address newProver) external"
+];
 
-    // Deploy InvoiceIDBatcher
-    console.log(chalk.yellow("📄 Deploying InvoiceIDBatcher..."));
-    const InvoiceBatcher = await hre.ethers.getContractFactory("InvoiceIDBatcher");
-    
-    const deployTx = await InvoiceBatcher.deploy(polymerProverAddress, {
-        gasLimit: 3000000
-    });
+/**
+ * Works out what each chain gets deployed, before anything is sent
+ * @dev Throws when the new proxy would get different addresses on different chains
+ */
+async function planDeployments(chains, salt, admin) {
+    const mockProverInitCode = await getInitCode("MockPolymerProver");
+    const mockProverAddress = getDeterministicAddress(salt, mockProverInitCode);
+    const implementationInitCode = await getInitCode(IMPLEMENTATION);
+    const implementation = {
+        initCode: implementationInitCode,
+        address: getDeterministicAddress(salt, implementationInitCode)
+    };
+    // Only chain-independent arguments, the prover is set after deployment
+    const initializer = new ethers.Interface(["function initialize(address _polymerProver, address _admin)"]);
+    const initData = initializer.encodeFunctionData("initialize", [ethers.ZeroAddress, admin]);
+    const errors = [];
+    const plans = [];
+
+    for (const chainConfig of chains) {
+        // Local chains fall back to a mock prover, deployed deterministically as well.
+        // A recorded mock is planned again, as local nodes start empty after a restart
+        const recordedMock = getCurrentDeployment(chainConfig.key, "MockPolymerProver");
+        const usesMock = chainConfig.local &&
+            (!chainConfig.proverAddress || Boolean(recordedMock && recordedMock.address === chainConfig.proverAddress));
+        const mockProver = usesMock ? { initCode: mockProverInitCode, address: mockProverAddress } : null;
+        const proverAddress = mockProver ? mockProver.address : chainConfig.proverAddress;
+        if (!proverAddress) {
+            errors.push(`${chainConfig.name}: no Polymer Prover address (POLYMER_PROVER_${chainConfig.envPrefix}_CONTRACT_ADDRESS)`);
+            continue;
+        }
+
+        const initCode = await getInitCode(PROXY, [implementation.address, initData]);
+        const proxyAddress = getDeterministicAddress(salt, initCode);
+
+        // The proxy address depends on the implementation it starts with, so after an
+        // upgrade a proxy from this salt would land elsewhere: keep the recorded one
+        const deployed = getCurrentDeployment(chainConfig.key, "InvoiceIDBatcher");
+        const existing = deployed && deployed.implementation && deployed.salt === salt && deployed.address !== proxyAddress
+            ? deployed.address
+            : null;
+
+        plans.push({
+            chainConfig,
+            admin,
+            mockProver,
+            proverAddress,
+            implementation,
+            initCode,
+            proxyAddress,
+            existing,
+            address: existing || proxyAddress
+        });
+    }
+
+    // Proxies recorded before an upgrade keep their address, new ones must all match
+    const proxyAddresses = new Set(plans.map(plan => plan.proxyAddress));
+    if (proxyAddresses.size > 1) {
+        errors.push(...plans.map(plan => `${plan.chainConfig.name}: proxy would be deployed at ${plan.proxyAddress}`));
+    }
 
-    console.log(chalk.yellow("⏳ Waiting for deployment transaction..."));
-    
-    // Get the deployment transaction
-    const deploymentTx = deployTx.deploymentTransaction();
-    if (!deploymentTx) {
-        throw new Error("Deployment transaction failed to create");
+    if (errors.length > 0) {
+        throw new Error(`Cannot deploy:\n  - ${errors.join("\n  - ")}`);
     }
-    
-    console.log(chalk.cyan(">  Transaction Hash:"), deploymentTx.hash);
+    return plans;
+}
+
+async function deployToChain(plan, salt, wallet) {
+    const { chainConfig } = plan;
+    console.log(chalk.blue(`\n🌐 Deploying to ${chalk.bold(chainConfig.name)}...`));
 
-    // Wait for deployment with timeout
+    // Transactions follow each other quickly, so nonces must not come from the request cache
+    const provider = new ethers.JsonRpcProvider(chainConfig.rpc, undefined, {
+        cacheTimeout: -1
+    });
+    const signer = wallet.connect(provider);
+    const manifest = new DeploymentManifest(chainConfig);
     try {
-        // First wait for the transaction to be mined
-        console.log(chalk.yellow("⏳ Waiting for transaction to be mined..."));
-        const provider = deploymentTx.provider;
-        
-        // Poll for transaction receipt
-        let receipt = null;
-        for (let i = 0; i < 30; i++) { // Try for 5 minutes (30 * 10 seconds)
-            receipt = await provider.getTransactionReceipt(deploymentTx.hash);
-            if (receipt) {
-                break;
-            }
-            console.log(chalk.yellow(`>  Attempt ${i + 1}/30: Waiting for receipt...`));
-            await new Promise(r => setTimeout(r, 10000)); // Wait 10 seconds between attempts
+        const network = await provider.getNetwork();
+        if (network.chainId !== BigInt(chainConfig.chainId)) {
+            throw new Error(`${chainConfig.envPrefix}_RPC points to chain ${network.chainId}, expected ${chainConfig.chainId}`);
         }
 
-        if (!receipt) {
-            throw new Error("Failed to get transaction receipt after 5 minutes");
+        if (plan.mockProver) {
+            console.log(chalk.yellow("📄 Deploying MockPolymerProver (local chains only)..."));
+            const { receipt } = await deployDeterministic(signer, salt, plan.mockProver.initCode);
+            console.log(chalk.green(`✅ MockPolymerProver at: ${plan.mockProver.address}`));
+            await recordDeployment(manifest, "MockPolymerProver", {
+                address: plan.mockProver.address, receipt, provider, salt,
+                compilerVersion: await getCompilerVersion("MockPolymerProver")
+            });
         }
+        console.log(chalk.cyan(`🔗 Using Polymer Prover: ${plan.proverAddress}`));
 
-        console.log(chalk.cyan(">  Transaction mined in block:"), receipt.blockNumber);
-        
-        // Additional confirmations
-        const currentBlock = await provider.getBlockNumber();
-        console.log(chalk.cyan(">  Current block:"), currentBlock);
-        
-        if (!receipt.status) {
-            throw new Error("Transaction failed");
+        if (plan.existing) {
+            if ((await provider.getCode(plan.existing)) !== "0x") {
+                console.log(chalk.green(`✅ Already deployed at: ${plan.existing} (upgrade it with upgrade:v2)`));
+                return { chainConfig, address: plan.existing, deployed: false };
+            }
+            console.log(chalk.yellow(`⚠️  Recorded InvoiceIDBatcher ${plan.existing} has no code (was the node reset?), deploying a new one`));
         }
 
-        const invoiceBatcherAddress = await deployTx.getAddress();
-        console.log(chalk.green(`✅ Deployed to: ${invoiceBatcherAddress}`));
-        console.log(chalk.green("✅ Deployment confirmed in block:", receipt.blockNumber));
-        console.log(chalk.cyan(">  Block Hash:"), receipt.blockHash);
-        console.log(chalk.cyan(">  Gas Used:"), receipt.gasUsed.toString());
+        console.log(chalk.yellow(`📄 Deploying ${IMPLEMENTATION} implementation...`));
+        const implementation = await deployDeterministic(signer, salt, plan.implementation.initCode);
+        console.log(chalk.green(`✅ Implementation at: ${implementation.address}`));
+        await recordDeployment(manifest, IMPLEMENTATION, {
+            address: implementation.address,
+            receipt: implementation.receipt,
+            provider,
+            salt,
+            compilerVersion: await getCompilerVersion(IMPLEMENTATION),
+            extra: { storageLayout: await getStorageLayout(IMPLEMENTATION) }
+        });
+
+        console.log(chalk.yellow("📄 Deploying InvoiceIDBatcher proxy..."));
+        const { address, receipt } = await deployDeterministic(signer, salt, plan.initCode);
+        if (receipt) {
+            console.log(chalk.green(`✅ Deployed to: ${address}`));
+            console.log(chalk.green("✅ Deployment confirmed in block:", receipt.blockNumber));
+            console.log(chalk.cyan(">  Block Hash:"), receipt.blockHash);
+            console.log(chalk.cyan(">  Gas Used:"), receipt.gasUsed.toString());
+        } else {
+            console.log(chalk.green(`✅ Already deployed at: ${address}`));
+        }
+
+        await setProver(plan, address, signer, wallet);
+
+        await recordDeployment(manifest, "InvoiceIDBatcher", {
+            address, receipt, provider, salt,
+            compilerVersion: await getCompilerVersion(PROXY),
+            extra: {
+                admin: plan.admin,
+                proverAddress: plan.proverAddress,
+                implementation: implementation.address
+            }
+        });
 
-        // Update .env file
         const envKey = `${chainConfig.envPrefix}_INVOICEBATCHER_ADDRESS`;
-        updateEnvFile(envKey, invoiceBatcherAddress);
-
-        return { chainConfig, contract: deployTx, address: invoiceBatcherAddress };
-    } catch (error) {
-        console.error(chalk.red("\nError during deployment:"), error.message);
-        console.log(chalk.yellow(">  Transaction Hash:"), deploymentTx.hash);
-        console.log(chalk.yellow(">  Please check the transaction on the network explorer"));
-        throw error;
+        if (process.env[envKey] && process.env[envKey].toLowerCase() !== address.toLowerCase()) {
+            console.log(chalk.yellow(`⚠️  ${envKey} in .env overrides the manifest with ${process.env[envKey]}, remove it to use ${address}`));
+        }
+        return { chainConfig, address, deployed: Boolean(receipt) };
+    } finally {
+        provider.destroy();
     }
 }
 
-async function setupTrustedSources(deployments) {
-    console.log(chalk.blue("\n🔄 Setting up trusted sources..."));
+/**
+ * Points a freshly deployed proxy, which starts without a prover, to the chain's prover
+ */
+async function setProver(plan, address, signer, wallet) {
+    const batcher = new ethers.Contract(address, PROVER_ABI, signer);
+    const current = await batcher.polymerProver();
+    if (current === ethers.getAddress(plan.proverAddress)) return;
 
-    for (const source of deployments) {
-        console.log(chalk.yellow(`\n📝 Configuring ${source.chainConfig.name}...`));
-        
-        // Get contract instance
-        const InvoiceBatcher = await hre.ethers.getContractFactory("InvoiceIDBatcher");
-        const sourceContract = InvoiceBatcher.attach(source.address);
-        
-        // For each other chain, set it as trusted source
-        for (const target of deployments) {
-            if (source.chainConfig.chainId === target.chainConfig.chainId) continue;
-
-            console.log(chalk.cyan(`>  Adding ${target.chainConfig.name} as trusted source...`));
-            console.log(chalk.cyan(`   Chain ID: ${target.chainConfig.chainId}`));
-            console.log(chalk.cyan(`   Address: ${target.address}`));
-            
-            try {
-                const tx = await sourceContract.setTrustedSourceContract(
-                    target.chainConfig.chainId,
-                    target.address,
-                    { 
-                        gasLimit: 200000,
-                        maxFeePerGas: hre.ethers.parseUnits("2", "gwei"),
-                        maxPriorityFeePerGas: hre.ethers.parseUnits("1", "gwei")
-                    }
-                );
-                
-                console.log(chalk.yellow("   Transaction Hash:"), tx.hash);
-                console.log(chalk.yellow("   Waiting for confirmation..."));
-                
-                const receipt = await tx.wait(1);
-                
-                if (!receipt.status) {
-                    throw new Error("Transaction failed");
-                }
-                
-                console.log(chalk.green("✅ Added successfully"));
-                console.log(chalk.cyan("   Block Number:"), receipt.blockNumber);
-                console.log(chalk.cyan("   Gas Used:"), receipt.gasUsed.toString());
-            } catch (error) {
-                console.error(chalk.red("❌ Failed to add trusted source:"), error.message);
-                if (error.transaction) {
-                    console.log(chalk.yellow("   Transaction Hash:"), error.transaction.hash);
-                }
-                throw error; // Halt the process if setting trusted source fails
-            }
-        }
+    if (current !== ethers.ZeroAddress) {
+        console.log(chalk.yellow(`⚠️  The contract uses Polymer Prover ${current}, not ${plan.proverAddress} (the admin can change it with setPolymerProver)`));
+        return;
     }
+    if (plan.admin !== wallet.address) {
+        console.log(chalk.yellow(`⚠️  No Polymer Prover set yet. Have ${plan.admin} call setPolymerProver(${plan.proverAddress})`));
+        return;
+    }
+
+    console.log(chalk.yellow("🔗 Setting the Polymer Prover..."));
+    const tx = await batcher.setPolymerProver(plan.proverAddress);
+    await tx.wait();
+    console.log(chalk.green("✅ Polymer Prover set"));
 }
 
-async function verifySetup(deployments) {
-    console.log(chalk.blue("\n🔍 Verifying setup..."));
-
-    for (const source of deployments) {
-        console.log(chalk.yellow(`\nChecking ${source.chainConfig.name}:`));
-        
-        for (const target of deployments) {
-            if (source.chainConfig.chainId === target.chainConfig.chainId) continue;
-
-            try {
-                const trustedAddress = await source.contract.trustedSourceContracts(target.chainConfig.chainId);
-                const isCorrect = trustedAddress.toLowerCase() === target.address.toLowerCase();
-                
-                console.log(
-                    isCorrect 
-                        ? chalk.green(`✅ ${target.chainConfig.name}: Correctly configured`)
-                        : chalk.red(`❌ ${target.chainConfig.name}: Mismatch - Expected ${target.address}, got ${trustedAddress}`)
-                );
-            } catch (error) {
-                console.error(chalk.red(`❌ Error checking ${target.chainConfig.name}:`), error.message);
-            }
+async function grantRoles(deployments, wallet) {
+    for (const { chainConfig, address } of deployments) {
+        console.log(chalk.yellow(`\n🔑 Granting initial roles on ${chainConfig.name}...`));
+        const provider = new ethers.JsonRpcProvider(chainConfig.rpc);
+        try {
+            await grantInitialRoles(new ethers.Contract(address, ROLES_ABI, wallet.connect(provider)));
+        } finally {
+            provider.destroy();
         }
     }
 }
 
-function updateEnvFile(key, value) {
-    const envPath = path.join(__dirname, "../.env");
-    let envContent = fs.readFileSync(envPath, "utf8");
-    
-    const envRegex = new RegExp(`${key}=.*`, "g");
-    if (envContent.match(envRegex)) {
-        envContent = envContent.replace(envRegex, `${key}=${value}`);
-    } else {
-        envContent += `\n${key}=${value}`;
+async function setupTrustedSources(wallet) {
+    // Picks up the addresses just recorded in the manifests
+    const topology = loadTopology();
+    if (Object.keys(topology.chains).length < 2) {
+        console.log(chalk.yellow("\n⚠️  Skipping trusted sources - fewer than two chains deployed"));
+        return;
     }
-    
-    fs.writeFileSync(envPath, envContent);
-    console.log(chalk.cyan(`📝 Updated ${key} in .env`));
+
+    console.log(chalk.blue("\n🔄 Setting up trusted sources..."));
+    const sent = await applyTopology(topology, wallet);
+    console.log(chalk.green(`✅ Trusted sources match the topology (${sent} transactions sent)`));
 }
 
 async function main() {
-    // Get network argument from Hardhat's runtime environment
     const networkName = hre.network.name;
     console.log(chalk.blue(`\n🔍 Network detected: ${networkName}`));
+    const chains = getNetworkChains(networkName);
 
-    // Find matching chain configuration
-    const chain = Object.values(CHAINS).find(c => 
-        c.name.toLowerCase().replace(' ', '-') === networkName ||
-        networkName === c.envPrefix.toLowerCase()
-    );
-    
-    if (!chain) {
-        console.error(chalk.red("Available networks:"));
-        Object.values(CHAINS).forEach(c => {
-            console.log(chalk.yellow(`- ${c.name.toLowerCase().replace(' ', '-')}`));
-        });
-        throw new Error(`Network ${networkName} not found in chain configurations`);
-    }
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+    const admin = process.env.DEPLOY_ADMIN ? ethers.getAddress(process.env.DEPLOY_ADMIN) : wallet.address;
+    const salt = getSalt(process.env.DEPLOY_SALT || DEFAULT_SALT);
 
     console.log(chalk.blue("🚀 Starting deployment process"));
-    console.log(chalk.cyan("Target chain:"));
-    console.log(chalk.cyan(`- ${chain.name} (${chain.chainId})`));
-
-    const deployments = [];
+    console.log(chalk.cyan(`👛 Deployer: ${wallet.address}`));
+    console.log(chalk.cyan(`👑 Admin: ${admin}`));
+    console.log(chalk.cyan(`🧂 Salt: ${salt}`));
 
-    try {
-        const deployment = await deployToChain(chain, networkName);
-        deployments.push(deployment);
-
-        if (deployments.length > 1) {
-            // Setup trusted sources
-            await setupTrustedSources(deployments);
+    const plans = await planDeployments(chains, salt, admin);
+    console.log(chalk.cyan("Target chains:"));
+    plans.forEach(plan => {
+        console.log(chalk.cyan(`- ${plan.chainConfig.name} (${plan.chainConfig.chainId}): ${plan.address}`));
+    });
+    if (new Set(plans.map(plan => plan.address)).size > 1) {
+        console.log(chalk.yellow("⚠️  Addresses differ between chains because some keep a proxy deployed before an upgrade"));
+    }
 
-            // Verify setup
-            await verifySetup(deployments);
+    const deployments = [];
+    for (const plan of plans) {
+        try {
+            deployments.push(await deployToChain(plan, salt, wallet));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Failed to deploy to ${plan.chainConfig.name}:`), error.shortMessage || error.message);
+            console.log(chalk.yellow(">  Run the deployment again to resume, deployed chains are skipped"));
+            throw error;
         }
+    }
 
-        console.log(chalk.green("\n✅ Deployment process completed!"));
-    } catch (error) {
-        console.error(chalk.red(`\n❌ Failed to deploy to ${chain.name}:`), error);
-        process.exit(1);
+    if (admin !== wallet.address) {
+        console.log(chalk.yellow(`\n⚠️  The deployer is not the admin. Have ${admin} set the Polymer Provers and run setup:trusted to grant roles and wire trusted sources`));
+    } else {
+        await grantRoles(deployments, wallet);
+        await setupTrustedSources(wallet);
     }
+
+    console.log(chalk.green("\n✅ Deployment process completed!"));
 }
 
 // Handle errors
@@ -252,6 +305,6 @@ process.on("unhandledRejection", (error) => {
 main()
     .then(() => process.exit(0))
     .catch((error) => {
-        console.error(chalk.red("\n❌ Error:"), error);
+        console.error(chalk.red("\n❌ Error:"), error.message);
         process.exit(1);
     });
@@ -0,0 +1,153 @@
+/**
+ * Reveal and verify salted invoice commitments
+ *
+ * Usage:
+ * ```bash
+ * # Print the salt and commitment of an invoice, to hand its ID and salt to a counterparty
+ * npm run invoice:commitment -- reveal <invoiceId> [salt]
+ *
+ * # Check an invoice ID and salt against the registry on every enabled chain
+ * npm run invoice:commitment -- verify <invoiceId> <salt|plain>
+ * ```
+ *
+ * reveal derives the salt from INVOICE_COMMITMENT_SECRET when INVOICE_COMMITMENT=secret.
+ * Random salts cannot be derived: pass the salt from the import results file. A
+ * revealed salt tells nothing about other invoices or the secret.
+ *
+ * verify commits to the ID with the salt ("plain" for legacy hashes) and reports,
+ * for each chain, whether the invoice was created there (localInvoices) or received
+ * from another chain (getInvoiceOrigin). It exits with 1 when no chain knows it.
+ *
+ * Requirements:
+ * - verify: RPC endpoints and deployments for ACTIVATED_CHAINS, no secret
+ */
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getEnabledChains } = require("../config/chains");
+const {
+    commitInvoice,
+    deriveSalt,
+    getCommitmentMode,
+    hashInvoiceId
+} = require("./lib/invoices");
+
+const CONTRACT_ABI = [
+    "function localInvoices(bytes32) external view returns (bool)",
+    "function isInvoiceKnown(bytes32) external view returns (bool)",
+    "function getInvoiceOrigin(bytes32) external view returns (tuple(uint32 sourceChainId, address originalSender, uint64 receivedAt, bytes32 sourceBatchId))"
+];
+
+/**
+ * Looks up the commitment of an invoice ID and salt on every enabled chain
+ * @param salt The revealed salt, or "plain" for a legacy keccak256 hash of the ID
+ * @returns { invoiceHash, chains: [{ chain, created, origin }] }, origin being null
+ *          unless the chain received the invoice from another chain
+ */
+async function verifyInvoice(invoiceId, salt) {
+    const invoiceHash = salt === "plain" ? hashInvoiceId(invoiceId) : commitInvoice(invoiceId, salt);
+    const chains = [];
+
+    for (const chain of getEnabledChains().filter(c => c.rpc && c.invoiceBatcherAddress)) {
+        const provider = new ethers.JsonRpcProvider(chain.rpc, chain.chainId, { staticNetwork: true });
+        try {
+            const contract = new ethers.Contract(chain.invoiceBatcherAddress, CONTRACT_ABI, provider);
+            const created = await contract.localInvoices(invoiceHash);
+            let origin = null;
+            if (await contract.isInvoiceKnown(invoiceHash)) {
+                const { sourceChainId, originalSender, receivedAt, sourceBatchId } = await contract.getInvoiceOrigin(invoiceHash);
+                origin = {
+                    sourceChainId: Number(sourceChainId),
+                    originalSender,
+                    receivedAt: Number(receivedAt),
+                    sourceBatchId
+                };
+            }
+            chains.push({ chain: chain.key, created, origin });
+        } finally {
+            provider.destroy();
+        }
+    }
+    return { invoiceHash, chains };
+}
+
+function reveal(invoiceId, salt) {
+    const mode = getCommitmentMode();
+    if (!salt && mode === "random") {
+        throw new Error("Random salts cannot be derived, pass the salt from the import results file");
+    }
+    if (!salt && mode === "plain") {
+        console.log(chalk.yellow("⚠️  INVOICE_COMMITMENT=plain: the invoice is a plain keccak256 hash, there is no salt"));
+        console.log(chalk.cyan(`>  Hash: ${hashInvoiceId(invoiceId)}`));
+        console.log(chalk.yellow(`>  Verify with: npm run invoice:commitment -- verify ${invoiceId} plain`));
+        return;
+    }
+
+    const revealedSalt = salt || deriveSalt(invoiceId, process.env.INVOICE_COMMITMENT_SECRET);
+    console.log(chalk.blue(`\n🔓 Invoice ${invoiceId}`));
+    console.log(chalk.cyan(`>  Salt: ${revealedSalt}`));
+    console.log(chalk.cyan(`>  Commitment: ${commitInvoice(invoiceId, revealedSalt)}`));
+    console.log(chalk.yellow(`>  Verify with: npm run invoice:commitment -- verify ${invoiceId} ${revealedSalt}`));
+}
+
+async function verify(invoiceId, salt) {
+    const enabledChains = getEnabledChains();
+    const { invoiceHash, chains } = await verifyInvoice(invoiceId, salt);
+    console.log(chalk.blue(`\n🔍 Invoice ${invoiceId}`));
+    console.log(chalk.cyan(`>  Commitment: ${invoiceHash}`));
+
+    for (const { chain, created, origin } of chains) {
+        const { name } = enabledChains.find(c => c.key === chain);
+        if (created) {
+            console.log(chalk.green(`✅ ${name}: Created on this chain`));
+        } else if (origin) {
+            const sourceChain = enabledChains.find(c => c.chainId === origin.sourceChainId);
+            const source = sourceChain ? sourceChain.name : `Chain ${origin.sourceChainId}`;
+            console.log(chalk.green(`✅ ${name}: Received from ${source}`));
+            console.log(chalk.cyan(`>  Sender: ${origin.originalSender}`));
+            console.log(chalk.cyan(`>  Source batch: ${origin.sourceBatchId}`));
+            console.log(chalk.cyan(`>  Received at: ${new Date(origin.receivedAt * 1000).toISOString()}`));
+        } else {
+            console.log(chalk.yellow(`⏳ ${name}: Unknown`));
+        }
+    }
+
+    const known = chains.some(({ created, origin }) => created || origin);
+    if (!known) {
+        console.log(chalk.red("\n❌ No chain knows this commitment, check the invoice ID and salt"));
+    }
+    return known;
+}
+
+async function main() {
+    const [command, invoiceId, salt] = process.argv.slice(2);
+    switch (command) {
+        case "reveal":
+            if (!invoiceId) {
+                throw new Error("Usage: npm run invoice:commitment -- reveal <invoiceId> [salt]");
+            }
+            reveal(invoiceId, salt);
+            return true;
+        case "verify":
+            if (!invoiceId || !salt) {
+                throw new Error("Usage: npm run invoice:commitment -- verify <invoiceId> <salt|plain>");
+            }
+            return verify(invoiceId, salt);
+        default:
+            throw new Error(`Unknown command "${command}". Use reveal or verify`);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch((error) => {
+            console.error(chalk.red("\n❌ Error:"), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    verifyInvoice
+};
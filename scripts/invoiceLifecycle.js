@@ -0,0 +1,126 @@
+/**
+ * Record a status change of an invoice on its origin chain
+ *
+ * Usage:
+ * ```bash
+ * npm run invoice:lifecycle -- <chain> <status> <invoiceId|invoiceHash> [salt] [--batch]
+ *
+ * # Example: mark an invoice as paid and batch the change right away
+ * npm run invoice:lifecycle -- base-sepolia paid INVOICE_1740000000000_0 --batch
+ * ```
+ *
+ * This script will:
+ * 1. Commit to the invoice ID like sendInvoices.js (INVOICE_COMMITMENT), or
+ *    with the given salt
+ * 2. Call updateInvoiceStatus on the chain the invoice was created on. Issued
+ *    invoices can become paid, cancelled or disputed, disputed ones issued,
+ *    paid or cancelled; paid and cancelled are final
+ * 3. With --batch, seal the pending status changes with batchStatusUpdates,
+ *    otherwise they wait for the batch sealer (or the next --batch)
+ *
+ * The relayer carries InvoiceStatusBatch events to the other chains, which apply
+ * each change only if it is newer than the status they have.
+ *
+ * Requirements:
+ * - The invoice was created on <chain> with metadata
+ * - Wallet must be a submitter on <chain>, and a batcher for --batch
+ * - Wallet must have gas tokens on <chain>
+ */
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getChain } = require("../config/chains");
+const { toInvoiceHash } = require("./lib/invoices");
+const { INVOICE_STATUSES, parseInvoiceStatus } = require("./lib/invoiceMetadata");
+
+const CONTRACT_ABI = [
+    "event InvoiceStatusChanged(address indexed sender, bytes32 indexed invoiceHash, uint8 status, uint64 sequence)",
+    "function updateInvoiceStatus(bytes32 invoiceHash, uint8 status) external",
+    "function batchStatusUpdates() external",
+    "function getInvoiceStatus(bytes32 invoiceHash) view returns (uint8 status, uint64 sequence)"
+];
+
+/**
+ * Changes the status of an invoice created on a chain
+ * @param options { chain, invoiceHash, status, batch }, chain as returned by getChain
+ *        and status a name accepted by parseInvoiceStatus
+ * @returns { invoiceHash, status, sequence, transactionHash, batchTransactionHash },
+ *          batchTransactionHash being null without batch
+ */
+async function updateInvoiceStatus({ chain, invoiceHash, status, batch = false }) {
+    const statusName = parseInvoiceStatus(status);
+    if (!chain.invoiceBatcherAddress) {
+        throw new Error(`No invoice batcher deployed for chain ${chain.name} (deployments/${chain.key}.json or ${chain.envPrefix}_INVOICEBATCHER_ADDRESS)`);
+    }
+
+    const provider = new ethers.JsonRpcProvider(chain.rpc);
+    try {
+        const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+        const contract = new ethers.Contract(chain.invoiceBatcherAddress, CONTRACT_ABI, wallet);
+
+        // Simulate first, so invalid transitions fail with the contract's reason
+        const statusIndex = INVOICE_STATUSES.indexOf(statusName);
+        const gasLimit = await contract.updateInvoiceStatus.estimateGas(invoiceHash, statusIndex);
+        const tx = await contract.updateInvoiceStatus(invoiceHash, statusIndex, { gasLimit });
+        const receipt = await tx.wait();
+        const changed = receipt.logs
+            .map(log => contract.interface.parseLog(log))
+            .find(event => event && event.name === "InvoiceStatusChanged");
+
+        let batchTransactionHash = null;
+        if (batch) {
+            const batchGas = await contract.batchStatusUpdates.estimateGas();
+            const batchTx = await contract.batchStatusUpdates({ gasLimit: batchGas });
+            await batchTx.wait();
+            batchTransactionHash = batchTx.hash;
+        }
+
+        return {
+            invoiceHash,
+            status: statusName,
+            sequence: Number(changed.args.sequence),
+            transactionHash: tx.hash,
+            batchTransactionHash
+        };
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const batch = args.includes("--batch");
+    const [chainKey, status, invoice, salt] = args.filter(arg => arg !== "--batch");
+    if (!chainKey || !status || !invoice) {
+        throw new Error("Usage: npm run invoice:lifecycle -- <chain> <status> <invoiceId|invoiceHash> [salt] [--batch]");
+    }
+
+    const chain = getChain(chainKey);
+    const invoiceHash = toInvoiceHash(invoice, salt);
+    console.log(chalk.blue(`\n🔄 Invoice ${invoice} on ${chain.name}`));
+    console.log(chalk.cyan(`>  Hash: ${invoiceHash}`));
+
+    const result = await updateInvoiceStatus({ chain, invoiceHash, status, batch });
+    console.log(chalk.green(`✅ Status changed to ${result.status} (status change #${result.sequence})`));
+    console.log(chalk.cyan(`>  Transaction hash: ${result.transactionHash}`));
+    if (result.batchTransactionHash) {
+        console.log(chalk.green("✅ Status changes batched"));
+        console.log(chalk.cyan(`>  Transaction hash: ${result.batchTransactionHash}`));
+    } else {
+        console.log(chalk.yellow("⏳ The change is pending until the next batchStatusUpdates (batch sealer or --batch)"));
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(chalk.red("\n❌ Error:"), error.reason || error.shortMessage || error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    updateInvoiceStatus
+};
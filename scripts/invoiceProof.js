@@ -0,0 +1,111 @@
+/**
+ * Membership proof for an invoice in a Merkle root batch
+ *
+ * Usage:
+ * ```bash
+ * npm run invoice:proof -- <chain> <batchTxHash> <invoiceId|invoiceHash> [salt]
+ *
+ * # Example
+ * npm run invoice:proof -- base-sepolia 0x1234... INVOICE_1740000000000_0
+ * ```
+ *
+ * This script will:
+ * 1. Find the InvoiceRootBatch event in the batch transaction on the source chain
+ * 2. Rebuild the batch's Merkle tree from the preceding NewInvoice events
+ * 3. Print the membership proof of the invoice
+ * 4. Check the proof with verifyInvoice on every other enabled chain
+ *
+ * Requirements:
+ * - RPC in .env and a deployment manifest (or contract address in .env) for the source chain
+ * - Invoice IDs are committed like sendInvoices.js (INVOICE_COMMITMENT), or with
+ *   the given salt; pass a 0x-prefixed 32-byte hash to use it as-is
+ */
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getChain, getEnabledChains } = require("../config/chains");
+const {
+    buildInvoiceTree,
+    getInvoiceProof,
+    collectBatchInvoices,
+    assertBatchRoot
+} = require("./lib/merkle");
+const { toInvoiceHash } = require("./lib/invoices");
+
+const CONTRACT_ABI = [
+    "event NewInvoice(address indexed sender, bytes32 indexed invoiceHash)",
+    "event InvoiceRootBatch(address indexed sender, bytes32 root, uint256 count)",
+    "function verifyInvoice(bytes32 root, bytes32 invoiceHash, bytes32[] proof) external view returns (bool)"
+];
+
+function getContract(chain) {
+    if (!chain.rpc || !chain.invoiceBatcherAddress) {
+        return null;
+    }
+    return new ethers.Contract(chain.invoiceBatcherAddress, CONTRACT_ABI, new ethers.JsonRpcProvider(chain.rpc));
+}
+
+async function main() {
+    const [chainKey, batchTxHash, invoice, salt] = process.argv.slice(2);
+    if (!chainKey || !batchTxHash || !invoice) {
+        throw new Error("Usage: npm run invoice:proof -- <chain> <batchTxHash> <invoiceId|invoiceHash> [salt]");
+    }
+
+    const sourceChain = getChain(chainKey);
+    const contract = getContract(sourceChain);
+    if (!contract) {
+        throw new Error(`Missing ${sourceChain.envPrefix}_RPC, or no invoice batcher deployed (deployments/${chainKey}.json or ${sourceChain.envPrefix}_INVOICEBATCHER_ADDRESS)`);
+    }
+
+    const invoiceHash = toInvoiceHash(invoice, salt);
+
+    console.log(chalk.yellow(`\n🔍 Loading batch ${batchTxHash} on ${sourceChain.name}...`));
+    const receipt = await contract.runner.provider.getTransactionReceipt(batchTxHash);
+    if (!receipt) {
+        throw new Error("Batch transaction not found");
+    }
+
+    const batchLog = receipt.logs.find(log =>
+        log.address.toLowerCase() === contract.target.toLowerCase() &&
+        log.topics[0] === contract.interface.getEvent("InvoiceRootBatch").topicHash
+    );
+    if (!batchLog) {
+        throw new Error("No InvoiceRootBatch event in this transaction");
+    }
+    const { root, count } = contract.interface.parseLog(batchLog).args;
+
+    const invoices = await collectBatchInvoices(contract, batchLog, Number(count));
+    assertBatchRoot(invoices, root);
+    const proof = getInvoiceProof(buildInvoiceTree(invoices), invoiceHash);
+
+    console.log(chalk.green("✅ Invoice found in batch"));
+    console.log(chalk.cyan(">  Merkle Root:", root));
+    console.log(chalk.cyan(">  Invoices in batch:", count.toString()));
+    console.log(chalk.cyan(">  Invoice Hash:", invoiceHash));
+    console.log(chalk.cyan(">  Proof:"), JSON.stringify(proof));
+
+    console.log(chalk.blue("\n📊 Verification on other chains:"));
+    for (const chain of getEnabledChains()) {
+        if (chain.chainId === sourceChain.chainId) continue;
+        const destination = getContract(chain);
+        if (!destination) {
+            console.log(chalk.yellow(`⚠️  ${chain.name}: No contract configured`));
+            continue;
+        }
+
+        try {
+            const valid = await destination.verifyInvoice(root, invoiceHash, proof);
+            console.log(valid
+                ? chalk.green(`✅ ${chain.name}: Verified`)
+                : chalk.yellow(`⏳ ${chain.name}: Root not received yet`));
+        } catch (error) {
+            console.log(chalk.red(`❌ ${chain.name}: ${error.message}`));
+        }
+    }
+}
+
+main().catch((error) => {
+    console.error(chalk.red("\n❌ Error:"), error.message);
+    process.exit(1);
+});
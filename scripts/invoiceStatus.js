@@ -0,0 +1,309 @@
+/**
+ * Where an invoice is, across all chains
+ *
+ * Usage:
+ * ```bash
+ * npm run invoice:status -- <invoiceId|invoiceHash> [salt]
+ *
+ * # Example
+ * npm run invoice:status -- INVOICE_1740000000000_0
+ * ```
+ *
+ * This script will:
+ * 1. Commit to the invoice ID like sendInvoices.js (INVOICE_COMMITMENT), or
+ *    with the given salt
+ * 2. Look for the invoice on every enabled chain: where it was created
+ *    (NewInvoice), the batch that sealed it (InvoiceBatch, InvoiceMetadataBatch
+ *    or InvoiceRootBatch) and where it arrived (InvoiceReceived, InvoiceRootReceived
+ *    for its root, or InvoiceConflict when the chain already knew it from elsewhere),
+ *    and its status changes (InvoiceStatusChanged, InvoiceStatusReceived)
+ * 3. Print these events as a timeline, and the current status of the invoice
+ *    on every chain that knows it (getInvoiceStatus)
+ * 4. Print which chains the origin's batches are routed to have received it
+ *    and which are still missing
+ *
+ * Requirements:
+ * - RPC endpoints and deployments for ACTIVATED_CHAINS, and the topology the
+ *   relayer uses (config/topology.json or TOPOLOGY_FILE)
+ * - Chains are scanned from their deployment block, or from <CHAIN>_START_BLOCK
+ * - Pass a 0x-prefixed 32-byte hash to use it as-is
+ */
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getEnabledChains } = require("../config/chains");
+const { loadTopology, getRouteTargets } = require("./lib/topology");
+const { getScanStartBlock } = require("./lib/deployments");
+const { queryFilterChunks, queryFilterInRanges } = require("./lib/logs");
+const { toInvoiceHash } = require("./lib/invoices");
+const { INVOICE_STATUSES, fromMetadataStruct } = require("./lib/invoiceMetadata");
+
+const CONTRACT_ABI = [
+    "event NewInvoice(address indexed sender, bytes32 indexed invoiceHash)",
+    "event InvoiceBatch(address indexed sender, bytes32[] invoices)",
+    "event InvoiceMetadataBatch(address indexed sender, bytes32[] invoices, tuple(address issuer, uint256 amount, address currency, uint64 dueDate, uint8 status)[] metadata)",
+    "event InvoiceRootBatch(address indexed sender, bytes32 root, uint256 count)",
+    "event InvoiceReceived(address indexed originalSender, bytes32 indexed invoiceHash)",
+    "event InvoiceRootReceived(address indexed originalSender, bytes32 indexed root, uint32 sourceChainId, uint256 count)",
+    "event InvoiceConflict(bytes32 indexed invoiceHash, address indexed originalSender, uint32 sourceChainId, uint32 existingChainId)",
+    "event InvoiceStatusChanged(address indexed sender, bytes32 indexed invoiceHash, uint8 status, uint64 sequence)",
+    "event InvoiceStatusReceived(address indexed originalSender, bytes32 indexed invoiceHash, uint8 status, uint64 sequence, bool applied)",
+    "function getInvoiceStatus(bytes32 invoiceHash) view returns (uint8 status, uint64 sequence)"
+];
+
+const BATCH_EVENTS = ["InvoiceBatch", "InvoiceMetadataBatch", "InvoiceRootBatch"];
+
+class ChainLookup {
+    constructor(entry) {
+        this.chain = entry.chainConfig;
+        this.provider = new ethers.JsonRpcProvider(this.chain.rpc, this.chain.chainId, { staticNetwork: true });
+        this.contract = new ethers.Contract(entry.address, CONTRACT_ABI, this.provider);
+        this.blockTimes = new Map();
+    }
+
+    async init() {
+        this.fromBlock = getScanStartBlock(this.chain, this.contract.target);
+        this.toBlock = await this.provider.getBlockNumber();
+    }
+
+    query(filter, fromBlock = this.fromBlock) {
+        return queryFilterInRanges(this.contract, filter, fromBlock, this.toBlock);
+    }
+
+    // Batches seal every pending invoice, so the first one after the invoice is its batch
+    async findBatch(created) {
+        const topics = BATCH_EVENTS.map(eventName => this.contract.interface.getEvent(eventName).topicHash);
+        for await (const logs of queryFilterChunks(this.contract, [topics], created.blockNumber, this.toBlock)) {
+            const batch = logs.find(log =>
+                log.blockNumber > created.blockNumber ||
+                (log.blockNumber === created.blockNumber && log.index > created.index)
+            );
+            if (batch) return batch;
+        }
+        return null;
+    }
+
+    async getTime(blockNumber) {
+        if (!this.blockTimes.has(blockNumber)) {
+            const block = await this.provider.getBlock(blockNumber);
+            this.blockTimes.set(blockNumber, new Date(block.timestamp * 1000).toISOString());
+        }
+        return this.blockTimes.get(blockNumber);
+    }
+}
+
+/**
+ * Finds an invoice on every enabled chain
+ * @returns { invoiceHash, origins, metadata, statuses, timeline, targets }, where
+ *          metadata is set when the invoice was batched with metadata, statuses
+ *          lists { chain, status, sequence } for the chains that know its status,
+ *          and each target has a status of received, conflict, root-received,
+ *          missing or not-batched
+ */
+async function getInvoiceStatus(invoiceHash, topology = loadTopology()) {
+    const enabledKeys = getEnabledChains().map(chain => chain.key);
+    const lookups = Object.values(topology.chains)
+        .filter(entry => enabledKeys.includes(entry.key) && entry.chainConfig.rpc)
+        .map(entry => new ChainLookup(entry));
+    const byChainId = new Map(lookups.map(lookup => [lookup.chain.chainId, lookup]));
+
+    try {
+        const events = [];
+        const origins = [];
+        const found = new Map();
+        const statuses = [];
+        let metadata = null;
+        for (const lookup of lookups) {
+            await lookup.init();
+            const { contract } = lookup;
+
+            const [created] = await lookup.query(contract.filters.NewInvoice(null, invoiceHash));
+            const received = await lookup.query(contract.filters.InvoiceReceived(null, invoiceHash));
+            const conflicts = await lookup.query(contract.filters.InvoiceConflict(invoiceHash));
+            found.set(lookup.chain.chainId, { received, conflicts });
+
+            if (created) {
+                const batch = await lookup.findBatch(created);
+                origins.push({ lookup, created, batch });
+                events.push({ lookup, log: created, description: `📝 Created by ${created.args.sender}` });
+                if (batch) {
+                    events.push({
+                        lookup,
+                        log: batch,
+                        description: batch.eventName === "InvoiceRootBatch"
+                            ? `📦 Batched in InvoiceRootBatch ${batch.args.root} of ${batch.args.count} invoices`
+                            : `📦 Batched in ${batch.eventName} of ${batch.args.invoices.length} invoices`
+                    });
+                }
+                if (batch && batch.eventName === "InvoiceMetadataBatch" && !metadata) {
+                    const index = batch.args.invoices.findIndex(hash => hash.toLowerCase() === invoiceHash.toLowerCase());
+                    metadata = fromMetadataStruct(batch.args.metadata[index]);
+                }
+            }
+            received.forEach(log => events.push({ lookup, log, description: `✅ Received from ${log.args.originalSender}` }));
+            conflicts.forEach(log => {
+                const existing = byChainId.get(Number(log.args.existingChainId));
+                const existingName = existing ? existing.chain.name : `chain ${log.args.existingChainId}`;
+                events.push({ lookup, log, description: `⚠️  Conflict, already known from ${existingName}` });
+            });
+
+            const changed = await lookup.query(contract.filters.InvoiceStatusChanged(null, invoiceHash));
+            const statusReceived = await lookup.query(contract.filters.InvoiceStatusReceived(null, invoiceHash));
+            changed.forEach(log => events.push({
+                lookup,
+                log,
+                description: `🔄 Status changed to ${INVOICE_STATUSES[Number(log.args.status)]} (#${log.args.sequence}) by ${log.args.sender}`
+            }));
+            statusReceived.forEach(log => events.push({
+                lookup,
+                log,
+                description: log.args.applied
+                    ? `🔄 Status ${INVOICE_STATUSES[Number(log.args.status)]} (#${log.args.sequence}) received`
+                    : `⏭️  Status ${INVOICE_STATUSES[Number(log.args.status)]} (#${log.args.sequence}) received, older than the current one`
+            }));
+
+            const [status, sequence] = await contract.getInvoiceStatus(invoiceHash);
+            if (status !== 0n) {
+                statuses.push({ chain: lookup.chain.key, status: INVOICE_STATUSES[Number(status)], sequence: Number(sequence) });
+            }
+        }
+
+        const targets = [];
+        for (const { lookup: origin, batch } of origins) {
+            for (const chainId of getRouteTargets(topology, origin.chain.chainId)) {
+                const target = byChainId.get(chainId);
+                if (!target) continue;
+                const { received, conflicts } = found.get(chainId);
+
+                let status = "not-batched";
+                let log = received[0] || conflicts[0];
+                if (received.length > 0) {
+                    status = "received";
+                } else if (conflicts.length > 0) {
+                    status = "conflict";
+                } else if (batch) {
+                    status = "missing";
+                    if (batch.eventName === "InvoiceRootBatch") {
+                        [log] = await target.query(target.contract.filters.InvoiceRootReceived(null, batch.args.root));
+                        if (log) {
+                            status = "root-received";
+                            events.push({ lookup: target, log, description: `🌳 Received root ${batch.args.root}` });
+                        }
+                    }
+                }
+                targets.push({
+                    from: origin.chain.key,
+                    chain: target.chain.key,
+                    status,
+                    transactionHash: log ? log.transactionHash : null,
+                    batchTransactionHash: batch ? batch.transactionHash : null
+                });
+            }
+        }
+
+        const timeline = [];
+        for (const { lookup, log, description } of events) {
+            timeline.push({
+                time: await lookup.getTime(log.blockNumber),
+                chain: lookup.chain.key,
+                event: log.eventName,
+                description,
+                blockNumber: log.blockNumber,
+                logIndex: log.index,
+                transactionHash: log.transactionHash
+            });
+        }
+        // Block times order events across chains, log positions within a chain
+        timeline.sort((a, b) =>
+            a.time.localeCompare(b.time) ||
+            (a.chain === b.chain ? a.blockNumber - b.blockNumber || a.logIndex - b.logIndex : 0)
+        );
+
+        return {
+            invoiceHash,
+            origins: origins.map(({ lookup }) => lookup.chain.key),
+            metadata,
+            statuses,
+            timeline,
+            targets
+        };
+    } finally {
+        lookups.forEach(lookup => lookup.provider.destroy());
+    }
+}
+
+const TARGET_STATUS = {
+    "received": target => chalk.green(`✅ ${target.name}: Received (tx ${target.transactionHash})`),
+    "conflict": target => chalk.red(`⚠️  ${target.name}: Conflict, the invoice was already known there from another origin`),
+    "root-received": target => chalk.yellow(`🌳 ${target.name}: Root received, invoice not registered yet (npm run invoice:proof -- ${target.from} ${target.batchTransactionHash} <invoiceId>)`),
+    "missing": target => chalk.red(`⏳ ${target.name}: Missing`),
+    "not-batched": target => chalk.yellow(`⏳ ${target.name}: Waiting for the invoice to be batched`)
+};
+
+async function main() {
+    const [invoice, salt] = process.argv.slice(2);
+    if (!invoice) {
+        throw new Error("Usage: npm run invoice:status -- <invoiceId|invoiceHash> [salt]");
+    }
+
+    const invoiceHash = toInvoiceHash(invoice, salt);
+    console.log(chalk.blue(`\n🔍 Invoice ${invoice}`));
+    console.log(chalk.cyan(`>  Hash: ${invoiceHash}`));
+
+    const status = await getInvoiceStatus(invoiceHash);
+    const names = Object.fromEntries(getEnabledChains().map(chain => [chain.key, chain.name]));
+
+    if (status.timeline.length === 0) {
+        console.log(chalk.yellow("\n⚠️  Not found on any enabled chain"));
+        return;
+    }
+
+    if (status.metadata) {
+        const { issuer, amount, currency, dueDate } = status.metadata;
+        console.log(chalk.blue("\n🧾 Metadata:"));
+        console.log(chalk.cyan(`>  Issuer: ${issuer}`));
+        console.log(chalk.cyan(`>  Amount: ${amount} (${currency === ethers.ZeroAddress ? "native currency" : currency})`));
+        console.log(chalk.cyan(`>  Due: ${dueDate ? new Date(dueDate * 1000).toISOString() : "none"}`));
+        console.log(chalk.cyan(`>  Status when batched: ${status.metadata.status}`));
+    }
+
+    if (status.statuses.length > 0) {
+        console.log(chalk.blue("\n🔄 Current status:"));
+        for (const { chain, status: name, sequence } of status.statuses) {
+            console.log(chalk.cyan(`>  ${names[chain]}: ${name} (${sequence} status changes)`));
+        }
+    }
+
+    console.log(chalk.blue("\n📅 Timeline:"));
+    for (const entry of status.timeline) {
+        console.log(`${chalk.gray(entry.time)}  ${chalk.bold(names[entry.chain])}  ${entry.description}`);
+        console.log(chalk.cyan(`   tx ${entry.transactionHash} (block ${entry.blockNumber})`));
+    }
+
+    if (status.origins.length === 0) {
+        console.log(chalk.yellow("\n⚠️  Not created on any enabled chain, cannot tell which chains are missing it"));
+        return;
+    }
+    for (const origin of status.origins) {
+        const targets = status.targets.filter(target => target.from === origin);
+        console.log(chalk.blue(`\n📊 Routes from ${names[origin]}:`));
+        if (targets.length === 0) {
+            console.log(chalk.yellow("⚠️  No routes to other enabled chains"));
+        }
+        targets.forEach(target => console.log(TARGET_STATUS[target.status]({ ...target, name: names[target.chain] })));
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(chalk.red("\n❌ Error:"), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    getInvoiceStatus
+};
@@ -0,0 +1,44 @@
+/**
+ * Compiled contract details for the deploy and upgrade scripts, read from
+ * the Hardhat artifacts and build info
+ */
+
+const hre = require("hardhat");
+const ethers = require("ethers");
+const { normalizeStorageLayout } = require("./upgrades");
+
+async function getInitCode(contractName, args = []) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
+    return (await factory.getDeployTransaction(...args)).data;
+}
+
+async function getContractOutput(contractName) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+    return buildInfo
+        ? { solcLongVersion: buildInfo.solcLongVersion, output: buildInfo.output.contracts[artifact.sourceName][contractName] }
+        : null;
+}
+
+async function getCompilerVersion(contractName) {
+    const build = await getContractOutput(contractName);
+    return build ? build.solcLongVersion : null;
+}
+
+/**
+ * Storage layout of a compiled contract, see scripts/lib/upgrades.js
+ */
+async function getStorageLayout(contractName) {
+    const build = await getContractOutput(contractName);
+    if (!build || !build.output.storageLayout) {
+        throw new Error(`No storage layout for ${contractName}, run npx hardhat compile --force`);
+    }
+    return normalizeStorageLayout(build.output.storageLayout);
+}
+
+module.exports = {
+    getInitCode,
+    getCompilerVersion,
+    getStorageLayout
+};
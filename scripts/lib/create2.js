@@ -0,0 +1,99 @@
+/**
+ * Deterministic deployments through the CREATE2 deployment proxy
+ *
+ * The proxy (https://github.com/Arachnid/deterministic-deployment-proxy) has
+ * the same address on every chain: it is created by a presigned transaction
+ * without a chain ID, from an account nobody holds the key of. Calling it with
+ * salt ++ init code deploys the init code with CREATE2, so the same salt,
+ * bytecode and constructor arguments give the same contract address everywhere.
+ *
+ * Public testnets already have the proxy. On chains without it (such as fresh
+ * Hardhat nodes) it is deployed first, which needs a chain that accepts
+ * transactions without EIP-155 replay protection.
+ */
+
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const DEPLOYMENT_PROXY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+const PROXY_DEPLOYER = "0x3fAB184622Dc19b6109349B94811493BF2a45362";
+// Gas limit 100000 at 100 gwei, as signed into the deployment transaction
+const PROXY_DEPLOYMENT_COST = ethers.parseEther("0.01");
+const PROXY_DEPLOYMENT_TX = "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222";
+
+/**
+ * Salt from a 32-byte hex string, or the keccak256 hash of any other label
+ */
+function getSalt(value) {
+    return ethers.isHexString(value, 32) ? value : ethers.id(value);
+}
+
+function getDeterministicAddress(salt, initCode) {
+    return ethers.getCreate2Address(DEPLOYMENT_PROXY, salt, ethers.keccak256(initCode));
+}
+
+async function isDeployed(provider, address, blockTag = "latest") {
+    return (await provider.getCode(address, blockTag)) !== "0x";
+}
+
+/**
+ * Deploys the deployment proxy if the signer's chain doesn't have it yet
+ * @returns True if it was deployed now
+ */
+async function ensureDeploymentProxy(signer) {
+    const provider = signer.provider;
+    if (await isDeployed(provider, DEPLOYMENT_PROXY)) {
+        return false;
+    }
+
+    console.log(chalk.yellow(`📄 Deploying the CREATE2 deployment proxy to ${DEPLOYMENT_PROXY}...`));
+    try {
+        const balance = await provider.getBalance(PROXY_DEPLOYER);
+        if (balance < PROXY_DEPLOYMENT_COST) {
+            const funding = await signer.sendTransaction({ to: PROXY_DEPLOYER, value: PROXY_DEPLOYMENT_COST - balance });
+            await funding.wait(1);
+        }
+        const tx = await provider.broadcastTransaction(PROXY_DEPLOYMENT_TX);
+        await tx.wait(1);
+    } catch (error) {
+        throw new Error(
+            `Cannot deploy the CREATE2 deployment proxy: ${error.shortMessage || error.message}. ` +
+            "Chains that only accept EIP-155 transactions need it deployed by their operators"
+        );
+    }
+    if (!(await isDeployed(provider, DEPLOYMENT_PROXY))) {
+        throw new Error("The CREATE2 deployment proxy transaction did not create the proxy");
+    }
+    console.log(chalk.green("✅ Deployment proxy deployed"));
+    return true;
+}
+
+/**
+ * Deploys init code with CREATE2, unless a contract already lives at its address
+ * @returns { address, receipt }, receipt is null when it was already deployed
+ */
+async function deployDeterministic(signer, salt, initCode) {
+    const address = getDeterministicAddress(salt, initCode);
+    if (await isDeployed(signer.provider, address)) {
+        return { address, receipt: null };
+    }
+
+    await ensureDeploymentProxy(signer);
+    const tx = await signer.sendTransaction({ to: DEPLOYMENT_PROXY, data: ethers.concat([salt, initCode]) });
+    console.log(chalk.cyan(">  Transaction Hash:"), tx.hash);
+
+    const receipt = await tx.wait(1);
+    // At the receipt's block, the provider may still have "latest" cached from the check above
+    if (!receipt.status || !(await isDeployed(signer.provider, address, receipt.blockNumber))) {
+        throw new Error(`CREATE2 deployment to ${address} failed (transaction ${tx.hash})`);
+    }
+    return { address, receipt };
+}
+
+module.exports = {
+    DEPLOYMENT_PROXY,
+    getSalt,
+    getDeterministicAddress,
+    ensureDeploymentProxy,
+    deployDeterministic
+};
@@ -0,0 +1,167 @@
+/**
+ * Durable queue of failed target-chain deliveries
+ *
+ * Every (source event, target chain) pair that could not be delivered is
+ * stored in `deliveries.json` next to the relayer state, together with the
+ * proof, so a retry never has to request a new one. Entries are retried with
+ * exponential backoff and jitter; once they run out of attempts they are
+ * moved to the dead-letter list, from where operators can requeue them
+ * (see scripts/deadLetters.js).
+ *
+ * The relayer and the dead-letter CLI both change the file, so every change
+ * is made under a short-lived lock file next to it.
+ */
+
+const path = require("path");
+const { JsonFileStore, getStateDir } = require("./stateStore");
+const { ProcessLock } = require("./processLock");
+
+const DEFAULT_RETRY_OPTIONS = {
+    maxAttempts: parseInt(process.env.RELAYER_MAX_DELIVERY_ATTEMPTS || "8", 10),
+    baseDelayMs: parseInt(process.env.RELAYER_RETRY_BASE_DELAY_MS || "5000", 10),
+    maxDelayMs: parseInt(process.env.RELAYER_RETRY_MAX_DELAY_MS || "600000", 10)
+};
+
+/**
+ * Exponential backoff with "equal jitter": half of the delay is fixed and
+ * the other half random, so retries from many entries spread out over time
+ */
+function computeBackoff(attempts, { baseDelayMs, maxDelayMs }) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(attempts - 1, 0));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Identifies a source batch event; the relayer uses it as the correlation ID
+ * of every log line about the batch
+ */
+function batchId(sourceChainId, transactionHash, logIndex) {
+    return `${sourceChainId}-${transactionHash}-${logIndex}`;
+}
+
+function deliveryId(sourceChainId, transactionHash, logIndex, targetChainId) {
+    return `${batchId(sourceChainId, transactionHash, logIndex)}->${targetChainId}`;
+}
+
+class DeliveryQueue extends JsonFileStore {
+    constructor(filePath = path.join(getStateDir(), "deliveries.json"), retryOptions = {}) {
+        super(filePath, { pending: [], deadLetters: [] });
+        this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+        this.lock = new ProcessLock(`${path.basename(filePath, ".json")}-write`, path.dirname(filePath));
+    }
+
+    // Read-modify-write under the lock, so no process overwrites another's change
+    update(mutator) {
+        this.lock.acquireWaiting();
+        try {
+            return super.update(mutator);
+        } finally {
+            this.lock.release();
+        }
+    }
+
+    /**
+     * Adds a failed delivery. The failed first attempt counts towards the
+     * attempt limit and schedules the first retry. A delivery that is already
+     * pending or dead-lettered is returned as it is, with `deadAt` set when dead.
+     */
+    enqueue(delivery, error) {
+        const id = deliveryId(
+            delivery.sourceChainId,
+            delivery.transactionHash,
+            delivery.logIndex,
+            delivery.targetChainId
+        );
+
+        return this.update(data => {
+            const existing = data.pending.find(entry => entry.id === id) ||
+                data.deadLetters.find(entry => entry.id === id);
+            if (existing) return existing;
+
+            const entry = {
+                id,
+                ...delivery,
+                attempts: 0,
+                createdAt: new Date().toISOString()
+            };
+            data.pending.push(entry);
+            this.applyFailure(data, entry, error);
+            return entry;
+        });
+    }
+
+    getDue(now = Date.now()) {
+        return this.read().pending.filter(entry => entry.nextAttemptAt <= now);
+    }
+
+    getPending() {
+        return this.read().pending;
+    }
+
+    getDeadLetters() {
+        return this.read().deadLetters;
+    }
+
+    recordSuccess(id) {
+        this.update(data => {
+            data.pending = data.pending.filter(entry => entry.id !== id);
+        });
+    }
+
+    /**
+     * Records a failed retry. Returns the updated entry, with `dead` set when
+     * it was moved to the dead-letter list.
+     */
+    recordFailure(id, error) {
+        return this.update(data => {
+            const entry = data.pending.find(pending => pending.id === id);
+            if (!entry) return null;
+            return this.applyFailure(data, entry, error);
+        });
+    }
+
+    applyFailure(data, entry, error) {
+        entry.attempts++;
+        entry.lastError = error instanceof Error ? error.message : String(error);
+        entry.lastAttemptAt = new Date().toISOString();
+
+        if (entry.attempts >= this.retryOptions.maxAttempts) {
+            data.pending = data.pending.filter(pending => pending.id !== entry.id);
+            delete entry.nextAttemptAt;
+            entry.deadAt = entry.lastAttemptAt;
+            data.deadLetters.push(entry);
+            return { ...entry, dead: true };
+        }
+
+        entry.nextAttemptAt = Date.now() + computeBackoff(entry.attempts, this.retryOptions);
+        return entry;
+    }
+
+    /**
+     * Moves dead-lettered entries back to the pending queue with a fresh
+     * attempt budget. Requeues every entry when no ids are given.
+     */
+    requeue(ids) {
+        return this.update(data => {
+            const selected = ids && ids.length > 0
+                ? data.deadLetters.filter(entry => ids.includes(entry.id))
+                : data.deadLetters;
+
+            for (const entry of selected) {
+                delete entry.deadAt;
+                entry.attempts = 0;
+                entry.nextAttemptAt = Date.now();
+                data.pending.push(entry);
+            }
+            data.deadLetters = data.deadLetters.filter(entry => !selected.includes(entry));
+            return selected;
+        });
+    }
+}
+
+module.exports = {
+    DeliveryQueue,
+    batchId,
+    computeBackoff,
+    deliveryId
+};
@@ -0,0 +1,137 @@
+/**
+ * Deployment manifests: one JSON file per chain, deployments/<chain key>.json
+ *
+ *   {
+ *     "network": "base-sepolia",
+ *     "chainId": 84532,
+ *     "contracts": {
+ *       "InvoiceIDBatcher": [
+ *         { "address": "0x...", "transactionHash": "0x...", "blockNumber": 123, ... }
+ *       ]
+ *     }
+ *   }
+ *
+ * Each contract keeps every deployment, oldest first. The last one is live,
+ * and the blocks of the entries show which contract was live when. Entries
+ * record the address, deploy transaction and block, deployer, admin, prover,
+ * CREATE2 salt, compiler version and the hash of the deployed bytecode.
+ *
+ * The manifests are meant to be committed. DEPLOYMENTS_DIR points elsewhere.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { JsonFileStore } = require("./stateStore");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+function getDeploymentsDir(env = process.env) {
+    return env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR;
+}
+
+function getManifestPath(chainKey, dir = getDeploymentsDir()) {
+    return path.join(dir, `${chainKey}.json`);
+}
+
+class DeploymentManifest extends JsonFileStore {
+    constructor(chainConfig, dir = getDeploymentsDir()) {
+        super(getManifestPath(chainConfig.key, dir), {
+            network: chainConfig.key,
+            chainId: chainConfig.chainId,
+            contracts: {}
+        });
+    }
+
+    getHistory(contractName) {
+        return this.read().contracts[contractName] || [];
+    }
+
+    getCurrent(contractName) {
+        const history = this.getHistory(contractName);
+        return history.length > 0 ? history[history.length - 1] : null;
+    }
+
+    /**
+     * Appends a deployment, which becomes the live one
+     * @dev Recording the live deployment again is a no-op
+     * @returns True if the entry was added
+     */
+    record(contractName, entry) {
+        return this.update(data => {
+            const history = data.contracts[contractName] || (data.contracts[contractName] = []);
+            const current = history[history.length - 1];
+            if (current && current.address === entry.address && current.transactionHash === entry.transactionHash) {
+                return false;
+            }
+            history.push(entry);
+            return true;
+        });
+    }
+}
+
+/**
+ * Records a contract in the chain's manifest, unless it is already the live one
+ * @dev A contract found deployed without a manifest entry (an interrupted run)
+ *      is recorded without its deploy transaction
+ */
+async function recordDeployment(manifest, contractName, { address, receipt, provider, salt, compilerVersion, extra }) {
+    const current = manifest.getCurrent(contractName);
+    if (!receipt && current && current.address === address) {
+        return;
+    }
+
+    const block = receipt ? await provider.getBlock(receipt.blockNumber) : null;
+    manifest.record(contractName, {
+        address,
+        transactionHash: receipt ? receipt.hash : null,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        deployedAt: block ? new Date(block.timestamp * 1000).toISOString() : null,
+        deployer: receipt ? receipt.from : null,
+        ...extra,
+        salt,
+        compilerVersion,
+        // At the receipt's block, the provider may still have "latest" cached from before the deployment
+        bytecodeHash: ethers.keccak256(await provider.getCode(address, receipt ? receipt.blockNumber : "latest"))
+    });
+    console.log(chalk.cyan(`📝 Recorded ${contractName} in ${manifest.filePath}`));
+}
+
+/**
+ * Live deployment of a contract on a chain, without creating the manifest
+ * @returns The manifest entry, or null if there is none
+ */
+function getCurrentDeployment(chainKey, contractName, dir = getDeploymentsDir()) {
+    const filePath = getManifestPath(chainKey, dir);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    const history = JSON.parse(fs.readFileSync(filePath, "utf8")).contracts[contractName] || [];
+    return history.length > 0 ? history[history.length - 1] : null;
+}
+
+/**
+ * First block worth scanning for a chain's InvoiceIDBatcher events:
+ * <PREFIX>_START_BLOCK if set, else the deployment block of the contract at
+ * that address, else 0
+ */
+function getScanStartBlock(chain, address, dir = getDeploymentsDir()) {
+    const startBlock = process.env[`${chain.envPrefix}_START_BLOCK`];
+    if (startBlock) {
+        return parseInt(startBlock, 10);
+    }
+    const deployment = getCurrentDeployment(chain.key, "InvoiceIDBatcher", dir);
+    return deployment && deployment.address === address && deployment.blockNumber !== null
+        ? deployment.blockNumber
+        : 0;
+}
+
+module.exports = {
+    getDeploymentsDir,
+    getManifestPath,
+    DeploymentManifest,
+    recordDeployment,
+    getCurrentDeployment,
+    getScanStartBlock
+};
@@ -0,0 +1,251 @@
+/**
+ * Invoice ID files for the headless mode of sendInvoices.js
+ *
+ * Input is CSV or JSON:
+ * - CSV: one invoice ID per line, taken from the invoiceId (or id) column when
+ *   the first line is a header naming one, else from the first column
+ * - JSON: an array of IDs, or of objects with an invoiceId (or id) field
+ *
+ * Invoices carry metadata when the CSV has an issuer column, or the JSON object
+ * an issuer field. Their amount, currency, dueDate (or due_date) and status are
+ * read from the columns or fields of the same names (see scripts/lib/invoiceMetadata.js).
+ * Rows with an empty issuer are submitted without metadata.
+ *
+ * Results are stored in a JSON file keyed by invoice ID, so a rerun of the
+ * same input skips the invoices that were already submitted. The file holds
+ * the salt of each salted commitment, which is the only record of random salts:
+ * invoices are recorded as pending before they are sent, and a rerun commits to
+ * an ID already in the file with its recorded hash and salt.
+ */
+
+const path = require("path");
+const { JsonFileStore } = require("./stateStore");
+const { createInvoiceCommitment } = require("./invoices");
+const { parseInvoiceMetadata } = require("./invoiceMetadata");
+
+const MAX_INVOICE_ID_LENGTH = 256;
+const ID_FIELDS = ["invoiceId", "invoice_id", "id"];
+
+// Metadata field => accepted column or field names
+const METADATA_FIELDS = {
+    issuer: ["issuer"],
+    amount: ["amount"],
+    currency: ["currency"],
+    dueDate: ["dueDate", "due_date"],
+    status: ["status"]
+};
+
+// Statuses that a rerun does not submit again
+const DONE_STATUSES = ["submitted", "exists"];
+
+function detectFormat(filePath, text) {
+    const extension = path.extname(filePath || "").toLowerCase();
+    if (extension === ".json") return "json";
+    if (extension === ".csv") return "csv";
+    return /^\s*[[{]/.test(text) ? "json" : "csv";
+}
+
+// Splits a CSV line on commas outside of double quotes ("" is an escaped quote)
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted && char === "\"" && line[i + 1] === "\"") {
+            cell += "\"";
+            i++;
+        } else if (char === "\"") {
+            quoted = !quoted;
+        } else if (char === "," && !quoted) {
+            cells.push(cell);
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells;
+}
+
+// Metadata of an entry, or undefined when it has no issuer
+function readMetadata(getValue) {
+    const metadata = {};
+    for (const [field, names] of Object.entries(METADATA_FIELDS)) {
+        const name = names.find(candidate => getValue(candidate) !== undefined);
+        metadata[field] = name === undefined ? undefined : getValue(name);
+    }
+    const { issuer } = metadata;
+    return issuer === undefined || issuer === null || String(issuer).trim() === "" ? undefined : metadata;
+}
+
+function withMetadata(entry, metadata) {
+    return metadata ? { ...entry, metadata } : entry;
+}
+
+function parseCsv(text) {
+    const rows = text.split(/\r?\n/)
+        .map((line, index) => ({ line: index + 1, cells: splitCsvLine(line) }))
+        .filter(row => row.cells.some(cell => cell.trim()));
+    if (rows.length === 0) return [];
+
+    const header = rows[0].cells.map(cell => cell.trim());
+    const field = ID_FIELDS.find(name => header.includes(name));
+    const column = field ? header.indexOf(field) : 0;
+    const hasMetadata = field && header.includes("issuer");
+    return rows.slice(field ? 1 : 0).map(row => withMetadata(
+        { line: row.line, id: row.cells[column] },
+        hasMetadata ? readMetadata(name => header.includes(name) ? row.cells[header.indexOf(name)] : undefined) : undefined
+    ));
+}
+
+function parseJson(text) {
+    let data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+        data = data && data.invoices;
+    }
+    if (!Array.isArray(data)) {
+        throw new Error("Expected a JSON array of invoice IDs, or an object with an invoices array");
+    }
+    return data.map((entry, index) => {
+        const isObject = entry && typeof entry === "object";
+        const field = isObject ? ID_FIELDS.find(name => entry[name] !== undefined) : null;
+        return withMetadata(
+            { line: index + 1, id: field ? entry[field] : entry },
+            isObject ? readMetadata(name => entry[name]) : undefined
+        );
+    });
+}
+
+/**
+ * Reads the invoice IDs of a CSV or JSON input
+ * @returns [{ line, id, metadata }], where line is the CSV line or the position in the
+ *          JSON array, and metadata holds the raw metadata fields of entries with an issuer
+ */
+function parseInvoiceIds(text, format) {
+    if (format === "json") return parseJson(text);
+    if (format === "csv") return parseCsv(text);
+    throw new Error(`Unknown format "${format}", expected csv or json`);
+}
+
+/**
+ * Validates and deduplicates parsed IDs, and commits to them in the mode of
+ * INVOICE_COMMITMENT. Surrounding whitespace is ignored and integer IDs are used as strings.
+ * @param commitments Map of invoice ID => { hash, salt } recorded by an earlier run
+ *        (ImportResults.getCommitments), reused so an ID keeps its commitment
+ * @returns { invoices: [{ id, hash, salt, metadata }], invalid: [{ line, id, reason }], duplicates: [{ line, id }] },
+ *          metadata being set for entries with metadata only
+ */
+function prepareInvoices(entries, env = process.env, commitments = new Map()) {
+    const invoices = [];
+    const invalid = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    for (const { line, id: value, metadata: fields } of entries) {
+        const id = Number.isInteger(value) ? String(value) : typeof value === "string" ? value.trim() : null;
+        let reason = null;
+        if (id === null) {
+            reason = "not a string";
+        } else if (id === "") {
+            reason = "empty invoice ID";
+        } else if (id.length > MAX_INVOICE_ID_LENGTH) {
+            reason = `longer than ${MAX_INVOICE_ID_LENGTH} characters`;
+        } else if (/[\u0000-\u001f\u007f]/.test(id)) {
+            reason = "contains control characters";
+        }
+
+        let metadata;
+        if (!reason && fields) {
+            try {
+                metadata = parseInvoiceMetadata(fields);
+            } catch (error) {
+                reason = error.message;
+            }
+        }
+
+        if (reason) {
+            invalid.push({ line, id: value === undefined ? null : value, reason });
+        } else if (seen.has(id)) {
+            duplicates.push({ line, id });
+        } else {
+            seen.add(id);
+            const commitment = commitments.get(id) || createInvoiceCommitment(id, env);
+            invoices.push(withMetadata({ id, ...commitment }, metadata));
+        }
+    }
+    return { invoices, invalid, duplicates };
+}
+
+/**
+ * Results of importing one input on one chain
+ */
+class ImportResults extends JsonFileStore {
+    constructor(filePath) {
+        super(filePath, { chain: null, contract: null, invoices: {}, invalid: [] });
+    }
+
+    /**
+     * Default results file of an input: invoices.csv => invoices.results.json
+     */
+    static defaultPath(inputPath) {
+        const { dir, name } = path.parse(inputPath);
+        return path.join(dir, `${name}.results.json`);
+    }
+
+    /**
+     * Binds the file to a chain and contract, so results are never reused for another one
+     */
+    open(chain, contract) {
+        this.update(data => {
+            if (data.chain && (data.chain !== chain.key || data.contract.toLowerCase() !== contract.toLowerCase())) {
+                throw new Error(`${this.filePath} holds results for ${data.chain} (${data.contract}), use another results file`);
+            }
+            data.chain = chain.key;
+            data.contract = contract;
+        });
+    }
+
+    /**
+     * IDs that were submitted or found on chain by an earlier run
+     */
+    getDoneIds() {
+        const { invoices } = this.read();
+        return new Set(Object.keys(invoices).filter(id => DONE_STATUSES.includes(invoices[id].status)));
+    }
+
+    /**
+     * Commitments of the invoices recorded by earlier runs
+     * @returns Map of invoice ID => { hash, salt }
+     */
+    getCommitments() {
+        const { invoices } = this.read();
+        return new Map(Object.entries(invoices).map(([id, { hash, salt }]) => [id, { hash, salt: salt || null }]));
+    }
+
+    /**
+     * Records the outcome of invoices: { id, hash, salt, metadata, status, transactionHash, blockNumber, error },
+     * status being pending for invoices about to be sent
+     */
+    record(results) {
+        const updatedAt = new Date().toISOString();
+        this.update(data => {
+            for (const { id, ...result } of results) {
+                data.invoices[id] = { ...result, updatedAt };
+            }
+        });
+    }
+
+    setInvalid(invalid) {
+        this.update(data => {
+            data.invalid = invalid;
+        });
+    }
+}
+
+module.exports = {
+    ImportResults,
+    detectFormat,
+    parseInvoiceIds,
+    prepareInvoices
+};
@@ -0,0 +1,140 @@
+/**
+ * Invoice metadata (IInvoiceRegistry.InvoiceMetadata) as read from import files and events
+ *
+ * Scripts keep metadata as { issuer, amount, currency, dueDate, status }:
+ * - issuer: address of the party that issued the invoice
+ * - amount: decimal string, in the smallest unit of the currency (1250000000 for 1250 USDC)
+ * - currency: token address, the zero address for the chain's native currency
+ * - dueDate: Unix timestamp in seconds, 0 when there is none
+ * - status: issued, paid, cancelled or disputed
+ *
+ * On chain, the status is the position in INVOICE_STATUSES. "none" marks
+ * invoices without metadata in InvoiceMetadataBatch events.
+ */
+
+const ethers = require("ethers");
+
+// IInvoiceRegistry.InvoiceStatus, in declaration order
+const INVOICE_STATUSES = ["none", "issued", "paid", "cancelled", "disputed"];
+
+// Stands in for invoices without metadata in newInvoicesWithMetadata
+const EMPTY_METADATA = {
+    issuer: ethers.ZeroAddress,
+    amount: 0n,
+    currency: ethers.ZeroAddress,
+    dueDate: 0,
+    status: 0
+};
+
+const MAX_UINT64 = 2n ** 64n - 1n;
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === "";
+}
+
+function parseAddress(value, name) {
+    const address = String(value).trim();
+    if (!ethers.isAddress(address)) {
+        throw new Error(`invalid ${name} address`);
+    }
+    return ethers.getAddress(address);
+}
+
+function parseDueDate(value) {
+    const text = String(value).trim();
+    let seconds;
+    if (/^\d+$/.test(text)) {
+        seconds = BigInt(text);
+    } else {
+        // ISO dates, e.g. 2026-01-01 or 2026-01-01T12:00:00Z
+        const time = /^\d{4}-\d{2}-\d{2}/.test(text) ? Date.parse(text) : NaN;
+        if (Number.isNaN(time)) {
+            throw new Error("invalid due date");
+        }
+        seconds = BigInt(Math.floor(time / 1000));
+    }
+    if (seconds < 0n || seconds > MAX_UINT64) {
+        throw new Error("invalid due date");
+    }
+    return Number(seconds);
+}
+
+/**
+ * Validates a status name, case-insensitively
+ * @returns The lowercase status name
+ */
+function parseInvoiceStatus(status) {
+    const name = String(status).trim().toLowerCase();
+    if (!INVOICE_STATUSES.includes(name) || name === "none") {
+        throw new Error(`unknown status "${status}", expected one of: ${INVOICE_STATUSES.slice(1).join(", ")}`);
+    }
+    return name;
+}
+
+/**
+ * Validates the metadata fields of an input entry
+ * @param fields { issuer, amount, currency, dueDate, status } as strings or numbers;
+ *        currency defaults to the native currency ("native" or empty), dueDate to
+ *        none and status to issued
+ * @returns The metadata in the form described above
+ * @throws An Error whose message is the reason the entry is invalid
+ */
+function parseInvoiceMetadata(fields) {
+    const { issuer, amount, currency, dueDate, status } = fields;
+
+    if (isBlank(issuer) || parseAddress(issuer, "issuer") === ethers.ZeroAddress) {
+        throw new Error("invalid issuer address");
+    }
+    const amountText = isBlank(amount) ? "" : String(amount).trim();
+    if (!/^\d+$/.test(amountText) || BigInt(amountText) >= 2n ** 256n) {
+        throw new Error("invalid amount, expected an integer in the smallest unit of the currency");
+    }
+    const statusName = isBlank(status) ? "issued" : parseInvoiceStatus(status);
+
+    return {
+        issuer: parseAddress(issuer, "issuer"),
+        amount: BigInt(amountText).toString(),
+        currency: isBlank(currency) || String(currency).trim().toLowerCase() === "native"
+            ? ethers.ZeroAddress
+            : parseAddress(currency, "currency"),
+        dueDate: isBlank(dueDate) ? 0 : parseDueDate(dueDate),
+        status: statusName
+    };
+}
+
+/**
+ * Converts metadata to the InvoiceMetadata tuple of the contract
+ */
+function toMetadataStruct(metadata) {
+    return {
+        issuer: metadata.issuer,
+        amount: BigInt(metadata.amount),
+        currency: metadata.currency,
+        dueDate: metadata.dueDate,
+        status: INVOICE_STATUSES.indexOf(metadata.status)
+    };
+}
+
+/**
+ * Converts an InvoiceMetadata tuple from an event or a call
+ * @returns The metadata, or null for the empty record of an invoice without metadata
+ */
+function fromMetadataStruct({ issuer, amount, currency, dueDate, status }) {
+    if (Number(status) === 0) return null;
+    return {
+        issuer,
+        amount: amount.toString(),
+        currency,
+        dueDate: Number(dueDate),
+        status: INVOICE_STATUSES[Number(status)]
+    };
+}
+
+module.exports = {
+    EMPTY_METADATA,
+    INVOICE_STATUSES,
+    fromMetadataStruct,
+    parseInvoiceMetadata,
+    parseInvoiceStatus,
+    toMetadataStruct
+};
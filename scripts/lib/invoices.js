@@ -0,0 +1,99 @@
+/**
+ * Invoice IDs as recorded on chain
+ *
+ * Contracts only see a bytes32 per invoice, so every script must derive it the
+ * same way to find an invoice again. INVOICE_COMMITMENT selects how:
+ * - plain (legacy, default): keccak256 of the ID's UTF-8 bytes. Guessable IDs
+ *   such as INVOICE_2025_0001 can be recovered from the chain by brute force.
+ * - secret: a salted commitment whose salt is derived from the ID with
+ *   INVOICE_COMMITMENT_SECRET, so the same ID always gives the same commitment
+ * - random: a salted commitment with a random salt per invoice, which must be
+ *   stored to find the invoice again
+ *
+ * A salted commitment is keccak256(abi.encode(COMMITMENT_DOMAIN, invoiceId, salt)).
+ * Revealing an invoice's ID and salt lets anyone check its commitment against
+ * the registry on any chain, without exposing other invoices or the secret.
+ */
+
+const crypto = require("crypto");
+const ethers = require("ethers");
+
+const COMMITMENT_DOMAIN = "polymer-invoice-batcher/invoice-commitment/v1";
+const SALT_DOMAIN = "polymer-invoice-batcher/invoice-salt/v1";
+const COMMITMENT_MODES = ["plain", "secret", "random"];
+const MIN_SECRET_LENGTH = 32;
+
+function hashInvoiceId(invoiceId) {
+    return ethers.keccak256(ethers.toUtf8Bytes(invoiceId));
+}
+
+function commitInvoice(invoiceId, salt) {
+    if (!ethers.isHexString(salt, 32)) {
+        throw new Error(`Invalid salt "${salt}", expected a 0x-prefixed 32-byte hex string`);
+    }
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["string", "string", "bytes32"],
+        [COMMITMENT_DOMAIN, invoiceId, salt]
+    ));
+}
+
+/**
+ * Per-invoice salt derived with HMAC-SHA256, so revealing it does not reveal the secret
+ */
+function deriveSalt(invoiceId, secret) {
+    const hmac = crypto.createHmac("sha256", secret).update(SALT_DOMAIN).update("\0").update(invoiceId);
+    return `0x${hmac.digest("hex")}`;
+}
+
+function getCommitmentMode(env = process.env) {
+    const mode = env.INVOICE_COMMITMENT || "plain";
+    if (!COMMITMENT_MODES.includes(mode)) {
+        throw new Error(`Unknown INVOICE_COMMITMENT "${mode}", expected ${COMMITMENT_MODES.join(", ")}`);
+    }
+    if (mode === "secret" && (env.INVOICE_COMMITMENT_SECRET || "").length < MIN_SECRET_LENGTH) {
+        throw new Error(`INVOICE_COMMITMENT=secret needs an INVOICE_COMMITMENT_SECRET of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return mode;
+}
+
+/**
+ * Commits to a new invoice in the configured mode
+ * @returns { hash, salt }, salt being null in plain mode
+ */
+function createInvoiceCommitment(invoiceId, env = process.env) {
+    const mode = getCommitmentMode(env);
+    if (mode === "plain") {
+        return { hash: hashInvoiceId(invoiceId), salt: null };
+    }
+    const salt = mode === "secret"
+        ? deriveSalt(invoiceId, env.INVOICE_COMMITMENT_SECRET)
+        : ethers.hexlify(ethers.randomBytes(32));
+    return { hash: commitInvoice(invoiceId, salt), salt };
+}
+
+/**
+ * Hash of an invoice given by ID, or by a 0x-prefixed 32-byte hash used as-is.
+ * IDs are committed with the given salt, or else in the configured mode.
+ */
+function toInvoiceHash(invoice, salt = null, env = process.env) {
+    if (ethers.isHexString(invoice, 32)) {
+        return invoice.toLowerCase();
+    }
+    if (salt) {
+        return commitInvoice(invoice, salt);
+    }
+    if (getCommitmentMode(env) === "random") {
+        throw new Error("Invoices committed with random salts can only be found with their salt");
+    }
+    return createInvoiceCommitment(invoice, env).hash;
+}
+
+module.exports = {
+    COMMITMENT_DOMAIN,
+    commitInvoice,
+    createInvoiceCommitment,
+    deriveSalt,
+    getCommitmentMode,
+    hashInvoiceId,
+    toInvoiceHash
+};
@@ -0,0 +1,126 @@
+/**
+ * Leveled logging for the long-running services, in a human or a JSON format
+ *
+ * - LOG_LEVEL=debug|info|warn|error (default info) drops the lower levels
+ * - LOG_FORMAT=pretty (default) prints each message in colour, its fields on
+ *   indented ">  name: value" lines below it and the bound fields in grey
+ * - LOG_FORMAT=json prints one object per line with time, level, msg, the
+ *   bound fields and the fields, for log aggregators
+ *
+ * child(fields) returns a logger that adds the fields to every line, e.g. the
+ * correlationId that ties together all lines about one relayed batch.
+ * Warnings and errors go to stderr, everything else to stdout.
+ */
+
+const chalk = require("chalk");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ["pretty", "json"];
+
+const LEVEL_COLORS = {
+    debug: chalk.gray,
+    info: text => text,
+    warn: chalk.yellow,
+    error: chalk.red
+};
+
+class Logger {
+    constructor({
+        level = process.env.LOG_LEVEL || "info",
+        format = process.env.LOG_FORMAT || "pretty",
+        bindings = {},
+        stdout = process.stdout,
+        stderr = process.stderr
+    } = {}) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown LOG_LEVEL "${level}". Use ${Object.keys(LEVELS).join(", ")}`);
+        }
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown LOG_FORMAT "${format}". Use ${FORMATS.join(" or ")}`);
+        }
+        this.level = level;
+        this.format = format;
+        this.bindings = bindings;
+        this.stdout = stdout;
+        this.stderr = stderr;
+    }
+
+    child(bindings) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            bindings: { ...this.bindings, ...bindings },
+            stdout: this.stdout,
+            stderr: this.stderr
+        });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    debug(message, fields) {
+        this.write("debug", message, fields);
+    }
+
+    info(message, fields) {
+        this.write("info", message, fields);
+    }
+
+    warn(message, fields) {
+        this.write("warn", message, fields);
+    }
+
+    error(message, fields) {
+        this.write("error", message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const values = Object.fromEntries(
+            Object.entries(fields)
+                .filter(([, value]) => value !== undefined)
+                .map(([name, value]) => [name, this.serialize(value)])
+        );
+        const line = this.format === "json"
+            ? JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...this.bindings, ...values })
+            : this.formatPretty(level, message, values);
+
+        const stream = LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout;
+        stream.write(`${line}\n`);
+    }
+
+    formatPretty(level, message, values) {
+        const bound = Object.entries(this.bindings).map(([name, value]) => `${name}=${value}`).join(" ");
+        const lines = [bound ? `${LEVEL_COLORS[level](message)} ${chalk.gray(bound)}` : LEVEL_COLORS[level](message)];
+        for (const [name, value] of Object.entries(values)) {
+            const text = typeof value === "object" && value !== null ? JSON.stringify(value) : value;
+            lines.push(chalk.cyan(`>  ${name}: ${text}`));
+        }
+        return lines.join("\n");
+    }
+
+    serialize(value) {
+        if (value instanceof Error) {
+            const message = value.shortMessage || value.message;
+            return this.isLevelEnabled("debug") && value.stack ? `${message}\n${value.stack}` : message;
+        }
+        if (typeof value === "bigint") {
+            return value.toString();
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.serialize(item));
+        }
+        return value;
+    }
+}
+
+function createLogger(options) {
+    return new Logger(options);
+}
+
+module.exports = {
+    Logger,
+    createLogger
+};
@@ -0,0 +1,32 @@
+/**
+ * Event queries over long block ranges
+ *
+ * Public RPCs limit the block range of a single eth_getLogs request, so the
+ * range is split into chunks of RELAYER_BACKFILL_BLOCK_RANGE blocks (default 2000).
+ */
+
+const BLOCK_RANGE = parseInt(process.env.RELAYER_BACKFILL_BLOCK_RANGE || "2000", 10);
+
+/**
+ * Yields the logs of each chunk in chain order, so callers can stop early
+ * @param filter An event name, a contract filter or a topic filter as for contract.queryFilter
+ */
+async function* queryFilterChunks(contract, filter, fromBlock, toBlock, blockRange = BLOCK_RANGE) {
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, toBlock);
+        yield await contract.queryFilter(filter, start, end);
+    }
+}
+
+async function queryFilterInRanges(contract, filter, fromBlock, toBlock, blockRange = BLOCK_RANGE) {
+    const logs = [];
+    for await (const chunk of queryFilterChunks(contract, filter, fromBlock, toBlock, blockRange)) {
+        logs.push(...chunk);
+    }
+    return logs;
+}
+
+module.exports = {
+    queryFilterChunks,
+    queryFilterInRanges
+};
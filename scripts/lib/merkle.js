@@ -0,0 +1,82 @@
+/**
+ * Merkle trees for InvoiceRootBatch batches
+ *
+ * Mirrors InvoiceIDBatcher.batchInvoiceRoot: leaves are keccak256(invoiceHash)
+ * in the order the invoices were added, pairs are hashed in sorted order and
+ * an odd node at the end of a layer is promoted unchanged.
+ */
+
+const ethers = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+
+// Number of blocks scanned per request when looking for a batch's invoices
+const LEAF_SEARCH_BLOCK_RANGE = 2000;
+
+function buildInvoiceTree(invoiceHashes) {
+    return new MerkleTree(invoiceHashes, keccak256, { hashLeaves: true, sortPairs: true });
+}
+
+function getInvoiceRoot(invoiceHashes) {
+    return buildInvoiceTree(invoiceHashes).getHexRoot();
+}
+
+/**
+ * Returns the membership proof of an invoice, as passed to verifyInvoice
+ */
+function getInvoiceProof(tree, invoiceHash) {
+    const leaf = keccak256(invoiceHash);
+    if (tree.getLeafIndex(leaf) === -1) {
+        throw new Error(`Invoice ${invoiceHash} is not part of the batch`);
+    }
+    return tree.getHexProof(leaf);
+}
+
+/**
+ * Recovers the invoice hashes of an InvoiceRootBatch event.
+ *
+ * Every batch empties the pending list, so the leaves are exactly the last
+ * `count` NewInvoice events emitted by the contract before the batch event.
+ *
+ * @param contract InvoiceIDBatcher contract (with the NewInvoice event in its ABI)
+ * @param batchLog The InvoiceRootBatch log
+ * @param count The number of invoices in the batch
+ */
+async function collectBatchInvoices(contract, batchLog, count) {
+    const invoices = [];
+    let toBlock = batchLog.blockNumber;
+
+    while (invoices.length < count && toBlock >= 0) {
+        const fromBlock = Math.max(toBlock - LEAF_SEARCH_BLOCK_RANGE + 1, 0);
+        const logs = await contract.queryFilter("NewInvoice", fromBlock, toBlock);
+        const earlier = logs.filter(log =>
+            log.blockNumber < batchLog.blockNumber || log.index < batchLog.index
+        );
+        invoices.unshift(...earlier.map(log => log.args.invoiceHash));
+        toBlock = fromBlock - 1;
+    }
+
+    if (invoices.length < count) {
+        throw new Error(`Found only ${invoices.length} of ${count} invoices for batch ${batchLog.transactionHash}`);
+    }
+
+    return invoices.slice(invoices.length - count);
+}
+
+/**
+ * Checks a batch's recovered invoices against its root
+ */
+function assertBatchRoot(invoiceHashes, root) {
+    const computed = getInvoiceRoot(invoiceHashes);
+    if (computed.toLowerCase() !== ethers.hexlify(root).toLowerCase()) {
+        throw new Error(`Recovered invoices do not match the batch root (${computed} != ${root})`);
+    }
+}
+
+module.exports = {
+    buildInvoiceTree,
+    getInvoiceRoot,
+    getInvoiceProof,
+    collectBatchInvoices,
+    assertBatchRoot
+};
@@ -0,0 +1,164 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with labels,
+ * rendered in the text exposition format (version 0.0.4)
+ *
+ * Metrics are created through a MetricsRegistry, which renders all of them
+ * for the relayer's /metrics endpoint (see scripts/lib/statusServer.js).
+ * Every label of a metric must be given on each update.
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Serialized label values => value
+        this.values = new Map();
+    }
+
+    key(labels) {
+        const unknown = Object.keys(labels).filter(name => !this.labelNames.includes(name));
+        const missing = this.labelNames.filter(name => labels[name] === undefined);
+        if (unknown.length > 0 || missing.length > 0) {
+            throw new Error(`${this.name} takes the labels ${this.labelNames.join(", ") || "(none)"}, got ${Object.keys(labels).join(", ") || "(none)"}`);
+        }
+        return JSON.stringify(this.labelNames.map(name => String(labels[name])));
+    }
+
+    labelsOf(key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    get(labels = {}) {
+        return this.values.get(this.key(labels));
+    }
+
+    remove(labels = {}) {
+        this.values.delete(this.key(labels));
+    }
+
+    render() {
+        const lines = [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        for (const [key, value] of this.values) {
+            lines.push(...this.renderSamples(this.labelsOf(key), value));
+        }
+        return lines.join("\n");
+    }
+
+    renderSamples(labels, value) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super("counter", name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`${this.name} is a counter and cannot decrease`);
+        }
+        const key = this.key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super("gauge", name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.values.set(this.key(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super("histogram", name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.values.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSamples(labels, { counts, sum, count }) {
+        return [
+            ...this.buckets.map((bound, index) =>
+                `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`
+            ),
+            `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ];
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        if (this.metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return `${this.metrics.map(metric => metric.render()).join("\n")}\n`;
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    MetricsRegistry
+};
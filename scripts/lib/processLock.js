@@ -0,0 +1,151 @@
+/**
+ * Single-instance lock backed by a lock file
+ *
+ * The lock file records the owner's pid and hostname. It is written to a
+ * temporary file first and linked into place, so it never appears without its
+ * owner; a lock file whose owner cannot be read is treated as held. A lock left
+ * behind by a process that is no longer running on this host is taken over by
+ * renaming a fresh lock file over it, and kept only if it still names this lock
+ * after a short wait. A lock held by a live process, or by a process on another
+ * host sharing the directory, is never taken over.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getStateDir } = require("./stateStore");
+
+// acquireWaiting polls the lock file at this interval, and a takeover waits as long before confirming
+const DEFAULT_WAIT_MS = 5000;
+const WAIT_INTERVAL_MS = 10;
+const WAIT_ARRAY = new Int32Array(new SharedArrayBuffer(4));
+
+class ProcessLock {
+    constructor(name, dir = getStateDir()) {
+        this.filePath = path.join(dir, `${name}.lock`);
+        // Tells apart locks of the same process
+        this.token = crypto.randomBytes(8).toString("hex");
+        this.held = false;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    static isOwnerAlive(owner) {
+        // Processes on other hosts cannot be checked, so assume they are running
+        if (owner.hostname !== os.hostname()) return true;
+        try {
+            // Signal 0 only checks that the process exists
+            process.kill(owner.pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === "EPERM";
+        }
+    }
+
+    readOwner() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isOwnedBy(owner) {
+        return Boolean(owner) && owner.token === this.token && owner.pid === process.pid && owner.hostname === os.hostname();
+    }
+
+    // Writes a lock file naming this lock next to the real one
+    writeOwnerFile() {
+        const tmpPath = `${this.filePath}.${process.pid}.${this.token}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({
+            pid: process.pid,
+            hostname: os.hostname(),
+            token: this.token,
+            acquiredAt: new Date().toISOString()
+        }));
+        return tmpPath;
+    }
+
+    tryCreate() {
+        const tmpPath = this.writeOwnerFile();
+        try {
+            // Unlike an exclusive open, the link creates the lock file with its content
+            fs.linkSync(tmpPath, this.filePath);
+            this.held = true;
+            return true;
+        } catch (error) {
+            if (error.code === "EEXIST") return false;
+            throw error;
+        } finally {
+            fs.rmSync(tmpPath, { force: true });
+        }
+    }
+
+    /**
+     * Replaces a stale lock file. Another instance that read the same stale owner may
+     * replace it as well, so the lock is only kept if it still names this one after a wait.
+     */
+    takeOver(staleOwner) {
+        const tmpPath = this.writeOwnerFile();
+        try {
+            if (JSON.stringify(this.readOwner()) !== JSON.stringify(staleOwner)) return false;
+            fs.renameSync(tmpPath, this.filePath);
+        } finally {
+            fs.rmSync(tmpPath, { force: true });
+        }
+
+        Atomics.wait(WAIT_ARRAY, 0, 0, WAIT_INTERVAL_MS);
+        this.held = this.isOwnedBy(this.readOwner());
+        return this.held;
+    }
+
+    /**
+     * Takes the lock or throws if another live process holds it
+     */
+    acquire() {
+        if (this.held || this.tryCreate()) return;
+
+        const owner = this.readOwner();
+        if (!owner) {
+            // Released since the attempt, or a lock file this process cannot read
+            if (!fs.existsSync(this.filePath) && this.tryCreate()) return;
+            throw new Error(`${this.filePath} is held by an unknown owner, remove it if no process holds the lock`);
+        }
+        if (ProcessLock.isOwnerAlive(owner)) {
+            throw new Error(`${this.filePath} is held by pid ${owner.pid} on ${owner.hostname}`);
+        }
+
+        if (!this.takeOver(owner)) {
+            throw new Error(`${this.filePath} was taken by another process`);
+        }
+    }
+
+    /**
+     * Takes the lock, waiting up to timeoutMs for another process to release it.
+     * Meant for short critical sections: the wait blocks the event loop.
+     */
+    acquireWaiting(timeoutMs = DEFAULT_WAIT_MS) {
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            try {
+                this.acquire();
+                return;
+            } catch (error) {
+                if (!error.message.startsWith(this.filePath) || Date.now() >= deadline) throw error;
+                Atomics.wait(WAIT_ARRAY, 0, 0, WAIT_INTERVAL_MS);
+            }
+        }
+    }
+
+    release() {
+        if (!this.held) return;
+        if (this.isOwnedBy(this.readOwner())) {
+            fs.rmSync(this.filePath, { force: true });
+        }
+        this.held = false;
+    }
+}
+
+module.exports = {
+    ProcessLock
+};
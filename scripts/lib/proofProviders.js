@@ -0,0 +1,168 @@
+/**
+ * Proof providers used by the relayer to obtain event proofs
+ *
+ * A proof provider exposes a single method:
+ *
+ *   async getProof({ chainId, blockNumber, receiptIndex, logIndex, logger })
+ *     => { proof, jobId }
+ *
+ * where `proof` is the 0x-prefixed hex proof passed to `invoicesFromSource`
+ * and the optional `logger` (scripts/lib/logger.js) carries the batch's
+ * correlation ID.
+ *
+ * Implementations:
+ * - PolymerApiProofProvider: the Polymer proof API (log_requestProof /
+ *   log_queryProof). Also works against scripts/mockPolymerServer.js.
+ * - LocalProofProvider: builds proofs for contracts/mocks/MockPolymerProver.sol
+ *   straight from the source chain RPC, without any network service.
+ *
+ * Select one with PROOF_PROVIDER=polymer (default) or PROOF_PROVIDER=local.
+ */
+
+const ethers = require("ethers");
+const axios = require("axios");
+const { createLogger } = require("./logger");
+
+const DEFAULT_POLYMER_API_URL = "https://proof.testnet.polymer.zone";
+
+// Poll every 500ms, up to 60 seconds
+const PROOF_POLL_INTERVAL_MS = 500;
+const PROOF_POLL_ATTEMPTS = 120;
+
+class PolymerApiProofProvider {
+    constructor({
+        apiUrl = process.env.POLYMER_API_URL || DEFAULT_POLYMER_API_URL,
+        apiKey = process.env.POLYMER_API_KEY
+    } = {}) {
+        this.apiUrl = apiUrl;
+        this.apiKey = apiKey;
+    }
+
+    async call(method, params) {
+        const response = await axios.post(
+            this.apiUrl,
+            {
+                jsonrpc: "2.0",
+                id: 1,
+                method,
+                params
+            },
+            {
+                headers: {
+                    Authorization: `Bearer ${this.apiKey}`,
+                }
+            }
+        );
+
+        if (response.status !== 200) {
+            throw new Error(`Failed to get proof from Polymer API. Status code: ${response.status}`);
+        }
+        if (response.data.error) {
+            throw new Error(`Polymer API error: ${response.data.error.message}`);
+        }
+        return response.data.result;
+    }
+
+    async getProof({ chainId, blockNumber, receiptIndex, logIndex, logger = createLogger() }) {
+        // Request proof from Polymer API
+        const jobId = await this.call("log_requestProof", [
+            chainId,
+            blockNumber,
+            receiptIndex,
+            logIndex
+        ]);
+        logger.info("✅ Proof requested", { jobId });
+
+        // Poll for proof
+        for (let attempts = 0; attempts < PROOF_POLL_ATTEMPTS; attempts++) {
+            const result = await this.call("log_queryProof", [jobId]);
+
+            if (result.proof) {
+                const proof = `0x${Buffer.from(result.proof, 'base64').toString('hex')}`;
+                return { proof, jobId };
+            }
+            if (result.status === "error") {
+                throw new Error(`Polymer proof job ${jobId} failed: ${result.failureReason || "no reason given"}`);
+            }
+
+            await new Promise(r => setTimeout(r, PROOF_POLL_INTERVAL_MS));
+        }
+
+        throw new Error(`Timeout waiting for proof of job ${jobId}`);
+    }
+}
+
+/**
+ * Encodes an event in the format understood by MockPolymerProver
+ */
+function encodeMockProof({ chainId, emittingContract, topics, data, blockNumber, receiptIndex, logIndex }) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint32", "address", "bytes", "bytes", "uint64", "uint16", "uint8"],
+        [chainId, emittingContract, ethers.concat(topics), data, blockNumber, receiptIndex, logIndex]
+    );
+}
+
+class LocalProofProvider {
+    /**
+     * @param rpcUrls Map of chain ID to the RPC URL of that chain
+     */
+    constructor(rpcUrls) {
+        this.rpcUrls = rpcUrls;
+    }
+
+    async getProof({ chainId, blockNumber, receiptIndex, logIndex }) {
+        const rpc = this.rpcUrls[chainId];
+        if (!rpc) {
+            throw new Error(`No RPC configured for chain ${chainId}`);
+        }
+        const provider = new ethers.JsonRpcProvider(rpc);
+
+        const block = await provider.getBlock(blockNumber);
+        if (!block || !block.transactions[receiptIndex]) {
+            throw new Error(`Transaction ${receiptIndex} not found in block ${blockNumber} on chain ${chainId}`);
+        }
+
+        const receipt = await provider.getTransactionReceipt(block.transactions[receiptIndex]);
+        const log = receipt.logs[logIndex];
+        if (!log) {
+            throw new Error(`Log ${logIndex} not found in transaction ${receipt.hash}`);
+        }
+
+        const proof = encodeMockProof({
+            chainId,
+            emittingContract: log.address,
+            topics: log.topics,
+            data: log.data,
+            blockNumber,
+            receiptIndex,
+            logIndex
+        });
+        return { proof, jobId: null };
+    }
+}
+
+/**
+ * Creates the proof provider selected by PROOF_PROVIDER
+ * @param chains Enabled chain configurations (used for their RPCs)
+ */
+function createProofProvider(chains) {
+    const type = process.env.PROOF_PROVIDER || "polymer";
+
+    switch (type) {
+        case "polymer":
+            return new PolymerApiProofProvider();
+        case "local":
+            return new LocalProofProvider(
+                Object.fromEntries(chains.map(chain => [chain.chainId, chain.rpc]))
+            );
+        default:
+            throw new Error(`Unknown PROOF_PROVIDER "${type}". Use polymer or local`);
+    }
+}
+
+module.exports = {
+    PolymerApiProofProvider,
+    LocalProofProvider,
+    createProofProvider,
+    encodeMockProof
+};
@@ -0,0 +1,139 @@
+/**
+ * Matching of source batches with their deliveries on target chains
+ *
+ * A source batch is identified like the contract's replay protection does:
+ * source chain, block number, position of the transaction in the block and
+ * position of the batch event within the transaction's logs. A delivery is an
+ * invoicesFromSource transaction on a target chain; the log identifier in its
+ * proof tells which source batch it carries.
+ *
+ * Used by the relayer to check each delivery receipt, and by
+ * scripts/reconcile.js to reconcile whole block ranges.
+ */
+
+function batchKey({ chainId, blockNumber, receiptIndex, logIndex }) {
+    return `${chainId}:${blockNumber}:${receiptIndex}:${logIndex}`;
+}
+
+/**
+ * Compares the events of a delivery receipt with the source batch
+ * @param batch { invoices } for InvoiceBatch and InvoiceMetadataBatch, { root, invoiceCount }
+ *        for InvoiceRootBatch, { statusUpdates } (invoice hashes) for InvoiceStatusBatch
+ * @param events Parsed logs of the delivery receipt, from the target contract
+ * @returns Problems found, empty when the delivery matches the batch
+ */
+function checkDelivery(batch, events) {
+    if (batch.root) {
+        const received = events.find(event => event.name === "InvoiceRootReceived");
+        // A root already received from another origin is reported as a conflict
+        if (!received && events.some(event => event.name === "InvoiceConflict" && event.args.invoiceHash === batch.root)) {
+            return [];
+        }
+        if (!received) {
+            return ["no InvoiceRootReceived event"];
+        }
+        const problems = [];
+        if (received.args.root !== batch.root) {
+            problems.push(`received root ${received.args.root}, expected ${batch.root}`);
+        }
+        if (Number(received.args.count) !== batch.invoiceCount) {
+            problems.push(`received a count of ${received.args.count}, expected ${batch.invoiceCount}`);
+        }
+        return problems;
+    }
+
+    // Each invoice (or status change) is either received or reported as a conflict
+    const [expected, receivedEvent, label] = batch.statusUpdates
+        ? [batch.statusUpdates, "InvoiceStatusReceived", "status changes"]
+        : [batch.invoices, "InvoiceReceived", "invoices"];
+    const delivered = events
+        .filter(event => event.name === receivedEvent || event.name === "InvoiceConflict")
+        .map(event => event.args.invoiceHash);
+    const missing = expected.filter(hash => !delivered.includes(hash));
+    const unexpected = delivered.filter(hash => !expected.includes(hash));
+
+    const problems = [];
+    if (missing.length > 0) {
+        problems.push(`${missing.length} of ${expected.length} ${label} not received: ${missing.join(", ")}`);
+    }
+    if (unexpected.length > 0) {
+        problems.push(`${unexpected.length} ${label} not in the source batch: ${unexpected.join(", ")}`);
+    }
+    return problems;
+}
+
+/**
+ * Reconciles source batches with deliveries along the routes
+ * @param batches Source batches: { chainId, blockNumber, receiptIndex, logIndex, transactionHash, invoices | root + invoiceCount | statusUpdates }
+ * @param deliveries Deliveries: { targetChainId, transactionHash, source: { chainId, blockNumber, receiptIndex, logIndex }, events },
+ *        the source is null when the proof could not be read
+ * @param getTargets Source chain ID => chain IDs its batches are routed to
+ * @param isDelivered async (batch, targetChainId) => whether the target processed the batch
+ *        outside of the scanned deliveries
+ * @param findBatch async (source) => the source batch a delivery carries when it was not
+ *        scanned, or null when there is none
+ * @returns { routes, missing, mismatched, unmatched }
+ */
+async function reconcile({ batches, deliveries, getTargets, isDelivered, findBatch }) {
+    const routes = new Map();
+    const route = (from, to) => {
+        const key = `${from}->${to}`;
+        if (!routes.has(key)) {
+            routes.set(key, { from, to, batches: 0, delivered: 0, missing: 0, mismatched: 0 });
+        }
+        return routes.get(key);
+    };
+
+    const deliveriesByKey = new Map();
+    for (const delivery of deliveries.filter(delivery => delivery.source)) {
+        const key = `${batchKey(delivery.source)}->${delivery.targetChainId}`;
+        deliveriesByKey.set(key, [...(deliveriesByKey.get(key) || []), delivery]);
+    }
+    const matched = new Set();
+
+    const report = { missing: [], mismatched: [], unmatched: [] };
+    const checkMatch = (batch, delivery) => {
+        const problems = checkDelivery(batch, delivery.events);
+        if (problems.length > 0) {
+            route(batch.chainId, delivery.targetChainId).mismatched++;
+            report.mismatched.push({ batch, delivery, problems });
+        }
+    };
+
+    for (const batch of batches) {
+        for (const targetChainId of getTargets(batch.chainId)) {
+            const counts = route(batch.chainId, targetChainId);
+            counts.batches++;
+
+            const found = deliveriesByKey.get(`${batchKey(batch)}->${targetChainId}`) || [];
+            if (found.length === 0 && !(await isDelivered(batch, targetChainId))) {
+                counts.missing++;
+                report.missing.push({ batch, targetChainId });
+                continue;
+            }
+            counts.delivered++;
+            for (const delivery of found) {
+                matched.add(delivery);
+                checkMatch(batch, delivery);
+            }
+        }
+    }
+
+    // Deliveries of batches outside the scanned source range are looked up at the source
+    for (const delivery of deliveries.filter(delivery => !matched.has(delivery))) {
+        const batch = delivery.source ? await findBatch(delivery.source) : null;
+        if (!batch) {
+            report.unmatched.push({ delivery });
+        } else {
+            checkMatch(batch, delivery);
+        }
+    }
+
+    return { routes: [...routes.values()], ...report };
+}
+
+module.exports = {
+    batchKey,
+    checkDelivery,
+    reconcile
+};
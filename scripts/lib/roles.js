@@ -0,0 +1,67 @@
+/**
+ * Initial role grants for InvoiceIDBatcher contracts
+ *
+ * INITIAL_SUBMITTERS and INITIAL_BATCHERS are comma-separated address lists.
+ * Grants are idempotent: accounts that already hold a role are skipped, so
+ * deploy:v2 and setup:trusted can both run them against the same contract.
+ */
+
+const ethers = require("ethers");
+const chalk = require("chalk");
+
+const ROLES_ABI = [
+    "function SUBMITTER_ROLE() view returns (bytes32)",
+    "function BATCHER_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function grantRole(bytes32 role, address account) external"
+];
+
+function parseAddressList(value) {
+    return (value || "")
+        .split(",")
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            if (!ethers.isAddress(entry)) {
+                throw new Error(`Invalid address "${entry}" in role configuration`);
+            }
+            return ethers.getAddress(entry);
+        });
+}
+
+// Role constant name => accounts that should hold it
+function getInitialRoleGrants() {
+    return {
+        SUBMITTER_ROLE: parseAddressList(process.env.INITIAL_SUBMITTERS),
+        BATCHER_ROLE: parseAddressList(process.env.INITIAL_BATCHERS)
+    };
+}
+
+async function grantInitialRoles(contract, grants = getInitialRoleGrants()) {
+    for (const [roleName, accounts] of Object.entries(grants)) {
+        if (accounts.length === 0) continue;
+        const role = await contract[roleName]();
+
+        for (const account of accounts) {
+            if (await contract.hasRole(role, account)) {
+                console.log(chalk.green(`✅ ${account} already has ${roleName}`));
+                continue;
+            }
+
+            console.log(chalk.cyan(`>  Granting ${roleName} to ${account}...`));
+            const tx = await contract.grantRole(role, account);
+            const receipt = await tx.wait(1);
+            if (!receipt.status) {
+                throw new Error(`Granting ${roleName} to ${account} failed`);
+            }
+            console.log(chalk.green(`✅ Granted in block ${receipt.blockNumber}`));
+        }
+    }
+}
+
+module.exports = {
+    ROLES_ABI,
+    parseAddressList,
+    getInitialRoleGrants,
+    grantInitialRoles
+};
@@ -0,0 +1,103 @@
+/**
+ * Persistent relayer state backed by a local JSON file
+ *
+ * Stores, per source chain:
+ * - checkpoint: the block from which a restarted relayer must rescan
+ * - processed:  InvoiceBatch events already relayed (eventKey => blockNumber)
+ *
+ * Every update re-reads the file, applies the change and writes it back
+ * atomically (temp file + rename), so a crash never leaves a torn file and
+ * other tools reading the same file always see a consistent snapshot.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_STATE_DIR = path.join(__dirname, "../../.relayer");
+
+function getStateDir() {
+    return process.env.RELAYER_STATE_DIR || DEFAULT_STATE_DIR;
+}
+
+class JsonFileStore {
+    constructor(filePath, defaults) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    read() {
+        if (!fs.existsSync(this.filePath)) {
+            return JSON.parse(JSON.stringify(this.defaults));
+        }
+        return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    }
+
+    write(data) {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    update(mutator) {
+        const data = this.read();
+        const result = mutator(data);
+        this.write(data);
+        return result;
+    }
+}
+
+class RelayerStateStore extends JsonFileStore {
+    constructor(filePath = path.join(getStateDir(), "state.json")) {
+        super(filePath, { chains: {} });
+    }
+
+    static eventKey(log) {
+        return `${log.blockHash}-${log.transactionHash}-${log.index}`;
+    }
+
+    chainState(data, chainId) {
+        if (!data.chains[chainId]) {
+            data.chains[chainId] = { checkpoint: null, processed: {} };
+        }
+        return data.chains[chainId];
+    }
+
+    getCheckpoint(chainId) {
+        const chain = this.read().chains[chainId];
+        return chain ? chain.checkpoint : null;
+    }
+
+    isProcessed(chainId, eventKey) {
+        const chain = this.read().chains[chainId];
+        return Boolean(chain && chain.processed[eventKey] !== undefined);
+    }
+
+    markProcessed(chainId, eventKey, blockNumber) {
+        this.update(data => {
+            this.chainState(data, chainId).processed[eventKey] = blockNumber;
+        });
+    }
+
+    /**
+     * Moves the checkpoint forward (never backwards) and forgets processed
+     * events older than it. Events in the checkpoint block itself are kept,
+     * because a restart rescans that block.
+     */
+    advanceCheckpoint(chainId, blockNumber) {
+        this.update(data => {
+            const chain = this.chainState(data, chainId);
+            if (chain.checkpoint !== null && blockNumber <= chain.checkpoint) return;
+            chain.checkpoint = blockNumber;
+            for (const [key, block] of Object.entries(chain.processed)) {
+                if (block < blockNumber) delete chain.processed[key];
+            }
+        });
+    }
+}
+
+module.exports = {
+    JsonFileStore,
+    RelayerStateStore,
+    getStateDir
+};
@@ -0,0 +1,71 @@
+/**
+ * Embedded HTTP API of the relayer, for health checks, monitoring and alerting
+ *
+ * - GET /health   200 while the process is up (liveness)
+ * - GET /ready    200 once every listener is active, 503 before and while stopping
+ * - GET /status   JSON: per-chain listener state and last seen block, in-flight
+ *                 batches and the delivery queue
+ * - GET /metrics  Prometheus text format (see Relayer.renderMetrics)
+ */
+
+const http = require("http");
+const { CONTENT_TYPE } = require("./metrics");
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Starts serving a relayer's state
+ * @param relayer Provides isReady(), getStatus() and renderMetrics()
+ * @returns The listening http.Server, closed by the caller
+ */
+function startStatusServer(relayer, { port, host = "127.0.0.1" }) {
+    const startedAt = Date.now();
+
+    const routes = {
+        "/health": async (req, res) => {
+            sendJson(res, 200, { status: "ok", uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+        },
+        "/ready": async (req, res) => {
+            const ready = relayer.isReady();
+            sendJson(res, ready ? 200 : 503, { ready });
+        },
+        "/status": async (req, res) => {
+            sendJson(res, 200, relayer.getStatus());
+        },
+        "/metrics": async (req, res) => {
+            const body = await relayer.renderMetrics();
+            res.writeHead(200, { "Content-Type": CONTENT_TYPE });
+            res.end(body);
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, "http://localhost");
+        const route = routes[pathname];
+        try {
+            if (!route) {
+                sendJson(res, 404, { error: `Not found, try ${Object.keys(routes).join(", ")}` });
+            } else if (req.method !== "GET") {
+                sendJson(res, 405, { error: "Only GET is supported" });
+            } else {
+                await route(req, res);
+            }
+        } catch (error) {
+            sendJson(res, 500, { error: error.message });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", error => {
+            reject(new Error(`Cannot start the status API on ${host}:${port}: ${error.message}`));
+        });
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+module.exports = {
+    startStatusServer
+};
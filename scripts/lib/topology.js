@@ -0,0 +1,201 @@
+/**
+ * Cross-chain topology: which deployments exist and along which routes batches travel
+ *
+ * The topology file (config/topology.json, or the path in TOPOLOGY_FILE) looks like:
+ *
+ *   {
+ *     "chains": {
+ *       "optimism-sepolia": { "address": "0x..." },
+ *       "base-sepolia": { "address": "0x...", "previousAddresses": ["0x..."] },
+ *       "mode-sepolia": {}
+ *     },
+ *     "routes": [
+ *       { "from": "base-sepolia", "to": "optimism-sepolia" },
+ *       { "from": "mode-sepolia", "to": ["optimism-sepolia", "base-sepolia"] }
+ *     ]
+ *   }
+ *
+ * Chain keys are the keys of config/chains.js, and every chain needs an RPC URL
+ * (<PREFIX>_RPC or the registry default). A chain without an address
+ * uses its live deployment (deployment manifest, or <PREFIX>_INVOICEBATCHER_ADDRESS
+ * to override it). previousAddresses are older
+ * deployments that destinations keep trusting during a migration. The relayer
+ * only watches the current address, so an old deployment must be drained (its
+ * pending invoices and status changes sealed and relayed) before the switch.
+ *
+ * A route from A to B means B trusts A's deployments and the relayer delivers
+ * A's batches to B, and nothing else. Without a topology file every enabled
+ * chain routes to every other one (full mesh), with previous deployments taken
+ * from <PREFIX>_PREVIOUS_INVOICEBATCHER_ADDRESSES.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const { CHAINS, getChain } = require("../../config/chains");
+
+const DEFAULT_TOPOLOGY_FILE = path.join(__dirname, "../../config/topology.json");
+
+function getTopologyPath() {
+    return process.env.TOPOLOGY_FILE || DEFAULT_TOPOLOGY_FILE;
+}
+
+function toList(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validates a topology definition against the chain registry
+ * @param definition Parsed topology file contents
+ * @param chains Chain registry (key => chain config) resolved with getChain from
+ *        config/chains.js, whose invoiceBatcherAddress is the address fallback
+ * @returns { chains: { key => { key, chainConfig, address, addresses } }, routes: [{ from, to }] }
+ */
+function parseTopology(definition, chains) {
+    const errors = [];
+    const topology = { chains: {}, routes: [] };
+
+    const checkAddress = (value, label) => {
+        if (!ethers.isAddress(value)) {
+            errors.push(`${label}: invalid address "${value}"`);
+            return null;
+        }
+        return ethers.getAddress(value);
+    };
+
+    for (const [key, entry] of Object.entries(definition.chains || {})) {
+        const chainConfig = chains[key];
+        if (!chainConfig) {
+            errors.push(`chains.${key}: unknown chain, expected one of ${Object.keys(chains).join(", ")}`);
+            continue;
+        }
+        // Without one, ethers would silently connect to localhost
+        if (!chainConfig.rpc) {
+            errors.push(`chains.${key}: no RPC URL (${chainConfig.envPrefix}_RPC)`);
+            continue;
+        }
+
+        const rawAddress = entry.address || chainConfig.invoiceBatcherAddress;
+        if (!rawAddress) {
+            errors.push(`chains.${key}: no address and not deployed (deployments/${key}.json or ${chainConfig.envPrefix}_INVOICEBATCHER_ADDRESS)`);
+            continue;
+        }
+        const address = checkAddress(rawAddress, `chains.${key}.address`);
+        const previous = toList(entry.previousAddresses)
+            .map((value, i) => checkAddress(value, `chains.${key}.previousAddresses[${i}]`));
+        if (!address || previous.includes(null)) continue;
+
+        topology.chains[key] = { key, chainConfig, address, addresses: [address, ...previous] };
+    }
+
+    const seen = new Set();
+    (definition.routes || []).forEach((route, i) => {
+        for (const to of toList(route.to)) {
+            const label = `routes[${i}] ${route.from} -> ${to}`;
+            if (!definition.chains || !definition.chains[route.from]) {
+                errors.push(`${label}: source chain is not declared in chains`);
+            } else if (!definition.chains[to]) {
+                errors.push(`${label}: destination chain is not declared in chains`);
+            } else if (route.from === to) {
+                errors.push(`${label}: a chain cannot route to itself`);
+            } else if (!seen.has(`${route.from}>${to}`)) {
+                seen.add(`${route.from}>${to}`);
+                topology.routes.push({ from: route.from, to });
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid topology:\n  - ${errors.join("\n  - ")}`);
+    }
+    return topology;
+}
+
+/**
+ * Full mesh among the given chains, the behaviour without a topology file
+ * @dev Chains without a deployed address are left out, as the relayer skips them too
+ */
+function buildMeshTopology(chains, enabledKeys, env = process.env) {
+    enabledKeys = enabledKeys.filter(key => chains[key].invoiceBatcherAddress);
+    const definition = {
+        chains: Object.fromEntries(enabledKeys.map(key => {
+            const previous = env[`${chains[key].envPrefix}_PREVIOUS_INVOICEBATCHER_ADDRESSES`] || "";
+            return [key, { previousAddresses: previous.split(",").map(a => a.trim()).filter(Boolean) }];
+        })),
+        routes: enabledKeys.map(from => ({ from, to: enabledKeys.filter(to => to !== from) }))
+    };
+    return parseTopology(definition, chains);
+}
+
+/**
+ * Loads the topology file, or a full mesh of ACTIVATED_CHAINS when there is none
+ */
+function loadTopology(filePath = getTopologyPath()) {
+    // Chain configs with their RPC URLs and live deployment addresses
+    const chains = Object.fromEntries(Object.keys(CHAINS).map(key => [key, getChain(key)]));
+
+    if (!fs.existsSync(filePath)) {
+        const enabledKeys = (process.env.ACTIVATED_CHAINS || "").split(",").map(key => key.trim()).filter(key => chains[key]);
+        return { ...buildMeshTopology(chains, enabledKeys), filePath: null };
+    }
+
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+        throw new Error(`Cannot read topology file ${filePath}: ${error.message}`);
+    }
+    return { ...parseTopology(definition, chains), filePath };
+}
+
+/**
+ * Trusted sources a chain should have according to the routes into it
+ * @returns Map of source chain ID => checksummed addresses
+ */
+function getDesiredTrust(topology, chainKey) {
+    const desired = new Map();
+    for (const route of topology.routes) {
+        if (route.to !== chainKey) continue;
+        const source = topology.chains[route.from];
+        desired.set(source.chainConfig.chainId, [...source.addresses]);
+    }
+    return desired;
+}
+
+/**
+ * Chain IDs a source chain's batches are delivered to
+ */
+function getRouteTargets(topology, sourceChainId) {
+    return topology.routes
+        .filter(route => topology.chains[route.from].chainConfig.chainId === sourceChainId)
+        .map(route => topology.chains[route.to].chainConfig.chainId);
+}
+
+/**
+ * Differences between a desired and a current trust set (chain ID => addresses)
+ * @returns { add: [[chainId, address]], remove: [[chainId, address]] }
+ */
+function diffTrust(desired, current) {
+    const missing = (from, to) => {
+        const entries = [];
+        for (const [chainId, addresses] of from) {
+            const other = new Set((to.get(chainId) || []).map(a => a.toLowerCase()));
+            for (const address of addresses) {
+                if (!other.has(address.toLowerCase())) entries.push([chainId, address]);
+            }
+        }
+        return entries;
+    };
+    return { add: missing(desired, current), remove: missing(current, desired) };
+}
+
+module.exports = {
+    getTopologyPath,
+    parseTopology,
+    buildMeshTopology,
+    loadTopology,
+    getDesiredTrust,
+    getRouteTargets,
+    diffTrust
+};
@@ -0,0 +1,119 @@
+/**
+ * Upgrade helpers for InvoiceIDBatcherUpgradeable proxies
+ *
+ * Storage layouts come from the compiler's storageLayout output (enabled in
+ * hardhat.config.js) and are flattened to one { label, slot, offset, size, type }
+ * entry per state variable. Types are spelled out in full, struct members
+ * included, so layouts of different builds compare equal when they match.
+ * deploy:v2 and upgrade:v2 record the layout of every implementation in the
+ * chain's deployment manifest, which is what the next upgrade is checked against.
+ */
+
+const ethers = require("ethers");
+
+// ERC-1967 implementation slot, bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// The only contract that may declare state variables, see invoiceIDBatcherUpgradeable.sol
+const BASE_CONTRACT = "InvoiceIDBatcherBase";
+
+const UPGRADE_ABI = [
+    "function admin() view returns (address)",
+    "function implementation() view returns (address)",
+    "function upgradeToAndCall(address newImplementation, bytes data) external"
+];
+
+/**
+ * Implementation a proxy delegates to, read from its ERC-1967 slot
+ * @returns The checksummed address, or null for contracts that are not proxies
+ */
+async function getImplementationAddress(provider, proxyAddress, blockTag = "latest") {
+    const value = await provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT, blockTag);
+    const address = ethers.getAddress(ethers.dataSlice(value, 12));
+    return address === ethers.ZeroAddress ? null : address;
+}
+
+function describeType(types, typeId) {
+    const type = types[typeId];
+    if (type.encoding === "mapping") {
+        return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+    }
+    if (type.members) {
+        const members = type.members.map(member => `${describeType(types, member.type)} ${member.label}`);
+        return `${type.label} { ${members.join("; ")} }`;
+    }
+    if (type.base) {
+        const length = type.encoding === "dynamic_array" ? "" : type.label.match(/\[(\d+)\]$/)[1];
+        return `${describeType(types, type.base)}[${length}]`;
+    }
+    // Contract types are stored as plain addresses
+    return typeId.startsWith("t_contract") ? "address" : type.label;
+}
+
+/**
+ * Flattens the compiler's storageLayout output of a contract
+ */
+function normalizeStorageLayout({ storage, types }) {
+    return storage.map(variable => ({
+        label: variable.label,
+        slot: Number(variable.slot),
+        offset: variable.offset,
+        size: Number(types[variable.type].numberOfBytes),
+        type: describeType(types, variable.type)
+    }));
+}
+
+function getPosition(variable) {
+    return variable.slot * 32 + variable.offset;
+}
+
+/**
+ * Checks that a new implementation keeps the state of the previous one in place
+ * @dev Existing variables must keep their position, name and type, and new ones
+ *      may only be appended after the last existing one
+ * @param base Layout of InvoiceIDBatcherBase, if given every variable must be one of
+ *        its own: state of derived contracts would overlap the variables appended
+ *        to the base later
+ * @returns A description of every problem, empty when the upgrade is safe
+ */
+function checkStorageLayout(previous, next, base = null) {
+    const problems = [];
+    const end = Math.max(0, ...previous.map(variable => getPosition(variable) + variable.size));
+
+    for (const variable of previous) {
+        const match = next.find(candidate => getPosition(candidate) === getPosition(variable));
+        if (!match) {
+            problems.push(`${variable.label} (slot ${variable.slot}) was removed or moved`);
+            continue;
+        }
+        if (match.label !== variable.label) {
+            problems.push(`${variable.label} (slot ${variable.slot}) was replaced by ${match.label}`);
+        }
+        if (match.type !== variable.type) {
+            problems.push(`${variable.label} changed type from ${variable.type} to ${match.type}`);
+        }
+    }
+
+    for (const variable of next) {
+        const existing = previous.some(candidate => getPosition(candidate) === getPosition(variable));
+        if (!existing && getPosition(variable) < end) {
+            problems.push(`${variable.label} (slot ${variable.slot}) is inserted between existing variables, append it at the end`);
+        }
+        const declaredInBase = !base || base.some(candidate =>
+            getPosition(candidate) === getPosition(variable) && candidate.label === variable.label
+        );
+        if (!declaredInBase) {
+            problems.push(`${variable.label} (slot ${variable.slot}) is not declared in ${BASE_CONTRACT}, declare state there or in an ERC-7201 namespace`);
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    BASE_CONTRACT,
+    IMPLEMENTATION_SLOT,
+    UPGRADE_ABI,
+    getImplementationAddress,
+    normalizeStorageLayout,
+    checkStorageLayout
+};
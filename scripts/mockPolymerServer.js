@@ -0,0 +1,117 @@
+/**
+ * Local mock of the Polymer proof API, for offline end-to-end testing
+ *
+ * Usage:
+ * ```bash
+ * # Start the mock API (defaults to port 8547)
+ * npm run mock:polymer
+ *
+ * # Point the relayer at it
+ * POLYMER_API_URL=http://127.0.0.1:8547 npm run relayer:v2
+ * ```
+ *
+ * Speaks the same JSON-RPC methods as the Polymer API:
+ * - log_requestProof(chainId, blockNumber, receiptIndex, logIndex) => jobId
+ * - log_queryProof(jobId) => { status, proof }
+ *
+ * Proofs are built by LocalProofProvider from the source chain RPC and can
+ * only be validated by contracts/mocks/MockPolymerProver.sol.
+ *
+ * Requirements:
+ * - RPCs for every activated chain in .env
+ * - Contracts deployed with the MockPolymerProver (deploy:v2 on a local network)
+ */
+
+require("dotenv").config();
+const http = require("http");
+const chalk = require("chalk");
+const { LocalProofProvider } = require("./lib/proofProviders");
+
+function startMockPolymerServer({ port = 8547, rpcUrls }) {
+    const proofProvider = new LocalProofProvider(rpcUrls);
+    const jobs = new Map();
+    let nextJobId = 1;
+
+    const methods = {
+        async log_requestProof([chainId, blockNumber, receiptIndex, logIndex]) {
+            const jobId = nextJobId++;
+            const job = { status: "pending" };
+            jobs.set(jobId, job);
+
+            proofProvider.getProof({
+                chainId: Number(chainId),
+                blockNumber: Number(blockNumber),
+                receiptIndex: Number(receiptIndex),
+                logIndex: Number(logIndex)
+            })
+                .then(({ proof }) => {
+                    job.status = "complete";
+                    job.proof = Buffer.from(proof.slice(2), "hex").toString("base64");
+                })
+                .catch(error => {
+                    job.status = "error";
+                    job.failureReason = error.message;
+                });
+
+            return jobId;
+        },
+
+        async log_queryProof([jobId]) {
+            const job = jobs.get(Number(jobId));
+            if (!job) {
+                throw new Error(`Unknown job ${jobId}`);
+            }
+            return { jobID: Number(jobId), ...job };
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", async () => {
+            let request = {};
+            let response;
+            try {
+                request = JSON.parse(body);
+                const method = methods[request.method];
+                if (!method) {
+                    throw new Error(`Method ${request.method} not found`);
+                }
+                response = { jsonrpc: "2.0", id: request.id, result: await method(request.params || []) };
+            } catch (error) {
+                response = { jsonrpc: "2.0", id: request.id, error: { code: -32000, message: error.message } };
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(port, "127.0.0.1", () => resolve(server));
+    });
+}
+
+async function main() {
+    const { getEnabledChains } = require("../config/chains");
+    const port = parseInt(process.env.MOCK_POLYMER_PORT || "8547", 10);
+
+    const rpcUrls = {};
+    for (const chain of getEnabledChains()) {
+        rpcUrls[chain.chainId] = chain.rpc;
+        console.log(chalk.cyan(`>  ${chain.name} (${chain.chainId}): ${chain.rpc}`));
+    }
+
+    await startMockPolymerServer({ port, rpcUrls });
+    console.log(chalk.green(`\n✅ Mock Polymer API listening on http://127.0.0.1:${port}`));
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(chalk.red("\n❌ Error:"), error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startMockPolymerServer
+};
@@ -0,0 +1,325 @@
+/**
+ * Reconcile source batches with their deliveries across all chains
+ *
+ * Usage:
+ * ```bash
+ * # Every chain from its deployment block (or <CHAIN>_START_BLOCK) to its head
+ * npm run reconcile
+ *
+ * # Block ranges per chain, as <chain>=<fromBlock>[:<toBlock>]
+ * npm run reconcile -- base-sepolia=1200000 optimism-sepolia=2000000:2100000
+ *
+ * # Print the report as JSON
+ * npm run reconcile -- --json
+ * ```
+ *
+ * This script will:
+ * 1. Scan the contract of every enabled chain for source batches
+ *    (InvoiceBatch, InvoiceMetadataBatch, InvoiceRootBatch and InvoiceStatusBatch
+ *    events) and deliveries
+ *    (invoicesFromSource transactions, identified by their events)
+ * 2. Match each source batch with its delivery on every target of its routes.
+ *    Batches without a scanned delivery are checked with isBatchProcessed on
+ *    the target, deliveries of batches that were not scanned are looked up on
+ *    their source chain
+ * 3. Check that each delivery emitted the batch's invoices (or root, or status changes)
+ * 4. Print the per-route counts, the source batches with no delivery, the
+ *    deliveries that do not match their batch and the deliveries with no
+ *    matching source batch
+ *
+ * Exits with 1 when anything is missing or does not match, so it can run on a schedule.
+ *
+ * Requirements:
+ * - RPC endpoints and deployments for ACTIVATED_CHAINS, and the topology the
+ *   relayer uses (config/topology.json or TOPOLOGY_FILE)
+ * - Block range per eth_getLogs request: RELAYER_BACKFILL_BLOCK_RANGE (default 2000)
+ */
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getEnabledChains } = require("../config/chains");
+const { loadTopology } = require("./lib/topology");
+const { getScanStartBlock } = require("./lib/deployments");
+const { queryFilterInRanges } = require("./lib/logs");
+const { reconcile } = require("./lib/reconciliation");
+
+const CONTRACT_ABI = [
+    "event InvoiceBatch(address indexed sender, bytes32[] invoices)",
+    "event InvoiceMetadataBatch(address indexed sender, bytes32[] invoices, tuple(address issuer, uint256 amount, address currency, uint64 dueDate, uint8 status)[] metadata)",
+    "event InvoiceRootBatch(address indexed sender, bytes32 root, uint256 count)",
+    "event InvoiceStatusBatch(address indexed sender, tuple(bytes32 invoiceHash, uint8 status, uint64 sequence)[] updates)",
+    "event InvoiceReceived(address indexed originalSender, bytes32 indexed invoiceHash)",
+    "event InvoiceRootReceived(address indexed originalSender, bytes32 indexed root, uint32 sourceChainId, uint256 count)",
+    "event InvoiceStatusReceived(address indexed originalSender, bytes32 indexed invoiceHash, uint8 status, uint64 sequence, bool applied)",
+    "event InvoiceConflict(bytes32 indexed invoiceHash, address indexed originalSender, uint32 sourceChainId, uint32 existingChainId)",
+    "function invoicesFromSource(bytes calldata proof) external",
+    "function registerInvoiceFromRoot(bytes32 root, bytes32 invoiceHash, bytes32[] proof) external",
+    "function polymerProver() external view returns (address)",
+    "function isBatchProcessed(uint32 sourceChainId, address sourceContract, uint64 blockNumber, uint16 receiptIndex, uint8 logIndex) external view returns (bool)"
+];
+
+const PROVER_ABI = [
+    "function inspectLogIdentifier(bytes calldata proof) external pure returns (uint32 srcChain, uint64 blockNumber, uint16 receiptIndex, uint8 logIndex)"
+];
+
+const BATCH_EVENTS = ["InvoiceBatch", "InvoiceMetadataBatch", "InvoiceRootBatch", "InvoiceStatusBatch"];
+const DELIVERY_EVENTS = ["InvoiceReceived", "InvoiceRootReceived", "InvoiceStatusReceived", "InvoiceConflict"];
+
+const USAGE = "Usage: npm run reconcile -- [<chain>=<fromBlock>[:<toBlock>] ...] [--json]";
+
+function parseArgs(args) {
+    const ranges = {};
+    let json = false;
+    for (const arg of args) {
+        if (arg === "--json") {
+            json = true;
+            continue;
+        }
+        const match = /^([a-z0-9-]+)=(\d+)(?::(\d+))?$/.exec(arg);
+        if (!match) {
+            throw new Error(`Unexpected argument "${arg}". ${USAGE}`);
+        }
+        ranges[match[1]] = {
+            fromBlock: Number(match[2]),
+            toBlock: match[3] === undefined ? null : Number(match[3])
+        };
+    }
+    return { ranges, json };
+}
+
+class ChainScanner {
+    constructor(entry) {
+        this.chain = entry.chainConfig;
+        this.addresses = entry.addresses;
+        this.provider = new ethers.JsonRpcProvider(this.chain.rpc, this.chain.chainId, { staticNetwork: true });
+        this.contract = new ethers.Contract(entry.address, CONTRACT_ABI, this.provider);
+    }
+
+    async resolveRange(range = {}) {
+        this.fromBlock = range.fromBlock ?? getScanStartBlock(this.chain, this.contract.target);
+        this.toBlock = range.toBlock ?? await this.provider.getBlockNumber();
+        if (this.fromBlock > this.toBlock) {
+            throw new Error(`${this.chain.key}: block range ${this.fromBlock}:${this.toBlock} is empty`);
+        }
+    }
+
+    async queryLogs(eventNames) {
+        const topics = eventNames.map(eventName => this.contract.interface.getEvent(eventName).topicHash);
+        return queryFilterInRanges(this.contract, [topics], this.fromBlock, this.toBlock);
+    }
+
+    // Position of a batch event as the proofs and the replay protection identify it
+    toBatch(log, receipt) {
+        const batch = {
+            chainId: this.chain.chainId,
+            contract: log.address,
+            blockNumber: log.blockNumber,
+            receiptIndex: receipt.index,
+            logIndex: receipt.logs.findIndex(receiptLog => receiptLog.index === log.index),
+            transactionHash: log.transactionHash
+        };
+        const parsed = this.contract.interface.parseLog(log);
+        if (parsed.name === "InvoiceRootBatch") {
+            return { ...batch, root: parsed.args.root, invoiceCount: Number(parsed.args.count) };
+        }
+        if (parsed.name === "InvoiceStatusBatch") {
+            return { ...batch, statusUpdates: parsed.args.updates.map(update => update.invoiceHash) };
+        }
+        return { ...batch, invoices: [...parsed.args.invoices] };
+    }
+
+    async scanBatches() {
+        const batches = [];
+        for (const log of await this.queryLogs(BATCH_EVENTS)) {
+            batches.push(this.toBatch(log, await log.getTransactionReceipt()));
+        }
+        return batches;
+    }
+
+    async scanDeliveries() {
+        const transactionHashes = [...new Set((await this.queryLogs(DELIVERY_EVENTS)).map(log => log.transactionHash))];
+        const deliveries = [];
+        for (const transactionHash of transactionHashes) {
+            const tx = await this.provider.getTransaction(transactionHash);
+            const call = tx.to === this.contract.target ? this.contract.interface.parseTransaction(tx) : null;
+            // Invoices registered from a received root are not deliveries
+            if (call && call.name === "registerInvoiceFromRoot") continue;
+
+            const receipt = await this.provider.getTransactionReceipt(transactionHash);
+            const events = receipt.logs
+                .filter(log => log.address === this.contract.target)
+                .map(log => this.contract.interface.parseLog(log))
+                .filter(Boolean);
+            deliveries.push({
+                targetChainId: this.chain.chainId,
+                transactionHash,
+                blockNumber: receipt.blockNumber,
+                // Calls through another contract cannot be attributed to a source batch
+                source: call && call.name === "invoicesFromSource"
+                    ? await this.inspectProof(call.args.proof, receipt.blockNumber)
+                    : null,
+                events
+            });
+        }
+        return deliveries;
+    }
+
+    async inspectProof(proof, blockTag) {
+        const prover = new ethers.Contract(await this.contract.polymerProver({ blockTag }), PROVER_ABI, this.provider);
+        const [chainId, blockNumber, receiptIndex, logIndex] = await prover.inspectLogIdentifier(proof, { blockTag });
+        return {
+            chainId: Number(chainId),
+            blockNumber: Number(blockNumber),
+            receiptIndex: Number(receiptIndex),
+            logIndex: Number(logIndex)
+        };
+    }
+
+    // The batch event at a position on this chain, from the current or a previous deployment
+    async findBatch({ blockNumber, receiptIndex, logIndex }) {
+        const block = await this.provider.getBlock(blockNumber);
+        const transactionHash = block && block.transactions[receiptIndex];
+        if (!transactionHash) return null;
+
+        const receipt = await this.provider.getTransactionReceipt(transactionHash);
+        const log = receipt.logs[logIndex];
+        if (!log || !this.addresses.includes(log.address)) return null;
+
+        const parsed = this.contract.interface.parseLog(log);
+        return parsed && BATCH_EVENTS.includes(parsed.name)
+            ? this.toBatch(log, receipt)
+            : null;
+    }
+
+    async isDelivered(batch) {
+        return this.contract.isBatchProcessed(batch.chainId, batch.contract, batch.blockNumber, batch.receiptIndex, batch.logIndex);
+    }
+}
+
+/**
+ * Scans the chains and reconciles their batches and deliveries
+ * @param ranges Chain key => { fromBlock, toBlock }, defaults to the deployment block and the head
+ */
+async function runReconciliation(ranges = {}, topology = loadTopology()) {
+    const enabledKeys = getEnabledChains().map(chain => chain.key);
+    const entries = Object.values(topology.chains).filter(entry => enabledKeys.includes(entry.key) && entry.chainConfig.rpc);
+    const unknown = Object.keys(ranges).filter(key => !entries.some(entry => entry.key === key));
+    if (unknown.length > 0) {
+        throw new Error(`No enabled chain with a deployment for ${unknown.join(", ")}`);
+    }
+
+    const scanners = new Map(entries.map(entry => [entry.chainConfig.chainId, new ChainScanner(entry)]));
+    try {
+        const batches = [];
+        const deliveries = [];
+        for (const scanner of scanners.values()) {
+            await scanner.resolveRange(ranges[scanner.chain.key]);
+            batches.push(...await scanner.scanBatches());
+            deliveries.push(...await scanner.scanDeliveries());
+        }
+
+        const report = await reconcile({
+            batches,
+            deliveries,
+            getTargets: chainId => topology.routes
+                .filter(route => topology.chains[route.from].chainConfig.chainId === chainId)
+                .map(route => topology.chains[route.to].chainConfig.chainId)
+                .filter(targetChainId => scanners.has(targetChainId)),
+            isDelivered: (batch, targetChainId) => scanners.get(targetChainId).isDelivered(batch),
+            findBatch: source => scanners.has(source.chainId) ? scanners.get(source.chainId).findBatch(source) : null
+        });
+
+        // The parsed events only serve the matching
+        const withoutEvents = ({ events, ...delivery }) => delivery;
+        return {
+            ranges: Object.fromEntries([...scanners.values()].map(scanner =>
+                [scanner.chain.key, { fromBlock: scanner.fromBlock, toBlock: scanner.toBlock }]
+            )),
+            routes: report.routes,
+            missing: report.missing,
+            mismatched: report.mismatched.map(entry => ({ ...entry, delivery: withoutEvents(entry.delivery) })),
+            unmatched: report.unmatched.map(entry => ({ delivery: withoutEvents(entry.delivery) }))
+        };
+    } finally {
+        scanners.forEach(scanner => scanner.provider.destroy());
+    }
+}
+
+function printReport(report, chainName) {
+    console.log(chalk.blue("\n🔎 Scanned blocks:"));
+    for (const [key, { fromBlock, toBlock }] of Object.entries(report.ranges)) {
+        console.log(chalk.cyan(`>  ${key}: ${fromBlock} to ${toBlock}`));
+    }
+
+    console.log(chalk.blue("\n📊 Routes:"));
+    for (const route of report.routes) {
+        const color = route.missing + route.mismatched > 0 ? chalk.red : chalk.green;
+        console.log(color(`>  ${chainName(route.from)} → ${chainName(route.to)}: ${route.batches} batches, ${route.delivered} delivered, ${route.missing} missing, ${route.mismatched} mismatched`));
+    }
+
+    if (report.missing.length > 0) {
+        console.log(chalk.red(`\n❌ Source batches with no delivery: ${report.missing.length}`));
+        for (const { batch, targetChainId } of report.missing) {
+            console.log(chalk.yellow(`>  ${chainName(batch.chainId)} tx ${batch.transactionHash} (block ${batch.blockNumber}) → ${chainName(targetChainId)}`));
+        }
+    }
+    if (report.mismatched.length > 0) {
+        console.log(chalk.red(`\n❌ Deliveries that do not match their source batch: ${report.mismatched.length}`));
+        for (const { batch, delivery, problems } of report.mismatched) {
+            console.log(chalk.yellow(`>  ${chainName(delivery.targetChainId)} tx ${delivery.transactionHash}, from ${chainName(batch.chainId)} tx ${batch.transactionHash}`));
+            problems.forEach(problem => console.log(chalk.yellow(`   ${problem}`)));
+        }
+    }
+    if (report.unmatched.length > 0) {
+        console.log(chalk.red(`\n❌ Deliveries with no matching source batch: ${report.unmatched.length}`));
+        for (const { delivery } of report.unmatched) {
+            const source = delivery.source
+                ? `claims ${chainName(delivery.source.chainId)} block ${delivery.source.blockNumber}, tx ${delivery.source.receiptIndex}, log ${delivery.source.logIndex}`
+                : "not a direct invoicesFromSource call";
+            console.log(chalk.yellow(`>  ${chainName(delivery.targetChainId)} tx ${delivery.transactionHash} (${source})`));
+        }
+    }
+}
+
+function countProblems(report) {
+    return report.missing.length + report.mismatched.length + report.unmatched.length;
+}
+
+async function main() {
+    const { ranges, json } = parseArgs(process.argv.slice(2));
+    const report = await runReconciliation(ranges);
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        const chains = getEnabledChains();
+        const chainName = chainId => {
+            const chain = chains.find(c => c.chainId === chainId);
+            return chain ? chain.name : `Chain ${chainId}`;
+        };
+        printReport(report, chainName);
+
+        const problems = countProblems(report);
+        if (problems === 0) {
+            console.log(chalk.green("\n✅ Every batch was delivered along its routes"));
+        } else {
+            console.log(chalk.red(`\n❌ ${problems} problems found`));
+        }
+    }
+    return countProblems(report) === 0;
+}
+
+if (require.main === module) {
+    main()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch((error) => {
+            console.error(chalk.red("\n❌ Error:"), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    parseArgs,
+    runReconciliation
+};
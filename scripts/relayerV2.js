@@ -11,15 +11,22 @@
  * ```
  * 
  * This script will:
- * 1. Monitor all chains for InvoiceBatch events
+ * 1. Monitor all chains for InvoiceBatch, InvoiceMetadataBatch, InvoiceRootBatch
+ *    and InvoiceStatusBatch events
  * 2. Generate Polymer proofs for cross-chain messages
- * 3. Relay batched invoice IDs to other chains
- * 4. Display real-time status of operations
+ * 3. Relay batched invoice IDs along the routes of the topology
+ *    (config/topology.json, or a full mesh of ACTIVATED_CHAINS without one),
+ *    (and status changes), and check that each delivery received every
+ *    invoice or status change of the batch
+ * 4. Log every step, with a correlation ID shared by all lines about one
+ *    batch (LOG_FORMAT=json for one JSON object per line, LOG_LEVEL to filter)
+ * 5. Serve /health, /ready, /status and Prometheus /metrics over HTTP on
+ *    RELAYER_HTTP_HOST:RELAYER_HTTP_PORT (default 127.0.0.1:9464)
  * 
  * Requirements:
- * - Contracts must be deployed (run deploy:v2)
+ * - Contracts must be deployed (run deploy:v2, addresses are read from deployments/)
  * - Trusted sources must be configured (run setup:trusted)
- * - Valid Polymer API key in .env
+ * - Valid Polymer API key in .env (or PROOF_PROVIDER=local for local chains)
  * - Wallet must have gas tokens on all chains
  * 
  * To stop the relayer:
@@ -28,135 +35,394 @@
 
 require("dotenv").config();
 const ethers = require("ethers");
-const axios = require("axios");
 const chalk = require("chalk");
 const { CHAINS, getEnabledChains } = require("../config/chains");
-
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone";
+const { RelayerStateStore } = require("./lib/stateStore");
+const { DeliveryQueue, batchId, computeBackoff } = require("./lib/deliveryQueue");
+const { createProofProvider } = require("./lib/proofProviders");
+const { loadTopology, getRouteTargets } = require("./lib/topology");
+const { MetricsRegistry } = require("./lib/metrics");
+const { startStatusServer } = require("./lib/statusServer");
+const { createLogger } = require("./lib/logger");
+const { checkDelivery } = require("./lib/reconciliation");
 
 // Updated Contract ABI for InvoiceIDBatcher events
 const CONTRACT_ABI = [
     "event NewInvoice(address indexed sender, bytes32 indexed invoiceHash)",
     "event InvoiceBatch(address indexed sender, bytes32[] invoices)",
+    "event InvoiceMetadataBatch(address indexed sender, bytes32[] invoices, tuple(address issuer, uint256 amount, address currency, uint64 dueDate, uint8 status)[] metadata)",
+    "event InvoiceRootBatch(address indexed sender, bytes32 root, uint256 count)",
+    "event InvoiceStatusBatch(address indexed sender, tuple(bytes32 invoiceHash, uint8 status, uint64 sequence)[] updates)",
     "event InvoiceReceived(address indexed originalSender, bytes32 indexed invoiceHash)",
+    "event InvoiceRootReceived(address indexed originalSender, bytes32 indexed root, uint32 sourceChainId, uint256 count)",
+    "event InvoiceStatusReceived(address indexed originalSender, bytes32 indexed invoiceHash, uint8 status, uint64 sequence, bool applied)",
+    "event InvoiceConflict(bytes32 indexed invoiceHash, address indexed originalSender, uint32 sourceChainId, uint32 existingChainId)",
     "function newInvoice(bytes32) external",
     "function batchInvoices() external",
-    "function invoicesFromSource(bytes calldata proof) external"
+    "function invoicesFromSource(bytes calldata proof) external",
+    "function receivingPaused() external view returns (bool)",
+    "function isBatchProcessed(uint32 sourceChainId, address sourceContract, uint64 blockNumber, uint16 receiptIndex, uint8 logIndex) external view returns (bool)"
+];
+
+// Read from previous deployments, which are not listened to
+const PREVIOUS_DEPLOYMENT_ABI = [
+    "function getPendingInvoicesCount() external view returns (uint256)"
 ];
 
+// Source events relayed to other chains
+const BATCH_EVENTS = ["InvoiceBatch", "InvoiceMetadataBatch", "InvoiceRootBatch", "InvoiceStatusBatch"];
+
+// Block range per eth_getLogs request while backfilling missed events
+const BACKFILL_BLOCK_RANGE = parseInt(process.env.RELAYER_BACKFILL_BLOCK_RANGE || "2000", 10);
+
+// While idle, the checkpoint trails the chain head by this many blocks so
+// that logs the live subscription has not delivered yet are rescanned on restart
+const CHECKPOINT_LAG_BLOCKS = 12;
+
+// Backoff for events that failed before their deliveries were queued, e.g.
+// while requesting the proof; they are retried until they go through
+const EVENT_RETRY_OPTIONS = {
+    baseDelayMs: parseInt(process.env.RELAYER_EVENT_RETRY_BASE_DELAY_MS || "5000", 10),
+    maxDelayMs: parseInt(process.env.RELAYER_RETRY_MAX_DELAY_MS || "600000", 10)
+};
+
+// How often the retry worker looks for failed deliveries that are due
+const RETRY_INTERVAL_MS = parseInt(process.env.RELAYER_RETRY_INTERVAL_MS || "5000", 10);
+
+// Upper bounds of the proof latency histogram, in seconds
+const PROOF_DURATION_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+// A scrape reports no balance for chains whose RPC does not answer in time
+const BALANCE_TIMEOUT_MS = 5000;
+
+function createRelayerMetrics() {
+    const registry = new MetricsRegistry();
+    return {
+        registry,
+        batchesSeen: registry.counter("invoice_relayer_batches_seen_total", "Batch events picked up on source chains", ["source_chain"]),
+        proofsRequested: registry.counter("invoice_relayer_proofs_requested_total", "Proofs requested from the proof provider", ["source_chain"]),
+        proofFailures: registry.counter("invoice_relayer_proof_failures_total", "Proof requests that failed", ["source_chain"]),
+        proofDuration: registry.histogram("invoice_relayer_proof_duration_seconds", "Time to obtain a proof", ["source_chain"], PROOF_DURATION_BUCKETS),
+        deliveries: registry.counter("invoice_relayer_deliveries_total", "Deliveries to target chains, including retries", ["target_chain", "result"]),
+        deliveryMismatches: registry.counter("invoice_relayer_delivery_mismatches_total", "Mined deliveries whose events do not match the source batch", ["target_chain"]),
+        walletBalance: registry.gauge("invoice_relayer_wallet_balance_ether", "Balance of the relayer wallet", ["chain"]),
+        listenerUp: registry.gauge("invoice_relayer_listener_up", "Whether the chain's listener is active", ["chain"]),
+        lastSeenBlock: registry.gauge("invoice_relayer_last_seen_block", "Latest block seen by the chain's listener", ["chain"]),
+        inFlightBatches: registry.gauge("invoice_relayer_in_flight_batches", "Batches being proven or delivered"),
+        queuePending: registry.gauge("invoice_relayer_delivery_queue_pending", "Failed deliveries waiting for a retry"),
+        queueDead: registry.gauge("invoice_relayer_delivery_queue_dead", "Deliveries given up on, in the dead letters")
+    };
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 class ChainListener {
-    constructor(chain, eventCallback) {
+    constructor(chain, eventCallback, stateStore, logger = createLogger()) {
         this.chain = chain;
+        this.logger = logger.child({ chain: chain.key });
         
-        // Get RPC from environment variable
-        const rpcEnvKey = `${chain.envPrefix}_RPC`;
-        const rpc = process.env[rpcEnvKey];
-        if (!rpc) {
-            throw new Error(`No RPC found in environment for chain ${chain.name} (${rpcEnvKey})`);
+        // RPC and contract address as resolved by the chain registry (and the topology)
+        if (!chain.rpc) {
+            throw new Error(`No RPC configured for chain ${chain.name} (${chain.envPrefix}_RPC)`);
         }
-        this.provider = new ethers.JsonRpcProvider(rpc);
+        this.provider = new ethers.JsonRpcProvider(chain.rpc);
 
-        // Get contract address from environment variable
-        const contractEnvKey = `${chain.envPrefix}_INVOICEBATCHER_ADDRESS`;
-        const contractAddress = process.env[contractEnvKey];
-        if (!contractAddress) {
-            throw new Error(`No invoice batcher address found in environment for chain ${chain.name} (${contractEnvKey})`);
+        if (!chain.invoiceBatcherAddress) {
+            throw new Error(`No invoice batcher deployed for chain ${chain.name} (deployments/${chain.key}.json or ${chain.envPrefix}_INVOICEBATCHER_ADDRESS)`);
         }
         
         this.contract = new ethers.Contract(
-            contractAddress,
+            chain.invoiceBatcherAddress,
             CONTRACT_ABI,
             this.provider
         );
         this.eventCallback = eventCallback;
+        this.stateStore = stateStore;
         this.isListening = false;
-        this.processedEvents = new Set();
+        this.isStopped = false;
+        this.isBackfilling = false;
+        this.liveBacklog = [];
+        // Events are processed one at a time so the checkpoint only moves forward
+        this.work = Promise.resolve();
+        this.pendingCount = 0;
+        // Block of the oldest event that is waiting for a retry; the checkpoint
+        // is not moved past it so that a restart retries the event as well
+        this.stalledAt = null;
+        // Failed events by event key, with their attempt count and retry timer
+        this.failedEvents = new Map();
+        this.lastSeenBlock = null;
     }
 
     async start() {
         if (this.isListening) return;
+        this.isStopped = false;
         
-        console.log(chalk.blue(`\n🎧 Starting listener for ${this.chain.name}...`));
-        console.log(chalk.cyan(`>  Contract: ${this.contract.target}`));
-        console.log(chalk.cyan(`>  Chain ID: ${this.chain.chainId}`));
-
         // Get latest block
         const latestBlock = await this.provider.getBlockNumber();
-        console.log(chalk.yellow(`>  Current block: ${latestBlock}`));
-        
-        // Listen for InvoiceBatch events
-        this.contract.on("InvoiceBatch", async (sender, invoices, event) => {
-            try {
-                // Create unique event identifier
-                const eventId = `${event.log.blockHash}-${event.log.transactionHash}-${event.log.index}`;
-                
-                // Skip if already processed
-                if (this.processedEvents.has(eventId)) return;
-                
-                const eventData = {
-                    chain: this.chain,
-                    sender,
-                    invoices,
-                    blockNumber: event.log.blockNumber,
-                    transactionHash: event.log.transactionHash,
-                    logIndex: event.log.index
-                };
+        this.logger.info(`🎧 Starting listener for ${this.chain.name}...`, {
+            contract: this.contract.target,
+            chainId: this.chain.chainId,
+            currentBlock: latestBlock
+        });
+        this.lastSeenBlock = latestBlock;
+
+        const fromBlock = this.getStartBlock(latestBlock);
+
+        // Subscribe before backfilling so nothing emitted in between is missed;
+        // live events are held back until the backfill has caught up
+        this.isBackfilling = true;
+        for (const eventName of BATCH_EVENTS) {
+            this.contract.on(eventName, (...args) => {
+                const event = args[args.length - 1];
+                if (this.isBackfilling) {
+                    this.liveBacklog.push(event.log);
+                } else {
+                    this.enqueue(event.log);
+                }
+            });
+        }
 
-                // Get transaction receipt for position in block
-                const receipt = await event.log.getTransactionReceipt();
-                eventData.positionInBlock = receipt.index;
-                
-                await this.eventCallback(eventData);
-                this.processedEvents.add(eventId);
-            } catch (error) {
-                console.error(chalk.red("❌ Error processing event:"), error);
+        await this.backfill(fromBlock, latestBlock);
+
+        this.isBackfilling = false;
+        this.liveBacklog.splice(0).forEach(log => this.enqueue(log));
+
+        this.provider.on("block", (blockNumber) => {
+            this.lastSeenBlock = blockNumber;
+            if (this.pendingCount === 0 && this.stalledAt === null) {
+                this.stateStore.advanceCheckpoint(this.chain.chainId, blockNumber - CHECKPOINT_LAG_BLOCKS);
             }
         });
 
         this.isListening = true;
-        console.log(chalk.green(`✅ Listener active for ${this.chain.name}`));
+        this.logger.info(`✅ Listener active for ${this.chain.name}`);
+    }
+
+    getStartBlock(latestBlock) {
+        const checkpoint = this.stateStore.getCheckpoint(this.chain.chainId);
+        if (checkpoint !== null) {
+            this.logger.info("Resuming from checkpoint", { checkpoint });
+            return checkpoint;
+        }
+
+        const startBlockEnv = process.env[`${this.chain.envPrefix}_START_BLOCK`];
+        if (startBlockEnv) {
+            this.logger.info(`No checkpoint, starting from ${this.chain.envPrefix}_START_BLOCK`, { startBlock: startBlockEnv });
+            return parseInt(startBlockEnv, 10);
+        }
+
+        this.logger.info("No checkpoint, starting from current block");
+        return latestBlock;
+    }
+
+    async backfill(fromBlock, toBlock) {
+        if (fromBlock > toBlock) return;
+        this.logger.info(`Backfilling blocks ${fromBlock} to ${toBlock}...`, { fromBlock, toBlock });
+
+        for (let start = fromBlock; start <= toBlock; start += BACKFILL_BLOCK_RANGE) {
+            const end = Math.min(start + BACKFILL_BLOCK_RANGE - 1, toBlock);
+            // One request for all batch events, returned in chain order
+            const topics = BATCH_EVENTS.map(eventName => this.contract.interface.getEvent(eventName).topicHash);
+            const logs = await this.contract.queryFilter([topics], start, end);
+            for (const log of logs) {
+                await this.enqueue(log);
+            }
+            if (this.stalledAt === null) {
+                this.stateStore.advanceCheckpoint(this.chain.chainId, end);
+            }
+        }
+
+        this.logger.info(`✅ Backfill complete for ${this.chain.name}`);
+    }
+
+    enqueue(log) {
+        this.pendingCount++;
+        this.work = this.work
+            .then(() => this.processLog(log))
+            .finally(() => this.pendingCount--);
+        return this.work;
+    }
+
+    async processLog(log) {
+        // Create unique event identifier
+        const eventId = RelayerStateStore.eventKey(log);
+
+        // Skip if already processed, including by a previous run
+        if (this.stateStore.isProcessed(this.chain.chainId, eventId)) {
+            this.clearFailure(eventId);
+            return;
+        }
+
+        try {
+            const eventData = {
+                chain: this.chain,
+                eventName: log.eventName,
+                sender: log.args.sender,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.index
+            };
+
+            if (log.eventName === "InvoiceRootBatch") {
+                eventData.root = log.args.root;
+                eventData.invoiceCount = Number(log.args.count);
+            } else if (log.eventName === "InvoiceStatusBatch") {
+                eventData.statusUpdates = log.args.updates.map(update => update.invoiceHash);
+                eventData.invoiceCount = log.args.updates.length;
+            } else {
+                eventData.invoices = log.args.invoices;
+                eventData.invoiceCount = log.args.invoices.length;
+            }
+            if (log.eventName === "InvoiceMetadataBatch") {
+                // Invoices added without metadata have an empty record (status none)
+                eventData.metadataCount = log.args.metadata.filter(metadata => metadata.status !== 0n).length;
+            }
+
+            // Get transaction receipt for position in block
+            const receipt = await log.getTransactionReceipt();
+            eventData.positionInBlock = receipt.index;
+            
+            await this.eventCallback(eventData);
+            this.stateStore.markProcessed(this.chain.chainId, eventId, log.blockNumber);
+            this.clearFailure(eventId);
+            if (this.stalledAt === null) {
+                this.stateStore.advanceCheckpoint(this.chain.chainId, log.blockNumber);
+            }
+        } catch (error) {
+            const logger = this.logger.child({ correlationId: batchId(this.chain.chainId, log.transactionHash, log.index) });
+            logger.error("❌ Error processing event", { error });
+            this.scheduleRetry(eventId, log, logger);
+        }
+    }
+
+    /**
+     * Retries a failed event with backoff, holding the checkpoint before it meanwhile
+     */
+    scheduleRetry(eventId, log, logger) {
+        const failure = this.failedEvents.get(eventId) || { blockNumber: log.blockNumber, attempts: 0 };
+        failure.attempts++;
+        const delayMs = computeBackoff(failure.attempts, EVENT_RETRY_OPTIONS);
+        if (!this.isStopped) {
+            failure.timer = setTimeout(() => {
+                failure.timer = null;
+                this.enqueue(log);
+            }, delayMs);
+        }
+        this.failedEvents.set(eventId, failure);
+
+        if (this.stalledAt === null || log.blockNumber < this.stalledAt) {
+            this.stalledAt = log.blockNumber;
+            logger.warn(`⚠️  Checkpoint for ${this.chain.name} held at block ${log.blockNumber} until the event is relayed`);
+        }
+        logger.info(`🔁 Retrying the event in ${Math.round(delayMs / 1000)}s`, { attempts: failure.attempts, retryInMs: delayMs });
+    }
+
+    clearFailure(eventId) {
+        const failure = this.failedEvents.get(eventId);
+        if (!failure) return;
+        clearTimeout(failure.timer);
+        this.failedEvents.delete(eventId);
+
+        // The checkpoint moves again once no failed event is left before it
+        const blocks = [...this.failedEvents.values()].map(entry => entry.blockNumber);
+        this.stalledAt = blocks.length > 0 ? Math.min(...blocks) : null;
+        if (this.stalledAt === null) {
+            this.logger.info(`✅ ${this.chain.name}: Failed events relayed, checkpoint released`);
+        }
     }
 
     async stop() {
         if (!this.isListening) return;
         await this.contract.removeAllListeners();
+        await this.provider.removeAllListeners("block");
+        this.isStopped = true;
+        this.failedEvents.forEach(failure => clearTimeout(failure.timer));
+        await this.work;
         this.isListening = false;
-        console.log(chalk.yellow(`⏹️  Stopped listener for ${this.chain.name}`));
+        this.logger.info(`⏹️  Stopped listener for ${this.chain.name}`);
+    }
+
+    getStatus() {
+        let state = "stopped";
+        if (this.isBackfilling) state = "backfilling";
+        else if (this.isListening) state = this.stalledAt === null ? "listening" : "stalled";
+
+        return {
+            state,
+            lastSeenBlock: this.lastSeenBlock,
+            checkpoint: this.stateStore.getCheckpoint(this.chain.chainId),
+            pendingEvents: this.pendingCount,
+            failedEvents: this.failedEvents.size,
+            stalledAt: this.stalledAt
+        };
     }
 }
 
 class Relayer {
-    constructor() {
+    constructor({ proofProvider, logger } = {}) {
+        this.logger = logger || createLogger();
         this.enabledChains = getEnabledChains();
         // Create a map of chainId to chain config for easy lookup
         this.chains = Object.fromEntries(
-            this.enabledChains.map(chain => {
-                // Add contract address from environment variables using envPrefix
-                const contractEnvKey = `${chain.envPrefix}_INVOICEBATCHER_ADDRESS`;
-                chain.invoiceBatcherAddress = process.env[contractEnvKey];
-                // Add RPC from environment variables using envPrefix
-                const rpcEnvKey = `${chain.envPrefix}_RPC`;
-                chain.rpc = process.env[rpcEnvKey];
-                return [chain.chainId, chain];
-            })
+            this.enabledChains.map(chain => [chain.chainId, chain])
         );
+        // Batches are only relayed along declared routes, to the addresses the topology declares
+        this.topology = loadTopology();
+        for (const entry of Object.values(this.topology.chains)) {
+            if (this.chains[entry.chainConfig.chainId]) {
+                this.chains[entry.chainConfig.chainId].invoiceBatcherAddress = entry.address;
+            }
+        }
+        this.proofProvider = proofProvider || createProofProvider(this.enabledChains);
         this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
         this.listeners = new Map();
         this.processingEvents = new Map();
+        this.stateStore = new RelayerStateStore();
+        this.deliveryQueue = new DeliveryQueue();
+        this.retryTimer = null;
+        this.isRetrying = false;
+        this.isStarted = false;
+        this.metrics = createRelayerMetrics();
+        // Batches being proven or delivered, by event ID, for /status
+        this.inFlight = new Map();
+        this.httpServer = null;
     }
 
     async init() {
-        console.log(chalk.cyan(`👛 Using wallet address: ${this.wallet.address}`));
+        this.logger.info("👛 Relayer configuration", {
+            wallet: this.wallet.address,
+            stateFile: this.stateStore.filePath,
+            deliveryQueue: this.deliveryQueue.filePath,
+            topology: this.topology.filePath || "full mesh of ACTIVATED_CHAINS"
+        });
         
         for (const chain of this.enabledChains) {
-            const contractEnvKey = `${chain.envPrefix}_INVOICEBATCHER_ADDRESS`;
-            if (!process.env[contractEnvKey]) {
-                console.log(chalk.yellow(`⚠️  Skipping ${chain.name} - No invoice batcher address configured (${contractEnvKey})`));
+            if (!chain.invoiceBatcherAddress) {
+                this.logger.warn(`⚠️  Skipping ${chain.name} - No invoice batcher deployed (deployments/${chain.key}.json or ${chain.envPrefix}_INVOICEBATCHER_ADDRESS)`);
+                continue;
+            }
+            const targets = this.getTargetChains(chain);
+            if (targets.length === 0) {
+                this.logger.warn(`⚠️  Not listening on ${chain.name} - No routes from it to an enabled chain`);
                 continue;
             }
-            console.log(chalk.cyan(`>  ${chain.name} contract: ${process.env[contractEnvKey]}`));
-            const listener = new ChainListener(chain, this.handleEvent.bind(this));
+            this.logger.info(`🔗 ${chain.name}`, {
+                contract: chain.invoiceBatcherAddress,
+                routesTo: targets.map(target => target.key)
+            });
+            const listener = new ChainListener(chain, this.handleEvent.bind(this), this.stateStore, this.logger);
             this.listeners.set(chain.chainId, listener);
+
+            const entry = Object.values(this.topology.chains).find(e => e.chainConfig.chainId === chain.chainId);
+            if (entry && entry.addresses.length > 1) {
+                await this.checkPreviousAddresses(chain, entry.addresses.slice(1));
+            }
         }
 
         if (this.listeners.size === 0) {
@@ -164,181 +430,452 @@ class Relayer {
         }
     }
 
+    /**
+     * Warns about previous deployments of a chain. Only the current address is
+     * watched, so batches they still emit are not relayed: they have to be drained
+     * before the topology switches to the new address.
+     */
+    async checkPreviousAddresses(chain, addresses) {
+        const provider = new ethers.JsonRpcProvider(chain.rpc, chain.chainId, { staticNetwork: true });
+        try {
+            for (const address of addresses) {
+                const contract = new ethers.Contract(address, PREVIOUS_DEPLOYMENT_ABI, provider);
+                // Unknown for contracts that cannot be read, e.g. a different version
+                const pending = await contract.getPendingInvoicesCount().catch(() => null);
+                this.logger.warn(`⚠️  ${chain.name}: Batches of the previous deployment ${address} are not relayed`, {
+                    address,
+                    pendingInvoices: pending === null ? "unknown" : Number(pending)
+                });
+            }
+        } finally {
+            provider.destroy();
+        }
+    }
+
     async start() {
-        console.log(chalk.blue("\n🚀 Starting relayer..."));
+        this.logger.info("🚀 Starting relayer...");
         
         for (const listener of this.listeners.values()) {
             await listener.start();
         }
+
+        const pending = this.deliveryQueue.getPending().length;
+        if (pending > 0) {
+            this.logger.warn(`📬 ${pending} failed deliveries queued for retry`, { pending });
+        }
+        this.retryTimer = setInterval(() => this.retryFailedDeliveries(), RETRY_INTERVAL_MS);
+        this.isStarted = true;
         
-        console.log(chalk.green("\n✅ Relayer active and listening on all chains"));
+        this.logger.info("✅ Relayer active and listening on all chains");
     }
 
     async stop() {
-        console.log(chalk.yellow("\n⏹️  Stopping relayer..."));
+        this.logger.info("⏹️  Stopping relayer...");
+        this.isStarted = false;
+        clearInterval(this.retryTimer);
         for (const listener of this.listeners.values()) {
             await listener.stop();
         }
+        if (this.httpServer) {
+            await new Promise(resolve => this.httpServer.close(resolve));
+            this.httpServer = null;
+        }
+    }
+
+    async startHttpServer({ port, host }) {
+        this.httpServer = await startStatusServer(this, { port, host });
+        const { address, port: boundPort } = this.httpServer.address();
+        this.logger.info(`📈 Status API on http://${address}:${boundPort}`, { endpoints: "/health, /ready, /status, /metrics" });
+        return this.httpServer;
+    }
+
+    // Ready once every listener has caught up and is receiving live events
+    isReady() {
+        return this.isStarted && [...this.listeners.values()].every(listener => listener.isListening);
+    }
+
+    getStatus() {
+        return {
+            ready: this.isReady(),
+            wallet: this.wallet.address,
+            chains: this.enabledChains.map(chain => {
+                const listener = this.listeners.get(chain.chainId);
+                return {
+                    key: chain.key,
+                    name: chain.name,
+                    chainId: chain.chainId,
+                    contract: chain.invoiceBatcherAddress || null,
+                    routesTo: this.getTargetChains(chain).map(target => target.key),
+                    listener: listener ? listener.getStatus() : null
+                };
+            }),
+            inFlightBatches: [...this.inFlight.values()],
+            deliveryQueue: {
+                pending: this.deliveryQueue.getPending().length,
+                dead: this.deliveryQueue.getDeadLetters().length
+            }
+        };
+    }
+
+    async renderMetrics() {
+        const { metrics } = this;
+        for (const chain of this.enabledChains) {
+            const listener = this.listeners.get(chain.chainId);
+            metrics.listenerUp.set({ chain: chain.key }, listener && listener.isListening ? 1 : 0);
+            if (listener && listener.lastSeenBlock !== null) {
+                metrics.lastSeenBlock.set({ chain: chain.key }, listener.lastSeenBlock);
+            }
+        }
+        metrics.inFlightBatches.set({}, this.inFlight.size);
+        metrics.queuePending.set({}, this.deliveryQueue.getPending().length);
+        metrics.queueDead.set({}, this.deliveryQueue.getDeadLetters().length);
+
+        await Promise.all(this.enabledChains.map(chain => this.updateWalletBalance(chain)));
+        return metrics.registry.render();
+    }
+
+    async updateWalletBalance(chain) {
+        const provider = new ethers.JsonRpcProvider(chain.rpc, chain.chainId, { staticNetwork: true });
+        try {
+            const balance = await withTimeout(
+                provider.getBalance(this.wallet.address),
+                BALANCE_TIMEOUT_MS,
+                `No balance from ${chain.name} within ${BALANCE_TIMEOUT_MS}ms`
+            );
+            this.metrics.walletBalance.set({ chain: chain.key }, Number(ethers.formatEther(balance)));
+        } catch (error) {
+            // A stale balance would hide that the chain cannot be reached
+            this.metrics.walletBalance.remove({ chain: chain.key });
+        } finally {
+            provider.destroy();
+        }
+    }
+
+    // Enabled chains the topology routes a source chain's batches to
+    getTargetChains(sourceChain) {
+        return getRouteTargets(this.topology, sourceChain.chainId)
+            .map(chainId => this.chains[chainId])
+            .filter(chain => chain && chain.invoiceBatcherAddress);
     }
 
     async handleEvent(eventData) {
         const { chain: sourceChain, transactionHash } = eventData;
-        const eventId = `${sourceChain.chainId}-${transactionHash}`;
-        
+        // One transaction can emit several batches (e.g. an auto-seal and a status
+        // batch), so events are told apart by their log index too. Every line about
+        // this batch, including its retries, carries the same ID as correlation ID
+        const correlationId = batchId(sourceChain.chainId, transactionHash, eventData.logIndex);
+        const eventId = correlationId;
+
         if (this.processingEvents.has(eventId)) return;
         this.processingEvents.set(eventId, true);
+        this.metrics.batchesSeen.inc({ source_chain: sourceChain.key });
+        const logger = this.logger.child({ correlationId });
+        const inFlight = {
+            correlationId,
+            sourceChain: sourceChain.key,
+            eventName: eventData.eventName,
+            blockNumber: eventData.blockNumber,
+            transactionHash,
+            invoiceCount: eventData.invoiceCount,
+            stage: "locating",
+            targets: [],
+            startedAt: new Date().toISOString()
+        };
+        this.inFlight.set(eventId, inFlight);
         
         try {
-            console.log(chalk.blue(`\n📝 New batch event from ${sourceChain.name}:`));
-            console.log(chalk.cyan(">  Sender:", eventData.sender));
-            console.log(chalk.cyan(">  Invoices:", eventData.invoices.length));
-            console.log(chalk.cyan(">  Block:", eventData.blockNumber));
-            console.log(chalk.cyan(">  Tx Hash:", eventData.transactionHash));
+            logger.info(`📝 New batch event from ${sourceChain.name}`, {
+                event: eventData.eventName,
+                sourceChain: sourceChain.key,
+                sender: eventData.sender,
+                invoiceCount: eventData.invoiceCount,
+                metadataCount: eventData.metadataCount,
+                root: eventData.root,
+                blockNumber: eventData.blockNumber,
+                transactionHash
+            });
 
-            // Get proof from Polymer API
-            const { proof, proofTime } = await this.getPolymerProof(
+            // Locate the event inside its transaction, which is how proofs
+            // and the destination replay protection identify it
+            const logPosition = await this.getLogPosition(
                 sourceChain.chainId,
-                eventData.blockNumber,
                 eventData.transactionHash,
                 eventData.logIndex
             );
-            
-            // Process updates to all other chains in parallel
-            const targetChains = this.enabledChains.filter(chain => 
-                chain.chainId !== sourceChain.chainId
+
+            // Skip chains that have already processed this batch
+            inFlight.stage = "checking";
+            const otherChains = this.getTargetChains(sourceChain);
+            const delivered = await Promise.all(otherChains.map(targetChain =>
+                this.isBatchDelivered(targetChain, sourceChain, eventData.blockNumber, logPosition)
+            ));
+            const targetChains = otherChains.filter((chain, index) => !delivered[index]);
+
+            if (targetChains.length === 0) {
+                logger.info("✅ Batch already delivered to all chains, skipping");
+                return;
+            }
+
+            // What the target must emit for the delivery to count as complete
+            const batch = eventData.root
+                ? { root: eventData.root, invoiceCount: eventData.invoiceCount }
+                : eventData.statusUpdates
+                    ? { statusUpdates: [...eventData.statusUpdates] }
+                    : { invoices: [...eventData.invoices] };
+
+            // Get proof from Polymer API
+            inFlight.stage = "proving";
+            inFlight.targets = targetChains.map(chain => chain.key);
+            const { proof, proofTime } = await this.getPolymerProof(
+                sourceChain,
+                eventData.blockNumber,
+                logPosition.receiptIndex,
+                logPosition.localLogIndex,
+                logger
             );
             
+            // Process updates to all remaining chains in parallel
+            inFlight.stage = "delivering";
             const updatePromises = targetChains.map(targetChain => 
-                this.updateChain(targetChain, proof)
+                this.updateChain(targetChain, proof, batch, logger)
             );
 
             const results = await Promise.allSettled(updatePromises);
             
-            console.log(chalk.blue("\n📊 Update Results:"));
             results.forEach((result, index) => {
                 const targetChain = targetChains[index];
-                if (result.status === 'fulfilled') {
-                    console.log(chalk.green(`✅ ${targetChain.name}: Updated successfully`));
-                } else {
-                    console.log(chalk.red(`❌ ${targetChain.name}: Failed - ${result.reason}`));
+                this.metrics.deliveries.inc({
+                    target_chain: targetChain.key,
+                    result: result.status === 'fulfilled' ? "success" : "failure"
+                });
+                if (result.status === 'rejected') {
+                    const entry = this.deliveryQueue.enqueue({
+                        sourceChainId: sourceChain.chainId,
+                        targetChainId: targetChain.chainId,
+                        blockNumber: eventData.blockNumber,
+                        transactionHash: eventData.transactionHash,
+                        logIndex: eventData.logIndex,
+                        ...logPosition,
+                        proof,
+                        batch
+                    }, result.reason);
+                    if (entry.deadAt) {
+                        logger.error(`💀 ${targetChain.name}: Failed, already in dead letters (npm run relayer:dlq -- requeue ${entry.id})`, {
+                            targetChain: targetChain.key,
+                            error: result.reason
+                        });
+                        return;
+                    }
+                    logger.error(`❌ ${targetChain.name}: Failed, queued for retry`, {
+                        targetChain: targetChain.key,
+                        error: result.reason,
+                        attempt: `${entry.attempts}/${this.deliveryQueue.retryOptions.maxAttempts}`
+                    });
                 }
             });
-            console.log(chalk.cyan("\n>  Polymer API proof time:", proofTime, "seconds"));
+            logger.info("📊 Batch relayed", {
+                delivered: targetChains.filter((chain, index) => results[index].status === 'fulfilled').map(chain => chain.key),
+                failed: targetChains.filter((chain, index) => results[index].status === 'rejected').map(chain => chain.key),
+                proofTimeSeconds: proofTime
+            });
 
         } catch (error) {
-            console.error(chalk.red("\n❌ Error processing event:"), error);
+            logger.error("❌ Error processing event", { stage: inFlight.stage, error });
+            // Let the listener know so the event is retried after a restart
+            throw error;
         } finally {
             this.processingEvents.delete(eventId);
+            this.inFlight.delete(eventId);
         }
     }
 
-    async getPolymerProof(sourceChainId, blockNumber, transactionHash, logIndex) {
-        console.log(chalk.yellow("\n📤 Getting Polymer Proof..."));
+    async retryFailedDeliveries() {
+        // Skip this tick if the previous one is still sending transactions
+        if (this.isRetrying) return;
+        this.isRetrying = true;
 
         try {
-            // Get the transaction receipt to find local log index
-            const provider = new ethers.JsonRpcProvider(this.chains[sourceChainId].rpc);
-            const txReceipt = await provider.getTransactionReceipt(transactionHash);
-            
-            if (!txReceipt) {
-                throw new Error("Transaction receipt not found");
-            }
+            for (const entry of this.deliveryQueue.getDue()) {
+                const sourceChain = this.chains[entry.sourceChainId];
+                const targetChain = this.chains[entry.targetChainId];
+                const logger = this.logger.child({ correlationId: batchId(entry.sourceChainId, entry.transactionHash, entry.logIndex) });
+                logger.info(`🔁 Retrying delivery ${entry.id}`, { attempt: entry.attempts + 1 });
+
+                try {
+                    if (!sourceChain || !targetChain) {
+                        throw new Error("Source or target chain is not enabled");
+                    }
 
-            // Find the local log index of our InvoiceBatch event
-            const invoiceBatchEventSignature = "InvoiceBatch(address,bytes32[])";
-            const invoiceBatchTopic = ethers.id(invoiceBatchEventSignature);
-            const localLogIndex = txReceipt.logs.findIndex(
-                log => log.topics[0] === invoiceBatchTopic
-            );
+                    const delivered = await this.isBatchDelivered(targetChain, sourceChain, entry.blockNumber, entry);
+                    if (!delivered) {
+                        // Entries queued by older versions have no batch to check against
+                        await this.updateChain(targetChain, entry.proof, entry.batch || null, logger);
+                        this.metrics.deliveries.inc({ target_chain: targetChain.key, result: "success" });
+                    }
 
-            if (localLogIndex === -1) {
-                throw new Error("InvoiceBatch event not found in transaction logs");
+                    this.deliveryQueue.recordSuccess(entry.id);
+                    logger.info(`✅ ${targetChain.name}: Delivered on retry`, { targetChain: targetChain.key });
+                } catch (error) {
+                    if (targetChain) {
+                        this.metrics.deliveries.inc({ target_chain: targetChain.key, result: "failure" });
+                    }
+                    const updated = this.deliveryQueue.recordFailure(entry.id, error);
+                    if (updated && updated.dead) {
+                        logger.error(`💀 ${entry.id}: Giving up after ${updated.attempts} attempts, moved to dead letters`, { error });
+                    } else if (updated) {
+                        const delaySeconds = Math.round((updated.nextAttemptAt - Date.now()) / 1000);
+                        logger.error(`❌ Retry failed. Next attempt in ${delaySeconds}s`, { error });
+                    }
+                }
             }
+        } catch (error) {
+            this.logger.error("❌ Error in retry worker", { error });
+        } finally {
+            this.isRetrying = false;
+        }
+    }
 
-            console.log(chalk.cyan(">  Block Number:", blockNumber));
-            console.log(chalk.cyan(">  Transaction Index:", txReceipt.index));
-            console.log(chalk.cyan(">  Local Log Index:", localLogIndex));
+    async getLogPosition(sourceChainId, transactionHash, logIndex) {
+        // Get the transaction receipt to find local log index
+        const provider = new ethers.JsonRpcProvider(this.chains[sourceChainId].rpc);
+        const txReceipt = await provider.getTransactionReceipt(transactionHash);
+        
+        if (!txReceipt) {
+            throw new Error("Transaction receipt not found");
+        }
 
-            const proofStartTime = Date.now();
+        // Find the local log index of our batch event
+        const contractInterface = new ethers.Interface(CONTRACT_ABI);
+        const batchTopics = BATCH_EVENTS.map(eventName => contractInterface.getEvent(eventName).topicHash);
+        const localLogIndex = txReceipt.logs.findIndex(
+            log => log.index === logIndex && batchTopics.includes(log.topics[0])
+        );
 
-            // Request proof from Polymer API
-            const proofRequest = await axios.post(
-                POLYMER_API_URL,
-                {
-                    jsonrpc: "2.0",
-                    id: 1,
-                    method: "log_requestProof",
-                    params: [
-                        sourceChainId,
-                        blockNumber,
-                        txReceipt.index,
-                        localLogIndex
-                    ]
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-                    }
-                }
-            );
+        if (localLogIndex === -1) {
+            throw new Error("Batch event not found in transaction logs");
+        }
 
-            if (proofRequest.status !== 200) {
-                throw new Error(`Failed to get proof from Polymer API. Status code: ${proofRequest.status}`);
-            }
+        return { receiptIndex: txReceipt.index, localLogIndex };
+    }
 
-            const jobId = proofRequest.data.result;
-            console.log(chalk.green("✅ Proof requested. Job ID:", jobId));
-
-            // Poll for proof
-            let attempts = 0;
-            while (attempts < 120) { // 120 attempts * 0.5 seconds = 60 seconds max wait
-                const proofResponse = await axios.post(
-                    POLYMER_API_URL,
-                    {
-                        jsonrpc: "2.0",
-                        id: 1,
-                        method: "log_queryProof",
-                        params: [jobId]
-                    },
-                    {
-                        headers: {
-                            Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-                        }
-                    }
-                );
+    async isBatchDelivered(targetChain, sourceChain, blockNumber, logPosition) {
+        const provider = new ethers.JsonRpcProvider(targetChain.rpc);
+        const contract = new ethers.Contract(targetChain.invoiceBatcherAddress, CONTRACT_ABI, provider);
 
-                if (proofResponse.data.result.proof) {
-                    const proof = `0x${Buffer.from(proofResponse.data.result.proof, 'base64').toString('hex')}`;
-                    const proofTime = ((Date.now() - proofStartTime) / 1000).toFixed(2);
-                    console.log(chalk.green("✅ Proof received"));
-                    return { proof, proofTime };
-                }
+        try {
+            return await contract.isBatchProcessed(
+                sourceChain.chainId,
+                sourceChain.invoiceBatcherAddress,
+                blockNumber,
+                logPosition.receiptIndex,
+                logPosition.localLogIndex
+            );
+        } catch (error) {
+            // Fall back to delivering; the contract rejects replays anyway
+            this.logger.warn(`⚠️  Could not check delivery status on ${targetChain.name}`, { error });
+            return false;
+        }
+    }
 
-                attempts++;
-                await new Promise(r => setTimeout(r, 500)); // 500ms delay between polls
-            }
+    async getPolymerProof(sourceChain, blockNumber, receiptIndex, localLogIndex, logger = this.logger) {
+        logger.info("📤 Getting Polymer Proof...", { blockNumber, receiptIndex, localLogIndex });
+        const labels = { source_chain: sourceChain.key };
+        this.metrics.proofsRequested.inc(labels);
+
+        try {
+            const proofStartTime = Date.now();
+
+            const { proof, jobId } = await this.proofProvider.getProof({
+                chainId: sourceChain.chainId,
+                blockNumber,
+                receiptIndex,
+                logIndex: localLogIndex,
+                logger
+            });
 
-            throw new Error("Timeout waiting for proof");
+            const proofSeconds = (Date.now() - proofStartTime) / 1000;
+            this.metrics.proofDuration.observe(labels, proofSeconds);
+            const proofTime = proofSeconds.toFixed(2);
+            logger.info("✅ Proof received", { jobId: jobId || undefined, proofTimeSeconds: proofTime });
+            return { proof, proofTime };
         } catch (error) {
-            console.error(chalk.red("Error getting proof:"), error.message);
+            this.metrics.proofFailures.inc(labels);
+            logger.error("❌ Error getting proof", { error });
             throw error;
         }
     }
 
-    async updateChain(targetChain, proof) {
-        console.log(chalk.yellow(`\n🔄 Updating ${targetChain.name}...`));
+    // Invoices that already exist on the target with another origin are not recorded there
+    reportConflicts(targetChain, contract, receipt, logger = this.logger) {
+        const conflicts = receipt.logs
+            .map(log => contract.interface.parseLog(log))
+            .filter(parsed => parsed && parsed.name === "InvoiceConflict");
+
+        for (const { args } of conflicts) {
+            const existing = this.chains[Number(args.existingChainId)];
+            const existingName = existing ? existing.name : `chain ${args.existingChainId}`;
+            logger.warn(`⚠️  ${targetChain.name}: Invoice conflict ${args.invoiceHash}, already known from ${existingName}, relayed copy was not recorded`, {
+                targetChain: targetChain.key,
+                invoiceHash: args.invoiceHash,
+                originalSender: args.originalSender,
+                existingChainId: Number(args.existingChainId)
+            });
+        }
+        return conflicts.length;
+    }
+
+    /**
+     * Delivers a proof and checks the receipt against the source batch. A
+     * mismatch cannot be fixed by retrying (the batch is now processed on the
+     * target), so it is flagged in the logs and metrics for an operator.
+     */
+    async updateChain(targetChain, proof, batch, logger = this.logger) {
+        logger.info(`🔄 Updating ${targetChain.name}...`, { targetChain: targetChain.key });
         
         const provider = new ethers.JsonRpcProvider(targetChain.rpc);
         const signer = this.wallet.connect(provider);
         const contract = new ethers.Contract(targetChain.invoiceBatcherAddress, CONTRACT_ABI, signer);
 
         try {
+            // Fail fast so the delivery is queued for retry until the target unpauses
+            if (await contract.receivingPaused()) {
+                throw new Error("receiving is paused on the target contract");
+            }
+
+            // Each received invoice is stored in the registry, so gas grows with the batch size
+            const estimatedGas = await contract.invoicesFromSource.estimateGas(proof);
             const tx = await contract.invoicesFromSource(proof, {
-                gasLimit: 500000
+                gasLimit: estimatedGas * 12n / 10n
             });
             
-            console.log(chalk.cyan(`>  Transaction hash: ${tx.hash}`));
+            logger.info(`📨 Delivery sent to ${targetChain.name}`, { targetChain: targetChain.key, targetTxHash: tx.hash });
             const receipt = await tx.wait();
+            const conflicts = this.reportConflicts(targetChain, contract, receipt, logger);
+
+            const events = receipt.logs
+                .filter(log => log.address === ethers.getAddress(targetChain.invoiceBatcherAddress))
+                .map(log => contract.interface.parseLog(log))
+                .filter(Boolean);
+            const rootReceived = events.find(event => event.name === "InvoiceRootReceived");
+            logger.info(`✅ ${targetChain.name}: Updated successfully`, {
+                targetChain: targetChain.key,
+                targetTxHash: receipt.hash,
+                targetBlock: receipt.blockNumber,
+                invoicesReceived: events.filter(event => event.name === "InvoiceReceived").length,
+                rootReceived: rootReceived ? rootReceived.args.root : undefined,
+                statusesReceived: events.filter(event => event.name === "InvoiceStatusReceived").length,
+                conflicts
+            });
+
+            const problems = batch ? checkDelivery(batch, events) : [];
+            if (problems.length > 0) {
+                this.metrics.deliveryMismatches.inc({ target_chain: targetChain.key });
+                logger.error(`❌ ${targetChain.name}: Delivery does not match the source batch`, {
+                    targetChain: targetChain.key,
+                    targetTxHash: receipt.hash,
+                    problems
+                });
+            }
 
             return receipt;
         } catch (error) {
@@ -351,23 +888,35 @@ async function main() {
     const relayer = new Relayer();
     
     process.on('SIGINT', async () => {
-        console.log(chalk.yellow("\n\n⏹️  Shutting down relayer..."));
+        relayer.logger.info("⏹️  Shutting down relayer...");
         await relayer.stop();
         process.exit();
     });
 
     try {
         await relayer.init();
+        await relayer.startHttpServer({
+            port: parseInt(process.env.RELAYER_HTTP_PORT || "9464", 10),
+            host: process.env.RELAYER_HTTP_HOST || "127.0.0.1"
+        });
         await relayer.start();
         
-        console.log(chalk.blue("\n👀 Watching for events... (Press Ctrl+C to stop)"));
+        relayer.logger.info("👀 Watching for events... (Press Ctrl+C to stop)");
     } catch (error) {
-        console.error(chalk.red("\n❌ Error:"), error);
+        relayer.logger.error("❌ Error", { error });
         process.exit(1);
     }
 }
 
-main().catch((error) => {
-    console.error(chalk.red("\n❌ Fatal Error:"), error);
-    process.exit(1);
-}); 
\ No newline at end of file
+if (require.main === module) {
+    // Also reached when the logger cannot be created, so this one stays on the console
+    main().catch((error) => {
+        console.error(chalk.red("\n❌ Fatal Error:"), error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    ChainListener,
+    Relayer
+};
@@ -1,5 +1,5 @@
 /**
- * Test utility to send invoice IDs to the system
+ * Sends invoice IDs to the system, interactively or from a CSV/JSON file
  * 
  * Usage:
  * ```bash
@@ -8,16 +8,46 @@
  * 
  * # Or using node directly:
  * node scripts/sendInvoices.js
+ *
+ * # Import a CSV or JSON file of invoice IDs without prompts ("-" reads stdin)
+ * npm run send:invoices -- --chain base-sepolia --file invoices.csv
+ * npm run send:invoices -- --chain base-sepolia --file invoices.json --batch root
+ * erp-export | npm run send:invoices -- --chain base-sepolia --file - --format csv --results out.json
  * ```
  * 
  * This script will:
  * 1. Prompt for target chain selection
  * 2. Allow input of multiple invoice IDs
- * 3. Submit invoices to the contract
- * 4. Optionally batch the submitted invoices
+ * 3. Optionally attach metadata (issuer, amount, currency, due date) to each invoice
+ * 4. Submit invoices to the contract with newInvoices, in chunks of up to 200
+ *    whose gas fits in half a block
+ * 5. Optionally batch the submitted invoices, as a full list (sealed by the
+ *    last newInvoices call) or as a Merkle root
+ *
+ * With --file, it instead:
+ * 1. Reads, validates and deduplicates the invoice IDs and their optional metadata
+ *    (see scripts/lib/invoiceImport.js)
+ * 2. Skips IDs that an earlier run of the same results file already submitted
+ * 3. Submits the rest in chunks of up to --chunk-size invoices (default 200),
+ *    sending up to --concurrency transactions (default 5) before waiting for
+ *    their receipts
+ * 4. Records each ID's hash, salt, transaction hash and status in the results
+ *    file (default <input>.results.json): pending (sent without a known outcome),
+ *    submitted, exists (already on chain) or failed. Hashes and salts are recorded
+ *    before sending, and reused by reruns
+ * 5. Batches the pending invoices with --batch list|root, a list batch being
+ *    sealed by the last chunk
+ * 6. Exits with 1 when IDs were invalid or failed, so a rerun can pick them up
  * 
+ * Invoice IDs are committed in the mode of INVOICE_COMMITMENT: plain (legacy
+ * keccak256 of the ID), secret or random salts (see scripts/lib/invoices.js).
+ *
+ * Chunks with metadata are submitted with newInvoicesWithMetadata and sealed
+ * as an InvoiceMetadataBatch, which relays the metadata with the hashes.
+ * Merkle root batches cannot carry metadata.
+ *
  * Requirements:
- * - Contracts must be deployed (run deploy:v2)
+ * - Contracts must be deployed (run deploy:v2, addresses are read from deployments/)
  * - Wallet must have gas tokens on target chain
  * - Relayer should be running to sync across chains
  * 
@@ -26,26 +56,376 @@
  */
 
 require("dotenv").config();
+const fs = require("fs");
 const ethers = require("ethers");
 const inquirer = require("inquirer");
 const chalk = require("chalk");
-const { CHAINS, getEnabledChains } = require("../config/chains");
+const { getEnabledChains, getChain } = require("../config/chains");
+const { createInvoiceCommitment, getCommitmentMode } = require("./lib/invoices");
+const { ImportResults, detectFormat, parseInvoiceIds, prepareInvoices } = require("./lib/invoiceImport");
+const { EMPTY_METADATA, parseInvoiceMetadata, toMetadataStruct } = require("./lib/invoiceMetadata");
 
 // Contract ABI for InvoiceIDBatcher
 const CONTRACT_ABI = [
-    "function newInvoice(bytes32) external",
+    "event InvoiceRootBatch(address indexed sender, bytes32 root, uint256 count)",
+    "function SUBMITTER_ROLE() external view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) external view returns (bool)",
+    "function newInvoices(bytes32[] invoiceHashes, bool seal) external",
+    "function newInvoicesWithMetadata(bytes32[] invoiceHashes, tuple(address issuer, uint256 amount, address currency, uint64 dueDate, uint8 status)[] metadata, bool seal) external",
+    "function localInvoices(bytes32) external view returns (bool)",
+    "function isInvoiceKnown(bytes32) external view returns (bool)",
     "function batchInvoices() external",
+    "function batchInvoiceRoot() external",
     "function getPendingInvoicesCount() external view returns (uint256)"
 ];
 
-async function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+const USAGE = "Usage: npm run send:invoices [-- --chain <chain> --file <path|-> [--format csv|json] [--results <path>] [--batch list|root] [--chunk-size <n>] [--concurrency <n>]]";
+
+const OPTIONS = ["chain", "file", "format", "results", "batch", "chunk-size", "concurrency"];
+
+// Invoice IDs exist once across all chains, so these reverts mean the invoice is already in the system
+const EXISTS_REASONS = ["Invoice already exists", "Invoice already received"];
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, "");
+        if (!args[i].startsWith("--") || !OPTIONS.includes(name) || args[i + 1] === undefined) {
+            throw new Error(`Unexpected argument "${args[i]}". ${USAGE}`);
+        }
+        options[name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = args[i + 1];
+    }
+    if (options.file === undefined && Object.keys(options).length > 0) {
+        throw new Error(`--file is required to import invoices. ${USAGE}`);
+    }
+    if (options.file !== undefined && !options.chain) {
+        throw new Error(`--chain is required to import invoices. ${USAGE}`);
+    }
+    if (options.batch !== undefined && !["list", "root"].includes(options.batch)) {
+        throw new Error(`Unknown batch mode "${options.batch}", expected list or root`);
+    }
+    return options;
+}
+
+function errorReason(error) {
+    return error.reason || error.shortMessage || error.message;
+}
+
+function connect(chain, wallet) {
+    const contractAddress = chain.invoiceBatcherAddress;
+    if (!contractAddress) {
+        throw new Error(`No invoice batcher deployed for chain ${chain.name} (deployments/${chain.key}.json or ${chain.envPrefix}_INVOICEBATCHER_ADDRESS)`);
+    }
+    // RPC and contract address as resolved by the chain registry (deployment manifest)
+    const provider = new ethers.JsonRpcProvider(chain.rpc);
+    return new ethers.Contract(contractAddress, CONTRACT_ABI, wallet.connect(provider));
+}
+
+function isOnChain(contract, invoiceHash) {
+    return Promise.all([contract.localInvoices(invoiceHash), contract.isInvoiceKnown(invoiceHash)])
+        .then(([local, received]) => local || received);
+}
+
+/**
+ * The call that adds a chunk: newInvoicesWithMetadata when any invoice has metadata,
+ * else newInvoices, so hash-only chunks also work on contracts without metadata support
+ * @returns { method, args }
+ */
+function addInvoicesCall(contract, invoices, seal) {
+    const hashes = invoices.map(invoice => invoice.hash);
+    if (!invoices.some(invoice => invoice.metadata)) {
+        return { method: contract.newInvoices, args: [hashes, seal] };
+    }
+    const metadata = invoices.map(invoice => invoice.metadata ? toMetadataStruct(invoice.metadata) : EMPTY_METADATA);
+    return { method: contract.newInvoicesWithMetadata, args: [hashes, metadata, seal] };
+}
+
+async function waitForChunk(tx) {
+    try {
+        const receipt = await tx.wait();
+        return { status: "submitted", transactionHash: tx.hash, blockNumber: receipt.blockNumber };
+    } catch (error) {
+        return { status: "failed", transactionHash: tx.hash, error: errorReason(error) };
+    }
+}
+
+/**
+ * Estimates the gas of a newInvoices(WithMetadata) chunk, halving the chunk while it needs
+ * more than maxGas. Invoices already on chain are left out as "exists", and
+ * chunks that would revert otherwise as "failed", so they never take a nonce.
+ * @returns { chunks: [{ invoices, gasLimit }], results }
+ */
+async function prepareChunk(contract, invoices, maxGas) {
+    if (invoices.length === 0) {
+        return { chunks: [], results: [] };
+    }
+    const split = async () => {
+        const half = Math.ceil(invoices.length / 2);
+        const first = await prepareChunk(contract, invoices.slice(0, half), maxGas);
+        const second = await prepareChunk(contract, invoices.slice(half), maxGas);
+        return { chunks: [...first.chunks, ...second.chunks], results: [...first.results, ...second.results] };
+    };
+
+    let gasLimit;
+    try {
+        const { method, args } = addInvoicesCall(contract, invoices, false);
+        gasLimit = await method.estimateGas(...args);
+    } catch (error) {
+        const reason = errorReason(error);
+        if (EXISTS_REASONS.includes(reason)) {
+            const known = await Promise.all(invoices.map(invoice => isOnChain(contract, invoice.hash)));
+            if (known.includes(true)) {
+                const rest = await prepareChunk(contract, invoices.filter((_, i) => !known[i]), maxGas);
+                const existing = invoices.filter((_, i) => known[i]).map(invoice => ({ ...invoice, status: "exists" }));
+                return { chunks: rest.chunks, results: [...existing, ...rest.results] };
+            }
+        }
+        // Not a revert, e.g. the chunk exceeds the node's gas cap
+        if (error.code !== "CALL_EXCEPTION" && invoices.length > 1) {
+            return split();
+        }
+        return { chunks: [], results: invoices.map(invoice => ({ ...invoice, status: "failed", error: reason })) };
+    }
+
+    if (gasLimit > maxGas && invoices.length > 1) {
+        return split();
+    }
+    return { chunks: [{ invoices, gasLimit }], results: [] };
+}
+
+/**
+ * Submits invoices in chunks of up to `chunkSize` with newInvoices, or
+ * newInvoicesWithMetadata for chunks with metadata, sending up
+ * to `concurrency` transactions before waiting for their receipts. Chunks are
+ * halved until their gas fits in half a block.
+ * @param seal Seal the pending invoices as an InvoiceBatch (InvoiceMetadataBatch
+ *        when any has metadata) with the last chunk. It is
+ *        sent once the other chunks are mined, so its gas estimate covers them.
+ * @param onResults Called with the results of each group of transactions:
+ *        [{ id, hash, salt, metadata, status, transactionHash, blockNumber, error }]
+ * @returns { results, batchTransactionHash }, batchTransactionHash being set when
+ *          the last chunk sealed the batch
+ */
+async function submitInvoices(contract, invoices, { chunkSize = 200, concurrency = 5, seal = false, onResults = () => {} } = {}) {
+    const signer = contract.runner;
+    const { gasLimit: blockGasLimit } = await signer.provider.getBlock("latest");
+    const maxGas = blockGasLimit / 2n;
+    const chunkResults = (chunk, outcome) => chunk.invoices.map(invoice => ({ ...invoice, ...outcome }));
+    const results = [];
+    let batchTransactionHash = null;
+
+    const groupSize = chunkSize * concurrency;
+    for (let start = 0; start < invoices.length; start += groupSize) {
+        const group = invoices.slice(start, start + groupSize);
+        const groupResults = [];
+        const chunks = [];
+        for (let offset = 0; offset < group.length; offset += chunkSize) {
+            const prepared = await prepareChunk(contract, group.slice(offset, offset + chunkSize), maxGas);
+            chunks.push(...prepared.chunks);
+            groupResults.push(...prepared.results);
+        }
+        const sealChunk = seal && start + groupSize >= invoices.length ? chunks.pop() : null;
+
+        let nonce = await signer.getNonce("pending");
+        const sent = [];
+        for (const chunk of chunks) {
+            try {
+                const { method, args } = addInvoicesCall(contract, chunk.invoices, false);
+                const tx = await method(...args, { gasLimit: chunk.gasLimit, nonce });
+                nonce++;
+                sent.push({ chunk, tx });
+            } catch (error) {
+                groupResults.push(...chunkResults(chunk, { status: "failed", error: errorReason(error) }));
+                nonce = await signer.getNonce("pending");
+            }
+        }
+        for (const { chunk, tx } of sent) {
+            groupResults.push(...chunkResults(chunk, await waitForChunk(tx)));
+        }
+
+        if (sealChunk) {
+            // Without the batcher role, or while sending is paused, the chunk is sent unsealed
+            let sealed = true;
+            let { gasLimit } = sealChunk;
+            try {
+                const { method, args } = addInvoicesCall(contract, sealChunk.invoices, true);
+                gasLimit = await method.estimateGas(...args);
+            } catch (error) {
+                sealed = false;
+            }
+            try {
+                const { method, args } = addInvoicesCall(contract, sealChunk.invoices, sealed);
+                const tx = await method(...args, { gasLimit });
+                const outcome = await waitForChunk(tx);
+                if (sealed && outcome.status === "submitted") {
+                    batchTransactionHash = tx.hash;
+                }
+                groupResults.push(...chunkResults(sealChunk, outcome));
+            } catch (error) {
+                groupResults.push(...chunkResults(sealChunk, { status: "failed", error: errorReason(error) }));
+            }
+        }
+
+        await onResults(groupResults);
+        results.push(...groupResults);
+    }
+    return { results, batchTransactionHash };
+}
+
+/**
+ * Seals the pending invoices as an InvoiceBatch ("list") or InvoiceRootBatch ("root")
+ */
+async function batchPendingInvoices(contract, chain, batchMode) {
+    console.log(chalk.yellow("\n🔄 Batching invoices..."));
+
+    // Gas grows with the number of pending invoices, so estimate it
+    const batchFunction = batchMode === "root"
+        ? contract.batchInvoiceRoot
+        : contract.batchInvoices;
+    const batchGas = await batchFunction.estimateGas();
+    const batchTx = await batchFunction({
+        gasLimit: batchGas
+    });
+    console.log(chalk.cyan(">  Batch transaction hash:", batchTx.hash));
+
+    const batchReceipt = await batchTx.wait();
+    console.log(chalk.green("✅ Invoices batched successfully!"));
+    console.log(chalk.cyan(">  Gas used:", batchReceipt.gasUsed.toString()));
+
+    if (batchMode === "root") {
+        const rootLog = batchReceipt.logs
+            .map(log => contract.interface.parseLog(log))
+            .find(log => log && log.name === "InvoiceRootBatch");
+        console.log(chalk.cyan(">  Merkle root:", rootLog.args.root));
+        console.log(chalk.cyan(">  Invoices in batch:", rootLog.args.count.toString()));
+        console.log(chalk.yellow(`>  Get a membership proof with: npm run invoice:proof -- ${chain.key} ${batchTx.hash} <invoiceId>`));
+    }
+
+    // Verify pending count is now 0
+    const afterBatchCount = await contract.getPendingInvoicesCount();
+    console.log(chalk.cyan(">  Remaining pending invoices:", afterBatchCount.toString()));
+    return batchTx.hash;
+}
+
+/**
+ * Imports the invoice IDs of a CSV or JSON file ("-" for stdin) without prompts
+ * @returns { resultsPath, counts, batchTransactionHash }, where counts holds the
+ *          number of invoices per status plus skipped, invalid and duplicates
+ */
+async function importInvoices({ chain, file, format, results, batch, chunkSize = "200", concurrency = "5" }) {
+    if (file === "-" && !results) {
+        throw new Error("--results is required when reading invoices from stdin");
+    }
+    const [chunkLimit, groupSize] = [["chunk size", chunkSize], ["concurrency", concurrency]].map(([name, value]) => {
+        const number = parseInt(value, 10);
+        if (!(number > 0)) {
+            throw new Error(`Invalid ${name} "${value}", expected a positive integer`);
+        }
+        return number;
+    });
+
+    console.log(chalk.cyan(`🔒 Invoice commitments: ${getCommitmentMode()}`));
+    const text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+    const parsed = parseInvoiceIds(text, format || detectFormat(file === "-" ? null : file, text));
+    // IDs recorded by an earlier run keep their commitment, random salts included
+    const resultsPath = results || ImportResults.defaultPath(file);
+    const store = new ImportResults(resultsPath);
+    const { invoices, invalid, duplicates } = prepareInvoices(parsed, process.env, store.getCommitments());
+    console.log(chalk.cyan(`📄 Read ${parsed.length} invoice IDs: ${invoices.length} unique, ${duplicates.length} duplicates, ${invalid.length} invalid`));
+    invalid.forEach(entry => console.log(chalk.red(`❌ Entry ${entry.line}: ${entry.reason} (${JSON.stringify(entry.id)})`)));
+    const withMetadata = invoices.filter(invoice => invoice.metadata).length;
+    if (withMetadata > 0) {
+        console.log(chalk.cyan(`>  With metadata: ${withMetadata}`));
+        if (batch === "root") {
+            throw new Error("Invoices with metadata cannot be batched as a Merkle root, use --batch list");
+        }
+    }
+
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+    const contract = connect(chain, wallet);
+    try {
+        if (!(await contract.hasRole(await contract.SUBMITTER_ROLE(), wallet.address))) {
+            throw new Error(`Wallet ${wallet.address} is not a submitter on ${chain.name}`);
+        }
+
+        store.open(chain, contract.target);
+        store.setInvalid(invalid);
+
+        const doneIds = store.getDoneIds();
+        const toSubmit = invoices.filter(invoice => !doneIds.has(invoice.id));
+        console.log(chalk.cyan(`>  Already submitted by an earlier run: ${invoices.length - toSubmit.length}`));
+        console.log(chalk.yellow(`\n🚀 Submitting ${toSubmit.length} invoices to ${chain.name}...`));
+        store.record(toSubmit.map(invoice => ({ ...invoice, status: "pending" })));
+
+        const counts = { submitted: 0, exists: 0, failed: 0 };
+        let { batchTransactionHash } = await submitInvoices(contract, toSubmit, {
+            chunkSize: chunkLimit,
+            concurrency: groupSize,
+            seal: batch === "list",
+            onResults: groupResults => {
+                store.record(groupResults);
+                groupResults.forEach(result => {
+                    counts[result.status]++;
+                    if (result.status === "failed") {
+                        console.log(chalk.red(`❌ ${result.id}: ${result.error}`));
+                    }
+                });
+                console.log(chalk.cyan(`>  ${counts.submitted + counts.exists + counts.failed} of ${toSubmit.length} processed`));
+            }
+        });
+
+        if (batch && !batchTransactionHash && await contract.getPendingInvoicesCount() > 0) {
+            batchTransactionHash = await batchPendingInvoices(contract, chain, batch);
+        }
+
+        console.log(chalk.blue("\n📊 Import summary:"));
+        console.log(chalk.green(`✅ Submitted: ${counts.submitted}`));
+        console.log(chalk.cyan(`>  Already on chain: ${counts.exists}`));
+        console.log(chalk.cyan(`>  Skipped (earlier run): ${invoices.length - toSubmit.length}`));
+        console.log(chalk.cyan(`>  Duplicates: ${duplicates.length}`));
+        console.log((counts.failed > 0 ? chalk.red : chalk.cyan)(`>  Failed: ${counts.failed}`));
+        console.log((invalid.length > 0 ? chalk.red : chalk.cyan)(`>  Invalid: ${invalid.length}`));
+        console.log(chalk.cyan(`>  Results: ${resultsPath}`));
+
+        return {
+            resultsPath,
+            counts: { ...counts, skipped: invoices.length - toSubmit.length, invalid: invalid.length, duplicates: duplicates.length },
+            batchTransactionHash
+        };
+    } finally {
+        contract.runner.provider.destroy();
+    }
+}
+
+/**
+ * Asks for the metadata of one invoice, validated like import files
+ */
+async function promptMetadata(defaultIssuer) {
+    const fields = await inquirer.prompt([
+        { type: "input", name: "issuer", message: "  Issuer address:", default: defaultIssuer },
+        { type: "input", name: "amount", message: "  Amount (smallest unit of the currency):" },
+        { type: "input", name: "currency", message: "  Currency token address:", default: "native" },
+        { type: "input", name: "dueDate", message: "  Due date (YYYY-MM-DD, empty for none):" }
+    ]);
+    try {
+        return parseInvoiceMetadata(fields);
+    } catch (error) {
+        console.log(chalk.red(`❌ Invalid metadata: ${error.message}`));
+        return promptMetadata(defaultIssuer);
+    }
 }
 
 async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.file !== undefined) {
+        const { counts } = await importInvoices({ ...options, chain: getChain(options.chain) });
+        return counts.failed === 0 && counts.invalid === 0;
+    }
+
     // Create wallet from private key
     const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
     console.log(chalk.cyan(`👛 Using wallet address: ${chalk.bold(wallet.address)}`));
+    console.log(chalk.cyan(`🔒 Invoice commitments: ${getCommitmentMode()}`));
 
     // Get enabled chains
     const enabledChains = getEnabledChains();
@@ -77,11 +457,28 @@ async function main() {
                 return true;
             }
         },
+        {
+            type: "confirm",
+            name: "withMetadata",
+            message: "Attach metadata (issuer, amount, currency, due date) to the invoices?",
+            default: false
+        },
         {
             type: "confirm",
             name: "autoBatch",
             message: "Automatically batch invoices after sending?",
             default: true
+        },
+        {
+            type: "list",
+            name: "batchMode",
+            message: "Batch mode:",
+            when: (answers) => answers.autoBatch,
+            // Merkle roots cannot carry metadata
+            choices: (answers) => [
+                { name: "Invoice list (InvoiceBatch, relays every hash)", value: "list" },
+                { name: "Merkle root (InvoiceRootBatch, constant-size payload)", value: "root" }
+            ].filter(choice => !answers.withMetadata || choice.value === "list")
         }
     ]);
 
@@ -97,12 +494,15 @@ async function main() {
                 validate: (input) => input.trim() ? true : "Invoice ID cannot be empty"
             }
         ]);
-        // Convert invoice ID to bytes32 hash
-        const invoiceHash = ethers.keccak256(ethers.toUtf8Bytes(invoiceAnswer.invoiceId));
-        invoices.push({
+        // Convert invoice ID to its bytes32 commitment
+        const invoice = {
             id: invoiceAnswer.invoiceId,
-            hash: invoiceHash
-        });
+            ...createInvoiceCommitment(invoiceAnswer.invoiceId)
+        };
+        if (answers.withMetadata) {
+            invoice.metadata = await promptMetadata(wallet.address);
+        }
+        invoices.push(invoice);
     }
 
     // Show transaction details
@@ -112,7 +512,20 @@ async function main() {
         console.log(chalk.cyan(`\nInvoice #${index + 1}:`));
         console.log(chalk.cyan(`   ID: ${invoice.id}`));
         console.log(chalk.cyan(`   Hash: ${invoice.hash}`));
+        if (invoice.salt) {
+            console.log(chalk.cyan(`   Salt: ${invoice.salt}`));
+        }
+        if (invoice.metadata) {
+            const { issuer, amount, currency, dueDate, status } = invoice.metadata;
+            console.log(chalk.cyan(`   Issuer: ${issuer}`));
+            console.log(chalk.cyan(`   Amount: ${amount} (${currency === ethers.ZeroAddress ? "native currency" : currency})`));
+            console.log(chalk.cyan(`   Due: ${dueDate ? new Date(dueDate * 1000).toISOString() : "none"}`));
+            console.log(chalk.cyan(`   Status: ${status}`));
+        }
     });
+    if (getCommitmentMode() === "random") {
+        console.log(chalk.yellow("\n⚠️  Keep the salts: without them the invoices cannot be found or revealed"));
+    }
 
     // Confirm transactions
     const confirmation = await inquirer.prompt([
@@ -132,58 +545,33 @@ async function main() {
     try {
         // Setup provider and contract
         console.log(chalk.yellow(`\n🔄 Connecting to ${answers.chain.name}...`));
-        
-        // Get RPC from environment variable
-        const rpcEnvKey = `${answers.chain.envPrefix}_RPC`;
-        const rpc = process.env[rpcEnvKey];
-        if (!rpc) {
-            throw new Error(`No RPC found in environment for chain ${answers.chain.name} (${rpcEnvKey})`);
-        }
-        const provider = new ethers.JsonRpcProvider(rpc);
-        
-        // Get contract address from environment variable
-        const contractEnvKey = `${answers.chain.envPrefix}_INVOICEBATCHER_ADDRESS`;
-        const contractAddress = process.env[contractEnvKey];
-        if (!contractAddress) {
-            throw new Error(`No invoice batcher address found in environment for chain ${answers.chain.name} (${contractEnvKey})`);
-        }
-
-        const connectedWallet = wallet.connect(provider);
-        const contract = new ethers.Contract(
-            contractAddress,
-            CONTRACT_ABI,
-            connectedWallet
-        );
+        const contract = connect(answers.chain, wallet);
         console.log(chalk.green("✅ Connected successfully"));
 
         // Get initial pending count
         const initialPendingCount = await contract.getPendingInvoicesCount();
         console.log(chalk.cyan(">  Initial pending invoices:", initialPendingCount.toString()));
 
-        // Process each invoice
-        for (let i = 0; i < invoices.length; i++) {
-            const invoice = invoices[i];
-            console.log(chalk.yellow(`\n🚀 Processing invoice #${i + 1}...`));
-
-            // Estimate gas
-            const estimatedGas = await contract.newInvoice.estimateGas(invoice.hash);
-            console.log(chalk.cyan(">  Estimated gas:", estimatedGas.toString()));
-
-            // Send transaction
-            const tx = await contract.newInvoice(invoice.hash, {
-                gasLimit: estimatedGas
-            });
-            console.log(chalk.cyan(">  Transaction hash:", tx.hash));
-
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            console.log(chalk.green("✅ Invoice added successfully!"));
-            console.log(chalk.cyan(">  Gas used:", receipt.gasUsed.toString()));
-
-            if (i < invoices.length - 1) {
-                console.log(chalk.yellow("\n⏳ Waiting 1 second before next transaction..."));
-                await sleep(1000);
-            }
+        // Process the invoices
+        console.log(chalk.yellow(`\n🚀 Processing ${invoices.length} invoices...`));
+        const { batchTransactionHash } = await submitInvoices(contract, invoices, {
+            // A list batch is sealed by the last newInvoices call
+            seal: answers.autoBatch && answers.batchMode === "list",
+            onResults: results => results.forEach(result => {
+                if (result.status === "submitted") {
+                    console.log(chalk.green(`✅ Invoice ${result.id} added successfully!`));
+                    console.log(chalk.cyan(">  Transaction hash:", result.transactionHash));
+                } else if (result.status === "exists") {
+                    console.log(chalk.yellow(`⚠️  Invoice ${result.id} already exists`));
+                } else {
+                    console.log(chalk.red(`❌ Invoice ${result.id} failed: ${result.error}`));
+                }
+            })
+        });
+
+        if (batchTransactionHash) {
+            console.log(chalk.green("\n✅ Invoices batched in the same transaction!"));
+            console.log(chalk.cyan(">  Batch transaction hash:", batchTransactionHash));
         }
 
         // Get final pending count
@@ -192,20 +580,7 @@ async function main() {
 
         // Batch invoices if requested
         if (answers.autoBatch && finalPendingCount > 0) {
-            console.log(chalk.yellow("\n🔄 Batching invoices..."));
-            
-            const batchTx = await contract.batchInvoices({
-                gasLimit: 500000 // Higher gas limit for batch operation
-            });
-            console.log(chalk.cyan(">  Batch transaction hash:", batchTx.hash));
-
-            const batchReceipt = await batchTx.wait();
-            console.log(chalk.green("✅ Invoices batched successfully!"));
-            console.log(chalk.cyan(">  Gas used:", batchReceipt.gasUsed.toString()));
-
-            // Verify pending count is now 0
-            const afterBatchCount = await contract.getPendingInvoicesCount();
-            console.log(chalk.cyan(">  Remaining pending invoices:", afterBatchCount.toString()));
+            await batchPendingInvoices(contract, answers.chain, answers.batchMode);
         }
 
         console.log(chalk.green("\n🎉 All operations completed successfully!"));
@@ -218,7 +593,17 @@ async function main() {
     }
 }
 
-main().catch((error) => {
-    console.error(chalk.red("\n❌ Error:"), error);
-    process.exit(1);
-}); 
\ No newline at end of file
+if (require.main === module) {
+    main()
+        .then(ok => process.exit(ok === false ? 1 : 0))
+        .catch((error) => {
+            console.error(chalk.red("\n❌ Error:"), error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    importInvoices,
+    parseArgs,
+    submitInvoices
+};
@@ -11,110 +11,60 @@
  * ```
  * 
  * This script will:
- * 1. Read deployed contract addresses from .env
- * 2. Configure each contract to trust other chain contracts
+ * 1. Load the topology (config/topology.json, or a full mesh of ACTIVATED_CHAINS)
+ * 2. Reconcile each contract's trusted sources with the routes into its chain:
+ *    missing sources are added, stale ones (including chains that are no longer
+ *    routed) are removed
  * 3. Verify trusted source configuration
+ * 4. Grant the initial submitter and batcher roles (INITIAL_SUBMITTERS / INITIAL_BATCHERS)
+ *
+ * To preview the trust changes without sending them, run `npm run topology -- plan`.
  * 
  * Requirements:
  * - Contracts must be deployed first (run deploy:v2)
- * - .env must contain contract addresses
+ * - Deployment manifests in deployments/ (written by deploy:v2), or contract
+ *   addresses in .env or the topology file
  * - Wallet must have enough gas tokens on each chain
+ * - Wallet must be the contract admin
+ * - Optional <PREFIX>_PREVIOUS_INVOICEBATCHER_ADDRESSES to keep trusting older
+ *   deployments of a chain during a migration (without a topology file)
  */
 
 require("dotenv").config();
 const hre = require("hardhat");
 const chalk = require("chalk");
-const { CHAINS, getEnabledChains } = require("../config/chains");
-
-// ABI for the functions we need
-const CONTRACT_ABI = [
-    "function setTrustedSourceContract(uint32,address) external",
-    "function trustedSourceContracts(uint32) view returns (address)"
-];
+const { getEnabledChains } = require("../config/chains");
+const { loadTopology } = require("./lib/topology");
+const { ROLES_ABI, grantInitialRoles } = require("./lib/roles");
+const { applyTopology } = require("./topology");
 
 async function setupTrustedSources() {
     console.log(chalk.blue("\n🔄 Setting up trusted sources..."));
 
-    // Get all enabled chains and their deployed contracts
-    const deployments = getEnabledChains().map(chain => ({
-        chainConfig: chain,
-        address: process.env[`${chain.envPrefix}_INVOICEBATCHER_ADDRESS`]
-    }));
-
-    // Validate all addresses exist
-    for (const deployment of deployments) {
-        if (!deployment.address) {
-            throw new Error(`Missing contract address for ${deployment.chainConfig.name} in .env`);
+    const topology = loadTopology();
+    console.log(chalk.cyan(`Using topology: ${topology.filePath || "full mesh of ACTIVATED_CHAINS"}`));
+    for (const entry of Object.values(topology.chains)) {
+        console.log(chalk.cyan(`Found contract for ${entry.chainConfig.name}: ${entry.address}`));
+    }
+    for (const chain of getEnabledChains()) {
+        if (!Object.values(topology.chains).some(entry => entry.chainConfig.chainId === chain.chainId)) {
+            console.log(chalk.yellow(`⚠️  Skipping ${chain.name} - No contract address configured or not in the topology`));
         }
-        console.log(chalk.cyan(`Found contract for ${deployment.chainConfig.name}: ${deployment.address}`));
     }
 
-    // For each chain, set up trusted sources
-    for (const source of deployments) {
-        console.log(chalk.yellow(`\n📝 Configuring ${source.chainConfig.name}...`));
-        
-        // Connect to the network
-        const provider = new hre.ethers.JsonRpcProvider(source.chainConfig.rpc);
-        const wallet = new hre.ethers.Wallet(process.env.PRIVATE_KEY, provider);
-        
-        // Get contract instance
-        const sourceContract = new hre.ethers.Contract(
-            source.address,
-            CONTRACT_ABI,
-            wallet
-        );
-        
-        // For each other chain, set it as trusted source
-        for (const target of deployments) {
-            if (source.chainConfig.chainId === target.chainConfig.chainId) continue;
-
-            console.log(chalk.cyan(`>  Adding ${target.chainConfig.name} as trusted source...`));
-            console.log(chalk.cyan(`   Chain ID: ${target.chainConfig.chainId}`));
-            console.log(chalk.cyan(`   Address: ${target.address}`));
-            
-            try {
-                // Check current trusted source
-                const currentTrusted = await sourceContract.trustedSourceContracts(target.chainConfig.chainId);
-                
-                if (currentTrusted.toLowerCase() === target.address.toLowerCase()) {
-                    console.log(chalk.green("✅ Already correctly configured"));
-                    continue;
-                }
-
-                const tx = await sourceContract.setTrustedSourceContract(
-                    target.chainConfig.chainId,
-                    target.address,
-                    { 
-                        gasLimit: 200000
-                    }
-                );
-                
-                console.log(chalk.yellow("   Transaction Hash:"), tx.hash);
-                console.log(chalk.yellow("   Waiting for confirmation..."));
-                
-                const receipt = await tx.wait(1);
-                
-                if (!receipt.status) {
-                    throw new Error("Transaction failed");
-                }
-                
-                console.log(chalk.green("✅ Added successfully"));
-                console.log(chalk.cyan("   Block Number:"), receipt.blockNumber);
-                console.log(chalk.cyan("   Gas Used:"), receipt.gasUsed.toString());
+    const wallet = new hre.ethers.Wallet(process.env.PRIVATE_KEY);
+    const sent = await applyTopology(topology, wallet);
+    if (sent === 0) {
+        console.log(chalk.green("\n✅ Already correctly configured"));
+    }
 
-                // Verify the change
-                const newTrusted = await sourceContract.trustedSourceContracts(target.chainConfig.chainId);
-                if (newTrusted.toLowerCase() !== target.address.toLowerCase()) {
-                    throw new Error("Verification failed - new value doesn't match expected");
-                }
-            } catch (error) {
-                console.error(chalk.red("❌ Failed to add trusted source:"), error.message);
-                if (error.transaction) {
-                    console.log(chalk.yellow("   Transaction Hash:"), error.transaction.hash);
-                }
-                throw error;
-            }
-        }
+    // Grant the initial roles on every chain
+    for (const entry of Object.values(topology.chains)) {
+        console.log(chalk.yellow(`\n🔑 Granting initial roles on ${entry.chainConfig.name}...`));
+        const provider = new hre.ethers.JsonRpcProvider(entry.chainConfig.rpc);
+        const contract = new hre.ethers.Contract(entry.address, ROLES_ABI, wallet.connect(provider));
+        await grantInitialRoles(contract);
+        provider.destroy();
     }
 
     console.log(chalk.green("\n✅ Trusted sources setup completed!"));
@@ -126,4 +76,4 @@ setupTrustedSources()
     .catch((error) => {
         console.error(chalk.red("\n❌ Error:"), error);
         process.exit(1);
-    });
\ No newline at end of file
+    });
@@ -0,0 +1,183 @@
+/**
+ * Plan and apply the cross-chain trust configuration declared in the topology file
+ *
+ * Usage:
+ * ```bash
+ * # Show the transactions needed to match the topology, without sending them
+ * npm run topology -- plan
+ *
+ * # Send them
+ * npm run topology -- apply
+ * ```
+ *
+ * This script will:
+ * 1. Load config/topology.json (or TOPOLOGY_FILE), see scripts/lib/topology.js
+ * 2. Read every declared chain's trusted sources on-chain
+ * 3. Diff them against the routes into that chain
+ * 4. Print (plan) or send (apply) the addTrustedSource / removeTrustedSource calls
+ *
+ * apply re-reads the on-chain state first, so running it twice sends nothing
+ * the second time. Sources are added before stale ones are removed, so a
+ * migrating chain never loses trust in between.
+ *
+ * Requirements:
+ * - Contracts must be deployed (run deploy:v2)
+ * - RPC endpoints for every chain in the topology
+ * - apply: PRIVATE_KEY must be the admin of every contract that changes
+ */
+
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { loadTopology, getDesiredTrust, diffTrust } = require("./lib/topology");
+
+const CONTRACT_ABI = [
+    "function addTrustedSource(uint32 chainId, address sourceContract) external",
+    "function removeTrustedSource(uint32 chainId, address sourceContract) external",
+    "function getTrustedChains() view returns (uint32[])",
+    "function getTrustedSources(uint32 chainId) view returns (address[])"
+];
+
+// Trusted sources a contract currently has on-chain (chain ID => addresses)
+async function readTrust(contract) {
+    const current = new Map();
+    for (const chainId of await contract.getTrustedChains()) {
+        current.set(Number(chainId), await contract.getTrustedSources(chainId));
+    }
+    return current;
+}
+
+/**
+ * Diffs every chain in the topology against its on-chain trusted sources
+ * @returns One entry per chain with the calls that would bring it in line
+ */
+async function planChanges(topology, runner) {
+    const chainName = chainId => {
+        const entry = Object.values(topology.chains).find(c => c.chainConfig.chainId === chainId);
+        return entry ? entry.chainConfig.name : "unknown chain";
+    };
+
+    const plans = [];
+    for (const entry of Object.values(topology.chains)) {
+        const provider = new ethers.JsonRpcProvider(entry.chainConfig.rpc);
+        const contract = new ethers.Contract(entry.address, CONTRACT_ABI, runner ? runner.connect(provider) : provider);
+
+        const { add, remove } = diffTrust(getDesiredTrust(topology, entry.key), await readTrust(contract));
+        const calls = [
+            ...add.map(([chainId, address]) => ({
+                method: "addTrustedSource",
+                args: [chainId, address],
+                description: `trust ${chainName(chainId)} (${chainId}) contract ${address}`
+            })),
+            ...remove.map(([chainId, address]) => ({
+                method: "removeTrustedSource",
+                args: [chainId, address],
+                description: `stop trusting ${chainName(chainId)} (${chainId}) contract ${address}`
+            }))
+        ].map(call => ({ ...call, data: contract.interface.encodeFunctionData(call.method, call.args) }));
+
+        plans.push({ entry, contract, provider, calls });
+    }
+    return plans;
+}
+
+function printPlan(plans) {
+    let total = 0;
+    for (const { entry, calls } of plans) {
+        console.log(chalk.yellow(`\n📝 ${entry.chainConfig.name} (${entry.address})`));
+        if (calls.length === 0) {
+            console.log(chalk.green("✅ Up to date"));
+            continue;
+        }
+        for (const call of calls) {
+            console.log(chalk.cyan(`>  ${call.method}(${call.args.join(", ")})`));
+            console.log(chalk.cyan(`   ${call.description}`));
+            console.log(chalk.cyan(`   to: ${entry.address}`));
+            console.log(chalk.cyan(`   data: ${call.data}`));
+        }
+        total += calls.length;
+    }
+    console.log(chalk.blue(`\n📊 ${total} transactions planned`));
+    return total;
+}
+
+async function applyPlans(plans) {
+    for (const { entry, contract, calls } of plans) {
+        for (const call of calls) {
+            console.log(chalk.cyan(`\n>  ${entry.chainConfig.name}: ${call.description}...`));
+            try {
+                const tx = await contract[call.method](...call.args);
+                console.log(chalk.yellow("   Transaction Hash:"), tx.hash);
+
+                const receipt = await tx.wait(1);
+                if (!receipt.status) {
+                    throw new Error("Transaction failed");
+                }
+                console.log(chalk.green(`✅ Confirmed in block ${receipt.blockNumber}`));
+            } catch (error) {
+                console.error(chalk.red(`❌ ${entry.chainConfig.name}: ${call.method} failed:`), error.shortMessage || error.message);
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Brings every chain in the topology in line with its routes
+ * @returns The number of transactions sent
+ */
+async function applyTopology(topology, wallet) {
+    const plans = await planChanges(topology, wallet);
+    const total = plans.reduce((sum, plan) => sum + plan.calls.length, 0);
+    await applyPlans(plans);
+
+    // Verify the changes
+    const remaining = await planChanges(topology);
+    remaining.forEach(plan => plan.provider.destroy());
+    plans.forEach(plan => plan.provider.destroy());
+    if (remaining.some(plan => plan.calls.length > 0)) {
+        throw new Error("Verification failed - on-chain trusted sources don't match the topology");
+    }
+    return total;
+}
+
+async function main() {
+    const command = process.argv[2];
+    if (!["plan", "apply"].includes(command)) {
+        console.log(chalk.yellow("Usage: npm run topology -- <plan|apply>"));
+        process.exit(1);
+    }
+
+    const topology = loadTopology();
+    console.log(chalk.blue(`\n🗺️  Topology: ${topology.filePath || "full mesh of ACTIVATED_CHAINS (no topology file)"}`));
+    for (const route of topology.routes) {
+        console.log(chalk.cyan(`>  ${route.from} → ${route.to}`));
+    }
+
+    if (command === "plan") {
+        const plans = await planChanges(topology);
+        printPlan(plans);
+        plans.forEach(plan => plan.provider.destroy());
+        return;
+    }
+
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+    console.log(chalk.cyan(`👛 Using wallet address: ${wallet.address}`));
+    const total = await applyTopology(topology, wallet);
+    console.log(chalk.green(`\n✅ Topology applied (${total} transactions sent)`));
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(chalk.red("\n❌ Error:"), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    planChanges,
+    printPlan,
+    applyTopology
+};
@@ -0,0 +1,202 @@
+/**
+ * Upgrade the InvoiceIDBatcher proxies to the current implementation on all configured chains
+ *
+ * Usage:
+ * ```bash
+ * # Upgrade on all chains in ACTIVATED_CHAINS
+ * npm run upgrade:v2
+ *
+ * # Upgrade a single chain
+ * npm run upgrade:v2 -- --network base-sepolia
+ * ```
+ *
+ * This script will:
+ * 1. Check every chain before sending anything: the proxy recorded in
+ *    deployments/<chain>.json, that the deployer is its admin, and that the
+ *    compiled InvoiceIDBatcherUpgradeable keeps the storage layout of the live
+ *    implementation (no variable removed, moved, renamed, retyped or inserted,
+ *    and none declared outside InvoiceIDBatcherBase)
+ * 2. Deploy the new implementation through the CREATE2 deployment proxy, at
+ *    the same address on every chain
+ * 3. Point each proxy to it with upgradeToAndCall. The proxy keeps its address
+ *    and all of its state: pending invoices, trusted sources, roles and
+ *    received batches, so nothing has to be re-wired on other chains
+ * 4. Record the implementation in deployments/<chain>.json
+ *
+ * Chains already on the current implementation are skipped, so running it
+ * again resumes a partially completed upgrade.
+ *
+ * Requirements:
+ * - Proxies deployed with deploy:v2
+ * - .env file configured with:
+ *   - PRIVATE_KEY of the contracts' admin
+ *   - RPC endpoints for each chain
+ *   - Optional DEPLOY_SALT, used for the implementation address
+ */
+
+require("dotenv").config();
+const hre = require("hardhat");
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getNetworkChains } = require("../config/chains");
+const { getSalt, getDeterministicAddress, deployDeterministic } = require("./lib/create2");
+const { DeploymentManifest, recordDeployment } = require("./lib/deployments");
+const { getInitCode, getCompilerVersion, getStorageLayout } = require("./lib/artifacts");
+const { BASE_CONTRACT, UPGRADE_ABI, getImplementationAddress, checkStorageLayout } = require("./lib/upgrades");
+
+const DEFAULT_SALT = "polymer-invoice-batcher";
+const IMPLEMENTATION = "InvoiceIDBatcherUpgradeable";
+
+/**
+ * Checks that a chain's proxy can be upgraded to the implementation
+ * @returns { plan, problems }, the plan is null when the proxy cannot be inspected
+ */
+async function planUpgrade(chainConfig, implementation, wallet) {
+    const manifest = new DeploymentManifest(chainConfig);
+    const proxy = manifest.getCurrent("InvoiceIDBatcher");
+    if (!proxy || !proxy.implementation) {
+        return { plan: null, problems: [`no upgradeable InvoiceIDBatcher in ${manifest.filePath}, deploy one with deploy:v2`] };
+    }
+
+    const provider = new ethers.JsonRpcProvider(chainConfig.rpc);
+    try {
+        const network = await provider.getNetwork();
+        if (network.chainId !== BigInt(chainConfig.chainId)) {
+            return { plan: null, problems: [`${chainConfig.envPrefix}_RPC points to chain ${network.chainId}, expected ${chainConfig.chainId}`] };
+        }
+
+        const live = await getImplementationAddress(provider, proxy.address);
+        if (!live) {
+            return { plan: null, problems: [`${proxy.address} is not a proxy`] };
+        }
+        const plan = { chainConfig, manifest, proxy: proxy.address, live };
+        if (live === implementation.address) {
+            return { plan: { ...plan, upToDate: true }, problems: [] };
+        }
+
+        const problems = [];
+        const recorded = manifest.getHistory(IMPLEMENTATION).find(entry => entry.address === live);
+        if (!recorded || !recorded.storageLayout) {
+            problems.push(`the live implementation ${live} is not recorded in ${manifest.filePath}, cannot check its storage layout`);
+        } else {
+            problems.push(...checkStorageLayout(recorded.storageLayout, implementation.storageLayout, implementation.baseLayout));
+        }
+
+        const admin = await new ethers.Contract(proxy.address, UPGRADE_ABI, provider).admin();
+        if (admin !== wallet.address) {
+            problems.push(`only the admin ${admin} can upgrade, not ${wallet.address}`);
+        }
+        return { plan, problems };
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function upgradeChain(plan, implementation, salt, wallet) {
+    const { chainConfig, manifest } = plan;
+    const provider = new ethers.JsonRpcProvider(chainConfig.rpc);
+    const signer = wallet.connect(provider);
+    const record = (receipt, extra = {}) => recordDeployment(manifest, IMPLEMENTATION, {
+        address: implementation.address,
+        receipt,
+        provider,
+        salt,
+        compilerVersion: implementation.compilerVersion,
+        extra: { storageLayout: implementation.storageLayout, ...extra }
+    });
+
+    try {
+        if (plan.upToDate) {
+            console.log(chalk.green(`\n✅ ${chainConfig.name} already runs ${implementation.address}`));
+            await record(null);
+            return false;
+        }
+
+        console.log(chalk.blue(`\n🌐 Upgrading ${chalk.bold(chainConfig.name)} proxy ${plan.proxy}...`));
+        console.log(chalk.yellow(`📄 Deploying ${IMPLEMENTATION} implementation...`));
+        const { receipt } = await deployDeterministic(signer, salt, implementation.initCode);
+        console.log(chalk.green(`✅ Implementation at: ${implementation.address}`));
+
+        console.log(chalk.yellow(`🔄 Upgrading from ${plan.live}...`));
+        const proxy = new ethers.Contract(plan.proxy, UPGRADE_ABI, signer);
+        const tx = await proxy.upgradeToAndCall(implementation.address, "0x");
+        console.log(chalk.cyan(">  Transaction Hash:"), tx.hash);
+        const upgradeReceipt = await tx.wait(1);
+
+        const current = await getImplementationAddress(provider, plan.proxy, upgradeReceipt.blockNumber);
+        if (current !== implementation.address) {
+            throw new Error(`Proxy ${plan.proxy} points to ${current} after the upgrade, expected ${implementation.address}`);
+        }
+        console.log(chalk.green("✅ Upgrade confirmed in block:", upgradeReceipt.blockNumber));
+
+        await record(receipt, {
+            upgradeTransactionHash: upgradeReceipt.hash,
+            upgradeBlockNumber: upgradeReceipt.blockNumber
+        });
+        return true;
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function main() {
+    const networkName = hre.network.name;
+    console.log(chalk.blue(`\n🔍 Network detected: ${networkName}`));
+    const chains = getNetworkChains(networkName);
+
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+    const salt = getSalt(process.env.DEPLOY_SALT || DEFAULT_SALT);
+    const initCode = await getInitCode(IMPLEMENTATION);
+    const implementation = {
+        initCode,
+        address: getDeterministicAddress(salt, initCode),
+        compilerVersion: await getCompilerVersion(IMPLEMENTATION),
+        storageLayout: await getStorageLayout(IMPLEMENTATION),
+        baseLayout: await getStorageLayout(BASE_CONTRACT)
+    };
+
+    console.log(chalk.blue("🚀 Starting upgrade process"));
+    console.log(chalk.cyan(`👛 Admin: ${wallet.address}`));
+    console.log(chalk.cyan(`📦 Implementation: ${implementation.address}`));
+
+    // Check every chain first, so that an unsafe upgrade is not applied to some of them
+    const plans = [];
+    const errors = [];
+    for (const chainConfig of chains) {
+        console.log(chalk.yellow(`🔍 Checking ${chainConfig.name}...`));
+        const { plan, problems } = await planUpgrade(chainConfig, implementation, wallet);
+        errors.push(...problems.map(problem => `${chainConfig.key}: ${problem}`));
+        if (plan) plans.push(plan);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Cannot upgrade:\n  - ${errors.join("\n  - ")}`);
+    }
+    console.log(chalk.green("✅ Storage layouts are compatible"));
+
+    let upgraded = 0;
+    for (const plan of plans) {
+        try {
+            if (await upgradeChain(plan, implementation, salt, wallet)) upgraded++;
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Failed to upgrade ${plan.chainConfig.name}:`), error.shortMessage || error.message);
+            console.log(chalk.yellow(">  Run the upgrade again to resume, upgraded chains are skipped"));
+            throw error;
+        }
+    }
+
+    console.log(chalk.green(`\n✅ Upgrade process completed! (${upgraded} proxies upgraded)`));
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(chalk.red("\n❌ Error:"), error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    planUpgrade,
+    upgradeChain
+};
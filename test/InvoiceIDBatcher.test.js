@@ -0,0 +1,953 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildProof } = require("./helpers/proofs");
+const {
+    buildInvoiceTree,
+    getInvoiceProof,
+    getInvoiceRoot,
+    collectBatchInvoices
+} = require("../scripts/lib/merkle");
+
+// The source contract lives on the local chain, proofs claim it is on this chain
+const SOURCE_CHAIN_ID = 84532;
+
+// IInvoiceRegistry.InvoiceStatus
+const ISSUED = 1;
+const PAID = 2;
+const CANCELLED = 3;
+const DISPUTED = 4;
+
+function invoiceHash(id) {
+    return ethers.keccak256(ethers.toUtf8Bytes(id));
+}
+
+function invoiceMetadata(issuer, overrides = {}) {
+    return {
+        issuer,
+        amount: 1250n * 10n ** 6n,
+        currency: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+        dueDate: 1767225600,
+        status: ISSUED,
+        ...overrides
+    };
+}
+
+// Metadata as returned by the contract, for deep comparisons
+function toMetadata({ issuer, amount, currency, dueDate, status }) {
+    return { issuer, amount, currency, dueDate: Number(dueDate), status: Number(status) };
+}
+
+describe("InvoiceIDBatcher", function () {
+    // Deploys a batcher whose members may submit and seal invoices
+    async function deployBatcher(prover, members) {
+        const [admin] = await ethers.getSigners();
+        const batcher = await ethers.deployContract("InvoiceIDBatcher", [await prover.getAddress(), admin.address]);
+        for (const member of members) {
+            await batcher.grantRole(await batcher.SUBMITTER_ROLE(), member.address);
+            await batcher.grantRole(await batcher.BATCHER_ROLE(), member.address);
+        }
+        return batcher;
+    }
+
+    async function deployFixture() {
+        const [admin, sender, other, outsider] = await ethers.getSigners();
+
+        const prover = await ethers.deployContract("MockPolymerProver");
+        const source = await deployBatcher(prover, [sender, other]);
+        const destination = await deployBatcher(prover, [sender, other]);
+        await destination.setTrustedSourceContract(SOURCE_CHAIN_ID, await source.getAddress());
+
+        return { prover, source, destination, admin, sender, other, outsider };
+    }
+
+    // Seals a batch on the source contract and returns a proof for its batch event
+    async function sealBatch(source, sender, ids, chainId = SOURCE_CHAIN_ID, asRoot = false) {
+        for (const id of ids) {
+            await source.connect(sender).newInvoice(invoiceHash(id));
+        }
+        const tx = asRoot
+            ? await source.connect(sender).batchInvoiceRoot()
+            : await source.connect(sender).batchInvoices();
+        const receipt = await tx.wait();
+        return { receipt, proof: buildProof(receipt, { chainId }) };
+    }
+
+    describe("Deployment", function () {
+        it("sets the prover and the deployer as admin", async function () {
+            const { prover, source, admin } = await loadFixture(deployFixture);
+            expect(await source.polymerProver()).to.equal(await prover.getAddress());
+            expect(await source.admin()).to.equal(admin.address);
+            expect(await source.hasRole(await source.SUBMITTER_ROLE(), admin.address)).to.equal(true);
+            expect(await source.hasRole(await source.BATCHER_ROLE(), admin.address)).to.equal(true);
+        });
+
+        it("makes the given admin the admin instead of the deployer", async function () {
+            const { prover, admin, other } = await loadFixture(deployFixture);
+            const batcher = await ethers.deployContract("InvoiceIDBatcher", [await prover.getAddress(), other.address]);
+
+            await expect(batcher.deploymentTransaction())
+                .to.emit(batcher, "AdminTransferred")
+                .withArgs(ethers.ZeroAddress, other.address);
+            expect(await batcher.admin()).to.equal(other.address);
+            expect(await batcher.hasRole(await batcher.SUBMITTER_ROLE(), other.address)).to.equal(true);
+            expect(await batcher.hasRole(await batcher.SUBMITTER_ROLE(), admin.address)).to.equal(false);
+        });
+
+        it("rejects a zero admin", async function () {
+            const { prover } = await loadFixture(deployFixture);
+            const factory = await ethers.getContractFactory("InvoiceIDBatcher");
+            await expect(factory.deploy(await prover.getAddress(), ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid admin address");
+        });
+    });
+
+    describe("Access control", function () {
+        it("only lets submitters add invoices", async function () {
+            const { source, outsider } = await loadFixture(deployFixture);
+            await expect(source.connect(outsider).newInvoice(invoiceHash("INVOICE_1")))
+                .to.be.revertedWith("Caller is not a submitter");
+        });
+
+        it("only lets batchers seal batches", async function () {
+            const { source, sender, outsider } = await loadFixture(deployFixture);
+            await source.connect(sender).newInvoice(invoiceHash("INVOICE_1"));
+
+            await expect(source.connect(outsider).batchInvoices()).to.be.revertedWith("Caller is not a batcher");
+            await expect(source.connect(outsider).batchInvoiceRoot()).to.be.revertedWith("Caller is not a batcher");
+        });
+
+        it("lets the admin grant and revoke roles", async function () {
+            const { source, admin, outsider } = await loadFixture(deployFixture);
+            const role = await source.SUBMITTER_ROLE();
+
+            await expect(source.grantRole(role, outsider.address))
+                .to.emit(source, "RoleGranted").withArgs(role, outsider.address, admin.address);
+            await source.connect(outsider).newInvoice(invoiceHash("INVOICE_1"));
+
+            await expect(source.revokeRole(role, outsider.address))
+                .to.emit(source, "RoleRevoked").withArgs(role, outsider.address, admin.address);
+            await expect(source.connect(outsider).newInvoice(invoiceHash("INVOICE_2")))
+                .to.be.revertedWith("Caller is not a submitter");
+        });
+
+        it("rejects role changes from non-admins and unknown roles", async function () {
+            const { source, sender, outsider } = await loadFixture(deployFixture);
+            const role = await source.BATCHER_ROLE();
+
+            await expect(source.connect(sender).grantRole(role, outsider.address))
+                .to.be.revertedWith("Only admin can grant roles");
+            await expect(source.connect(sender).revokeRole(role, sender.address))
+                .to.be.revertedWith("Only admin can revoke roles");
+            await expect(source.grantRole(ethers.id("OTHER_ROLE"), outsider.address))
+                .to.be.revertedWith("Unknown role");
+        });
+
+        it("transfers admin in two steps", async function () {
+            const { destination, admin, outsider, other } = await loadFixture(deployFixture);
+
+            await expect(destination.proposeAdmin(outsider.address))
+                .to.emit(destination, "AdminTransferProposed").withArgs(admin.address, outsider.address);
+            expect(await destination.admin()).to.equal(admin.address);
+            expect(await destination.pendingAdmin()).to.equal(outsider.address);
+
+            await expect(destination.connect(other).acceptAdmin())
+                .to.be.revertedWith("Only pending admin can accept");
+            await expect(destination.connect(outsider).acceptAdmin())
+                .to.emit(destination, "AdminTransferred").withArgs(admin.address, outsider.address);
+
+            expect(await destination.admin()).to.equal(outsider.address);
+            expect(await destination.pendingAdmin()).to.equal(ethers.ZeroAddress);
+            await expect(destination.setTrustedSourceContract(11155420, other.address))
+                .to.be.revertedWith("Only admin can set trusted sources");
+            await destination.connect(outsider).setTrustedSourceContract(11155420, other.address);
+        });
+
+        it("only lets the admin propose a new admin", async function () {
+            const { destination, outsider } = await loadFixture(deployFixture);
+            await expect(destination.connect(outsider).proposeAdmin(outsider.address))
+                .to.be.revertedWith("Only admin can propose a new admin");
+        });
+    });
+
+    describe("setTrustedSourceContract", function () {
+        it("stores the trusted contract for a chain", async function () {
+            const { destination, other } = await loadFixture(deployFixture);
+            await destination.setTrustedSourceContract(11155420, other.address);
+            expect(await destination.getTrustedSources(11155420)).to.deep.equal([other.address]);
+        });
+
+        it("replaces every contract trusted for the chain", async function () {
+            const { destination, sender, other } = await loadFixture(deployFixture);
+            await destination.addTrustedSource(SOURCE_CHAIN_ID, sender.address);
+
+            await expect(destination.setTrustedSourceContract(SOURCE_CHAIN_ID, other.address))
+                .to.emit(destination, "TrustedSourceRemoved").withArgs(SOURCE_CHAIN_ID, sender.address)
+                .and.to.emit(destination, "TrustedSourceAdded").withArgs(SOURCE_CHAIN_ID, other.address);
+            expect(await destination.getTrustedSources(SOURCE_CHAIN_ID)).to.deep.equal([other.address]);
+        });
+
+        it("can only be called by the admin", async function () {
+            const { destination, other } = await loadFixture(deployFixture);
+            await expect(destination.connect(other).setTrustedSourceContract(11155420, other.address))
+                .to.be.revertedWith("Only admin can set trusted sources");
+        });
+
+        it("rejects the current chain", async function () {
+            const { destination, other } = await loadFixture(deployFixture);
+            const { chainId } = await ethers.provider.getNetwork();
+            await expect(destination.setTrustedSourceContract(chainId, other.address))
+                .to.be.revertedWith("Cannot set source for current chain");
+        });
+
+        it("rejects the zero address", async function () {
+            const { destination } = await loadFixture(deployFixture);
+            await expect(destination.setTrustedSourceContract(11155420, ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid source contract address");
+        });
+    });
+
+    describe("Trusted source sets", function () {
+        it("trusts several contracts per chain during a migration", async function () {
+            const { prover, source, destination, sender } = await loadFixture(deployFixture);
+            const migrated = await deployBatcher(prover, [sender]);
+            const migratedAddress = await migrated.getAddress();
+
+            await expect(destination.addTrustedSource(SOURCE_CHAIN_ID, migratedAddress))
+                .to.emit(destination, "TrustedSourceAdded").withArgs(SOURCE_CHAIN_ID, migratedAddress);
+            expect(await destination.getTrustedSources(SOURCE_CHAIN_ID))
+                .to.deep.equal([await source.getAddress(), migratedAddress]);
+
+            const oldBatch = await sealBatch(source, sender, ["INVOICE_1"]);
+            const newBatch = await sealBatch(migrated, sender, ["INVOICE_2"]);
+            await expect(destination.invoicesFromSource(oldBatch.proof)).to.emit(destination, "InvoiceReceived");
+            await expect(destination.invoicesFromSource(newBatch.proof)).to.emit(destination, "InvoiceReceived");
+        });
+
+        it("removes trusted contracts and enumerates the trusted chains", async function () {
+            const { source, destination, sender, other } = await loadFixture(deployFixture);
+            const sourceAddress = await source.getAddress();
+            await destination.addTrustedSource(11155420, other.address);
+            await destination.addTrustedSource(11155420, sender.address);
+            expect(await destination.getTrustedChains()).to.deep.equal([SOURCE_CHAIN_ID, 11155420]);
+
+            await expect(destination.removeTrustedSource(11155420, other.address))
+                .to.emit(destination, "TrustedSourceRemoved").withArgs(11155420, other.address);
+            expect(await destination.getTrustedSources(11155420)).to.deep.equal([sender.address]);
+            expect(await destination.isTrustedSource(11155420, other.address)).to.equal(false);
+
+            await destination.removeTrustedSource(SOURCE_CHAIN_ID, sourceAddress);
+            expect(await destination.getTrustedChains()).to.deep.equal([11155420]);
+
+            const { proof } = await sealBatch(source, sender, ["INVOICE_1"]);
+            await expect(destination.invoicesFromSource(proof)).to.be.revertedWith("Chain not trusted");
+        });
+
+        it("rejects duplicate, unknown and unauthorized changes", async function () {
+            const { source, destination, other } = await loadFixture(deployFixture);
+            const sourceAddress = await source.getAddress();
+
+            await expect(destination.addTrustedSource(SOURCE_CHAIN_ID, sourceAddress))
+                .to.be.revertedWith("Source already trusted");
+            await expect(destination.removeTrustedSource(SOURCE_CHAIN_ID, other.address))
+                .to.be.revertedWith("Source not trusted");
+            await expect(destination.connect(other).addTrustedSource(11155420, other.address))
+                .to.be.revertedWith("Only admin can set trusted sources");
+            await expect(destination.connect(other).removeTrustedSource(SOURCE_CHAIN_ID, sourceAddress))
+                .to.be.revertedWith("Only admin can set trusted sources");
+        });
+    });
+
+    describe("Pausing", function () {
+        it("blocks sealing while sending is paused", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            await source.setAutoSealThreshold(2);
+            await expect(source.setSendingPaused(true)).to.emit(source, "SendingPauseUpdated").withArgs(true);
+
+            await source.connect(sender).newInvoice(invoiceHash("INVOICE_1"));
+            await expect(source.connect(sender).newInvoice(invoiceHash("INVOICE_2"))).not.to.emit(source, "InvoiceBatch");
+            await expect(source.batchInvoices()).to.be.revertedWith("Sending is paused");
+            await expect(source.batchInvoiceRoot()).to.be.revertedWith("Sending is paused");
+
+            await expect(source.setSendingPaused(false)).to.emit(source, "SendingPauseUpdated").withArgs(false);
+            await expect(source.batchInvoices()).to.emit(source, "InvoiceBatch");
+        });
+
+        it("blocks incoming batches while receiving is paused", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { proof } = await sealBatch(source, sender, ["INVOICE_1"]);
+            await expect(destination.setReceivingPaused(true)).to.emit(destination, "ReceivingPauseUpdated").withArgs(true);
+
+            await expect(destination.invoicesFromSource(proof)).to.be.revertedWith("Receiving is paused");
+            await expect(destination.registerInvoiceFromRoot(ethers.ZeroHash, invoiceHash("INVOICE_1"), []))
+                .to.be.revertedWith("Receiving is paused");
+
+            await destination.setReceivingPaused(false);
+            await expect(destination.invoicesFromSource(proof)).to.emit(destination, "InvoiceReceived");
+        });
+
+        it("can only be toggled by the admin", async function () {
+            const { source, other } = await loadFixture(deployFixture);
+            await expect(source.connect(other).setSendingPaused(true)).to.be.revertedWith("Only admin can pause");
+            await expect(source.connect(other).setReceivingPaused(true)).to.be.revertedWith("Only admin can pause");
+        });
+    });
+
+    describe("setPolymerProver", function () {
+        it("lets the admin replace the prover", async function () {
+            const { prover, destination } = await loadFixture(deployFixture);
+            const newProver = await ethers.deployContract("MockPolymerProver");
+
+            await expect(destination.setPolymerProver(await newProver.getAddress()))
+                .to.emit(destination, "PolymerProverUpdated")
+                .withArgs(await prover.getAddress(), await newProver.getAddress());
+            expect(await destination.polymerProver()).to.equal(await newProver.getAddress());
+        });
+
+        it("rejects other callers and a zero prover", async function () {
+            const { destination, outsider } = await loadFixture(deployFixture);
+            await expect(destination.connect(outsider).setPolymerProver(outsider.address))
+                .to.be.revertedWith("Only admin can set the prover");
+            await expect(destination.setPolymerProver(ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid prover address");
+        });
+    });
+
+    describe("newInvoice", function () {
+        it("adds the invoice to the pending batch", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+
+            await expect(source.connect(sender).newInvoice(hash))
+                .to.emit(source, "NewInvoice")
+                .withArgs(sender.address, hash);
+            expect(await source.getPendingInvoicesCount()).to.equal(1);
+        });
+
+        it("rejects the zero hash", async function () {
+            const { source } = await loadFixture(deployFixture);
+            await expect(source.newInvoice(ethers.ZeroHash))
+                .to.be.revertedWith("Invalid invoice hash");
+        });
+
+        it("rejects invoices that are already pending or batched", async function () {
+            const { source, sender, other } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+
+            await source.connect(sender).newInvoice(hash);
+            await expect(source.connect(other).newInvoice(hash)).to.be.revertedWith("Invoice already exists");
+
+            await source.batchInvoices();
+            await expect(source.connect(other).newInvoice(hash)).to.be.revertedWith("Invoice already exists");
+            expect(await source.localInvoices(hash)).to.equal(true);
+        });
+
+        it("rejects invoices already received from another chain", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { proof } = await sealBatch(source, sender, ["INVOICE_1"]);
+            await destination.invoicesFromSource(proof);
+
+            await expect(destination.newInvoice(invoiceHash("INVOICE_1")))
+                .to.be.revertedWith("Invoice already received");
+        });
+    });
+
+    describe("newInvoices", function () {
+        it("adds every invoice to the pending batch", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const hashes = ["INVOICE_1", "INVOICE_2", "INVOICE_3"].map(invoiceHash);
+
+            await expect(source.connect(sender).newInvoices(hashes, false))
+                .to.emit(source, "NewInvoice").withArgs(sender.address, hashes[0])
+                .and.to.emit(source, "NewInvoice").withArgs(sender.address, hashes[2])
+                .and.not.to.emit(source, "InvoiceBatch");
+            expect(await source.getPendingInvoicesCount()).to.equal(3);
+            expect(await source.localInvoices(hashes[1])).to.equal(true);
+        });
+
+        it("seals the pending invoices in the same call", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const pending = invoiceHash("INVOICE_0");
+            const hashes = ["INVOICE_1", "INVOICE_2"].map(invoiceHash);
+            await source.connect(sender).newInvoice(pending);
+
+            await expect(source.connect(sender).newInvoices(hashes, true))
+                .to.emit(source, "InvoiceBatch").withArgs(sender.address, [pending, ...hashes]);
+            expect(await source.getPendingInvoicesCount()).to.equal(0);
+        });
+
+        it("rejects the whole call when one invoice is rejected", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const hashes = ["INVOICE_1", "INVOICE_2"].map(invoiceHash);
+            await source.connect(sender).newInvoice(hashes[1]);
+
+            await expect(source.connect(sender).newInvoices(hashes, false)).to.be.revertedWith("Invoice already exists");
+            await expect(source.connect(sender).newInvoices([hashes[0], hashes[0]], false))
+                .to.be.revertedWith("Invoice already exists");
+            await expect(source.connect(sender).newInvoices([hashes[0], ethers.ZeroHash], false))
+                .to.be.revertedWith("Invalid invoice hash");
+            await expect(source.connect(sender).newInvoices([], false)).to.be.revertedWith("No invoices");
+            expect(await source.localInvoices(hashes[0])).to.equal(false);
+        });
+
+        it("requires the submitter role, and the batcher role to seal", async function () {
+            const { source, outsider } = await loadFixture(deployFixture);
+            const hashes = [invoiceHash("INVOICE_1")];
+            await expect(source.connect(outsider).newInvoices(hashes, false))
+                .to.be.revertedWith("Caller is not a submitter");
+
+            await source.grantRole(await source.SUBMITTER_ROLE(), outsider.address);
+            await expect(source.connect(outsider).newInvoices(hashes, true))
+                .to.be.revertedWith("Caller is not a batcher");
+            await source.setSendingPaused(true);
+            await expect(source.newInvoices(hashes, true)).to.be.revertedWith("Sending is paused");
+        });
+
+        it("seals at most once when the auto-seal threshold is reached", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const hashes = ["INVOICE_1", "INVOICE_2", "INVOICE_3", "INVOICE_4", "INVOICE_5"].map(invoiceHash);
+            await source.setAutoSealThreshold(2);
+
+            const receipt = await (await source.connect(sender).newInvoices(hashes, false)).wait();
+            const batches = receipt.logs.filter(log => log.fragment && log.fragment.name === "InvoiceBatch");
+            expect(batches.map(log => [...log.args.invoices])).to.deep.equal([hashes]);
+            expect(await source.getPendingInvoicesCount()).to.equal(0);
+        });
+    });
+
+    describe("batchInvoices", function () {
+        it("emits all pending invoices and clears the batch", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const hashes = ["INVOICE_1", "INVOICE_2", "INVOICE_3"].map(invoiceHash);
+            for (const hash of hashes) {
+                await source.connect(sender).newInvoice(hash);
+            }
+
+            await expect(source.connect(sender).batchInvoices())
+                .to.emit(source, "InvoiceBatch")
+                .withArgs(sender.address, hashes);
+            expect(await source.getPendingInvoicesCount()).to.equal(0);
+        });
+
+        it("reverts when nothing is pending", async function () {
+            const { source } = await loadFixture(deployFixture);
+            await expect(source.batchInvoices()).to.be.revertedWith("No pending invoices");
+        });
+    });
+
+    describe("batchInvoiceRoot", function () {
+        for (const count of [1, 2, 3, 5]) {
+            it(`emits the Merkle root of ${count} pending invoices and clears the batch`, async function () {
+                const { source, sender } = await loadFixture(deployFixture);
+                const hashes = [...Array(count).keys()].map(i => invoiceHash(`INVOICE_${i}`));
+                for (const hash of hashes) {
+                    await source.connect(sender).newInvoice(hash);
+                }
+
+                await expect(source.connect(sender).batchInvoiceRoot())
+                    .to.emit(source, "InvoiceRootBatch")
+                    .withArgs(sender.address, getInvoiceRoot(hashes), count);
+                expect(await source.getPendingInvoicesCount()).to.equal(0);
+            });
+        }
+
+        it("reverts when nothing is pending", async function () {
+            const { source } = await loadFixture(deployFixture);
+            await expect(source.batchInvoiceRoot()).to.be.revertedWith("No pending invoices");
+        });
+    });
+
+    describe("Automatic sealing", function () {
+        it("tracks when the oldest pending invoice was added", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            expect(await source.pendingSince()).to.equal(0);
+
+            await source.connect(sender).newInvoice(invoiceHash("INVOICE_1"));
+            const first = await ethers.provider.getBlock("latest");
+            await source.connect(sender).newInvoice(invoiceHash("INVOICE_2"));
+            expect(await source.pendingSince()).to.equal(first.timestamp);
+
+            await source.batchInvoiceRoot();
+            expect(await source.pendingSince()).to.equal(0);
+        });
+
+        it("seals the batch in newInvoice once the threshold is reached", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const hashes = ["INVOICE_1", "INVOICE_2", "INVOICE_3"].map(invoiceHash);
+            await expect(source.setAutoSealThreshold(3))
+                .to.emit(source, "AutoSealThresholdUpdated").withArgs(3);
+
+            await source.connect(sender).newInvoice(hashes[0]);
+            await expect(source.connect(sender).newInvoice(hashes[1])).not.to.emit(source, "InvoiceBatch");
+            await expect(source.connect(sender).newInvoice(hashes[2]))
+                .to.emit(source, "InvoiceBatch").withArgs(sender.address, hashes);
+
+            expect(await source.getPendingInvoicesCount()).to.equal(0);
+            expect(await source.pendingSince()).to.equal(0);
+        });
+
+        it("can only be configured by the admin", async function () {
+            const { source, other } = await loadFixture(deployFixture);
+            await expect(source.connect(other).setAutoSealThreshold(3))
+                .to.be.revertedWith("Only admin can set the auto-seal threshold");
+        });
+    });
+
+    describe("invoicesFromSource", function () {
+        it("emits InvoiceReceived with the sender extracted from the topics", async function () {
+            const { source, destination, sender, other } = await loadFixture(deployFixture);
+            const { proof } = await sealBatch(source, sender, ["INVOICE_1", "INVOICE_2"]);
+
+            await expect(destination.connect(other).invoicesFromSource(proof))
+                .to.emit(destination, "InvoiceReceived").withArgs(sender.address, invoiceHash("INVOICE_1"))
+                .and.to.emit(destination, "InvoiceReceived").withArgs(sender.address, invoiceHash("INVOICE_2"));
+        });
+
+        it("rejects events from an untrusted chain", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { proof } = await sealBatch(source, sender, ["INVOICE_1"], 919);
+
+            await expect(destination.invoicesFromSource(proof)).to.be.revertedWith("Chain not trusted");
+        });
+
+        it("rejects events from another contract on a trusted chain", async function () {
+            const { prover, destination, sender } = await loadFixture(deployFixture);
+            const impostor = await deployBatcher(prover, [sender]);
+            const { proof } = await sealBatch(impostor, sender, ["INVOICE_1"]);
+
+            await expect(destination.invoicesFromSource(proof)).to.be.revertedWith("Invalid source contract");
+        });
+
+        it("rejects events from the current chain", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { chainId } = await ethers.provider.getNetwork();
+            const { proof } = await sealBatch(source, sender, ["INVOICE_1"], chainId);
+
+            await expect(destination.invoicesFromSource(proof))
+                .to.be.revertedWith("Cannot process events from same chain");
+        });
+
+        it("rejects a batch that was already processed", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { receipt, proof } = await sealBatch(source, sender, ["INVOICE_1"]);
+            const sourceAddress = await source.getAddress();
+
+            expect(await destination.isBatchProcessed(SOURCE_CHAIN_ID, sourceAddress, receipt.blockNumber, receipt.index, 0))
+                .to.equal(false);
+            await destination.invoicesFromSource(proof);
+            expect(await destination.isBatchProcessed(SOURCE_CHAIN_ID, sourceAddress, receipt.blockNumber, receipt.index, 0))
+                .to.equal(true);
+
+            await expect(destination.invoicesFromSource(proof)).to.be.revertedWith("Batch already processed");
+        });
+    });
+
+    describe("Merkle root batches", function () {
+        const ids = ["INVOICE_1", "INVOICE_2", "INVOICE_3"];
+
+        it("stores received roots and verifies member invoices", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { proof } = await sealBatch(source, sender, ids, SOURCE_CHAIN_ID, true);
+            const hashes = ids.map(invoiceHash);
+            const tree = buildInvoiceTree(hashes);
+            const root = tree.getHexRoot();
+
+            await expect(destination.invoicesFromSource(proof))
+                .to.emit(destination, "InvoiceRootReceived")
+                .withArgs(sender.address, root, SOURCE_CHAIN_ID, ids.length)
+                .and.not.to.emit(destination, "InvoiceReceived");
+
+            const received = await destination.receivedRoots(root);
+            expect(received.sourceChainId).to.equal(SOURCE_CHAIN_ID);
+            expect(received.originalSender).to.equal(sender.address);
+            expect(received.count).to.equal(ids.length);
+
+            for (const hash of hashes) {
+                expect(await destination.verifyInvoice(root, hash, getInvoiceProof(tree, hash))).to.equal(true);
+            }
+        });
+
+        it("keeps the first origin of a root and flags a conflict when another chain sends it", async function () {
+            const { prover, source, destination, sender, other } = await loadFixture(deployFixture);
+            const otherSource = await deployBatcher(prover, [other]);
+            await destination.setTrustedSourceContract(11155420, await otherSource.getAddress());
+            const root = getInvoiceRoot(ids.map(invoiceHash));
+
+            const first = await sealBatch(source, sender, ids, SOURCE_CHAIN_ID, true);
+            const second = await sealBatch(otherSource, other, ids, 11155420, true);
+            await destination.invoicesFromSource(first.proof);
+
+            await expect(destination.invoicesFromSource(second.proof))
+                .to.emit(destination, "InvoiceConflict").withArgs(root, other.address, 11155420, SOURCE_CHAIN_ID)
+                .and.not.to.emit(destination, "InvoiceRootReceived");
+
+            const received = await destination.receivedRoots(root);
+            expect(received.sourceChainId).to.equal(SOURCE_CHAIN_ID);
+            expect(received.originalSender).to.equal(sender.address);
+            const tree = buildInvoiceTree(ids.map(invoiceHash));
+            await destination.registerInvoiceFromRoot(root, invoiceHash("INVOICE_1"), getInvoiceProof(tree, invoiceHash("INVOICE_1")));
+            expect((await destination.getInvoiceOrigin(invoiceHash("INVOICE_1"))).sourceChainId).to.equal(SOURCE_CHAIN_ID);
+        });
+
+        it("recovers the invoices of a root batch from NewInvoice events", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            // An earlier batch must not leak into the recovered leaves
+            await sealBatch(source, sender, ["EARLIER_1"], SOURCE_CHAIN_ID, true);
+            const { receipt } = await sealBatch(source, sender, ids, SOURCE_CHAIN_ID, true);
+
+            const invoices = await collectBatchInvoices(source, receipt.logs[0], ids.length);
+            expect(invoices).to.deep.equal(ids.map(invoiceHash));
+        });
+
+        it("rejects invoices outside the batch and unknown roots", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { proof } = await sealBatch(source, sender, ids, SOURCE_CHAIN_ID, true);
+            await destination.invoicesFromSource(proof);
+
+            const tree = buildInvoiceTree(ids.map(invoiceHash));
+            const memberProof = getInvoiceProof(tree, invoiceHash("INVOICE_1"));
+            expect(await destination.verifyInvoice(tree.getHexRoot(), invoiceHash("INVOICE_4"), memberProof))
+                .to.equal(false);
+
+            const otherTree = buildInvoiceTree(["INVOICE_1", "INVOICE_4"].map(invoiceHash));
+            expect(await destination.verifyInvoice(
+                otherTree.getHexRoot(),
+                invoiceHash("INVOICE_1"),
+                getInvoiceProof(otherTree, invoiceHash("INVOICE_1"))
+            )).to.equal(false);
+        });
+    });
+
+    describe("Invoice registry", function () {
+        it("records the origin of invoices from list batches", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const { receipt, proof } = await sealBatch(source, sender, ["INVOICE_1", "INVOICE_2"]);
+            const batchId = await destination.getBatchId(
+                SOURCE_CHAIN_ID, await source.getAddress(), receipt.blockNumber, receipt.index, 0
+            );
+
+            expect(await destination.isInvoiceKnown(invoiceHash("INVOICE_1"))).to.equal(false);
+            const tx = await destination.invoicesFromSource(proof);
+            const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+            for (const id of ["INVOICE_1", "INVOICE_2"]) {
+                expect(await destination.isInvoiceKnown(invoiceHash(id))).to.equal(true);
+                const origin = await destination.getInvoiceOrigin(invoiceHash(id));
+                expect(origin.sourceChainId).to.equal(SOURCE_CHAIN_ID);
+                expect(origin.originalSender).to.equal(sender.address);
+                expect(origin.sourceBatchId).to.equal(batchId);
+                expect(origin.receivedAt).to.equal(timestamp);
+            }
+        });
+
+        it("keeps the first origin and flags a conflict when another chain sends the invoice", async function () {
+            const { prover, source, destination, sender, other } = await loadFixture(deployFixture);
+            const otherSource = await deployBatcher(prover, [other]);
+            await destination.setTrustedSourceContract(11155420, await otherSource.getAddress());
+            const hash = invoiceHash("INVOICE_1");
+
+            const first = await sealBatch(source, sender, ["INVOICE_1"]);
+            const second = await sealBatch(otherSource, other, ["INVOICE_1", "INVOICE_2"], 11155420);
+            await destination.invoicesFromSource(first.proof);
+
+            await expect(destination.invoicesFromSource(second.proof))
+                .to.emit(destination, "InvoiceConflict").withArgs(hash, other.address, 11155420, SOURCE_CHAIN_ID)
+                .and.to.emit(destination, "InvoiceReceived").withArgs(other.address, invoiceHash("INVOICE_2"));
+
+            const origin = await destination.getInvoiceOrigin(hash);
+            expect(origin.sourceChainId).to.equal(SOURCE_CHAIN_ID);
+            expect(origin.originalSender).to.equal(sender.address);
+        });
+
+        it("flags a conflict when a relayed invoice was added locally", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+            const { chainId } = await ethers.provider.getNetwork();
+            await destination.newInvoice(hash);
+
+            const { proof } = await sealBatch(source, sender, ["INVOICE_1"]);
+            await expect(destination.invoicesFromSource(proof))
+                .to.emit(destination, "InvoiceConflict").withArgs(hash, sender.address, SOURCE_CHAIN_ID, chainId)
+                .and.not.to.emit(destination, "InvoiceReceived");
+            expect(await destination.isInvoiceKnown(hash)).to.equal(false);
+        });
+
+        it("reverts getInvoiceOrigin for unknown invoices", async function () {
+            const { destination } = await loadFixture(deployFixture);
+            await expect(destination.getInvoiceOrigin(invoiceHash("INVOICE_1")))
+                .to.be.revertedWith("Invoice not known");
+        });
+
+        it("registers invoices from a received root with a Merkle proof", async function () {
+            const { source, destination, sender, other } = await loadFixture(deployFixture);
+            const ids = ["INVOICE_1", "INVOICE_2", "INVOICE_3"];
+            const { receipt, proof } = await sealBatch(source, sender, ids, SOURCE_CHAIN_ID, true);
+            await destination.invoicesFromSource(proof);
+
+            const tree = buildInvoiceTree(ids.map(invoiceHash));
+            const root = tree.getHexRoot();
+            const hash = invoiceHash("INVOICE_2");
+            expect(await destination.isInvoiceKnown(hash)).to.equal(false);
+
+            await expect(destination.connect(other).registerInvoiceFromRoot(root, hash, getInvoiceProof(tree, hash)))
+                .to.emit(destination, "InvoiceReceived").withArgs(sender.address, hash);
+
+            const origin = await destination.getInvoiceOrigin(hash);
+            expect(origin.sourceChainId).to.equal(SOURCE_CHAIN_ID);
+            expect(origin.originalSender).to.equal(sender.address);
+            expect(origin.sourceBatchId).to.equal(await destination.getBatchId(
+                SOURCE_CHAIN_ID, await source.getAddress(), receipt.blockNumber, receipt.index, 0
+            ));
+
+            await expect(destination.registerInvoiceFromRoot(root, hash, getInvoiceProof(tree, hash)))
+                .to.be.revertedWith("Invoice already registered");
+            await expect(destination.registerInvoiceFromRoot(root, invoiceHash("INVOICE_4"), getInvoiceProof(tree, hash)))
+                .to.be.revertedWith("Invalid invoice proof");
+        });
+
+        it("flags a conflict when a root invoice was added locally", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const ids = ["INVOICE_1", "INVOICE_2"];
+            const hash = invoiceHash("INVOICE_1");
+            await destination.newInvoice(hash);
+            const { proof } = await sealBatch(source, sender, ids, SOURCE_CHAIN_ID, true);
+            await destination.invoicesFromSource(proof);
+
+            const tree = buildInvoiceTree(ids.map(invoiceHash));
+            await expect(destination.registerInvoiceFromRoot(tree.getHexRoot(), hash, getInvoiceProof(tree, hash)))
+                .to.emit(destination, "InvoiceConflict")
+                .and.not.to.emit(destination, "InvoiceReceived");
+            expect(await destination.isInvoiceKnown(hash)).to.equal(false);
+        });
+    });
+
+    describe("Invoice metadata", function () {
+        const EMPTY = { issuer: ethers.ZeroAddress, amount: 0n, currency: ethers.ZeroAddress, dueDate: 0, status: 0 };
+
+        // Adds INVOICE_1 with metadata and INVOICE_2 without, and seals them
+        async function sealMetadataBatch(source, sender, issuer) {
+            await source.connect(sender).newInvoiceWithMetadata(invoiceHash("INVOICE_1"), invoiceMetadata(issuer));
+            await source.connect(sender).newInvoice(invoiceHash("INVOICE_2"));
+            const receipt = await (await source.connect(sender).batchInvoices()).wait();
+            return { receipt, proof: buildProof(receipt, { chainId: SOURCE_CHAIN_ID }) };
+        }
+
+        it("seals invoices with metadata as an InvoiceMetadataBatch", async function () {
+            const { source, sender, other } = await loadFixture(deployFixture);
+            const { receipt } = await sealMetadataBatch(source, sender, other.address);
+
+            const batch = source.interface.parseLog(receipt.logs[0]);
+            expect(batch.name).to.equal("InvoiceMetadataBatch");
+            expect(batch.args.sender).to.equal(sender.address);
+            expect([...batch.args.invoices]).to.deep.equal([invoiceHash("INVOICE_1"), invoiceHash("INVOICE_2")]);
+            expect(batch.args.metadata.map(toMetadata)).to.deep.equal([invoiceMetadata(other.address), EMPTY]);
+
+            expect(toMetadata(await source.getInvoiceMetadata(invoiceHash("INVOICE_1")))).to.deep.equal(invoiceMetadata(other.address));
+            expect(await source.hasInvoiceMetadata(invoiceHash("INVOICE_2"))).to.equal(false);
+
+            // The next batch without metadata keeps the hash-only format
+            await source.connect(sender).newInvoice(invoiceHash("INVOICE_3"));
+            await expect(source.connect(sender).batchInvoices())
+                .to.emit(source, "InvoiceBatch").withArgs(sender.address, [invoiceHash("INVOICE_3")])
+                .and.not.to.emit(source, "InvoiceMetadataBatch");
+        });
+
+        it("decodes the metadata of relayed invoices on the destination", async function () {
+            const { source, destination, sender, other } = await loadFixture(deployFixture);
+            const { proof } = await sealMetadataBatch(source, sender, other.address);
+
+            await expect(destination.invoicesFromSource(proof))
+                .to.emit(destination, "InvoiceReceived").withArgs(sender.address, invoiceHash("INVOICE_1"))
+                .and.to.emit(destination, "InvoiceReceived").withArgs(sender.address, invoiceHash("INVOICE_2"));
+
+            expect(await destination.hasInvoiceMetadata(invoiceHash("INVOICE_1"))).to.equal(true);
+            expect(toMetadata(await destination.getInvoiceMetadata(invoiceHash("INVOICE_1")))).to.deep.equal(invoiceMetadata(other.address));
+            await expect(destination.getInvoiceMetadata(invoiceHash("INVOICE_2")))
+                .to.be.revertedWith("Invoice metadata not known");
+        });
+
+        it("keeps the local metadata of conflicting invoices", async function () {
+            const { source, destination, sender, other } = await loadFixture(deployFixture);
+            const local = invoiceMetadata(sender.address, { status: PAID });
+            await destination.newInvoiceWithMetadata(invoiceHash("INVOICE_1"), local);
+            const { proof } = await sealMetadataBatch(source, sender, other.address);
+
+            await expect(destination.invoicesFromSource(proof))
+                .to.emit(destination, "InvoiceConflict");
+            expect(toMetadata(await destination.getInvoiceMetadata(invoiceHash("INVOICE_1")))).to.deep.equal(local);
+        });
+
+        it("mixes invoices with and without metadata in newInvoicesWithMetadata", async function () {
+            const { source, sender, other } = await loadFixture(deployFixture);
+            const hashes = ["INVOICE_1", "INVOICE_2"].map(invoiceHash);
+
+            const receipt = await (await source.connect(sender).newInvoicesWithMetadata(
+                hashes, [EMPTY, invoiceMetadata(other.address)], true
+            )).wait();
+            const batch = receipt.logs.map(log => source.interface.parseLog(log)).find(log => log.name === "InvoiceMetadataBatch");
+            expect([...batch.args.invoices]).to.deep.equal(hashes);
+            expect(batch.args.metadata.map(toMetadata)).to.deep.equal([EMPTY, invoiceMetadata(other.address)]);
+            expect(await source.getPendingInvoicesCount()).to.equal(0);
+        });
+
+        it("rejects invalid metadata", async function () {
+            const { source, sender, other, outsider } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+
+            await expect(source.connect(sender).newInvoiceWithMetadata(hash, invoiceMetadata(ethers.ZeroAddress)))
+                .to.be.revertedWith("Invalid issuer address");
+            await expect(source.connect(sender).newInvoiceWithMetadata(hash, invoiceMetadata(other.address, { status: 0 })))
+                .to.be.revertedWith("Invalid invoice status");
+            await expect(source.connect(sender).newInvoicesWithMetadata([hash], [], false))
+                .to.be.revertedWith("Metadata length mismatch");
+            await expect(source.connect(outsider).newInvoiceWithMetadata(hash, invoiceMetadata(other.address)))
+                .to.be.revertedWith("Caller is not a submitter");
+        });
+
+        it("cannot seal invoices with metadata as a Merkle root", async function () {
+            const { source, sender, other } = await loadFixture(deployFixture);
+            await source.connect(sender).newInvoiceWithMetadata(invoiceHash("INVOICE_1"), invoiceMetadata(other.address));
+
+            await expect(source.connect(sender).batchInvoiceRoot())
+                .to.be.revertedWith("Pending invoices have metadata");
+            await expect(source.connect(sender).batchInvoices()).to.emit(source, "InvoiceMetadataBatch");
+        });
+    });
+
+    describe("Invoice lifecycle", function () {
+        // Adds an invoice with metadata and seals it, returning the proof of its batch
+        async function createInvoice(source, sender, id, chainId = SOURCE_CHAIN_ID) {
+            await source.connect(sender).newInvoiceWithMetadata(invoiceHash(id), invoiceMetadata(sender.address));
+            const receipt = await (await source.connect(sender).batchInvoices()).wait();
+            return buildProof(receipt, { chainId });
+        }
+
+        async function changeStatus(source, sender, id, status, chainId = SOURCE_CHAIN_ID) {
+            await source.connect(sender).updateInvoiceStatus(invoiceHash(id), status);
+            const receipt = await (await source.connect(sender).batchStatusUpdates()).wait();
+            return buildProof(receipt, { chainId });
+        }
+
+        it("records status changes on the origin chain and batches them", async function () {
+            const { source, sender } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+            await createInvoice(source, sender, "INVOICE_1");
+            expect(await source.getInvoiceStatus(hash)).to.deep.equal([ISSUED, 0n]);
+
+            await expect(source.connect(sender).updateInvoiceStatus(hash, DISPUTED))
+                .to.emit(source, "InvoiceStatusChanged").withArgs(sender.address, hash, DISPUTED, 1);
+            expect(await source.statusUpdatesPendingSince()).to.not.equal(0);
+            await source.connect(sender).updateInvoiceStatus(hash, PAID);
+            expect(await source.getInvoiceStatus(hash)).to.deep.equal([PAID, 2n]);
+            expect((await source.getInvoiceMetadata(hash)).status).to.equal(PAID);
+            expect(await source.getPendingStatusUpdatesCount()).to.equal(2);
+
+            const receipt = await (await source.connect(sender).batchStatusUpdates()).wait();
+            const batch = source.interface.parseLog(receipt.logs[0]);
+            expect(batch.name).to.equal("InvoiceStatusBatch");
+            expect(batch.args.updates.map(update => [update.invoiceHash, Number(update.status), Number(update.sequence)]))
+                .to.deep.equal([[hash, DISPUTED, 1], [hash, PAID, 2]]);
+            expect(await source.getPendingStatusUpdatesCount()).to.equal(0);
+            expect(await source.statusUpdatesPendingSince()).to.equal(0);
+        });
+
+        it("rejects invalid status changes", async function () {
+            const { source, destination, sender, outsider } = await loadFixture(deployFixture);
+            const proof = await createInvoice(source, sender, "INVOICE_1");
+            await source.connect(sender).newInvoice(invoiceHash("INVOICE_2"));
+            await destination.invoicesFromSource(proof);
+
+            await expect(destination.updateInvoiceStatus(invoiceHash("INVOICE_1"), PAID))
+                .to.be.revertedWith("Invoice not created here");
+            await expect(source.connect(sender).updateInvoiceStatus(invoiceHash("INVOICE_2"), PAID))
+                .to.be.revertedWith("Invoice has no metadata");
+            await expect(source.connect(outsider).updateInvoiceStatus(invoiceHash("INVOICE_1"), PAID))
+                .to.be.revertedWith("Caller is not a submitter");
+            await expect(source.connect(sender).updateInvoiceStatus(invoiceHash("INVOICE_1"), ISSUED))
+                .to.be.revertedWith("Invalid status transition");
+
+            await source.connect(sender).updateInvoiceStatus(invoiceHash("INVOICE_1"), CANCELLED);
+            await expect(source.connect(sender).updateInvoiceStatus(invoiceHash("INVOICE_1"), PAID))
+                .to.be.revertedWith("Invalid status transition");
+            await expect(source.connect(outsider).batchStatusUpdates())
+                .to.be.revertedWith("Caller is not a batcher");
+            await source.connect(sender).batchStatusUpdates();
+            await expect(source.connect(sender).batchStatusUpdates())
+                .to.be.revertedWith("No pending status updates");
+        });
+
+        it("applies relayed status changes in sequence order", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+            await destination.invoicesFromSource(await createInvoice(source, sender, "INVOICE_1"));
+            const disputed = await changeStatus(source, sender, "INVOICE_1", DISPUTED);
+            const paid = await changeStatus(source, sender, "INVOICE_1", PAID);
+
+            await expect(destination.invoicesFromSource(paid))
+                .to.emit(destination, "InvoiceStatusReceived").withArgs(sender.address, hash, PAID, 2, true);
+            // The older change arrives late and is not applied
+            await expect(destination.invoicesFromSource(disputed))
+                .to.emit(destination, "InvoiceStatusReceived").withArgs(sender.address, hash, DISPUTED, 1, false);
+
+            expect(await destination.getInvoiceStatus(hash)).to.deep.equal([PAID, 2n]);
+            expect((await destination.getInvoiceMetadata(hash)).status).to.equal(PAID);
+        });
+
+        it("keeps a status change that arrives before the invoice", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+            const created = await createInvoice(source, sender, "INVOICE_1");
+            const paid = await changeStatus(source, sender, "INVOICE_1", PAID);
+
+            await expect(destination.invoicesFromSource(paid))
+                .to.emit(destination, "InvoiceStatusReceived").withArgs(sender.address, hash, PAID, 1, true);
+            expect(await destination.getInvoiceStatus(hash)).to.deep.equal([0n, 0n]);
+            expect(await destination.hasInvoiceMetadata(hash)).to.equal(false);
+
+            // The late creation brings the metadata, but not its issued status
+            await expect(destination.invoicesFromSource(created)).to.emit(destination, "InvoiceReceived");
+            expect(toMetadata(await destination.getInvoiceMetadata(hash))).to.deep.equal(invoiceMetadata(sender.address, { status: PAID }));
+            expect(await destination.getInvoiceStatus(hash)).to.deep.equal([PAID, 1n]);
+        });
+
+        it("drops an early status change from a chain that turns out not to be the origin", async function () {
+            const { prover, source, destination, sender, other } = await loadFixture(deployFixture);
+            const otherSource = await deployBatcher(prover, [other]);
+            await destination.setTrustedSourceContract(11155420, await otherSource.getAddress());
+            const hash = invoiceHash("INVOICE_1");
+            await createInvoice(otherSource, other, "INVOICE_1", 11155420);
+            const cancelled = await changeStatus(otherSource, other, "INVOICE_1", CANCELLED, 11155420);
+            const created = await createInvoice(source, sender, "INVOICE_1");
+            const disputed = await changeStatus(source, sender, "INVOICE_1", DISPUTED);
+
+            // Both changes arrive before the origin's InvoiceMetadataBatch
+            await destination.invoicesFromSource(cancelled);
+            await destination.invoicesFromSource(disputed);
+
+            await expect(destination.invoicesFromSource(created))
+                .to.emit(destination, "InvoiceConflict").withArgs(hash, other.address, 11155420, SOURCE_CHAIN_ID)
+                .and.to.emit(destination, "InvoiceReceived").withArgs(sender.address, hash);
+            expect(await destination.getInvoiceStatus(hash)).to.deep.equal([DISPUTED, 1n]);
+            expect((await destination.getInvoiceMetadata(hash)).status).to.equal(DISPUTED);
+
+            // The origin's later changes still apply
+            const paid = await changeStatus(source, sender, "INVOICE_1", PAID);
+            await destination.invoicesFromSource(paid);
+            expect(await destination.getInvoiceStatus(hash)).to.deep.equal([PAID, 2n]);
+        });
+
+        it("ignores status changes from a chain that is not the invoice's origin", async function () {
+            const { source, destination, sender } = await loadFixture(deployFixture);
+            const hash = invoiceHash("INVOICE_1");
+            const { chainId } = await ethers.provider.getNetwork();
+            await destination.newInvoiceWithMetadata(hash, invoiceMetadata(sender.address));
+            await createInvoice(source, sender, "INVOICE_1");
+            const paid = await changeStatus(source, sender, "INVOICE_1", PAID);
+
+            await expect(destination.invoicesFromSource(paid))
+                .to.emit(destination, "InvoiceConflict").withArgs(hash, sender.address, SOURCE_CHAIN_ID, chainId)
+                .and.not.to.emit(destination, "InvoiceStatusReceived");
+            expect(await destination.getInvoiceStatus(hash)).to.deep.equal([ISSUED, 0n]);
+        });
+    });
+});
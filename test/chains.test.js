@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    CHAINS,
+    validateChainDefinitions,
+    loadChainRegistry,
+    getChain,
+    getEnabledChains,
+    getNetworkChains
+} = require("../config/chains");
+
+const PROVER = "0xcDa03d74DEc5B24071D1799899B2e0653C24e5Fa";
+const BATCHER = "0x2000000000000000000000000000000000000002";
+const OLD_BATCHER = "0x1000000000000000000000000000000000000001";
+
+describe("Chain registry", function () {
+    describe("validateChainDefinitions", function () {
+        it("lists every invalid field of every chain", function () {
+            const definitions = {
+                "mode-sepolia": { name: "Mode Sepolia", rpcUrl: "http://127.0.0.1:1", chainId: 919 },
+                "bad-chain": { name: "", chainId: -1, envPrefix: "bad", explorer: { apiURL: "x" } }
+            };
+
+            expect(() => validateChainDefinitions(definitions)).to.throw(Error)
+                .with.property("message")
+                .that.includes("mode-sepolia: missing envPrefix")
+                .and.includes("mode-sepolia: unknown field rpcUrl")
+                .and.includes("bad-chain: name must be a non-empty string")
+                .and.includes("bad-chain: chainId must be a positive integer")
+                .and.includes("bad-chain: envPrefix must be UPPER_SNAKE_CASE")
+                .and.includes("bad-chain: explorer needs apiURL and browserURL");
+        });
+
+        it("rejects chains sharing a chain ID or env prefix", function () {
+            const definitions = {
+                "chain-a": { name: "A", chainId: 1, envPrefix: "CHAIN_A" },
+                "chain-b": { name: "B", chainId: 1, envPrefix: "CHAIN_A" }
+            };
+
+            expect(() => validateChainDefinitions(definitions)).to.throw(Error)
+                .with.property("message")
+                .that.includes("chain-b: chain ID 1 is already used by chain-a")
+                .and.includes("chain-b: envPrefix CHAIN_A is already used by chain-a");
+        });
+    });
+
+    describe("loadChainRegistry", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "chains-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("adds the chains of the chains file to the built-in ones", function () {
+            const file = path.join(dir, "chains.json");
+            fs.writeFileSync(file, JSON.stringify({
+                "zora-sepolia": { name: "Zora Sepolia", chainId: 999999999, envPrefix: "ZORA_SEPOLIA" }
+            }));
+
+            const chains = loadChainRegistry(file);
+            expect(chains["zora-sepolia"]).to.deep.equal({
+                key: "zora-sepolia", name: "Zora Sepolia", chainId: 999999999, envPrefix: "ZORA_SEPOLIA"
+            });
+            expect(Object.keys(chains)).to.include.members(Object.keys(CHAINS));
+        });
+
+        it("refuses to redefine a built-in chain", function () {
+            const file = path.join(dir, "chains.json");
+            fs.writeFileSync(file, JSON.stringify({
+                "base-sepolia": { name: "Base", chainId: 1, envPrefix: "BASE" }
+            }));
+
+            expect(() => loadChainRegistry(file)).to.throw("base-sepolia: already a built-in chain");
+        });
+
+        it("uses only the built-in chains without a chains file", function () {
+            expect(Object.keys(loadChainRegistry(path.join(dir, "missing.json")))).to.deep.equal(Object.keys(CHAINS));
+        });
+    });
+
+    describe("getChain", function () {
+        it("resolves a chain's settings from the environment", function () {
+            const chain = getChain("base-sepolia", {
+                BASE_SEPOLIA_RPC: "http://127.0.0.1:1",
+                POLYMER_PROVER_BASE_SEPOLIA_CONTRACT_ADDRESS: PROVER,
+                BASE_SEPOLIA_INVOICEBATCHER_ADDRESS: PROVER
+            });
+
+            expect(chain).to.include({
+                key: "base-sepolia",
+                chainId: 84532,
+                local: false,
+                rpc: "http://127.0.0.1:1",
+                proverAddress: PROVER,
+                invoiceBatcherAddress: PROVER
+            });
+        });
+
+        it("accepts the older testnet prover variable names", function () {
+            const chain = getChain("mode-sepolia", { POLYMER_PROVER_MODE_TESTNET_CONTRACT_ADDRESS: PROVER });
+            expect(chain.proverAddress).to.equal(PROVER);
+        });
+
+        it("falls back to the live deployments of the chain's manifest", function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+            try {
+                fs.writeFileSync(path.join(dir, "local-a.json"), JSON.stringify({
+                    network: "local-a",
+                    chainId: 31337,
+                    contracts: {
+                        MockPolymerProver: [{ address: PROVER }],
+                        InvoiceIDBatcher: [{ address: OLD_BATCHER }, { address: BATCHER }]
+                    }
+                }));
+
+                expect(getChain("local-a", { DEPLOYMENTS_DIR: dir })).to.include({
+                    proverAddress: PROVER,
+                    invoiceBatcherAddress: BATCHER
+                });
+                expect(getChain("local-a", { DEPLOYMENTS_DIR: dir, LOCAL_A_INVOICEBATCHER_ADDRESS: OLD_BATCHER })
+                    .invoiceBatcherAddress).to.equal(OLD_BATCHER);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it("falls back to the default RPC of local chains", function () {
+            expect(getChain("local-b", {}).rpc).to.equal("http://127.0.0.1:8546");
+        });
+
+        it("rejects unknown chains", function () {
+            expect(() => getChain("nope", {})).to.throw('Unknown chain "nope"');
+        });
+    });
+
+    describe("getEnabledChains", function () {
+        it("returns the activated chains in order", function () {
+            const chains = getEnabledChains({
+                ACTIVATED_CHAINS: "local-b,base-sepolia",
+                BASE_SEPOLIA_RPC: "http://127.0.0.1:1",
+                POLYMER_PROVER_BASE_TESTNET_CONTRACT_ADDRESS: PROVER
+            });
+
+            expect(chains.map(chain => chain.key)).to.deep.equal(["local-b", "base-sepolia"]);
+        });
+
+        it("names every chain that is unknown or misses a setting", function () {
+            const env = { ACTIVATED_CHAINS: "optimism-sepolia,nope,mode-sepolia", MODE_SEPOLIA_RPC: "http://127.0.0.1:1" };
+
+            expect(() => getEnabledChains(env)).to.throw(Error)
+                .with.property("message")
+                .that.includes("optimism-sepolia: missing OPTIMISM_SEPOLIA_RPC, POLYMER_PROVER_OPTIMISM_SEPOLIA_CONTRACT_ADDRESS")
+                .and.includes("nope: unknown chain")
+                .and.includes("mode-sepolia: missing POLYMER_PROVER_MODE_SEPOLIA_CONTRACT_ADDRESS");
+        });
+
+        it("requires at least one activated chain", function () {
+            expect(() => getEnabledChains({})).to.throw("No chains are activated");
+        });
+    });
+
+    describe("getNetworkChains", function () {
+        it("targets the chain of --network, or every activated chain without it", function () {
+            const env = { ACTIVATED_CHAINS: "local-a,local-b" };
+
+            expect(getNetworkChains("local-b", env).map(chain => chain.key)).to.deep.equal(["local-b"]);
+            expect(getNetworkChains("hardhat", env).map(chain => chain.key)).to.deep.equal(["local-a", "local-b"]);
+            expect(() => getNetworkChains("nope", env)).to.throw("Network nope not found in chain configurations");
+        });
+    });
+});
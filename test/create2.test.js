@@ -0,0 +1,57 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    DEPLOYMENT_PROXY,
+    getSalt,
+    getDeterministicAddress,
+    deployDeterministic
+} = require("../scripts/lib/create2");
+
+describe("CREATE2 deployment", function () {
+    async function getInitCode(admin) {
+        const prover = "0xcDa03d74DEc5B24071D1799899B2e0653C24e5Fa";
+        const factory = await ethers.getContractFactory("InvoiceIDBatcher");
+        return (await factory.getDeployTransaction(prover, admin)).data;
+    }
+
+    it("derives salts from labels or takes them as they are", function () {
+        const salt = ethers.id("v1");
+        expect(getSalt("v1")).to.equal(salt);
+        expect(getSalt(salt)).to.equal(salt);
+    });
+
+    it("deploys the proxy, then the contract at its deterministic address", async function () {
+        const [deployer, admin] = await ethers.getSigners();
+        const salt = getSalt("create2-test");
+        const initCode = await getInitCode(admin.address);
+        const expected = getDeterministicAddress(salt, initCode);
+
+        const { address, receipt } = await deployDeterministic(deployer, salt, initCode);
+
+        expect(address).to.equal(expected);
+        expect(receipt).to.not.equal(null);
+        expect(await ethers.provider.getCode(DEPLOYMENT_PROXY)).to.not.equal("0x");
+        const batcher = await ethers.getContractAt("InvoiceIDBatcher", address);
+        expect(await batcher.admin()).to.equal(admin.address);
+    });
+
+    it("skips contracts that are already deployed", async function () {
+        const [deployer, admin] = await ethers.getSigners();
+        const salt = getSalt("create2-test-rerun");
+        const initCode = await getInitCode(admin.address);
+
+        const first = await deployDeterministic(deployer, salt, initCode);
+        const second = await deployDeterministic(deployer, salt, initCode);
+
+        expect(second).to.deep.equal({ address: first.address, receipt: null });
+    });
+
+    it("gives a different address for a different salt or admin", async function () {
+        const [, admin, other] = await ethers.getSigners();
+        const initCode = await getInitCode(admin.address);
+        const address = getDeterministicAddress(getSalt("a"), initCode);
+
+        expect(getDeterministicAddress(getSalt("b"), initCode)).to.not.equal(address);
+        expect(getDeterministicAddress(getSalt("a"), await getInitCode(other.address))).to.not.equal(address);
+    });
+});
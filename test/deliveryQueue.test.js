@@ -0,0 +1,44 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeliveryQueue } = require("../scripts/lib/deliveryQueue");
+
+describe("DeliveryQueue", function () {
+    const delivery = { sourceChainId: 31337, targetChainId: 31338, transactionHash: "0xabc", logIndex: 0, blockNumber: 7 };
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "delivery-queue-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("does not queue a dead-lettered delivery again", function () {
+        const queue = new DeliveryQueue(path.join(dir, "deliveries.json"), { maxAttempts: 1 });
+        const dead = queue.enqueue(delivery, new Error("reverted"));
+        expect(queue.getDeadLetters().map(entry => entry.id)).to.deep.equal([dead.id]);
+
+        const again = queue.enqueue(delivery, new Error("reverted"));
+        expect(again).to.include({ id: dead.id, attempts: 1 });
+        expect(again.deadAt).to.be.a("string");
+        expect(queue.getPending()).to.deep.equal([]);
+        expect(queue.getDeadLetters()).to.have.lengthOf(1);
+    });
+
+    it("shares the file with other instances and releases its write lock", function () {
+        const relayerQueue = new DeliveryQueue(path.join(dir, "deliveries.json"), { maxAttempts: 1 });
+        const cliQueue = new DeliveryQueue(path.join(dir, "deliveries.json"));
+        relayerQueue.enqueue(delivery, new Error("reverted"));
+        relayerQueue.enqueue({ ...delivery, logIndex: 1 }, new Error("reverted"));
+
+        cliQueue.requeue([relayerQueue.getDeadLetters()[0].id]);
+        relayerQueue.enqueue({ ...delivery, logIndex: 2 }, new Error("reverted"));
+
+        expect(cliQueue.getPending()).to.have.lengthOf(1);
+        expect(cliQueue.getDeadLetters()).to.have.lengthOf(2);
+        expect(fs.readdirSync(dir)).to.deep.equal(["deliveries.json"]);
+    });
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeploymentManifest, getCurrentDeployment } = require("../scripts/lib/deployments");
+
+const CHAIN = { key: "base-sepolia", chainId: 84532 };
+
+function entry(address, transactionHash, blockNumber) {
+    return { address, transactionHash, blockNumber, deployer: address, proverAddress: address };
+}
+
+describe("Deployment manifest", function () {
+    const FIRST = "0x1000000000000000000000000000000000000001";
+    const SECOND = "0x2000000000000000000000000000000000000002";
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("keeps earlier deployments when a contract is redeployed", function () {
+        const manifest = new DeploymentManifest(CHAIN, dir);
+        expect(manifest.record("InvoiceIDBatcher", entry(FIRST, "0x01", 10))).to.equal(true);
+        expect(manifest.record("InvoiceIDBatcher", entry(SECOND, "0x02", 20))).to.equal(true);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, "base-sepolia.json"), "utf8"));
+        expect(saved.network).to.equal("base-sepolia");
+        expect(saved.chainId).to.equal(84532);
+        expect(saved.contracts.InvoiceIDBatcher.map(e => e.address)).to.deep.equal([FIRST, SECOND]);
+        expect(manifest.getCurrent("InvoiceIDBatcher").address).to.equal(SECOND);
+        expect(getCurrentDeployment("base-sepolia", "InvoiceIDBatcher", dir).blockNumber).to.equal(20);
+    });
+
+    it("does not record the live deployment twice", function () {
+        const manifest = new DeploymentManifest(CHAIN, dir);
+        manifest.record("InvoiceIDBatcher", entry(FIRST, "0x01", 10));
+
+        expect(manifest.record("InvoiceIDBatcher", entry(FIRST, "0x01", 10))).to.equal(false);
+        expect(manifest.getHistory("InvoiceIDBatcher")).to.have.lengthOf(1);
+    });
+
+    it("reads nothing for chains without a manifest", function () {
+        expect(getCurrentDeployment("base-sepolia", "InvoiceIDBatcher", dir)).to.equal(null);
+        expect(fs.readdirSync(dir)).to.deep.equal([]);
+    });
+});
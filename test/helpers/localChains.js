@@ -0,0 +1,58 @@
+const { spawn } = require("child_process");
+const path = require("path");
+
+// First two accounts of every Hardhat node (publicly known test keys)
+const HARDHAT_PRIVATE_KEYS = [
+    "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+    "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d"
+];
+
+const STARTUP_TIMEOUT_MS = 60000;
+
+/**
+ * Starts a standalone Hardhat node with its own chain ID
+ * @returns The node's RPC URL and a function that stops it
+ */
+function startLocalChain({ chainId, port }) {
+    const child = spawn(
+        process.execPath,
+        [require.resolve("hardhat/internal/cli/cli"), "node", "--port", String(port)],
+        {
+            cwd: path.join(__dirname, "../.."),
+            env: { ...process.env, HARDHAT_CHAIN_ID: String(chainId) },
+            stdio: ["ignore", "pipe", "pipe"]
+        }
+    );
+
+    const stop = () => new Promise(resolve => {
+        if (child.exitCode !== null) return resolve();
+        child.once("exit", resolve);
+        child.kill();
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = "";
+        const timer = setTimeout(() => {
+            stop();
+            reject(new Error(`Hardhat node ${chainId} did not start:\n${output}`));
+        }, STARTUP_TIMEOUT_MS);
+
+        child.stdout.on("data", chunk => {
+            output += chunk;
+            if (output.includes("Started HTTP and WebSocket JSON-RPC server")) {
+                clearTimeout(timer);
+                resolve({ rpc: `http://127.0.0.1:${port}`, stop });
+            }
+        });
+        child.stderr.on("data", chunk => { output += chunk; });
+        child.once("exit", code => {
+            clearTimeout(timer);
+            reject(new Error(`Hardhat node ${chainId} exited with code ${code}:\n${output}`));
+        });
+    });
+}
+
+module.exports = {
+    HARDHAT_PRIVATE_KEYS,
+    startLocalChain
+};
@@ -0,0 +1,24 @@
+const { encodeMockProof } = require("../../scripts/lib/proofProviders");
+
+/**
+ * Builds a MockPolymerProver proof for an event in a mined transaction
+ * @param receipt The transaction receipt that contains the event
+ * @param options.chainId The source chain ID claimed by the proof
+ * @param options.logIndex The position of the event within the transaction logs
+ */
+function buildProof(receipt, { chainId, logIndex = 0 }) {
+    const log = receipt.logs[logIndex];
+    return encodeMockProof({
+        chainId,
+        emittingContract: log.address,
+        topics: log.topics,
+        data: log.data,
+        blockNumber: receipt.blockNumber,
+        receiptIndex: receipt.index,
+        logIndex
+    });
+}
+
+module.exports = {
+    buildProof
+};
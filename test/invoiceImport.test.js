@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ImportResults, detectFormat, parseInvoiceIds, prepareInvoices } = require("../scripts/lib/invoiceImport");
+const { hashInvoiceId } = require("../scripts/lib/invoices");
+const { fromMetadataStruct, toMetadataStruct } = require("../scripts/lib/invoiceMetadata");
+
+const ISSUER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const USDC = "0x036CbD53842c5426634e7929541eC2318f3dCF7e";
+
+describe("Invoice import", function () {
+    it("reads IDs from CSV columns and JSON arrays", function () {
+        const csv = "amount,invoiceId\n10,INV-1\n\n20,\"INV-2, part \"\"b\"\"\"\r\n";
+        expect(parseInvoiceIds(csv, "csv")).to.deep.equal([
+            { line: 2, id: "INV-1" },
+            { line: 4, id: "INV-2, part \"b\"" }
+        ]);
+        expect(parseInvoiceIds("INV-1\nINV-2", "csv").map(entry => entry.id)).to.deep.equal(["INV-1", "INV-2"]);
+
+        expect(parseInvoiceIds("[\"INV-1\", 42]", "json").map(entry => entry.id)).to.deep.equal(["INV-1", 42]);
+        expect(parseInvoiceIds("{\"invoices\": [{\"id\": \"INV-1\"}, {\"invoiceId\": \"INV-2\"}]}", "json").map(entry => entry.id))
+            .to.deep.equal(["INV-1", "INV-2"]);
+        expect(() => parseInvoiceIds("{\"ids\": []}", "json")).to.throw("Expected a JSON array of invoice IDs");
+
+        expect(detectFormat("invoices.json", "")).to.equal("json");
+        expect(detectFormat(null, "  [\"INV-1\"]")).to.equal("json");
+        expect(detectFormat(null, "INV-1")).to.equal("csv");
+    });
+
+    it("validates and deduplicates IDs", function () {
+        const { invoices, invalid, duplicates } = prepareInvoices([
+            { line: 1, id: " INV-1 " },
+            { line: 2, id: "INV-1" },
+            { line: 3, id: "" },
+            { line: 4, id: 42 },
+            { line: 5, id: { nested: true } },
+            { line: 6, id: "INV\u00002" },
+            { line: 7, id: "x".repeat(257) }
+        ]);
+
+        expect(invoices).to.deep.equal([
+            { id: "INV-1", hash: hashInvoiceId("INV-1"), salt: null },
+            { id: "42", hash: hashInvoiceId("42"), salt: null }
+        ]);
+        expect(duplicates).to.deep.equal([{ line: 2, id: "INV-1" }]);
+        expect(invalid.map(entry => [entry.line, entry.reason])).to.deep.equal([
+            [3, "empty invoice ID"],
+            [5, "not a string"],
+            [6, "contains control characters"],
+            [7, "longer than 256 characters"]
+        ]);
+    });
+
+    it("reads invoice metadata from issuer columns and fields", function () {
+        const csv = [
+            "invoiceId,issuer,amount,currency,due_date,status",
+            `INV-1,${ISSUER.toLowerCase()},1250000000,${USDC},2026-01-01,Paid`,
+            "INV-2,,40,,,",
+            `INV-3,${ISSUER},12.5,native,,`,
+            `INV-4,${ISSUER},1,native,someday,`,
+            `INV-5,${ISSUER},1,native,,settled`
+        ].join("\n");
+        const { invoices, invalid } = prepareInvoices(parseInvoiceIds(csv, "csv"));
+
+        expect(invoices).to.deep.equal([
+            {
+                id: "INV-1",
+                hash: hashInvoiceId("INV-1"),
+                salt: null,
+                metadata: { issuer: ISSUER, amount: "1250000000", currency: USDC, dueDate: 1767225600, status: "paid" }
+            },
+            { id: "INV-2", hash: hashInvoiceId("INV-2"), salt: null }
+        ]);
+        expect(invalid.map(entry => [entry.line, entry.reason.split(",")[0]])).to.deep.equal([
+            [4, "invalid amount"],
+            [5, "invalid due date"],
+            [6, "unknown status \"settled\""]
+        ]);
+
+        const json = JSON.stringify([{ id: "INV-1", issuer: ISSUER, amount: 5, dueDate: 1767225600 }, "INV-2"]);
+        const [withMetadata, withoutMetadata] = prepareInvoices(parseInvoiceIds(json, "json")).invoices;
+        const metadata = { issuer: ISSUER, amount: "5", currency: "0x0000000000000000000000000000000000000000", dueDate: 1767225600, status: "issued" };
+        expect(withMetadata.metadata).to.deep.equal(metadata);
+        expect(withoutMetadata).to.not.have.property("metadata");
+
+        // Round trip through the contract's InvoiceMetadata tuple
+        expect(toMetadataStruct(metadata)).to.include({ amount: 5n, status: 1 });
+        expect(fromMetadataStruct({ ...toMetadataStruct(metadata), amount: 5n, dueDate: 1767225600n, status: 1n })).to.deep.equal(metadata);
+        expect(fromMetadataStruct({ issuer: ISSUER, amount: 0n, currency: USDC, dueDate: 0n, status: 0n })).to.equal(null);
+    });
+
+    it("reuses the recorded commitments of random salts", function () {
+        const env = { INVOICE_COMMITMENT: "random" };
+        const entries = [{ line: 1, id: "INV-1" }, { line: 2, id: "INV-2" }];
+        const [first] = prepareInvoices(entries, env).invoices;
+
+        const { invoices } = prepareInvoices(entries, env, new Map([["INV-1", { hash: first.hash, salt: first.salt }]]));
+        expect(invoices[0]).to.deep.equal(first);
+        expect(invoices[1].salt).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("keeps results per chain and skips invoices done by earlier runs", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "invoice-import-"));
+        try {
+            const chain = { key: "local-a" };
+            const results = new ImportResults(ImportResults.defaultPath(path.join(dir, "invoices.csv")));
+            expect(results.filePath).to.equal(path.join(dir, "invoices.results.json"));
+
+            results.open(chain, "0xAbC");
+            results.record([
+                { id: "INV-1", hash: hashInvoiceId("INV-1"), status: "submitted", transactionHash: "0x01", blockNumber: 5 },
+                { id: "INV-2", hash: hashInvoiceId("INV-2"), status: "exists" },
+                { id: "INV-3", hash: hashInvoiceId("INV-3"), status: "failed", error: "nonce too low" }
+            ]);
+
+            const reopened = new ImportResults(results.filePath);
+            reopened.open(chain, "0xabc");
+            expect([...reopened.getDoneIds()]).to.deep.equal(["INV-1", "INV-2"]);
+            expect(reopened.read().invoices["INV-1"]).to.include({ status: "submitted", transactionHash: "0x01" });
+            expect(() => reopened.open({ key: "local-b" }, "0xabc")).to.throw("holds results for local-a");
+            expect(reopened.getCommitments().get("INV-1")).to.deep.equal({ hash: hashInvoiceId("INV-1"), salt: null });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,55 @@
+const { expect } = require("chai");
+const ethers = require("ethers");
+const {
+    COMMITMENT_DOMAIN,
+    commitInvoice,
+    createInvoiceCommitment,
+    deriveSalt,
+    hashInvoiceId,
+    toInvoiceHash
+} = require("../scripts/lib/invoices");
+
+const SECRET = "an org secret that is long enough!";
+
+describe("Invoice commitments", function () {
+    it("keeps the plain keccak256 hash as the default legacy mode", function () {
+        const expected = ethers.keccak256(ethers.toUtf8Bytes("INVOICE_2025_0001"));
+        expect(createInvoiceCommitment("INVOICE_2025_0001", {})).to.deep.equal({ hash: expected, salt: null });
+        expect(toInvoiceHash("INVOICE_2025_0001", null, { INVOICE_COMMITMENT: "plain" })).to.equal(expected);
+        expect(toInvoiceHash(expected.toUpperCase().replace("0X", "0x"))).to.equal(expected);
+    });
+
+    it("commits to the ID with a salt derived from the org secret", function () {
+        const env = { INVOICE_COMMITMENT: "secret", INVOICE_COMMITMENT_SECRET: SECRET };
+        const { hash, salt } = createInvoiceCommitment("INVOICE_2025_0001", env);
+
+        expect(salt).to.equal(deriveSalt("INVOICE_2025_0001", SECRET));
+        expect(hash).to.equal(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ["string", "string", "bytes32"], [COMMITMENT_DOMAIN, "INVOICE_2025_0001", salt]
+        )));
+        expect(hash).to.not.equal(hashInvoiceId("INVOICE_2025_0001"));
+        // Deterministic, so invoices can be looked up by ID alone
+        expect(toInvoiceHash("INVOICE_2025_0001", null, env)).to.equal(hash);
+        expect(deriveSalt("INVOICE_2025_0002", SECRET)).to.not.equal(salt);
+        expect(deriveSalt("INVOICE_2025_0001", `${SECRET}?`)).to.not.equal(salt);
+    });
+
+    it("uses a random salt per invoice, needed again to find the invoice", function () {
+        const env = { INVOICE_COMMITMENT: "random" };
+        const first = createInvoiceCommitment("INVOICE_1", env);
+        const second = createInvoiceCommitment("INVOICE_1", env);
+
+        expect(first.salt).to.not.equal(second.salt);
+        expect(commitInvoice("INVOICE_1", first.salt)).to.equal(first.hash);
+        expect(toInvoiceHash("INVOICE_1", first.salt, env)).to.equal(first.hash);
+        expect(() => toInvoiceHash("INVOICE_1", null, env)).to.throw("can only be found with their salt");
+    });
+
+    it("rejects unknown modes, short secrets and malformed salts", function () {
+        expect(() => createInvoiceCommitment("INVOICE_1", { INVOICE_COMMITMENT: "hmac" }))
+            .to.throw('Unknown INVOICE_COMMITMENT "hmac"');
+        expect(() => createInvoiceCommitment("INVOICE_1", { INVOICE_COMMITMENT: "secret", INVOICE_COMMITMENT_SECRET: "short" }))
+            .to.throw("at least 32 characters");
+        expect(() => commitInvoice("INVOICE_1", "0x1234")).to.throw("Invalid salt");
+    });
+});
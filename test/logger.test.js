@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const { createLogger } = require("../scripts/lib/logger");
+
+function captureLogger(options) {
+    const lines = { stdout: [], stderr: [] };
+    const stream = name => ({ write: text => lines[name].push(text.replace(/\n$/, "")) });
+    const logger = createLogger({ stdout: stream("stdout"), stderr: stream("stderr"), ...options });
+    return { logger, lines };
+}
+
+// Removes the ANSI colour codes of the pretty format
+function plain(text) {
+    return text.replace(/\u001b\[\d+m/g, "");
+}
+
+describe("Logger", function () {
+    it("writes JSON lines with the bound fields of child loggers", function () {
+        const { logger, lines } = captureLogger({ format: "json" });
+        const batchLogger = logger.child({ correlationId: "31337-0xabc-0" }).child({ sourceChain: "local-a" });
+
+        batchLogger.info("✅ Proof received", { jobId: 7n, skipped: undefined });
+        batchLogger.error("❌ Error getting proof", { error: new Error("Timeout waiting for proof") });
+
+        const info = JSON.parse(lines.stdout[0]);
+        expect(info).to.include({
+            level: "info",
+            msg: "✅ Proof received",
+            correlationId: "31337-0xabc-0",
+            sourceChain: "local-a",
+            jobId: "7"
+        });
+        expect(info).to.not.have.property("skipped");
+        expect(Date.parse(info.time)).to.not.be.NaN;
+        expect(JSON.parse(lines.stderr[0])).to.include({ level: "error", error: "Timeout waiting for proof" });
+    });
+
+    it("prints fields below the message in the pretty format", function () {
+        const { logger, lines } = captureLogger({ format: "pretty" });
+
+        logger.child({ chain: "local-a" }).info("🎧 Starting listener", { currentBlock: 12, routesTo: ["local-b"] });
+
+        expect(plain(lines.stdout[0]).split("\n")).to.deep.equal([
+            "🎧 Starting listener chain=local-a",
+            ">  currentBlock: 12",
+            ">  routesTo: [\"local-b\"]"
+        ]);
+    });
+
+    it("drops lines below the level and rejects unknown settings", function () {
+        const { logger, lines } = captureLogger({ format: "json", level: "warn" });
+
+        logger.debug("debug");
+        logger.info("info");
+        logger.warn("warn");
+
+        expect(lines.stdout).to.deep.equal([]);
+        expect(lines.stderr.map(line => JSON.parse(line).msg)).to.deep.equal(["warn"]);
+        expect(() => createLogger({ level: "verbose" })).to.throw('Unknown LOG_LEVEL "verbose"');
+        expect(() => createLogger({ format: "xml" })).to.throw('Unknown LOG_FORMAT "xml"');
+    });
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const { MetricsRegistry } = require("../scripts/lib/metrics");
+
+describe("Metrics", function () {
+    it("renders counters and gauges with their labels", function () {
+        const registry = new MetricsRegistry();
+        const deliveries = registry.counter("deliveries_total", "Deliveries to target chains", ["target_chain", "result"]);
+        const inFlight = registry.gauge("in_flight", "Batches in flight");
+
+        deliveries.inc({ target_chain: "base-sepolia", result: "success" });
+        deliveries.inc({ target_chain: "base-sepolia", result: "success" }, 2);
+        deliveries.inc({ target_chain: "say \"hi\"\n", result: "failure" });
+        inFlight.set({}, 4);
+
+        expect(registry.render()).to.equal([
+            "# HELP deliveries_total Deliveries to target chains",
+            "# TYPE deliveries_total counter",
+            "deliveries_total{target_chain=\"base-sepolia\",result=\"success\"} 3",
+            "deliveries_total{target_chain=\"say \\\"hi\\\"\\n\",result=\"failure\"} 1",
+            "# HELP in_flight Batches in flight",
+            "# TYPE in_flight gauge",
+            "in_flight 4",
+            ""
+        ].join("\n"));
+    });
+
+    it("renders cumulative histogram buckets", function () {
+        const registry = new MetricsRegistry();
+        const duration = registry.histogram("proof_seconds", "Proof latency", ["source_chain"], [5, 1]);
+
+        [0.5, 3, 30].forEach(value => duration.observe({ source_chain: "a" }, value));
+
+        expect(registry.render().split("\n").slice(2, -1)).to.deep.equal([
+            "proof_seconds_bucket{source_chain=\"a\",le=\"1\"} 1",
+            "proof_seconds_bucket{source_chain=\"a\",le=\"5\"} 2",
+            "proof_seconds_bucket{source_chain=\"a\",le=\"+Inf\"} 3",
+            "proof_seconds_sum{source_chain=\"a\"} 33.5",
+            "proof_seconds_count{source_chain=\"a\"} 3"
+        ]);
+    });
+
+    it("rejects wrong labels, decreasing counters and duplicate names", function () {
+        const registry = new MetricsRegistry();
+        const counter = registry.counter("seen_total", "Seen", ["chain"]);
+
+        expect(() => counter.inc({})).to.throw("seen_total takes the labels chain, got (none)");
+        expect(() => counter.inc({ chain: "a", extra: "b" })).to.throw("got chain, extra");
+        expect(() => counter.inc({ chain: "a" }, -1)).to.throw("cannot decrease");
+        expect(() => registry.gauge("seen_total", "Again")).to.throw("already registered");
+    });
+});
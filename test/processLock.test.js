@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ProcessLock } = require("../scripts/lib/processLock");
+
+describe("ProcessLock", function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "process-lock-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("lets one instance hold the lock at a time", function () {
+        const first = new ProcessLock("sealer", dir);
+        const second = new ProcessLock("sealer", dir);
+        first.acquire();
+        expect(() => second.acquire()).to.throw(`is held by pid ${process.pid}`);
+
+        // Releasing someone else's lock leaves it in place
+        second.release();
+        expect(fs.existsSync(first.filePath)).to.equal(true);
+        first.release();
+        second.acquire();
+        expect(second.readOwner().pid).to.equal(process.pid);
+        second.release();
+        expect(fs.readdirSync(dir)).to.deep.equal([]);
+    });
+
+    it("treats a lock file without a readable owner as held", function () {
+        const lock = new ProcessLock("sealer", dir);
+        fs.writeFileSync(lock.filePath, "");
+
+        expect(() => lock.acquire()).to.throw("is held by an unknown owner");
+        expect(() => lock.acquireWaiting(50)).to.throw("is held by an unknown owner");
+        expect(fs.readFileSync(lock.filePath, "utf8")).to.equal("");
+    });
+
+    it("takes over a lock left by a process that is gone", function () {
+        const { pid } = spawnSync(process.execPath, ["-e", ""]);
+        const lock = new ProcessLock("sealer", dir);
+        fs.writeFileSync(lock.filePath, JSON.stringify({ pid, hostname: os.hostname() }));
+
+        lock.acquire();
+        expect(lock.readOwner()).to.include({ pid: process.pid, token: lock.token });
+        lock.release();
+    });
+});
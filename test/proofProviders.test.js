@@ -0,0 +1,28 @@
+const { expect } = require("chai");
+const { PolymerApiProofProvider } = require("../scripts/lib/proofProviders");
+const { startMockPolymerServer } = require("../scripts/mockPolymerServer");
+
+describe("PolymerApiProofProvider", function () {
+    let server;
+    let provider;
+
+    before(async function () {
+        // No RPCs, so every proof job of the mock API fails
+        server = await startMockPolymerServer({ port: 0, rpcUrls: {} });
+        provider = new PolymerApiProofProvider({ apiUrl: `http://127.0.0.1:${server.address().port}`, apiKey: "test" });
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    it("fails as soon as the proof job reports an error", async function () {
+        const startedAt = Date.now();
+        const error = await provider.getProof({ chainId: 31337, blockNumber: 1, receiptIndex: 0, logIndex: 0 })
+            .catch(error => error);
+
+        expect(error).to.be.an("error");
+        expect(error.message).to.match(/^Polymer proof job \d+ failed: No RPC configured for chain 31337$/);
+        expect(Date.now() - startedAt).to.be.below(5000);
+    });
+});
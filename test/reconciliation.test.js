@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { checkDelivery, reconcile } = require("../scripts/lib/reconciliation");
+
+const HASH_1 = `0x${"11".repeat(32)}`;
+const HASH_2 = `0x${"22".repeat(32)}`;
+const HASH_3 = `0x${"33".repeat(32)}`;
+const ROOT = `0x${"aa".repeat(32)}`;
+
+const received = invoiceHash => ({ name: "InvoiceReceived", args: { invoiceHash } });
+const conflict = invoiceHash => ({ name: "InvoiceConflict", args: { invoiceHash } });
+
+describe("Reconciliation", function () {
+    describe("checkDelivery", function () {
+        it("accepts deliveries that received or reported every invoice of the batch", function () {
+            expect(checkDelivery({ invoices: [HASH_1, HASH_2] }, [received(HASH_1), conflict(HASH_2)])).to.deep.equal([]);
+            expect(checkDelivery(
+                { root: ROOT, invoiceCount: 3 },
+                [{ name: "InvoiceRootReceived", args: { root: ROOT, count: 3n } }]
+            )).to.deep.equal([]);
+        });
+
+        it("reports missing, unexpected and wrong root deliveries", function () {
+            expect(checkDelivery({ invoices: [HASH_1, HASH_2] }, [received(HASH_1), received(HASH_3)])).to.deep.equal([
+                `1 of 2 invoices not received: ${HASH_2}`,
+                `1 invoices not in the source batch: ${HASH_3}`
+            ]);
+            expect(checkDelivery(
+                { root: ROOT, invoiceCount: 3 },
+                [{ name: "InvoiceRootReceived", args: { root: HASH_1, count: 2n } }]
+            )).to.deep.equal([`received root ${HASH_1}, expected ${ROOT}`, "received a count of 2, expected 3"]);
+            expect(checkDelivery({ root: ROOT, invoiceCount: 3 }, [])).to.deep.equal(["no InvoiceRootReceived event"]);
+            expect(checkDelivery({ root: ROOT, invoiceCount: 3 }, [conflict(ROOT)])).to.deep.equal([]);
+        });
+
+        it("checks that every status change of a status batch was received", function () {
+            const statusReceived = invoiceHash => ({ name: "InvoiceStatusReceived", args: { invoiceHash } });
+            expect(checkDelivery({ statusUpdates: [HASH_1, HASH_2] }, [statusReceived(HASH_1), conflict(HASH_2)])).to.deep.equal([]);
+            expect(checkDelivery({ statusUpdates: [HASH_1, HASH_2] }, [statusReceived(HASH_1), received(HASH_2)])).to.deep.equal([
+                `1 of 2 status changes not received: ${HASH_2}`
+            ]);
+        });
+    });
+
+    describe("reconcile", function () {
+        const position = (blockNumber) => ({ chainId: 1, blockNumber, receiptIndex: 0, logIndex: 0 });
+        const batch = (blockNumber, invoices) => ({ ...position(blockNumber), transactionHash: `0xsource${blockNumber}`, invoices });
+        const delivery = (targetChainId, source, events) => ({ targetChainId, transactionHash: `0xdelivery${targetChainId}`, source, events });
+
+        it("counts delivered, missing and mismatched batches per route", async function () {
+            const batches = [batch(10, [HASH_1]), batch(11, [HASH_2]), batch(12, [HASH_3])];
+            const deliveries = [
+                delivery(2, position(10), [received(HASH_1)]),
+                delivery(3, position(10), [received(HASH_2)])
+            ];
+
+            const report = await reconcile({
+                batches,
+                deliveries,
+                getTargets: () => [2, 3],
+                // Chain 2 processed the block 11 batch outside of the scanned range
+                isDelivered: async (found, targetChainId) => found.blockNumber === 11 && targetChainId === 2,
+                findBatch: async () => null
+            });
+
+            expect(report.routes).to.deep.equal([
+                { from: 1, to: 2, batches: 3, delivered: 2, missing: 1, mismatched: 0 },
+                { from: 1, to: 3, batches: 3, delivered: 1, missing: 2, mismatched: 1 }
+            ]);
+            expect(report.missing.map(entry => [entry.batch.blockNumber, entry.targetChainId])).to.deep.equal([[11, 3], [12, 2], [12, 3]]);
+            expect(report.mismatched[0].problems).to.deep.equal([
+                `1 of 1 invoices not received: ${HASH_1}`,
+                `1 invoices not in the source batch: ${HASH_2}`
+            ]);
+            expect(report.unmatched).to.deep.equal([]);
+        });
+
+        it("looks up deliveries of batches outside the scanned range at their source", async function () {
+            const older = delivery(2, position(5), [received(HASH_1)]);
+            const unknown = delivery(2, position(6), [received(HASH_2)]);
+            const undecoded = delivery(2, null, [received(HASH_3)]);
+
+            const report = await reconcile({
+                batches: [],
+                deliveries: [older, unknown, undecoded],
+                getTargets: () => [2],
+                isDelivered: async () => false,
+                findBatch: async (source) => source.blockNumber === 5 ? batch(5, [HASH_1]) : null
+            });
+
+            expect(report.mismatched).to.deep.equal([]);
+            expect(report.unmatched.map(entry => entry.delivery)).to.deep.equal([unknown, undecoded]);
+        });
+    });
+});
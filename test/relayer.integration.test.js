@@ -0,0 +1,708 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const ethers = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { HARDHAT_PRIVATE_KEYS, startLocalChain } = require("./helpers/localChains");
+const { getInvoiceRoot } = require("../scripts/lib/merkle");
+
+// The relayer and the test send from different accounts so their nonces never clash
+const [RELAYER_KEY, DEPLOYER_KEY] = HARDHAT_PRIVATE_KEYS;
+
+// Matches the local-a / local-b entries in config/chains.js
+const CHAIN_A = { key: "local-a", envPrefix: "LOCAL_A", chainId: 31337, port: 18545 };
+const CHAIN_B = { key: "local-b", envPrefix: "LOCAL_B", chainId: 31338, port: 18546 };
+
+async function waitFor(condition, timeoutMs = 30000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await condition()) return;
+        await new Promise(r => setTimeout(r, 500));
+    }
+    throw new Error("Timed out waiting for condition");
+}
+
+describe("Relayer (integration)", function () {
+    this.timeout(180000);
+
+    const savedEnv = { ...process.env };
+    const nodes = [];
+    let chains;
+    let relayerModule;
+    let relayer;
+
+    async function deploy(chain) {
+        const provider = new ethers.JsonRpcProvider(chain.rpc);
+        const wallet = new ethers.NonceManager(new ethers.Wallet(DEPLOYER_KEY, provider));
+
+        const proverArtifact = await hre.artifacts.readArtifact("MockPolymerProver");
+        const batcherArtifact = await hre.artifacts.readArtifact("InvoiceIDBatcher");
+        const prover = await new ethers.ContractFactory(proverArtifact.abi, proverArtifact.bytecode, wallet).deploy();
+        const batcher = await new ethers.ContractFactory(batcherArtifact.abi, batcherArtifact.bytecode, wallet)
+            .deploy(await prover.getAddress(), await wallet.getAddress());
+        await batcher.waitForDeployment();
+        // The batch sealer runs with the relayer key
+        await (await batcher.grantRole(await batcher.BATCHER_ROLE(), new ethers.Wallet(RELAYER_KEY).address)).wait();
+
+        return { ...chain, provider, prover, batcher, address: await batcher.getAddress() };
+    }
+
+    async function sealBatch(chain, ids, asRoot = false) {
+        const hashes = ids.map(id => ethers.id(id));
+        for (const hash of hashes) {
+            await (await chain.batcher.newInvoice(hash)).wait();
+        }
+        const tx = asRoot ? await chain.batcher.batchInvoiceRoot() : await chain.batcher.batchInvoices();
+        await tx.wait();
+        return hashes;
+    }
+
+    async function receivedHashes(chain) {
+        const logs = await chain.batcher.queryFilter("InvoiceReceived", 0);
+        return logs.map(log => log.args.invoiceHash);
+    }
+
+    async function startRelayer(options) {
+        const instance = new relayerModule.Relayer(options);
+        await instance.init();
+        await instance.start();
+        return instance;
+    }
+
+    before(async function () {
+        nodes.push(await startLocalChain(CHAIN_A));
+        nodes.push(await startLocalChain(CHAIN_B));
+        chains = {
+            a: await deploy({ ...CHAIN_A, ...nodes[0] }),
+            b: await deploy({ ...CHAIN_B, ...nodes[1] })
+        };
+
+        await (await chains.a.batcher.setTrustedSourceContract(CHAIN_B.chainId, chains.b.address)).wait();
+        await (await chains.b.batcher.setTrustedSourceContract(CHAIN_A.chainId, chains.a.address)).wait();
+
+        Object.assign(process.env, {
+            PRIVATE_KEY: RELAYER_KEY,
+            ACTIVATED_CHAINS: `${CHAIN_A.key},${CHAIN_B.key}`,
+            PROOF_PROVIDER: "local",
+            // Failed deliveries are due immediately and only retried when a test asks
+            RELAYER_RETRY_BASE_DELAY_MS: "0",
+            RELAYER_RETRY_INTERVAL_MS: "3600000",
+            // Events whose proof failed are retried within a second
+            RELAYER_EVENT_RETRY_BASE_DELAY_MS: "200"
+        });
+        for (const chain of Object.values(chains)) {
+            process.env[`${chain.envPrefix}_RPC`] = chain.rpc;
+            process.env[`${chain.envPrefix}_INVOICEBATCHER_ADDRESS`] = chain.address;
+            process.env[`${chain.envPrefix}_START_BLOCK`] = "0";
+            process.env[`POLYMER_PROVER_${chain.envPrefix}_CONTRACT_ADDRESS`] = await chain.prover.getAddress();
+        }
+
+        // Retry settings are read when the relayer is first loaded
+        relayerModule = require("../scripts/relayerV2");
+    });
+
+    beforeEach(function () {
+        process.env.RELAYER_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-state-"));
+    });
+
+    afterEach(async function () {
+        if (relayer) {
+            await relayer.stop();
+            relayer = null;
+        }
+        fs.rmSync(process.env.RELAYER_STATE_DIR, { recursive: true, force: true });
+    });
+
+    after(async function () {
+        process.env = savedEnv;
+        Object.values(chains || {}).forEach(chain => chain.provider.destroy());
+        await Promise.all(nodes.map(node => node.stop()));
+    });
+
+    describe("ChainListener", function () {
+        it("backfills InvoiceBatch events from the start block and saves a checkpoint", async function () {
+            const { ChainListener } = relayerModule;
+            const { getChain } = require("../config/chains");
+            const { RelayerStateStore } = require("../scripts/lib/stateStore");
+            const hashes = await sealBatch(chains.a, ["LISTENER_1", "LISTENER_2"]);
+
+            const events = [];
+            const stateStore = new RelayerStateStore();
+            const listener = new ChainListener(getChain(CHAIN_A.key), async (eventData) => {
+                events.push(eventData);
+            }, stateStore);
+
+            await listener.start();
+            await listener.stop();
+
+            const event = events.find(e => e.invoices.includes(hashes[0]));
+            expect(event).to.not.equal(undefined);
+            expect([...event.invoices]).to.deep.equal(hashes);
+            expect(event.chain.chainId).to.equal(CHAIN_A.chainId);
+            expect(event.positionInBlock).to.equal(0);
+            expect(stateStore.getCheckpoint(CHAIN_A.chainId)).to.be.at.least(event.blockNumber);
+        });
+    });
+
+    describe("Relayer", function () {
+        it("relays batches emitted before it started", async function () {
+            const hashes = await sealBatch(chains.a, ["BACKFILL_1", "BACKFILL_2"]);
+
+            relayer = await startRelayer();
+
+            expect(await receivedHashes(chains.b)).to.include.members(hashes);
+        });
+
+        it("relays Merkle root batches", async function () {
+            const hashes = await sealBatch(chains.a, ["ROOT_1", "ROOT_2", "ROOT_3"], true);
+            const root = getInvoiceRoot(hashes);
+
+            relayer = await startRelayer();
+
+            const received = await chains.b.batcher.receivedRoots(root);
+            expect(received.sourceChainId).to.equal(BigInt(CHAIN_A.chainId));
+            expect(received.count).to.equal(3n);
+        });
+
+        it("relays batches emitted while it is running", async function () {
+            relayer = await startRelayer();
+            const hashes = await sealBatch(chains.b, ["LIVE_1"]);
+
+            await waitFor(async () => (await receivedHashes(chains.a)).includes(hashes[0]));
+        });
+
+        it("relays each batch exactly once across restarts", async function () {
+            relayer = await startRelayer();
+            const [first] = await sealBatch(chains.a, ["RESTART_1"]);
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(first));
+            await relayer.stop();
+
+            // Emitted while the relayer is down
+            const [second] = await sealBatch(chains.a, ["RESTART_2"]);
+
+            const requestedBlocks = [];
+            const { LocalProofProvider } = require("../scripts/lib/proofProviders");
+            const proofProvider = new LocalProofProvider({ [CHAIN_A.chainId]: chains.a.rpc });
+            const getProof = proofProvider.getProof.bind(proofProvider);
+            proofProvider.getProof = async (request) => {
+                requestedBlocks.push(request.blockNumber);
+                return getProof(request);
+            };
+
+            relayer = await startRelayer({ proofProvider });
+
+            const received = await receivedHashes(chains.b);
+            expect(received.filter(hash => hash === first)).to.have.lengthOf(1);
+            expect(received.filter(hash => hash === second)).to.have.lengthOf(1);
+            expect(requestedBlocks).to.have.lengthOf(1);
+        });
+
+        it("queues failed deliveries and retries them", async function () {
+            // Make chain B reject batches from chain A
+            await (await chains.b.batcher.setTrustedSourceContract(CHAIN_A.chainId, ethers.Wallet.createRandom().address)).wait();
+            const [hash] = await sealBatch(chains.a, ["RETRY_1"]);
+
+            relayer = await startRelayer();
+
+            const pending = relayer.deliveryQueue.getPending();
+            expect(pending).to.have.lengthOf(1);
+            expect(pending[0].targetChainId).to.equal(CHAIN_B.chainId);
+
+            await (await chains.b.batcher.setTrustedSourceContract(CHAIN_A.chainId, chains.a.address)).wait();
+            await relayer.retryFailedDeliveries();
+
+            expect(relayer.deliveryQueue.getPending()).to.have.lengthOf(0);
+            expect(await receivedHashes(chains.b)).to.include(hash);
+        });
+
+        it("retries an event whose proof failed and releases the checkpoint", async function () {
+            const [hash] = await sealBatch(chains.a, ["PROOF_RETRY_1"]);
+            const [batch] = await chains.a.batcher.queryFilter("InvoiceBatch", -1);
+
+            let proofFails = true;
+            const { LocalProofProvider } = require("../scripts/lib/proofProviders");
+            const proofProvider = new LocalProofProvider({ [CHAIN_A.chainId]: chains.a.rpc, [CHAIN_B.chainId]: chains.b.rpc });
+            const getProof = proofProvider.getProof.bind(proofProvider);
+            proofProvider.getProof = async (request) => {
+                if (proofFails && request.blockNumber === batch.blockNumber) {
+                    throw new Error("Timeout waiting for proof");
+                }
+                return getProof(request);
+            };
+
+            relayer = await startRelayer({ proofProvider });
+            const listener = relayer.listeners.get(CHAIN_A.chainId);
+            expect(listener.getStatus()).to.include({ state: "stalled", stalledAt: batch.blockNumber, failedEvents: 1 });
+            expect(listener.getStatus().checkpoint ?? -1).to.be.below(batch.blockNumber);
+            expect(await receivedHashes(chains.b)).to.not.include(hash);
+
+            proofFails = false;
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(hash));
+            await waitFor(async () => listener.getStatus().state === "listening");
+            expect(listener.getStatus()).to.include({ stalledAt: null, failedEvents: 0 });
+            expect(listener.getStatus().checkpoint).to.be.at.least(batch.blockNumber);
+        });
+
+        it("tags every log line about a batch with its correlation ID", async function () {
+            const { createLogger } = require("../scripts/lib/logger");
+            const lines = [];
+            const stream = { write: text => lines.push(JSON.parse(text)) };
+            const logger = createLogger({ format: "json", stdout: stream, stderr: stream });
+
+            const [hash] = await sealBatch(chains.a, ["CORRELATION_1"]);
+            const [batch] = await chains.a.batcher.queryFilter("InvoiceBatch", -1);
+            const correlationId = `${CHAIN_A.chainId}-${batch.transactionHash}-${batch.index}`;
+
+            relayer = await startRelayer({ logger });
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(hash));
+
+            const batchLines = lines.filter(line => line.correlationId === correlationId);
+            expect(batchLines.map(line => line.msg)).to.include.members([
+                "📝 New batch event from Local A",
+                "✅ Proof received",
+                "📊 Batch relayed"
+            ]);
+            const delivery = batchLines.find(line => line.targetTxHash && line.invoicesReceived !== undefined);
+            expect(delivery).to.include({ targetChain: CHAIN_B.key, invoicesReceived: 1 });
+            const receipt = await chains.b.provider.getTransactionReceipt(delivery.targetTxHash);
+            const received = receipt.logs.map(log => chains.b.batcher.interface.parseLog(log)).filter(Boolean);
+            expect(received.map(event => event.args.invoiceHash)).to.include(hash);
+        });
+
+        it("reconciles source batches with their deliveries", async function () {
+            const { runReconciliation } = require("../scripts/reconcile");
+            const fromBlockB = await chains.b.provider.getBlockNumber();
+            const [hash] = await sealBatch(chains.a, ["RECONCILE_1"]);
+            const [batch] = await chains.a.batcher.queryFilter("InvoiceBatch", -1);
+            const ranges = {
+                [CHAIN_A.key]: { fromBlock: batch.blockNumber },
+                [CHAIN_B.key]: { fromBlock: fromBlockB }
+            };
+
+            const before = await runReconciliation(ranges);
+            expect(before.missing.map(entry => [entry.batch.transactionHash, entry.targetChainId]))
+                .to.deep.equal([[batch.transactionHash, CHAIN_B.chainId]]);
+
+            relayer = await startRelayer();
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(hash));
+
+            const after = await runReconciliation(ranges);
+            expect(after.routes).to.deep.include({
+                from: CHAIN_A.chainId, to: CHAIN_B.chainId, batches: 1, delivered: 1, missing: 0, mismatched: 0
+            });
+            expect(after.missing).to.deep.equal([]);
+            expect(after.unmatched).to.deep.equal([]);
+
+            // Deliveries of batches before the scanned range are matched at their source
+            const wider = await runReconciliation({ [CHAIN_A.key]: { fromBlock: batch.blockNumber }, [CHAIN_B.key]: { fromBlock: 0 } });
+            expect(wider.unmatched).to.deep.equal([]);
+            expect(wider.mismatched).to.deep.equal([]);
+        });
+
+        it("traces an invoice from its origin to the chains that received it", async function () {
+            const { getInvoiceStatus } = require("../scripts/invoiceStatus");
+            const [hash] = await sealBatch(chains.a, ["TRACE_1"]);
+            const [batch] = await chains.a.batcher.queryFilter("InvoiceBatch", -1);
+            const pending = ethers.id("TRACE_2");
+            await (await chains.a.batcher.newInvoice(pending)).wait();
+
+            const before = await getInvoiceStatus(hash);
+            expect(before.origins).to.deep.equal([CHAIN_A.key]);
+            expect(before.targets).to.deep.equal([{
+                from: CHAIN_A.key, chain: CHAIN_B.key, status: "missing",
+                transactionHash: null, batchTransactionHash: batch.transactionHash
+            }]);
+            expect((await getInvoiceStatus(pending)).targets.map(target => target.status)).to.deep.equal(["not-batched"]);
+
+            relayer = await startRelayer();
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(hash));
+
+            const after = await getInvoiceStatus(hash);
+            expect(after.targets.map(target => target.status)).to.deep.equal(["received"]);
+            expect(after.timeline.map(entry => [entry.chain, entry.event])).to.have.deep.members([
+                [CHAIN_A.key, "NewInvoice"],
+                [CHAIN_A.key, "InvoiceBatch"],
+                [CHAIN_B.key, "InvoiceReceived"]
+            ]);
+            expect(after.timeline.find(entry => entry.event === "InvoiceBatch").transactionHash).to.equal(batch.transactionHash);
+
+            // Sealed by the next batch, which stays unrelayed as the relayer has stopped
+            await relayer.stop();
+            relayer = null;
+            await (await chains.a.batcher.batchInvoices()).wait();
+            expect((await getInvoiceStatus(pending)).targets.map(target => target.status)).to.deep.equal(["missing"]);
+        });
+
+        it("verifies a revealed invoice commitment on every chain", async function () {
+            const { verifyInvoice } = require("../scripts/invoiceCommitment");
+            const { commitInvoice, deriveSalt } = require("../scripts/lib/invoices");
+            const salt = deriveSalt("COMMITMENT_1", "an org secret that is long enough!");
+            const hash = commitInvoice("COMMITMENT_1", salt);
+            await (await chains.a.batcher.newInvoice(hash)).wait();
+            await (await chains.a.batcher.batchInvoices()).wait();
+
+            relayer = await startRelayer();
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(hash));
+
+            const verified = await verifyInvoice("COMMITMENT_1", salt);
+            expect(verified.invoiceHash).to.equal(hash);
+            expect(verified.chains[0]).to.deep.equal({ chain: CHAIN_A.key, created: true, origin: null });
+            expect(verified.chains[1]).to.include({ chain: CHAIN_B.key, created: false });
+            expect(verified.chains[1].origin).to.include({ sourceChainId: CHAIN_A.chainId, originalSender: new ethers.Wallet(DEPLOYER_KEY).address });
+
+            for (const wrongSalt of [ethers.ZeroHash, "plain"]) {
+                const { chains: found } = await verifyInvoice("COMMITMENT_1", wrongSalt);
+                expect(found.every(({ created, origin }) => !created && !origin)).to.equal(true);
+            }
+        });
+
+        it("serves its health, status and metrics over HTTP", async function () {
+            relayer = new relayerModule.Relayer();
+            await relayer.init();
+            const { port } = (await relayer.startHttpServer({ port: 0, host: "127.0.0.1" })).address();
+            const get = (route) => fetch(`http://127.0.0.1:${port}${route}`);
+
+            expect((await get("/health")).status).to.equal(200);
+            expect((await get("/ready")).status).to.equal(503);
+
+            const [hash] = await sealBatch(chains.a, ["STATUS_1"]);
+            await relayer.start();
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(hash));
+
+            expect((await get("/ready")).status).to.equal(200);
+            expect((await get("/nope")).status).to.equal(404);
+
+            const status = await (await get("/status")).json();
+            const chainA = status.chains.find(chain => chain.key === CHAIN_A.key);
+            expect(status.ready).to.equal(true);
+            expect(chainA.routesTo).to.deep.equal([CHAIN_B.key]);
+            expect(chainA.listener.state).to.equal("listening");
+            expect(chainA.listener.lastSeenBlock).to.be.a("number");
+            expect(status.inFlightBatches).to.deep.equal([]);
+
+            const response = await get("/metrics");
+            expect(response.headers.get("content-type")).to.match(/^text\/plain; version=0\.0\.4/);
+            const metrics = await response.text();
+            expect(metrics).to.match(/^invoice_relayer_batches_seen_total\{source_chain="local-a"\} \d+$/m);
+            expect(metrics).to.match(/^invoice_relayer_proof_duration_seconds_count\{source_chain="local-a"\} \d+$/m);
+            expect(metrics).to.match(/^invoice_relayer_deliveries_total\{target_chain="local-b",result="success"\} \d+$/m);
+            expect(metrics).to.match(/^invoice_relayer_wallet_balance_ether\{chain="local-a"\} \d+(\.\d+)?$/m);
+            expect(metrics).to.include('invoice_relayer_listener_up{chain="local-b"} 1');
+            expect(metrics).to.include("invoice_relayer_in_flight_batches 0");
+        });
+    });
+
+    describe("Invoice import", function () {
+        it("submits the IDs of a file once and records the results", async function () {
+            const { importInvoices } = require("../scripts/sendInvoices");
+            const { getChain } = require("../config/chains");
+            await (await chains.a.batcher.grantRole(await chains.a.batcher.SUBMITTER_ROLE(), new ethers.Wallet(RELAYER_KEY).address)).wait();
+            await (await chains.a.batcher.newInvoice(ethers.id("IMPORT_EXISTING"))).wait();
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "invoice-import-"));
+            try {
+                const file = path.join(dir, "invoices.csv");
+                fs.writeFileSync(file, "invoiceId,amount\nIMPORT_1,10\nIMPORT_2,20\nIMPORT_1,10\nIMPORT_EXISTING,30\n,40\nIMPORT_3,50\n");
+                const options = { chain: getChain(CHAIN_A.key), file, batch: "list", chunkSize: "2", concurrency: "2" };
+
+                const first = await importInvoices(options);
+                expect(first.counts).to.deep.equal({ submitted: 3, exists: 1, failed: 0, skipped: 0, invalid: 1, duplicates: 1 });
+                const results = JSON.parse(fs.readFileSync(path.join(dir, "invoices.results.json"), "utf8"));
+                expect(results.invoices.IMPORT_1).to.include({ hash: ethers.id("IMPORT_1"), status: "submitted" });
+                expect(results.invoices.IMPORT_EXISTING.status).to.equal("exists");
+                // Chunks of two invoices, the last one also sealing the batch
+                expect(results.invoices.IMPORT_2.transactionHash).to.equal(results.invoices.IMPORT_1.transactionHash);
+                expect(results.invoices.IMPORT_3.transactionHash).to.equal(first.batchTransactionHash);
+
+                const [batch] = await chains.a.batcher.queryFilter("InvoiceBatch", -1);
+                expect(batch.transactionHash).to.equal(first.batchTransactionHash);
+                expect([...batch.args.invoices]).to.have.members(["IMPORT_1", "IMPORT_2", "IMPORT_EXISTING", "IMPORT_3"].map(id => ethers.id(id)));
+
+                const receipt = await chains.a.provider.getTransactionReceipt(results.invoices.IMPORT_3.transactionHash);
+                expect(receipt.blockNumber).to.equal(results.invoices.IMPORT_3.blockNumber);
+
+                const rerun = await importInvoices(options);
+                expect(rerun.counts).to.include({ submitted: 0, exists: 0, failed: 0, skipped: 4 });
+                expect(rerun.batchTransactionHash).to.equal(null);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it("keeps random-salt commitments when an interrupted import is rerun", async function () {
+            const { importInvoices } = require("../scripts/sendInvoices");
+            const { getChain } = require("../config/chains");
+            const { commitInvoice } = require("../scripts/lib/invoices");
+            await (await chains.a.batcher.grantRole(await chains.a.batcher.SUBMITTER_ROLE(), new ethers.Wallet(RELAYER_KEY).address)).wait();
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "invoice-import-"));
+            const mode = process.env.INVOICE_COMMITMENT;
+            process.env.INVOICE_COMMITMENT = "random";
+            try {
+                const file = path.join(dir, "invoices.csv");
+                const resultsPath = path.join(dir, "invoices.results.json");
+                fs.writeFileSync(file, "invoiceId\nRANDOM_1\nRANDOM_2\n");
+                const options = { chain: getChain(CHAIN_A.key), file, batch: "list" };
+                await importInvoices(options);
+                const first = JSON.parse(fs.readFileSync(resultsPath, "utf8"));
+                expect(first.invoices.RANDOM_1.hash).to.equal(commitInvoice("RANDOM_1", first.invoices.RANDOM_1.salt));
+
+                // A crash after sending leaves the invoices pending
+                for (const id of ["RANDOM_1", "RANDOM_2"]) {
+                    first.invoices[id].status = "pending";
+                }
+                fs.writeFileSync(resultsPath, JSON.stringify(first));
+
+                const rerun = await importInvoices(options);
+                expect(rerun.counts).to.include({ submitted: 0, exists: 2, failed: 0 });
+                const second = JSON.parse(fs.readFileSync(resultsPath, "utf8"));
+                for (const id of ["RANDOM_1", "RANDOM_2"]) {
+                    expect(second.invoices[id]).to.include({ hash: first.invoices[id].hash, salt: first.invoices[id].salt, status: "exists" });
+                }
+            } finally {
+                if (mode === undefined) {
+                    delete process.env.INVOICE_COMMITMENT;
+                } else {
+                    process.env.INVOICE_COMMITMENT = mode;
+                }
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it("relays the metadata of imported invoices to the other chains", async function () {
+            const { importInvoices } = require("../scripts/sendInvoices");
+            const { getInvoiceStatus } = require("../scripts/invoiceStatus");
+            const { getChain } = require("../config/chains");
+            const issuer = new ethers.Wallet(DEPLOYER_KEY).address;
+            const usdc = "0x036CbD53842c5426634e7929541eC2318f3dCF7e";
+            const metadata = { issuer, amount: "1250000000", currency: usdc, dueDate: 1767225600, status: "issued" };
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "invoice-import-"));
+            try {
+                const file = path.join(dir, "invoices.csv");
+                fs.writeFileSync(file, `invoiceId,issuer,amount,currency,dueDate\nMETADATA_1,${issuer},1250000000,${usdc},2026-01-01\nMETADATA_2,,,,\n`);
+                await expect(importInvoices({ chain: getChain(CHAIN_A.key), file, batch: "root" }))
+                    .to.be.rejectedWith("cannot be batched as a Merkle root");
+
+                // One chunk with metadata, then a hash-only chunk that seals both
+                const { counts, batchTransactionHash } = await importInvoices({ chain: getChain(CHAIN_A.key), file, batch: "list", chunkSize: "1" });
+                expect(counts).to.include({ submitted: 2, failed: 0 });
+                const results = JSON.parse(fs.readFileSync(path.join(dir, "invoices.results.json"), "utf8"));
+                expect(results.invoices.METADATA_1.metadata).to.deep.equal(metadata);
+
+                const [batch] = await chains.a.batcher.queryFilter("InvoiceMetadataBatch", -1);
+                expect(batch.transactionHash).to.equal(batchTransactionHash);
+                expect([...batch.args.invoices]).to.deep.equal(["METADATA_1", "METADATA_2"].map(id => ethers.id(id)));
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+
+            relayer = await startRelayer();
+            await waitFor(async () => (await receivedHashes(chains.b)).includes(ethers.id("METADATA_2")));
+
+            const received = await chains.b.batcher.getInvoiceMetadata(ethers.id("METADATA_1"));
+            expect(received.issuer).to.equal(issuer);
+            expect(received.amount).to.equal(1250000000n);
+            expect(received.currency).to.equal(usdc);
+            expect(received.dueDate).to.equal(1767225600n);
+            expect(await chains.b.batcher.hasInvoiceMetadata(ethers.id("METADATA_2"))).to.equal(false);
+
+            expect((await getInvoiceStatus(ethers.id("METADATA_1"))).metadata).to.deep.equal(metadata);
+        });
+
+        it("relays status changes and keeps them in sequence order", async function () {
+            const { updateInvoiceStatus } = require("../scripts/invoiceLifecycle");
+            const { getInvoiceStatus } = require("../scripts/invoiceStatus");
+            const { getChain } = require("../config/chains");
+            const hash = ethers.id("LIFECYCLE_1");
+            const issuer = new ethers.Wallet(DEPLOYER_KEY).address;
+            await (await chains.a.batcher.newInvoiceWithMetadata(hash, {
+                issuer, amount: 500n, currency: ethers.ZeroAddress, dueDate: 0, status: 1
+            })).wait();
+            await (await chains.a.batcher.batchInvoices()).wait();
+            await (await chains.a.batcher.grantRole(await chains.a.batcher.SUBMITTER_ROLE(), new ethers.Wallet(RELAYER_KEY).address)).wait();
+
+            const chain = getChain(CHAIN_A.key);
+            await expect(updateInvoiceStatus({ chain, invoiceHash: hash, status: "issued" }))
+                .to.be.rejectedWith("Invalid status transition");
+            const disputed = await updateInvoiceStatus({ chain, invoiceHash: hash, status: "disputed", batch: true });
+            expect(disputed).to.include({ status: "disputed", sequence: 1 });
+            const paid = await updateInvoiceStatus({ chain, invoiceHash: hash, status: "Paid", batch: true });
+            expect(paid).to.include({ status: "paid", sequence: 2 });
+
+            relayer = await startRelayer();
+            await waitFor(async () => (await chains.b.batcher.queryFilter("InvoiceStatusReceived", 0)).length === 2);
+
+            const [status, sequence] = await chains.b.batcher.getInvoiceStatus(hash);
+            expect([status, sequence]).to.deep.equal([2n, 2n]);
+            expect((await chains.b.batcher.getInvoiceMetadata(hash)).amount).to.equal(500n);
+
+            const traced = await getInvoiceStatus(hash);
+            expect(traced.statuses).to.deep.equal([
+                { chain: CHAIN_A.key, status: "paid", sequence: 2 },
+                { chain: CHAIN_B.key, status: "paid", sequence: 2 }
+            ]);
+            expect(traced.timeline.filter(entry => entry.event === "InvoiceStatusChanged").map(entry => entry.chain))
+                .to.deep.equal([CHAIN_A.key, CHAIN_A.key]);
+            expect(traced.timeline.filter(entry => entry.event === "InvoiceStatusReceived").map(entry => entry.chain))
+                .to.deep.equal([CHAIN_B.key, CHAIN_B.key]);
+        });
+    });
+
+    describe("Topology", function () {
+        // Chain A receives from chain B, chain B receives from nobody
+        beforeEach(function () {
+            process.env.TOPOLOGY_FILE = path.join(process.env.RELAYER_STATE_DIR, "topology.json");
+            fs.writeFileSync(process.env.TOPOLOGY_FILE, JSON.stringify({
+                chains: { [CHAIN_A.key]: {}, [CHAIN_B.key]: {} },
+                routes: [{ from: CHAIN_B.key, to: CHAIN_A.key }]
+            }));
+        });
+
+        afterEach(function () {
+            delete process.env.TOPOLOGY_FILE;
+        });
+
+        after(async function () {
+            await (await chains.b.batcher.setTrustedSourceContract(CHAIN_A.chainId, chains.a.address)).wait();
+        });
+
+        it("plans and applies the trust changes of the routes", async function () {
+            const { loadTopology } = require("../scripts/lib/topology");
+            const { planChanges, applyTopology } = require("../scripts/topology");
+            const topology = loadTopology();
+
+            const plans = await planChanges(topology);
+            plans.forEach(plan => plan.provider.destroy());
+            const calls = plans.flatMap(plan => plan.calls.map(call => [plan.entry.key, call.method, ...call.args]));
+            expect(calls).to.deep.equal([[CHAIN_B.key, "removeTrustedSource", CHAIN_A.chainId, chains.a.address]]);
+
+            expect(await applyTopology(topology, new ethers.Wallet(DEPLOYER_KEY))).to.equal(1);
+            // The deployer's transactions were sent outside its nonce manager
+            chains.b.batcher.runner.reset();
+
+            expect(await chains.b.batcher.isTrustedSource(CHAIN_A.chainId, chains.a.address)).to.equal(false);
+            expect(await chains.a.batcher.isTrustedSource(CHAIN_B.chainId, chains.b.address)).to.equal(true);
+            expect(await applyTopology(topology, new ethers.Wallet(DEPLOYER_KEY))).to.equal(0);
+        });
+
+        it("relays batches only along the routes", async function () {
+            relayer = await startRelayer();
+            expect([...relayer.listeners.keys()]).to.deep.equal([CHAIN_B.chainId]);
+
+            const [hash] = await sealBatch(chains.b, ["ROUTE_1"]);
+            await waitFor(async () => (await receivedHashes(chains.a)).includes(hash));
+        });
+    });
+
+    // Runs last: the batches it seals would otherwise be picked up by the relayer tests
+    describe("BatchSealer", function () {
+        let BatchSealer;
+        let sealers;
+
+        async function addInvoices(chain, ids) {
+            for (const id of ids) {
+                await (await chain.batcher.newInvoice(ethers.id(id))).wait();
+            }
+        }
+
+        async function startSealer(options) {
+            const sealer = new BatchSealer({ maxPending: 3, maxAgeSeconds: 60, pollIntervalMs: 3600000, ...options });
+            sealers.push(sealer);
+            await sealer.init();
+            return sealer;
+        }
+
+        before(function () {
+            ({ BatchSealer } = require("../scripts/batchSealer"));
+        });
+
+        beforeEach(function () {
+            sealers = [];
+        });
+
+        afterEach(async function () {
+            for (const sealer of sealers) {
+                await sealer.stop();
+            }
+        });
+
+        it("seals once the count threshold is reached", async function () {
+            const sealer = await startSealer();
+
+            await addInvoices(chains.a, ["SEAL_COUNT_1", "SEAL_COUNT_2"]);
+            await sealer.poll();
+            expect(await chains.a.batcher.getPendingInvoicesCount()).to.equal(2);
+
+            await addInvoices(chains.a, ["SEAL_COUNT_3"]);
+            await sealer.poll();
+            expect(await chains.a.batcher.getPendingInvoicesCount()).to.equal(0);
+        });
+
+        it("seals once the oldest pending invoice is too old", async function () {
+            const sealer = await startSealer({ batchMode: "root" });
+            await addInvoices(chains.a, ["SEAL_AGE_1"]);
+            await sealer.poll();
+            expect(await chains.a.batcher.getPendingInvoicesCount()).to.equal(1);
+
+            await chains.a.provider.send("evm_increaseTime", [61]);
+            await chains.a.provider.send("evm_mine", []);
+            await sealer.poll();
+
+            expect(await chains.a.batcher.getPendingInvoicesCount()).to.equal(0);
+            const [batch] = await chains.a.batcher.queryFilter("InvoiceRootBatch", -1);
+            expect(batch.args.count).to.equal(1);
+        });
+
+        it("batches pending status changes at the same thresholds", async function () {
+            const sealer = await startSealer();
+            const hash = ethers.id("LIFECYCLE_2");
+            await (await chains.a.batcher.newInvoiceWithMetadata(hash, {
+                issuer: new ethers.Wallet(DEPLOYER_KEY).address, amount: 1n, currency: ethers.ZeroAddress, dueDate: 0, status: 1
+            })).wait();
+            await (await chains.a.batcher.batchInvoices()).wait();
+
+            await (await chains.a.batcher.updateInvoiceStatus(hash, 3)).wait();
+            await sealer.poll();
+            expect(await chains.a.batcher.getPendingStatusUpdatesCount()).to.equal(1);
+
+            await chains.a.provider.send("evm_increaseTime", [61]);
+            await chains.a.provider.send("evm_mine", []);
+            await sealer.poll();
+
+            expect(await chains.a.batcher.getPendingStatusUpdatesCount()).to.equal(0);
+            const [batch] = await chains.a.batcher.queryFilter("InvoiceStatusBatch", -1);
+            expect(batch.args.updates.map(update => update.invoiceHash)).to.deep.equal([hash]);
+        });
+
+        it("skips an empty batch but reports other reverts", async function () {
+            const sealer = await startSealer();
+            const [target] = sealer.targets;
+            expect(await sealer.seal(target, "test")).to.equal(null);
+
+            const role = await chains.a.batcher.BATCHER_ROLE();
+            const relayerAddress = new ethers.Wallet(RELAYER_KEY).address;
+            await (await chains.a.batcher.revokeRole(role, relayerAddress)).wait();
+            try {
+                await addInvoices(chains.a, ["SEAL_ROLE_1", "SEAL_ROLE_2", "SEAL_ROLE_3"]);
+                await expect(sealer.checkChain(target)).to.be.rejectedWith("Cannot seal: Caller is not a batcher");
+                expect(await chains.a.batcher.getPendingInvoicesCount()).to.equal(3);
+            } finally {
+                await (await chains.a.batcher.grantRole(role, relayerAddress)).wait();
+            }
+            await sealer.poll();
+            expect(await chains.a.batcher.getPendingInvoicesCount()).to.equal(0);
+        });
+
+        it("lets only one instance seal each chain", async function () {
+            const first = await startSealer();
+            const second = new BatchSealer();
+            await expect(second.init()).to.be.rejectedWith("No chains available to seal");
+
+            await first.stop();
+            sealers = [];
+            await startSealer();
+        });
+    });
+});
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const os = require("os");
+const path = require("path");
+const {
+    parseTopology,
+    buildMeshTopology,
+    loadTopology,
+    getDesiredTrust,
+    getRouteTargets,
+    diffTrust
+} = require("../scripts/lib/topology");
+
+const HUB = "0x1000000000000000000000000000000000000001";
+const SPOKE_A = "0x2000000000000000000000000000000000000002";
+const SPOKE_B = "0x3000000000000000000000000000000000000003";
+const OLD_SPOKE_A = "0x2000000000000000000000000000000000000000";
+
+// As resolved by getChain, only spoke B has a live deployment and spoke C has no RPC URL
+const CHAINS = {
+    hub: { name: "Hub", chainId: 1, envPrefix: "HUB", rpc: "http://hub" },
+    "spoke-a": { name: "Spoke A", chainId: 2, envPrefix: "SPOKE_A", rpc: "http://spoke-a" },
+    "spoke-b": { name: "Spoke B", chainId: 3, envPrefix: "SPOKE_B", rpc: "http://spoke-b", invoiceBatcherAddress: SPOKE_B },
+    "spoke-c": { name: "Spoke C", chainId: 4, envPrefix: "SPOKE_C", invoiceBatcherAddress: SPOKE_B }
+};
+
+describe("Topology", function () {
+    const hubAndSpoke = {
+        chains: {
+            hub: { address: HUB },
+            "spoke-a": { address: SPOKE_A, previousAddresses: [OLD_SPOKE_A] },
+            "spoke-b": {}
+        },
+        routes: [
+            { from: "spoke-a", to: "hub" },
+            { from: "spoke-b", to: ["hub"] },
+            { from: "hub", to: "spoke-a" }
+        ]
+    };
+
+    describe("parseTopology", function () {
+        it("resolves addresses, falling back to the live deployment", function () {
+            const topology = parseTopology(hubAndSpoke, CHAINS);
+
+            expect(topology.chains.hub.address).to.equal(HUB);
+            expect(topology.chains["spoke-a"].addresses).to.deep.equal([SPOKE_A, OLD_SPOKE_A]);
+            expect(topology.chains["spoke-b"].address).to.equal(SPOKE_B);
+            expect(topology.routes).to.deep.equal([
+                { from: "spoke-a", to: "hub" },
+                { from: "spoke-b", to: "hub" },
+                { from: "hub", to: "spoke-a" }
+            ]);
+        });
+
+        it("reports every problem at once", function () {
+            const definition = {
+                chains: {
+                    hub: { address: "0x1234" },
+                    "spoke-a": {},
+                    "spoke-c": {},
+                    unknown: {}
+                },
+                routes: [
+                    { from: "hub", to: "hub" },
+                    { from: "hub", to: "spoke-b" }
+                ]
+            };
+
+            expect(() => parseTopology(definition, CHAINS)).to.throw(Error)
+                .with.property("message")
+                .that.includes('chains.hub.address: invalid address "0x1234"')
+                .and.includes("chains.spoke-a: no address and not deployed (deployments/spoke-a.json or SPOKE_A_INVOICEBATCHER_ADDRESS)")
+                .and.includes("chains.spoke-c: no RPC URL (SPOKE_C_RPC)")
+                .and.includes("chains.unknown: unknown chain")
+                .and.includes("routes[0] hub -> hub: a chain cannot route to itself")
+                .and.includes("routes[1] hub -> spoke-b: destination chain is not declared in chains");
+        });
+    });
+
+    describe("buildMeshTopology", function () {
+        it("routes every deployed chain to every other one", function () {
+            const chains = {
+                ...CHAINS,
+                "spoke-a": { ...CHAINS["spoke-a"], invoiceBatcherAddress: SPOKE_A }
+            };
+            const env = { SPOKE_A_PREVIOUS_INVOICEBATCHER_ADDRESSES: OLD_SPOKE_A };
+            const topology = buildMeshTopology(chains, ["hub", "spoke-a", "spoke-b"], env);
+
+            expect(Object.keys(topology.chains)).to.deep.equal(["spoke-a", "spoke-b"]);
+            expect(topology.chains["spoke-a"].addresses).to.deep.equal([SPOKE_A, OLD_SPOKE_A]);
+            expect(topology.routes).to.deep.equal([
+                { from: "spoke-a", to: "spoke-b" },
+                { from: "spoke-b", to: "spoke-a" }
+            ]);
+        });
+    });
+
+    describe("loadTopology", function () {
+        const env = {
+            ACTIVATED_CHAINS: "local-a, local-b",
+            LOCAL_A_INVOICEBATCHER_ADDRESS: HUB,
+            LOCAL_B_INVOICEBATCHER_ADDRESS: SPOKE_A
+        };
+        let saved;
+
+        beforeEach(function () {
+            saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+            Object.assign(process.env, env);
+        });
+
+        afterEach(function () {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value === undefined) {
+                    delete process.env[key];
+                } else {
+                    process.env[key] = value;
+                }
+            }
+        });
+
+        it("meshes every chain of ACTIVATED_CHAINS without a topology file", function () {
+            const topology = loadTopology(path.join(os.tmpdir(), "no-such-topology.json"));
+
+            expect(topology.filePath).to.equal(null);
+            expect(Object.keys(topology.chains)).to.deep.equal(["local-a", "local-b"]);
+            expect(topology.routes).to.deep.equal([
+                { from: "local-a", to: "local-b" },
+                { from: "local-b", to: "local-a" }
+            ]);
+        });
+    });
+
+    describe("routes", function () {
+        const topology = parseTopology(hubAndSpoke, CHAINS);
+
+        it("derives the trusted sources of a chain from the routes into it", function () {
+            expect(getDesiredTrust(topology, "hub")).to.deep.equal(new Map([
+                [2, [SPOKE_A, OLD_SPOKE_A]],
+                [3, [SPOKE_B]]
+            ]));
+            expect(getDesiredTrust(topology, "spoke-b")).to.deep.equal(new Map());
+        });
+
+        it("lists the destinations of a source chain", function () {
+            expect(getRouteTargets(topology, 1)).to.deep.equal([2]);
+            expect(getRouteTargets(topology, 2)).to.deep.equal([1]);
+            expect(getRouteTargets(topology, 3)).to.deep.equal([1]);
+        });
+    });
+
+    describe("diffTrust", function () {
+        it("adds missing sources and removes stale ones, ignoring address case", function () {
+            const checksummed = "0x52908400098527886E0F7030069857D2E4169EE7";
+            const desired = new Map([[2, [checksummed]], [3, [SPOKE_B]]]);
+            const current = new Map([[2, [checksummed.toLowerCase(), OLD_SPOKE_A]], [4, [HUB]]]);
+
+            expect(diffTrust(desired, current)).to.deep.equal({
+                add: [[3, SPOKE_B]],
+                remove: [[2, OLD_SPOKE_A], [4, HUB]]
+            });
+            expect(diffTrust(desired, desired)).to.deep.equal({ add: [], remove: [] });
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getStorageLayout } = require("../scripts/lib/artifacts");
+const { IMPLEMENTATION_SLOT, getImplementationAddress, checkStorageLayout } = require("../scripts/lib/upgrades");
+
+const SOURCE_CHAIN_ID = 84532;
+const SOURCE = "0x1000000000000000000000000000000000000001";
+
+function invoiceHash(id) {
+    return ethers.keccak256(ethers.toUtf8Bytes(id));
+}
+
+describe("Upgradeable InvoiceIDBatcher", function () {
+    async function deployFixture() {
+        const [admin, outsider] = await ethers.getSigners();
+        const prover = await ethers.deployContract("MockPolymerProver");
+        const implementation = await ethers.deployContract("InvoiceIDBatcherUpgradeable");
+        const data = implementation.interface.encodeFunctionData("initialize", [await prover.getAddress(), admin.address]);
+        const proxy = await ethers.deployContract("InvoiceBatcherProxy", [await implementation.getAddress(), data]);
+        const batcher = await ethers.getContractAt("InvoiceIDBatcherUpgradeable", await proxy.getAddress());
+        const v2 = await ethers.deployContract("InvoiceIDBatcherUpgradeableV2Mock");
+
+        return { prover, implementation, proxy, batcher, v2, admin, outsider };
+    }
+
+    describe("Proxy", function () {
+        it("initializes the proxy with the prover and admin", async function () {
+            const { prover, implementation, batcher, admin } = await loadFixture(deployFixture);
+
+            expect(await batcher.polymerProver()).to.equal(await prover.getAddress());
+            expect(await batcher.admin()).to.equal(admin.address);
+            expect(await batcher.hasRole(await batcher.BATCHER_ROLE(), admin.address)).to.equal(true);
+            expect(await batcher.implementation()).to.equal(await implementation.getAddress());
+            expect(await getImplementationAddress(ethers.provider, await batcher.getAddress()))
+                .to.equal(await implementation.getAddress());
+        });
+
+        it("cannot be initialized again, nor can the implementation", async function () {
+            const { implementation, batcher, outsider } = await loadFixture(deployFixture);
+
+            await expect(batcher.connect(outsider).initialize(outsider.address, outsider.address))
+                .to.be.revertedWith("Already initialized");
+            await expect(implementation.connect(outsider).initialize(outsider.address, outsider.address))
+                .to.be.revertedWith("Already initialized");
+        });
+
+        it("can start without a prover until the admin sets one", async function () {
+            const { prover, implementation, admin, outsider } = await loadFixture(deployFixture);
+            const data = implementation.interface.encodeFunctionData("initialize", [ethers.ZeroAddress, admin.address]);
+            const proxy = await ethers.deployContract("InvoiceBatcherProxy", [await implementation.getAddress(), data]);
+            const batcher = await ethers.getContractAt("InvoiceIDBatcherUpgradeable", await proxy.getAddress());
+
+            await expect(batcher.invoicesFromSource("0x")).to.be.revertedWith("Polymer Prover not set");
+            await expect(batcher.connect(outsider).setPolymerProver(await prover.getAddress()))
+                .to.be.revertedWith("Only admin can set the prover");
+            await expect(batcher.setPolymerProver(await prover.getAddress()))
+                .to.emit(batcher, "PolymerProverUpdated").withArgs(ethers.ZeroAddress, await prover.getAddress());
+            expect(await batcher.polymerProver()).to.equal(await prover.getAddress());
+        });
+
+        it("requires an initialization call", async function () {
+            const { implementation } = await loadFixture(deployFixture);
+            const factory = await ethers.getContractFactory("InvoiceBatcherProxy");
+
+            await expect(factory.deploy(await implementation.getAddress(), "0x"))
+                .to.be.revertedWith("Missing initialization call");
+        });
+    });
+
+    describe("upgradeToAndCall", function () {
+        it("keeps the state of the proxy", async function () {
+            const { batcher, v2, admin, outsider } = await loadFixture(deployFixture);
+            await batcher.newInvoice(invoiceHash("INVOICE_1"));
+            await batcher.addTrustedSource(SOURCE_CHAIN_ID, SOURCE);
+            await batcher.grantRole(await batcher.SUBMITTER_ROLE(), outsider.address);
+
+            await expect(batcher.upgradeToAndCall(await v2.getAddress(), "0x"))
+                .to.emit(batcher, "Upgraded")
+                .withArgs(await v2.getAddress());
+
+            const upgraded = await ethers.getContractAt("InvoiceIDBatcherUpgradeableV2Mock", await batcher.getAddress());
+            expect(await ethers.provider.getStorage(await batcher.getAddress(), IMPLEMENTATION_SLOT))
+                .to.equal(ethers.zeroPadValue(await v2.getAddress(), 32));
+            expect(await upgraded.admin()).to.equal(admin.address);
+            expect(await upgraded.getPendingInvoicesCount()).to.equal(1);
+            expect(await upgraded.localInvoices(invoiceHash("INVOICE_1"))).to.equal(true);
+            expect(await upgraded.getTrustedSources(SOURCE_CHAIN_ID)).to.deep.equal([SOURCE]);
+            expect(await upgraded.hasRole(await upgraded.SUBMITTER_ROLE(), outsider.address)).to.equal(true);
+            expect(await upgraded.migratedAt()).to.equal(0);
+        });
+
+        it("runs a migration in the same transaction", async function () {
+            const { batcher, v2 } = await loadFixture(deployFixture);
+            const migration = v2.interface.encodeFunctionData("migrate");
+
+            await batcher.upgradeToAndCall(await v2.getAddress(), migration);
+
+            const upgraded = await ethers.getContractAt("InvoiceIDBatcherUpgradeableV2Mock", await batcher.getAddress());
+            expect(await upgraded.migratedAt()).to.be.greaterThan(0);
+            expect(await v2.migratedAt()).to.equal(0);
+        });
+
+        it("only lets the admin upgrade, through the proxy", async function () {
+            const { implementation, batcher, v2, outsider } = await loadFixture(deployFixture);
+
+            await expect(batcher.connect(outsider).upgradeToAndCall(await v2.getAddress(), "0x"))
+                .to.be.revertedWith("Only admin can upgrade");
+            await expect(implementation.upgradeToAndCall(await v2.getAddress(), "0x"))
+                .to.be.revertedWith("Only callable through the proxy");
+        });
+
+        it("refuses implementations that could not be upgraded again", async function () {
+            const { prover, proxy, batcher } = await loadFixture(deployFixture);
+
+            await expect(batcher.upgradeToAndCall(await prover.getAddress(), "0x"))
+                .to.be.revertedWith("New implementation is not upgradeable");
+            await expect(batcher.upgradeToAndCall(await proxy.getAddress(), "0x"))
+                .to.be.revertedWith("New implementation is not upgradeable");
+        });
+    });
+
+    describe("Storage layout", function () {
+        const layout = [
+            { label: "polymerProver", slot: 0, offset: 0, size: 20, type: "address" },
+            { label: "pendingSince", slot: 1, offset: 0, size: 8, type: "uint64" },
+            { label: "paused", slot: 1, offset: 8, size: 1, type: "bool" },
+            { label: "roots", slot: 2, offset: 0, size: 32, type: "mapping(bytes32 => uint256)" }
+        ];
+
+        it("accepts implementations that append state variables to the base", async function () {
+            const current = await getStorageLayout("InvoiceIDBatcherUpgradeable");
+            const next = await getStorageLayout("InvoiceIDBatcherUpgradeableV2Mock");
+            const base = await getStorageLayout("InvoiceIDBatcherBase");
+            const appended = { label: "extra", slot: current.at(-1).slot + 1, offset: 0, size: 32, type: "uint256" };
+
+            expect(current.find(variable => variable.label === "polymerProver").type).to.equal("address");
+            expect(current.find(variable => variable.label === "receivedRoots").type)
+                .to.match(/^mapping\(bytes32 => struct InvoiceIDBatcherBase\.ReceivedRoot \{ uint32 sourceChainId; /);
+            // The mock keeps its state in an ERC-7201 namespace
+            expect(next).to.deep.equal(current);
+            expect(checkStorageLayout(current, current)).to.deep.equal([]);
+            expect(checkStorageLayout(current, next, base)).to.deep.equal([]);
+            expect(checkStorageLayout(current, [...current, appended], [...base, appended])).to.deep.equal([]);
+        });
+
+        it("rejects state variables declared in derived contracts", async function () {
+            const current = await getStorageLayout("InvoiceIDBatcherUpgradeable");
+            const base = await getStorageLayout("InvoiceIDBatcherBase");
+            const derived = { label: "migratedAt", slot: current.at(-1).slot + 1, offset: 0, size: 32, type: "uint256" };
+
+            expect(checkStorageLayout(current, [...current, derived], base)).to.deep.equal([
+                `migratedAt (slot ${derived.slot}) is not declared in InvoiceIDBatcherBase, declare state there or in an ERC-7201 namespace`
+            ]);
+        });
+
+        it("reports removed, replaced, retyped and inserted variables", function () {
+            const next = [
+                { label: "prover", slot: 0, offset: 0, size: 20, type: "address" },
+                { label: "pendingSince", slot: 1, offset: 0, size: 16, type: "uint128" },
+                { label: "count", slot: 1, offset: 16, size: 1, type: "uint8" },
+                { label: "roots", slot: 3, offset: 0, size: 32, type: "mapping(bytes32 => uint256)" }
+            ];
+
+            expect(checkStorageLayout(layout, next)).to.deep.equal([
+                "polymerProver (slot 0) was replaced by prover",
+                "pendingSince changed type from uint64 to uint128",
+                "paused (slot 1) was removed or moved",
+                "roots (slot 2) was removed or moved",
+                "count (slot 1) is inserted between existing variables, append it at the end"
+            ]);
+        });
+    });
+});